@@ -12,14 +12,84 @@
 CREATE TABLE IF NOT EXISTS users (
   id TEXT PRIMARY KEY,
   email TEXT UNIQUE NOT NULL,
-  password TEXT NOT NULL,
+  password TEXT NOT NULL,   -- bcrypt hash
   name TEXT NOT NULL,
   role TEXT DEFAULT 'tester',
   status TEXT DEFAULT 'active',
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   created_by TEXT,
   last_login DATETIME,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  failed_login_attempts INTEGER DEFAULT 0,  -- consecutive failures since last success/lockout
+  lockout_count INTEGER DEFAULT 0,          -- lockouts within LOCKOUT_DECAY_HOURS of each other, drives exponential backoff
+  locked_until DATETIME,
+  must_reset_password BOOLEAN DEFAULT 0,    -- set by an admin; user must change password before using the API
+  totp_secret TEXT,                         -- base32 TOTP secret (set at setup, active once totp_enabled = 1)
+  totp_enabled BOOLEAN DEFAULT 0,
+  totp_last_step INTEGER                    -- last accepted TOTP time step, prevents code replay
+);
+
+-- Refresh Tokens Table (issued at login, rotated on refresh, revoked on logout)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_id TEXT UNIQUE NOT NULL,  -- jti claim of the refresh JWT
+  user_id TEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME,
+  replaced_by TEXT,               -- token_id issued when this token was rotated
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Password Reset Tokens Table (single use; only the SHA-256 of the emailed token is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,               -- set when redeemed or superseded by a newer request
+  requested_ip TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- TOTP Recovery Codes Table (single use; only the SHA-256 of each code is stored)
+CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- API Keys Table (personal keys for CI; only the SHA-256 of the key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key_id TEXT UNIQUE NOT NULL,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,       -- first characters of the key, shown in listings
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT NOT NULL,           -- JSON array of permissions, e.g. ["results:write"]
+  last_used_at DATETIME,
+  last_used_ip TEXT,
+  expires_at DATETIME,            -- NULL = never expires
+  revoked_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Login Attempts Table (audit log of successful and failed logins)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT,
+  user_id TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  success BOOLEAN NOT NULL DEFAULT 0,
+  failure_reason TEXT,  -- unknown_email, invalid_password, account_locked, ip_rate_limited
+  attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Modules Table
@@ -191,6 +261,26 @@ CREATE TABLE IF NOT EXISTS bugs (
   tags TEXT,              -- JSON array of tags
   is_deleted BOOLEAN DEFAULT 0,
 
+  -- SLA tracking (see sla_policies)
+  sla_policy_id INTEGER,
+  sla_due_at DATETIME,
+  sla_met_at DATETIME,
+  sla_breached_at DATETIME,
+
+  -- Reopen tracking and regressions flagged by failing linked tests
+  reopen_count INTEGER DEFAULT 0,
+  last_reopened_at DATETIME,
+  last_reopen_reason TEXT,
+  regression_suspected BOOLEAN DEFAULT 0,
+  regression_detected_at DATETIME,
+  regression_session_id TEXT,
+  regression_test_id TEXT,
+
+  -- Effort (actual_hours is the sum of the bug's time_logs)
+  estimated_hours REAL,
+  actual_hours REAL,
+  sprint_id TEXT,                       -- current sprint; history in sprint_items
+
   FOREIGN KEY (session_id) REFERENCES test_sessions(session_id),
   FOREIGN KEY (module_id) REFERENCES modules(module_id)
 );
@@ -206,6 +296,12 @@ CREATE TABLE IF NOT EXISTS bug_comments (
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   is_internal BOOLEAN DEFAULT 0,
+  parent_comment_id INTEGER,            -- threaded reply to another comment on the same item
+  is_deleted BOOLEAN DEFAULT 0,         -- soft delete; the row stays as a placeholder in threads
+  deleted_at DATETIME,
+  deleted_by_id TEXT,
+  deleted_by_name TEXT,
+  edited_at DATETIME,                   -- previous texts are kept in comment_edits
   FOREIGN KEY (bug_id) REFERENCES bugs(bug_id) ON DELETE CASCADE
 );
 
@@ -236,9 +332,73 @@ CREATE TABLE IF NOT EXISTS bug_history (
   changed_by_id TEXT,
   changed_by_name TEXT,
   changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  merged_from TEXT,  -- original bug_id when the entry was moved here by a duplicate merge
   FOREIGN KEY (bug_id) REFERENCES bugs(bug_id) ON DELETE CASCADE
 );
 
+-- Bug Redirects Table (IDs of bugs merged as duplicates resolve to the canonical bug)
+CREATE TABLE IF NOT EXISTS bug_redirects (
+  old_bug_id TEXT PRIMARY KEY,
+  new_bug_id TEXT NOT NULL,
+  merged_by_id TEXT,
+  merged_by_name TEXT,
+  merged_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bug Links Table (typed links; bugs.parent_bug_id and bugs.related_bugs mirror it)
+CREATE TABLE IF NOT EXISTS bug_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source_bug_id TEXT NOT NULL,
+  target_bug_id TEXT NOT NULL,
+  link_type TEXT NOT NULL CHECK(link_type IN ('parent_of', 'blocks', 'relates_to', 'duplicates')),
+  created_by_id TEXT,
+  created_by_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(source_bug_id, target_bug_id, link_type)  -- relates_to is stored with source < target
+);
+
+-- Saved Bug Filters Table (criteria JSON run by GET /api/bugs?filter=<filter_id>)
+CREATE TABLE IF NOT EXISTS saved_bug_filters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  filter_id TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  criteria TEXT NOT NULL,    -- JSON object of filter criteria
+  owner_id TEXT NOT NULL,
+  owner_name TEXT,
+  is_shared BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bug Workflow Transitions Table (allowed status moves; seeded with defaults by server.js)
+CREATE TABLE IF NOT EXISTS bug_workflow_transitions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  allowed_roles TEXT,                -- JSON array of roles, NULL = anyone with bugs:write
+  required_fields TEXT DEFAULT '[]', -- JSON array: resolution, verifier_id, comment
+  is_active BOOLEAN DEFAULT 1,
+  updated_by TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(from_status, to_status)
+);
+
+-- SLA Policies Table (deadlines by priority/severity; seeded with defaults by server.js)
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  priority TEXT,                         -- NULL = any priority
+  severity TEXT,                         -- NULL = any severity
+  target_status TEXT NOT NULL DEFAULT 'Fixed',
+  target_hours REAL NOT NULL,
+  business_hours BOOLEAN DEFAULT 1,      -- 0 = calendar hours
+  is_active BOOLEAN DEFAULT 1,
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =============================================================================
 -- UPCOMING FEATURES TABLES
 -- =============================================================================
@@ -253,7 +413,7 @@ CREATE TABLE IF NOT EXISTS upcoming_features (
   -- Business Value
   business_value TEXT,
   user_story TEXT,
-  acceptance_criteria TEXT,
+  acceptance_criteria TEXT,  -- JSON array of criteria texts (records live in acceptance_criteria)
 
   -- Classification
   priority TEXT DEFAULT 'P3' CHECK(priority IN ('P1', 'P2', 'P3', 'P4')),
@@ -287,8 +447,8 @@ CREATE TABLE IF NOT EXISTS upcoming_features (
   target_version TEXT NOT NULL,
   linked_tests TEXT,         -- JSON array
   related_features TEXT,     -- JSON array
-  dependencies TEXT,         -- JSON array
-  blocks TEXT,               -- JSON array
+  dependencies TEXT,         -- JSON array of feature_ids this feature waits for
+  blocks TEXT,               -- JSON array, inverse of dependencies (maintained by the server)
 
   -- People
   creator_id TEXT,
@@ -306,7 +466,9 @@ CREATE TABLE IF NOT EXISTS upcoming_features (
 
   -- Estimation & Progress
   estimated_hours REAL,
-  actual_hours REAL,
+  actual_hours REAL,                    -- legacy_actual_hours plus the feature's time_logs
+  legacy_actual_hours REAL,             -- hand-entered actual_hours from before time logging
+  sprint_id TEXT,                       -- current sprint; history in sprint_items
   progress_percentage INTEGER DEFAULT 0 CHECK(progress_percentage >= 0 AND progress_percentage <= 100),
 
   -- Date Fields (for timeline visualization)
@@ -346,6 +508,12 @@ CREATE TABLE IF NOT EXISTS feature_comments (
   is_internal BOOLEAN DEFAULT 0,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  parent_comment_id INTEGER,            -- threaded reply to another comment on the same item
+  is_deleted BOOLEAN DEFAULT 0,         -- soft delete; the row stays as a placeholder in threads
+  deleted_at DATETIME,
+  deleted_by_id TEXT,
+  deleted_by_name TEXT,
+  edited_at DATETIME,                   -- previous texts are kept in comment_edits
   FOREIGN KEY (feature_id) REFERENCES upcoming_features(feature_id) ON DELETE CASCADE
 );
 
@@ -379,6 +547,133 @@ CREATE TABLE IF NOT EXISTS feature_attachments (
   FOREIGN KEY (feature_id) REFERENCES upcoming_features(feature_id) ON DELETE CASCADE
 );
 
+-- Acceptance Criteria Table (upcoming_features.acceptance_criteria mirrors the descriptions)
+CREATE TABLE IF NOT EXISTS acceptance_criteria (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feature_id TEXT NOT NULL,
+  description TEXT NOT NULL,
+  position INTEGER DEFAULT 0,
+  state TEXT DEFAULT 'pending' CHECK(state IN ('pending', 'met', 'failed')),
+  state_source TEXT DEFAULT 'auto' CHECK(state_source IN ('auto', 'manual')),  -- auto: follows linked test results
+  linked_tests TEXT DEFAULT '[]',       -- JSON array of custom test IDs
+  last_result_id INTEGER,               -- test_results row that set the current state
+  last_session_id TEXT,
+  state_changed_at DATETIME,
+  created_by_id TEXT,
+  created_by_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (feature_id) REFERENCES upcoming_features(feature_id) ON DELETE CASCADE
+);
+
+-- Version Quality Gates Table (conditions checked when a feature moves to Completed;
+-- versions without rows are not gated)
+CREATE TABLE IF NOT EXISTS version_quality_gates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  version_id TEXT NOT NULL,
+  gate_type TEXT NOT NULL CHECK(gate_type IN ('linked_tests_passed', 'no_open_bugs', 'criteria_met')),
+  options TEXT DEFAULT '{}',            -- JSON, e.g. {"priorities": ["P1", "P2"]}
+  is_active BOOLEAN DEFAULT 1,
+  created_by_id TEXT,
+  created_by_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(version_id, gate_type),
+  FOREIGN KEY (version_id) REFERENCES versions(version_id) ON DELETE CASCADE
+);
+
+-- Time Logs Table (hours logged per user against bugs and features;
+-- bugs.actual_hours and upcoming_features.actual_hours are rolled up from it)
+CREATE TABLE IF NOT EXISTS time_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity_type TEXT NOT NULL CHECK(entity_type IN ('bug', 'feature')),
+  entity_id TEXT NOT NULL,              -- bug_id or feature_id
+  user_id TEXT NOT NULL,
+  user_name TEXT,
+  log_date DATE NOT NULL,
+  hours REAL NOT NULL CHECK(hours > 0 AND hours <= 24),
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sprints Table (iterations inside a version)
+CREATE TABLE IF NOT EXISTS sprints (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sprint_id TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  version_id TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  capacity_hours REAL,
+  goal TEXT,
+  status TEXT DEFAULT 'Planned' CHECK(status IN ('Planned', 'Active', 'Completed')),
+  started_at DATETIME,
+  completed_at DATETIME,
+  created_by_id TEXT,
+  created_by_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (version_id) REFERENCES versions(version_id)
+);
+
+-- Sprint Items Table (every stay of a bug or feature in a sprint; removed_at is NULL while it is in it)
+CREATE TABLE IF NOT EXISTS sprint_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sprint_id TEXT NOT NULL,
+  entity_type TEXT NOT NULL CHECK(entity_type IN ('bug', 'feature')),
+  entity_id TEXT NOT NULL,              -- bug_id or feature_id
+  committed BOOLEAN DEFAULT 0,          -- added while the sprint was Planned
+  carried_from_sprint_id TEXT,
+  added_by_id TEXT,
+  added_by_name TEXT,
+  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  removed_at DATETIME,
+  removal_reason TEXT CHECK(removal_reason IN ('removed', 'moved', 'carried_over')),
+  FOREIGN KEY (sprint_id) REFERENCES sprints(sprint_id) ON DELETE CASCADE
+);
+
+-- Watchers Table (users following bugs and features; unread counts use last_viewed_at)
+CREATE TABLE IF NOT EXISTS watchers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity_type TEXT NOT NULL CHECK(entity_type IN ('bug', 'feature')),
+  entity_id TEXT NOT NULL,              -- bug_id or feature_id
+  user_id TEXT NOT NULL,
+  reason TEXT NOT NULL DEFAULT 'manual', -- manual, reporter, assignee, verifier, commenter, creator, owner, developer, tester
+  is_watching BOOLEAN DEFAULT 1,        -- 0 = unwatched; the row stays so auto-watch does not re-add the user
+  last_viewed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(entity_type, entity_id, user_id)
+);
+
+-- Comment Edits Table (previous versions of edited bug and feature comments)
+CREATE TABLE IF NOT EXISTS comment_edits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  comment_type TEXT NOT NULL CHECK(comment_type IN ('bug', 'feature')),
+  comment_id INTEGER NOT NULL,          -- bug_comments.id or feature_comments.id
+  old_text TEXT NOT NULL,
+  old_is_internal BOOLEAN DEFAULT 0,
+  edited_by_id TEXT,
+  edited_by_name TEXT,
+  edited_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications Table (in-app notifications, e.g. @mentions; also mailed via the mail transport)
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  type TEXT NOT NULL,                   -- mention
+  entity_type TEXT,                     -- bug, feature
+  entity_id TEXT,
+  comment_id INTEGER,
+  message TEXT NOT NULL,
+  actor_id TEXT,
+  actor_name TEXT,
+  is_read BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =============================================================================
 -- VIEWS
 -- =============================================================================
@@ -416,11 +711,25 @@ GROUP BY module_id;
 -- INDEXES
 -- =============================================================================
 
+-- Auth Indexes
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_attempted ON login_attempts(attempted_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address);
+
 -- Bug Indexes
 CREATE INDEX IF NOT EXISTS idx_bugs_status ON bugs(status);
+CREATE INDEX IF NOT EXISTS idx_bug_redirects_new ON bug_redirects(new_bug_id);
+CREATE INDEX IF NOT EXISTS idx_bug_links_source ON bug_links(source_bug_id);
+CREATE INDEX IF NOT EXISTS idx_bug_links_target ON bug_links(target_bug_id);
+CREATE INDEX IF NOT EXISTS idx_saved_bug_filters_owner ON saved_bug_filters(owner_id);
 CREATE INDEX IF NOT EXISTS idx_bugs_assignee ON bugs(assignee_id);
 CREATE INDEX IF NOT EXISTS idx_bugs_priority ON bugs(priority);
 CREATE INDEX IF NOT EXISTS idx_bugs_module ON bugs(module_id);
+CREATE INDEX IF NOT EXISTS idx_bugs_sla_due ON bugs(sla_due_at);
 CREATE INDEX IF NOT EXISTS idx_bug_comments_bug_id ON bug_comments(bug_id);
 CREATE INDEX IF NOT EXISTS idx_bug_attachments_bug_id ON bug_attachments(bug_id);
 CREATE INDEX IF NOT EXISTS idx_bug_history_bug_id ON bug_history(bug_id);
@@ -434,12 +743,38 @@ CREATE INDEX IF NOT EXISTS idx_features_created ON upcoming_features(created_at)
 CREATE INDEX IF NOT EXISTS idx_feature_comments_feature ON feature_comments(feature_id);
 CREATE INDEX IF NOT EXISTS idx_feature_history_feature ON feature_history(feature_id);
 CREATE INDEX IF NOT EXISTS idx_feature_attachments_feature ON feature_attachments(feature_id);
+CREATE INDEX IF NOT EXISTS idx_acceptance_criteria_feature ON acceptance_criteria(feature_id);
+CREATE INDEX IF NOT EXISTS idx_watchers_user ON watchers(user_id);
+CREATE INDEX IF NOT EXISTS idx_time_logs_entity ON time_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_time_logs_user_date ON time_logs(user_id, log_date);
+CREATE INDEX IF NOT EXISTS idx_sprint_items_sprint ON sprint_items(sprint_id);
+CREATE INDEX IF NOT EXISTS idx_sprint_items_entity ON sprint_items(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_comment_edits_comment ON comment_edits(comment_type, comment_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read);
+
+-- =============================================================================
+-- FULL-TEXT SEARCH
+-- =============================================================================
+
+-- Search Index (FTS5) over bugs, bug_comments, upcoming_features, feature_comments,
+-- custom_tests and test_feedback. server.js creates AFTER INSERT/UPDATE/DELETE triggers on
+-- each source table (search_<table>_ai/_au/_ad) and backfills the index when it is empty
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+  title,
+  body,
+  entity_type UNINDEXED,      -- bug, bug_comment, feature, feature_comment, custom_test, test_feedback
+  entity_id UNINDEXED,        -- bug_id, feature_id, test_id or comment/feedback id
+  parent_id UNINDEXED,        -- owning bug_id / feature_id / session_id for comments and feedback
+  tokenize = 'porter unicode61'
+);
 
 -- =============================================================================
 -- DEFAULT DATA
 -- =============================================================================
 
 -- Default Admin and Test Users
+-- Passwords are listed in plaintext here; they are replaced with bcrypt hashes on first login,
+-- or all at once by running `node migrate-hash-passwords.js`
 INSERT OR IGNORE INTO users (id, email, password, name, role, status) VALUES
   ('admin-001', 'admin@dnaerp.com', 'admin123', 'System Administrator', 'admin', 'active'),
   ('tester-001', 'tester@dnaerp.com', 'tester123', 'Test User', 'tester', 'active');
@@ -0,0 +1,99 @@
+const sqlite3 = require('sqlite3').verbose();
+const bcrypt = require('bcryptjs');
+const fs = require('fs');
+
+// One-shot migration: replace every plaintext users.password with a bcrypt hash.
+// Safe to run more than once - rows that already hold a hash are skipped.
+// Users that are not migrated here are upgraded automatically on their next login.
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+// Determine database path (same logic as server.js)
+let dbPath;
+try {
+  if (fs.existsSync('/var/data')) {
+    const testFile = '/var/data/.db-write-test';
+    fs.writeFileSync(testFile, 'test');
+    fs.unlinkSync(testFile);
+    dbPath = '/var/data/testing_feedback.db';
+    console.log('✅ Using Render persistent disk for database at:', dbPath);
+  } else {
+    throw new Error('/var/data does not exist');
+  }
+} catch (error) {
+  dbPath = './testing_feedback.db';
+  console.log('✅ Using local database at:', dbPath);
+}
+
+console.log('\n🔄 Starting password hashing migration...\n');
+
+const db = new sqlite3.Database(dbPath, (err) => {
+  if (err) {
+    console.error('❌ Error opening database:', err);
+    process.exit(1);
+  }
+  console.log('✅ Connected to database');
+});
+
+const isPasswordHash = (value) => typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value);
+
+db.all('SELECT id, email, password FROM users', [], (err, users) => {
+  if (err) {
+    console.error('❌ Error reading users:', err);
+    db.close();
+    process.exit(1);
+  }
+
+  const plaintextUsers = users.filter(user => !isPasswordHash(user.password));
+
+  if (plaintextUsers.length === 0) {
+    console.log('✅ All passwords are already hashed - migration not needed');
+    db.close();
+    process.exit(0);
+  }
+
+  console.log(`\n🔧 Hashing ${plaintextUsers.length} of ${users.length} password(s)...\n`);
+
+  let failed = 0;
+
+  const migrateUser = (index) => {
+    if (index >= plaintextUsers.length) {
+      db.close((err) => {
+        if (err) {
+          console.error('❌ Error closing database:', err);
+          process.exit(1);
+        }
+        console.log(`\n${failed === 0 ? '🎉' : '⚠️'} Migration finished: ${plaintextUsers.length - failed} hashed, ${failed} failed`);
+        process.exit(failed === 0 ? 0 : 1);
+      });
+      return;
+    }
+
+    const user = plaintextUsers[index];
+
+    bcrypt.hash(user.password || '', BCRYPT_ROUNDS, (err, hash) => {
+      if (err) {
+        console.error(`❌ Error hashing password for ${user.email}:`, err);
+        failed++;
+        return migrateUser(index + 1);
+      }
+
+      // Only replace the value we read, in case the user logged in meanwhile
+      db.run(
+        'UPDATE users SET password = ? WHERE id = ? AND password = ?',
+        [hash, user.id, user.password],
+        (err) => {
+          if (err) {
+            console.error(`❌ Error updating ${user.email}:`, err);
+            failed++;
+          } else {
+            console.log(`✅ Hashed password for ${user.email}`);
+          }
+          migrateUser(index + 1);
+        }
+      );
+    });
+  };
+
+  migrateUser(0);
+});
@@ -6,10 +6,77 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const { checkSchema, checkExact, validationResult } = require('express-validator');
+const nodemailer = require('nodemailer');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Authentication configuration
+// JWT_SECRET must be set in production - without it a random secret is generated
+// on every start, which invalidates all issued tokens whenever the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(48).toString('hex');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+// Login throttling - per-account lockout with exponential backoff, plus a per-IP rate limit
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 5;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+// The backoff only starts over once an account has gone this long without being locked
+const LOCKOUT_DECAY_HOURS = parseInt(process.env.LOCKOUT_DECAY_HOURS, 10) || 24;
+const LOGIN_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15;
+const LOGIN_RATE_LIMIT_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20;
+
+// Self-service password reset
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL ||
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/reset-password`;
+
+// Outgoing mail - see MAIL TRANSPORT below. Setting SMTP_HOST makes 'smtp' the default transport
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (SMTP_HOST ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'ERP Testing Portal <no-reply@dnaerp.com>';
+
+// Two-factor authentication (TOTP, RFC 6238). Roles listed here must enrol before using the API
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES !== undefined ? process.env.MFA_REQUIRED_ROLES : 'admin')
+  .split(',').map(role => role.trim()).filter(Boolean);
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ERP Testing Portal';
+const MFA_CHALLENGE_TTL = '5m';
+
+// Signed attachment download URLs (for <img src> and links, where no Authorization header is sent)
+const ATTACHMENT_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10) || 300;
+
+// Bug SLAs - business hours are counted in the zone given by BUSINESS_HOURS_UTC_OFFSET (minutes)
+const BUSINESS_HOURS_START = process.env.BUSINESS_HOURS_START !== undefined ? parseInt(process.env.BUSINESS_HOURS_START, 10) : 9;
+const BUSINESS_HOURS_END = parseInt(process.env.BUSINESS_HOURS_END, 10) || 17;
+const BUSINESS_DAYS = (process.env.BUSINESS_DAYS || '1,2,3,4,5').split(',').map(day => parseInt(day, 10));
+const BUSINESS_HOURS_UTC_OFFSET = parseInt(process.env.BUSINESS_HOURS_UTC_OFFSET, 10) || 0;
+const SLA_AT_RISK_RATIO = parseFloat(process.env.SLA_AT_RISK_RATIO) || 0.25;
+const SLA_SWEEP_INTERVAL_MINUTES = parseInt(process.env.SLA_SWEEP_INTERVAL_MINUTES, 10) || 5;
+
+// What a failing result on a test linked to a verified/closed bug does: 'flag' marks the bug as a
+// suspected regression for triage, 'reopen' reopens it
+const REGRESSION_ACTION = process.env.REGRESSION_ACTION === 'reopen' ? 'reopen' : 'flag';
+
+// Render and Railway terminate TLS in a proxy, so req.ip must come from X-Forwarded-For there
+if (process.env.TRUST_PROXY !== undefined) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || false);
+} else if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
+if (!process.env.JWT_SECRET) {
+  console.warn('WARNING: JWT_SECRET is not set - using a random secret, sessions will not survive restarts');
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
@@ -87,8 +154,126 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(uploadsDir));
+// Uploaded files are not served statically - see /api/attachments/:attachment_id/download
+// Promise wrappers for multi-step operations (merges, bulk updates) that read better with async/await.
+// They look up db at call time because reset-database replaces the connection
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Every request shares one connection, so statements issued by other requests while a transaction is
+// open would run inside it and be committed or rolled back with it. The connection runs in serialized
+// mode, so BEGIN only starts once every statement issued before it has finished. Transactions run one at
+// a time, and statements from outside the open transaction are held back until it ends. The
+// transaction's own statements are recognised through transactionContext, which follows its async chain
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let activeTransaction = null;
+let heldStatements = [];
+
+const GUARDED_DB_METHODS = ['run', 'get', 'all', 'each', 'exec', 'close'];
+const PREPARED_STATEMENT_METHODS = ['bind', 'run', 'get', 'all', 'each', 'reset', 'finalize'];
+
+const isHeldBack = () => activeTransaction !== null && transactionContext.getStore() !== activeTransaction;
+
+// Switch a connection to serialized mode and wrap its statement methods so they wait while another
+// caller's transaction is open
+function guardConnection(connection) {
+  connection.serialize();
+
+  GUARDED_DB_METHODS.forEach(method => {
+    const original = connection[method];
+    connection[method] = function(...args) {
+      if (isHeldBack()) {
+        heldStatements.push({ connection, replay: () => original.apply(connection, args) });
+        return connection;
+      }
+      return original.apply(connection, args);
+    };
+  });
+
+  // A held-back prepare() hands out a stand-in that records the calls made on it and replays them
+  const prepare = connection.prepare;
+  connection.prepare = function(...args) {
+    if (!isHeldBack()) {
+      return prepare.apply(connection, args);
+    }
+    const calls = [];
+    const statement = {};
+    PREPARED_STATEMENT_METHODS.forEach(method => {
+      statement[method] = (...callArgs) => {
+        calls.push([method, callArgs]);
+        return statement;
+      };
+    });
+    heldStatements.push({
+      connection,
+      replay: () => {
+        const real = prepare.apply(connection, args);
+        calls.forEach(([method, callArgs]) => real[method](...callArgs));
+      }
+    });
+    return statement;
+  };
+
+  return connection;
+}
+
+function releaseHeldStatements() {
+  const held = heldStatements;
+  heldStatements = [];
+  held.forEach(({ connection, replay }) => connection.serialize(replay));
+}
+
+// Run work() inside a transaction, rolling back if it throws. Calls made from inside a running
+// transaction join it instead of waiting for it
+async function withTransaction(work) {
+  if (activeTransaction !== null && transactionContext.getStore() === activeTransaction) {
+    return work();
+  }
+
+  const previous = transactionQueue;
+  let release;
+  transactionQueue = new Promise(resolve => { release = resolve; });
+  await previous;
+
+  const transaction = {};
+  activeTransaction = transaction;
+  try {
+    return await transactionContext.run(transaction, async () => {
+      await dbRun('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await dbRun('COMMIT');
+        return result;
+      } catch (err) {
+        await dbRun('ROLLBACK').catch(rollbackErr => console.error('Error rolling back transaction:', rollbackErr));
+        throw err;
+      }
+    });
+  } finally {
+    activeTransaction = null;
+    releaseHeldStatements();
+    release();
+  }
+}
 
 // Safe JSON parsing helper with better error handling
 function safeJsonParse(str, defaultValue) {
@@ -154,14 +339,14 @@ try {
   console.log('WARNING: Database will not persist across deployments without persistent disk');
 }
 
-let db = new sqlite3.Database(dbPath, (err) => {
+let db = guardConnection(new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('Error opening database:', err);
   } else {
     console.log('Connected to SQLite database');
     initializeDatabase();
   }
-});
+}));
 
 // Initialize database tables
 function initializeDatabase() {
@@ -279,12 +464,37 @@ function initializeDatabase() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       created_by TEXT,
       last_login DATETIME,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      failed_login_attempts INTEGER DEFAULT 0,
+      lockout_count INTEGER DEFAULT 0,
+      locked_until DATETIME,
+      must_reset_password BOOLEAN DEFAULT 0,
+      totp_secret TEXT,
+      totp_enabled BOOLEAN DEFAULT 0,
+      totp_last_step INTEGER
     )
   `, (err) => {
     if (err) console.error('Error creating users table:', err);
     else {
       console.log('Users table ready');
+
+      // Columns added after the original users schema (login throttling, forced password reset, TOTP)
+      [
+        'failed_login_attempts INTEGER DEFAULT 0',
+        'lockout_count INTEGER DEFAULT 0',
+        'locked_until DATETIME',
+        'must_reset_password BOOLEAN DEFAULT 0',
+        'totp_secret TEXT',
+        'totp_enabled BOOLEAN DEFAULT 0',
+        'totp_last_step INTEGER'
+      ].forEach(column => {
+        db.run(`ALTER TABLE users ADD COLUMN ${column}`, (err) => {
+          if (err && !err.message.includes('duplicate column')) {
+            console.error('Error adding column to users:', err);
+          }
+        });
+      });
+
       db.get('SELECT COUNT(*) as count FROM users', [], (err, row) => {
         if (!err && row.count === 0) {
           const defaultUsers = [
@@ -309,7 +519,7 @@ function initializeDatabase() {
           defaultUsers.forEach(user => {
             db.run(
               `INSERT INTO users (id, email, password, name, role, status) VALUES (?, ?, ?, ?, ?, ?)`,
-              [user.id, user.email, user.password, user.name, user.role, user.status],
+              [user.id, user.email, bcrypt.hashSync(user.password, BCRYPT_ROUNDS), user.name, user.role, user.status],
               (err) => {
                 if (err) console.error('Error creating default user:', err);
               }
@@ -321,6 +531,115 @@ function initializeDatabase() {
     }
   });
 
+  // Refresh tokens issued at login - stored so they can be rotated and revoked
+  db.run(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_id TEXT UNIQUE NOT NULL,
+      user_id TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      replaced_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) console.error('Error creating refresh_tokens table:', err);
+    else {
+      console.log('Refresh tokens table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)`, (err) => {
+        if (err && !err.message.includes('already exists')) {
+          console.error('Error creating refresh_tokens user index:', err);
+        }
+      });
+    }
+  });
+
+  // Single-use password reset tokens - only the SHA-256 of the token is stored
+  db.run(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      requested_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) console.error('Error creating password_reset_tokens table:', err);
+    else {
+      console.log('Password reset tokens table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)`);
+    }
+  });
+
+  // One-time TOTP recovery codes - only the SHA-256 of each code is stored
+  db.run(`
+    CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) console.error('Error creating totp_recovery_codes table:', err);
+    else {
+      console.log('TOTP recovery codes table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id)`);
+    }
+  });
+
+  // Personal API keys for automation (CI pipelines). Only the SHA-256 of the key is stored
+  db.run(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key_id TEXT UNIQUE NOT NULL,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      scopes TEXT NOT NULL,
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      expires_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) console.error('Error creating api_keys table:', err);
+    else {
+      console.log('API keys table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`);
+    }
+  });
+
+  // Audit log of every login attempt, successful or not
+  db.run(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT,
+      user_id TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      success BOOLEAN NOT NULL DEFAULT 0,
+      failure_reason TEXT,
+      attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) console.error('Error creating login_attempts table:', err);
+    else {
+      console.log('Login attempts table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_attempted ON login_attempts(attempted_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address)`);
+    }
+  });
+
   db.run(`
     CREATE TABLE IF NOT EXISTS modules (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -648,7 +967,159 @@ function initializeDatabase() {
     )
   `, (err) => {
     if (err) console.error('Error creating bug_history table:', err);
-    else console.log('Bug history table ready');
+    else {
+      console.log('Bug history table ready');
+      // Entries moved onto another bug by a duplicate merge remember where they came from
+      db.run(`ALTER TABLE bug_history ADD COLUMN merged_from TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding merged_from to bug_history:', err);
+        }
+      });
+    }
+  });
+
+  // Bug Redirects Table - bug IDs merged into another bug keep resolving to it
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bug_redirects (
+      old_bug_id TEXT PRIMARY KEY,
+      new_bug_id TEXT NOT NULL,
+      merged_by_id TEXT,
+      merged_by_name TEXT,
+      merged_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) console.error('Error creating bug_redirects table:', err);
+    else {
+      console.log('Bug redirects table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_bug_redirects_new ON bug_redirects(new_bug_id)`);
+    }
+  });
+
+  // Bug Links Table - typed relationships between bugs. bugs.parent_bug_id and bugs.related_bugs
+  // are kept in sync with it
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bug_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_bug_id TEXT NOT NULL,
+      target_bug_id TEXT NOT NULL,
+      link_type TEXT NOT NULL CHECK(link_type IN ('parent_of', 'blocks', 'relates_to', 'duplicates')),
+      created_by_id TEXT,
+      created_by_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(source_bug_id, target_bug_id, link_type)
+    )
+  `, (err) => {
+    if (err) console.error('Error creating bug_links table:', err);
+    else {
+      console.log('Bug links table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_bug_links_source ON bug_links(source_bug_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_bug_links_target ON bug_links(target_bug_id)`);
+
+      // Links for relationships stored before this table existed (idempotent)
+      db.run(`
+        INSERT OR IGNORE INTO bug_links (source_bug_id, target_bug_id, link_type, created_by_name)
+        SELECT parent_bug_id, bug_id, 'parent_of', 'system' FROM bugs
+        WHERE parent_bug_id IS NOT NULL AND parent_bug_id != bug_id
+          AND parent_bug_id IN (SELECT bug_id FROM bugs)
+      `, (err) => {
+        if (err) console.error('Error importing parent bugs into bug_links:', err);
+      });
+      db.run(`
+        INSERT OR IGNORE INTO bug_links (source_bug_id, target_bug_id, link_type, created_by_name)
+        SELECT MIN(b.bug_id, j.value), MAX(b.bug_id, j.value), 'relates_to', 'system'
+        FROM bugs b, json_each(
+          CASE WHEN json_valid(b.related_bugs) AND json_type(b.related_bugs) = 'array' THEN b.related_bugs ELSE '[]' END
+        ) j
+        WHERE j.value != b.bug_id AND j.value IN (SELECT bug_id FROM bugs)
+          AND NOT EXISTS (
+            SELECT 1 FROM bug_links l WHERE l.link_type = 'duplicates'
+              AND ((l.source_bug_id = b.bug_id AND l.target_bug_id = j.value)
+                OR (l.source_bug_id = j.value AND l.target_bug_id = b.bug_id))
+          )
+      `, (err) => {
+        if (err) console.error('Error importing related bugs into bug_links:', err);
+      });
+    }
+  });
+
+  // Saved Bug Filters Table - personal or shared criteria for GET /api/bugs?filter=
+  db.run(`
+    CREATE TABLE IF NOT EXISTS saved_bug_filters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filter_id TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      criteria TEXT NOT NULL, -- JSON object, see BUG FILTERS
+      owner_id TEXT NOT NULL,
+      owner_name TEXT,
+      is_shared BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) console.error('Error creating saved_bug_filters table:', err);
+    else {
+      console.log('Saved bug filters table ready');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_saved_bug_filters_owner ON saved_bug_filters(owner_id)`);
+    }
+  });
+
+  // Bug Workflow Transitions Table - the allowed status moves, editable by admins
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bug_workflow_transitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      allowed_roles TEXT, -- JSON array of roles, NULL = anyone with bugs:write
+      required_fields TEXT DEFAULT '[]', -- JSON array: resolution, verifier_id, comment
+      is_active BOOLEAN DEFAULT 1,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(from_status, to_status)
+    )
+  `, (err) => {
+    if (err) console.error('Error creating bug_workflow_transitions table:', err);
+    else {
+      console.log('Bug workflow transitions table ready');
+      db.get('SELECT COUNT(*) as count FROM bug_workflow_transitions', [], (err, row) => {
+        if (!err && row.count === 0) {
+          seedBugWorkflow((err) => {
+            if (err) console.error('Error seeding bug workflow:', err);
+            else console.log('Default bug workflow created');
+          });
+        }
+      });
+    }
+  });
+
+  // SLA Policies Table - how long bugs of a priority/severity may take to reach a status
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sla_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      priority TEXT, -- NULL = any priority
+      severity TEXT, -- NULL = any severity
+      target_status TEXT NOT NULL DEFAULT 'Fixed',
+      target_hours REAL NOT NULL,
+      business_hours BOOLEAN DEFAULT 1, -- 0 = calendar hours
+      is_active BOOLEAN DEFAULT 1,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) console.error('Error creating sla_policies table:', err);
+    else {
+      console.log('SLA policies table ready');
+      db.get('SELECT COUNT(*) as count FROM sla_policies', [], (err, row) => {
+        if (!err && row.count === 0) {
+          seedSlaPolicies((err) => {
+            if (err) console.error('Error seeding SLA policies:', err);
+            else console.log('Default SLA policies created');
+          });
+        }
+      });
+    }
   });
 
   // Add is_deleted column to bugs table (for existing databases)
@@ -660,6 +1131,53 @@ function initializeDatabase() {
     }
   });
 
+  // SLA tracking columns - the matched policy, its computed deadline, and when it was met or breached
+  [
+    'sla_policy_id INTEGER',
+    'sla_due_at DATETIME',
+    'sla_met_at DATETIME',
+    'sla_breached_at DATETIME'
+  ].forEach(column => {
+    db.run(`ALTER TABLE bugs ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} to bugs:`, err);
+      }
+    });
+  });
+
+  // Effort - actual_hours is the sum of the bug's time_logs
+  ['estimated_hours REAL', 'actual_hours REAL'].forEach(column => {
+    db.run(`ALTER TABLE bugs ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} to bugs:`, err);
+      }
+    });
+  });
+
+  // Current sprint - membership history is kept in sprint_items
+  db.run(`ALTER TABLE bugs ADD COLUMN sprint_id TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding sprint_id to bugs:', err);
+    }
+  });
+
+  // Reopen tracking and regression flags raised by failing linked tests
+  [
+    'reopen_count INTEGER DEFAULT 0',
+    'last_reopened_at DATETIME',
+    'last_reopen_reason TEXT',
+    'regression_suspected BOOLEAN DEFAULT 0',
+    'regression_detected_at DATETIME',
+    'regression_session_id TEXT',
+    'regression_test_id TEXT'
+  ].forEach(column => {
+    db.run(`ALTER TABLE bugs ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} to bugs:`, err);
+      }
+    });
+  });
+
   // Create indexes for better performance - wrapped in serialize for proper sequencing
   db.serialize(() => {
     // Create bug table indexes
@@ -687,6 +1205,12 @@ function initializeDatabase() {
       }
     });
 
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bugs_sla_due ON bugs(sla_due_at)`, (err) => {
+      if (err && !err.message.includes('already exists') && !err.message.includes('no such table')) {
+        console.error('Error creating bugs SLA index:', err);
+      }
+    });
+
     // Create bug_comments index with proper error handling
     db.run(`CREATE INDEX IF NOT EXISTS idx_bug_comments_bug_id ON bug_comments(bug_id)`, (err) => {
       if (err && !err.message.includes('already exists') && !err.message.includes('no such table')) {
@@ -828,6 +1352,29 @@ function initializeDatabase() {
       else console.log('Upcoming features table ready - Feature planning initialized');
     });
 
+    // Planned dates used by the schedule (previously only added by migrate-add-date-fields.js)
+    ['start_date DATE', 'end_date DATE'].forEach(column => {
+      db.run(`ALTER TABLE upcoming_features ADD COLUMN ${column}`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error(`Error adding ${column.split(' ')[0]} to upcoming_features:`, err);
+        }
+      });
+    });
+
+    // Current sprint - membership history is kept in sprint_items
+    db.run(`ALTER TABLE upcoming_features ADD COLUMN sprint_id TEXT`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error('Error adding sprint_id to upcoming_features:', err);
+      }
+    });
+
+    // actual_hours typed in before time logging existed; kept as the base the logged hours add to
+    db.run(`ALTER TABLE upcoming_features ADD COLUMN legacy_actual_hours REAL`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error('Error adding legacy_actual_hours to upcoming_features:', err);
+      }
+    });
+
     // Feature Comments Table
     db.run(`
       CREATE TABLE IF NOT EXISTS feature_comments (
@@ -935,956 +1482,1247 @@ function initializeDatabase() {
         console.error('Error creating feature_attachments index:', err);
       }
     });
-  }); // End of serialize block for feature tables
-}
 
-// API Routes
+    // Watchers of bugs and features - created here as it references both
+    db.run(`
+      CREATE TABLE IF NOT EXISTS watchers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL CHECK(entity_type IN ('bug', 'feature')),
+        entity_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        reason TEXT NOT NULL DEFAULT 'manual',
+        is_watching BOOLEAN DEFAULT 1, -- 0 = unwatched; the row stays so auto-watch does not re-add the user
+        last_viewed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(entity_type, entity_id, user_id)
+      )
+    `, (err) => {
+      if (err) console.error('Error creating watchers table:', err);
+      else console.log('Watchers table ready');
+    });
 
-// Health check endpoint for Render
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
-    port: PORT,
-    database: fs.existsSync(dbPath) ? 'connected' : 'initializing',
-    uploads: fs.existsSync(uploadsDir) ? 'available' : 'unavailable'
-  });
-});
+    db.run(`CREATE INDEX IF NOT EXISTS idx_watchers_user ON watchers(user_id)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating watchers index:', err);
+      }
+    });
 
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    message: 'ERP Testing Portal Backend API',
-    version: '2.0.0',
-    endpoints: {
-      health: '/health',
-      api: '/api/*'
-    }
-  });
-});
+    // Threading, soft delete and edit tracking for bug and feature comments
+    ['bug_comments', 'feature_comments'].forEach(table => {
+      [
+        'parent_comment_id INTEGER',
+        'is_deleted BOOLEAN DEFAULT 0',
+        'deleted_at DATETIME',
+        'deleted_by_id TEXT',
+        'deleted_by_name TEXT',
+        'edited_at DATETIME'
+      ].forEach(column => {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`, (err) => {
+          if (err && !err.message.includes('duplicate column')) {
+            console.error(`Error adding ${column.split(' ')[0]} to ${table}:`, err);
+          }
+        });
+      });
+    });
 
-app.post('/api/sessions', (req, res) => {
-  const { tester_name, tester_email, environment, browser, version_id } = req.body;
-  const session_id = `TEST-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Previous texts of edited comments
+    db.run(`
+      CREATE TABLE IF NOT EXISTS comment_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        comment_type TEXT NOT NULL CHECK(comment_type IN ('bug', 'feature')),
+        comment_id INTEGER NOT NULL,
+        old_text TEXT NOT NULL,
+        old_is_internal BOOLEAN DEFAULT 0,
+        edited_by_id TEXT,
+        edited_by_name TEXT,
+        edited_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) console.error('Error creating comment_edits table:', err);
+      else console.log('Comment edits table ready');
+    });
 
-  db.run(
-    `INSERT INTO test_sessions (session_id, tester_name, tester_email, environment, browser, version_id)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [session_id, tester_name, tester_email, environment, browser, version_id || null],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({
-          success: true,
-          session_id,
-          message: 'Test session created successfully'
-        });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_comment_edits_comment ON comment_edits(comment_type, comment_id)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating comment_edits index:', err);
       }
-    }
-  );
-});
+    });
 
-app.get('/api/sessions', (req, res) => {
-  db.all(
-    `SELECT * FROM test_sessions ORDER BY started_at DESC`,
-    [],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(rows);
+    // In-app notifications (currently @mentions in comments)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        entity_type TEXT,
+        entity_id TEXT,
+        comment_id INTEGER,
+        message TEXT NOT NULL,
+        actor_id TEXT,
+        actor_name TEXT,
+        is_read BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) console.error('Error creating notifications table:', err);
+      else console.log('Notifications table ready');
+    });
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating notifications index:', err);
       }
-    }
-  );
-});
+    });
 
-app.get('/api/sessions/:session_id', (req, res) => {
-  const { session_id } = req.params;
+    // Acceptance criteria as records; upcoming_features.acceptance_criteria keeps their texts
+    db.run(`
+      CREATE TABLE IF NOT EXISTS acceptance_criteria (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        feature_id TEXT NOT NULL,
+        description TEXT NOT NULL,
+        position INTEGER DEFAULT 0,
+        state TEXT DEFAULT 'pending' CHECK(state IN ('pending', 'met', 'failed')),
+        state_source TEXT DEFAULT 'auto' CHECK(state_source IN ('auto', 'manual')),
+        linked_tests TEXT DEFAULT '[]',
+        last_result_id INTEGER,
+        last_session_id TEXT,
+        state_changed_at DATETIME,
+        created_by_id TEXT,
+        created_by_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (feature_id) REFERENCES upcoming_features(feature_id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('Error creating acceptance_criteria table:', err);
+      else console.log('Acceptance criteria table ready');
+    });
 
-  db.get(
-    `SELECT * FROM test_sessions WHERE session_id = ?`,
-    [session_id],
-    (err, session) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!session) {
-        res.status(404).json({ error: 'Session not found' });
-      } else {
-        db.all(
-          `SELECT * FROM test_results WHERE session_id = ? ORDER BY tested_at DESC`,
-          [session_id],
-          (err, results) => {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else {
-              db.all(
-                `SELECT * FROM test_feedback WHERE session_id = ? ORDER BY created_at DESC`,
-                [session_id],
-                (err, feedback) => {
-                  if (err) {
-                    res.status(500).json({ error: err.message });
-                  } else {
-                    res.json({
-                      session,
-                      results,
-                      feedback
-                    });
-                  }
-                }
-              );
-            }
-          }
-        );
+    db.run(`CREATE INDEX IF NOT EXISTS idx_acceptance_criteria_feature ON acceptance_criteria(feature_id)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating acceptance_criteria index:', err);
       }
-    }
-  );
-});
+    });
 
-app.post('/api/results', (req, res) => {
-  const {
-    session_id,
-    module_name,
-    test_case_id,
-    test_case_title,
-    category,
-    priority,
-    status,
-    passed,
-    notes,
-    error_message,
-    screenshots,
-    version_id
-  } = req.body;
+    // Turn the JSON string arrays of features that have no criteria records yet into records
+    db.run(`
+      INSERT INTO acceptance_criteria (feature_id, description, position, created_by_name)
+      SELECT f.feature_id, TRIM(c.value), c.key, 'System'
+      FROM upcoming_features f,
+        json_each(CASE WHEN json_valid(f.acceptance_criteria) AND json_type(f.acceptance_criteria) = 'array'
+                  THEN f.acceptance_criteria ELSE '[]' END) c
+      WHERE c.type = 'text' AND TRIM(c.value) != ''
+        AND NOT EXISTS (SELECT 1 FROM acceptance_criteria a WHERE a.feature_id = f.feature_id)
+    `, function(err) {
+      if (err) console.error('Error migrating acceptance criteria:', err);
+      else if (this.changes > 0) console.log(`Migrated ${this.changes} acceptance criteria to records`);
+    });
 
-  db.run(
-    `INSERT INTO test_results
-     (session_id, module_name, test_case_id, test_case_title, category, priority, status, passed, notes, error_message, screenshots, version_id)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [session_id, module_name, test_case_id, test_case_title, category, priority, status, passed, notes, error_message, screenshots, version_id || null],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({
-          success: true,
-          id: this.lastID,
-          message: 'Test result saved successfully'
-        });
+    // Quality gates a feature of the version must pass before it can be Completed.
+    // Versions without rows are not gated
+    db.run(`
+      CREATE TABLE IF NOT EXISTS version_quality_gates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version_id TEXT NOT NULL,
+        gate_type TEXT NOT NULL CHECK(gate_type IN ('linked_tests_passed', 'no_open_bugs', 'criteria_met')),
+        options TEXT DEFAULT '{}',
+        is_active BOOLEAN DEFAULT 1,
+        created_by_id TEXT,
+        created_by_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(version_id, gate_type),
+        FOREIGN KEY (version_id) REFERENCES versions(version_id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('Error creating version_quality_gates table:', err);
+      else console.log('Version quality gates table ready');
+    });
+
+    // Hours logged by users against bugs and features; actual_hours on both is their sum
+    db.run(`
+      CREATE TABLE IF NOT EXISTS time_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL CHECK(entity_type IN ('bug', 'feature')),
+        entity_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        user_name TEXT,
+        log_date DATE NOT NULL,
+        hours REAL NOT NULL CHECK(hours > 0 AND hours <= 24),
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) console.error('Error creating time_logs table:', err);
+      else console.log('Time logs table ready');
+    });
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_time_logs_entity ON time_logs(entity_type, entity_id)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating time_logs entity index:', err);
       }
-    }
-  );
-});
+    });
 
-app.post('/api/feedback', (req, res) => {
-  const {
-    session_id,
-    module_name,
-    feedback_type,
-    severity,
-    title,
-    description,
-    steps_to_reproduce,
-    expected_behavior,
-    actual_behavior,
-    screenshots
-  } = req.body;
+    db.run(`CREATE INDEX IF NOT EXISTS idx_time_logs_user_date ON time_logs(user_id, log_date)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating time_logs user index:', err);
+      }
+    });
 
-  db.run(
-    `INSERT INTO test_feedback
-     (session_id, module_name, feedback_type, severity, title, description, steps_to_reproduce, expected_behavior, actual_behavior, screenshots)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [session_id, module_name, feedback_type, severity, title, description, steps_to_reproduce, expected_behavior, actual_behavior, screenshots],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({
-          success: true,
-          id: this.lastID,
-          message: 'Feedback submitted successfully'
-        });
+    // Features whose actual_hours was typed in by hand keep it as legacy_actual_hours, so the first
+    // time log adds to it instead of replacing it
+    db.run(`
+      UPDATE upcoming_features SET legacy_actual_hours = actual_hours
+      WHERE legacy_actual_hours IS NULL AND actual_hours > 0
+        AND NOT EXISTS (SELECT 1 FROM time_logs WHERE entity_type = 'feature' AND entity_id = upcoming_features.feature_id)
+    `, function(err) {
+      if (err) console.error('Error preserving legacy feature actual_hours:', err);
+      else if (this.changes > 0) console.log(`Preserved hand-entered actual_hours of ${this.changes} feature(s)`);
+    });
+
+    // Two-week (or any length) iterations inside a version
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sprints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sprint_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        version_id TEXT NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        capacity_hours REAL,
+        goal TEXT,
+        status TEXT DEFAULT 'Planned' CHECK(status IN ('Planned', 'Active', 'Completed')),
+        started_at DATETIME,
+        completed_at DATETIME,
+        created_by_id TEXT,
+        created_by_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (version_id) REFERENCES versions(version_id)
+      )
+    `, (err) => {
+      if (err) console.error('Error creating sprints table:', err);
+      else console.log('Sprints table ready');
+    });
+
+    // Every stay of a bug or feature in a sprint. removed_at is NULL while it is still in the sprint
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sprint_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sprint_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL CHECK(entity_type IN ('bug', 'feature')),
+        entity_id TEXT NOT NULL,
+        committed BOOLEAN DEFAULT 0,
+        carried_from_sprint_id TEXT,
+        added_by_id TEXT,
+        added_by_name TEXT,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        removed_at DATETIME,
+        removal_reason TEXT CHECK(removal_reason IN ('removed', 'moved', 'carried_over')),
+        FOREIGN KEY (sprint_id) REFERENCES sprints(sprint_id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('Error creating sprint_items table:', err);
+      else console.log('Sprint items table ready');
+    });
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sprint_items_sprint ON sprint_items(sprint_id)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating sprint_items sprint index:', err);
       }
-    }
-  );
-});
+    });
 
-app.get('/api/results/module/:module_name', (req, res) => {
-  const { module_name } = req.params;
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sprint_items_entity ON sprint_items(entity_type, entity_id)`, (err) => {
+      if (err && !err.message.includes('already exists')) {
+        console.error('Error creating sprint_items entity index:', err);
+      }
+    });
+  }); // End of serialize block for feature tables
 
-  db.all(
-    `SELECT * FROM test_results WHERE module_name = ? ORDER BY tested_at DESC`,
-    [module_name],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(rows);
+  // Full-text search index - created last so every source table exists before its triggers
+  db.serialize(() => {
+    db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        title,
+        body,
+        entity_type UNINDEXED,
+        entity_id UNINDEXED,
+        parent_id UNINDEXED,
+        tokenize = 'porter unicode61'
+      )
+    `, (err) => {
+      if (err) console.error('Error creating search_index table:', err);
+      else console.log('Search index table ready');
+    });
+
+    SEARCH_SOURCES.forEach(source => {
+      searchTriggerStatements(source).forEach(sql => {
+        db.run(sql, (err) => {
+          if (err) console.error(`Error creating search trigger on ${source.table}:`, err);
+        });
+      });
+    });
+
+    // Backfill databases that existed before the index, or whose index was dropped
+    db.get('SELECT COUNT(*) as count FROM search_index', [], (err, row) => {
+      if (!err && row.count === 0) {
+        rebuildSearchIndex()
+          .then(counts => console.log('Search index built:', counts))
+          .catch(err => console.error('Error building search index:', err));
       }
-    }
-  );
-});
+    });
+  });
+}
 
-app.get('/api/feedback', (req, res) => {
-  const { severity, module_name, feedback_type } = req.query;
+// ============ MAIL TRANSPORT ============
 
-  let query = `SELECT * FROM test_feedback WHERE 1=1`;
-  const params = [];
+// A transport is function(message, callback) where message is { from, to, subject, text }.
+// 'smtp' delivers through SMTP_HOST. 'console' logs the mail and 'file' writes it to MAIL_OUTBOX_DIR -
+// both are meant for local use and tests, and reset links are never sent through 'console' in production
+let smtpTransporter = null;
 
-  if (severity) {
-    query += ` AND severity = ?`;
-    params.push(severity);
+const mailTransports = {
+  smtp: (message, callback) => {
+    if (!SMTP_HOST) {
+      return callback(new Error('MAIL_TRANSPORT is smtp but SMTP_HOST is not set'));
+    }
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    smtpTransporter.sendMail(
+      { from: message.from, to: message.to, subject: message.subject, text: message.text },
+      (err) => callback(err || null)
+    );
+  },
+  console: (message, callback) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    callback(null);
+  },
+  file: (message, callback) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+    fs.mkdir(outboxDir, { recursive: true }, (err) => {
+      if (err) return callback(err);
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      fs.writeFile(path.join(outboxDir, filename), JSON.stringify(message, null, 2), callback);
+    });
   }
+};
 
-  if (module_name) {
-    query += ` AND module_name = ?`;
-    params.push(module_name);
+function sendMail(message, callback = () => {}) {
+  const transport = mailTransports[MAIL_TRANSPORT];
+  if (!transport) {
+    return callback(new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`));
   }
+  transport({ from: MAIL_FROM, ...message, sent_at: new Date().toISOString() }, callback);
+}
 
-  if (feedback_type) {
-    query += ` AND feedback_type = ?`;
-    params.push(feedback_type);
+// ============ AUTHENTICATION ============
+
+// Routes under /api that can be called without an access token
+const PUBLIC_API_PATHS = [
+  '/auth/login',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/login/verify-totp'
+];
+
+// Format a Date the same way SQLite's CURRENT_TIMESTAMP does, so stored values compare correctly
+function toSqlDateTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Parse a value stored by toSqlDateTime/CURRENT_TIMESTAMP (always UTC)
+function fromSqlDateTime(value) {
+  return value ? new Date(value.replace(' ', 'T') + 'Z') : null;
+}
+
+// bcrypt hashes look like $2a$10$..., anything else is a legacy plaintext password
+function isPasswordHash(value) {
+  return typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value);
+}
+
+function hashPassword(password, callback) {
+  bcrypt.hash(password, BCRYPT_ROUNDS, callback);
+}
+
+// Compare a password against the stored value. Legacy plaintext rows are still accepted,
+// and callback's third argument tells the caller the row should be upgraded to a hash
+function verifyPassword(password, stored, callback) {
+  if (typeof password !== 'string' || !stored) {
+    return callback(null, false, false);
   }
 
-  query += ` ORDER BY created_at DESC`;
+  if (!isPasswordHash(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    const matches = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return callback(null, matches, matches);
+  }
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else {
-      res.json(rows);
-    }
+  bcrypt.compare(password, stored, (err, matches) => callback(err, matches, false));
+}
+
+// ============ ROLE-BASED ACCESS CONTROL ============
+
+// Permissions are "<resource>:<action>"; "<resource>:*" and "*" act as wildcards
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  lead: [
+    'sessions:read', 'sessions:write',
+    'results:read', 'results:write',
+    'reports:read',
+    'custom_tests:*',
+    'bugs:*',
+    'features:*',
+    'comments:internal',
+    'modules:read', 'modules:write',
+    'versions:read', 'versions:write',
+    'users:read',
+    'time_logs:manage'
+  ],
+  developer: [
+    'sessions:read',
+    'results:read',
+    'reports:read',
+    'custom_tests:read', 'custom_tests:write',
+    'bugs:read', 'bugs:write', 'bugs:comment',
+    'features:read', 'features:write', 'features:comment',
+    'comments:internal',
+    'modules:read',
+    'versions:read',
+    'users:read'
+  ],
+  tester: [
+    'sessions:read', 'sessions:write',
+    'results:read', 'results:write',
+    'reports:read',
+    'custom_tests:read', 'custom_tests:write',
+    'bugs:read', 'bugs:write', 'bugs:comment',
+    'features:read', 'features:comment',
+    'modules:read',
+    'versions:read',
+    'users:read'
+  ]
+};
+
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// True when a list of grants (role permissions or API key scopes) covers the permission
+function grantsPermission(grants, permission) {
+  const [resource] = permission.split(':');
+  return grants.some(granted =>
+    granted === '*' || granted === permission || granted === `${resource}:*`
+  );
+}
+
+// Requests authenticated with an API key are limited to the key's scopes on top of the role
+function hasPermission(user, permission) {
+  if (!user) return false;
+  if (!grantsPermission(getRolePermissions(user.role), permission)) return false;
+  return !user.api_key || grantsPermission(user.api_key.scopes, permission);
+}
+
+function sendForbidden(req, res, permission) {
+  return res.status(403).json({
+    error: `Forbidden: missing permission ${permission}`,
+    missing_permission: permission,
+    role: req.user ? req.user.role : null
   });
-});
+}
 
-app.get('/api/statistics', (req, res) => {
-  const queries = {
-    totalSessions: `SELECT COUNT(*) as count FROM test_sessions`,
-    totalTests: `SELECT COUNT(*) as count FROM test_results`,
-    totalFeedback: `SELECT COUNT(*) as count FROM test_feedback`,
-    moduleStats: `SELECT * FROM module_statistics`,
-    recentSessions: `SELECT * FROM test_sessions ORDER BY started_at DESC LIMIT 5`,
-    criticalBugs: `SELECT COUNT(*) as count FROM test_feedback WHERE severity = 'Critical'`,
-    testsByStatus: `
-      SELECT
-        CASE
-          WHEN UPPER(status) = 'PASS' THEN 'Pass'
-          WHEN UPPER(status) = 'FAIL' THEN 'Fail'
-          WHEN UPPER(status) = 'BLOCKED' THEN 'Blocked'
-          WHEN UPPER(status) = 'NOT STARTED' THEN 'Not Started'
-          ELSE status
-        END as status,
-        COUNT(*) as count
-      FROM test_results
-      GROUP BY CASE
-        WHEN UPPER(status) = 'PASS' THEN 'Pass'
-        WHEN UPPER(status) = 'FAIL' THEN 'Fail'
-        WHEN UPPER(status) = 'BLOCKED' THEN 'Blocked'
-        WHEN UPPER(status) = 'NOT STARTED' THEN 'Not Started'
-        ELSE status
-      END
-    `,
-    recentTests: `
-      SELECT
-        tr.test_case_id,
-        tr.test_case_title,
-        tr.module_name,
-        tr.status,
-        tr.tested_at,
-        ts.tester_name
-      FROM test_results tr
-      LEFT JOIN test_sessions ts ON tr.session_id = ts.session_id
-      ORDER BY tr.tested_at DESC
-      LIMIT 10
-    `
+// Route middleware - responds 403 naming the first permission the current user lacks
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.find(permission => !hasPermission(req.user, permission));
+    if (missing) {
+      return sendForbidden(req, res, missing);
+    }
+    next();
   };
+}
 
-  const stats = {};
-  let completed = 0;
-  const totalQueries = Object.keys(queries).length;
+// ============ REQUEST VALIDATION ============
 
-  Object.entries(queries).forEach(([key, query]) => {
-    db.all(query, [], (err, rows) => {
-      if (err) {
-        console.error(`Error in ${key}:`, err);
-        stats[key] = null;
-      } else {
-        stats[key] = rows.length === 1 && rows[0].count !== undefined ? rows[0].count : rows;
-      }
+const BUG_PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+const BUG_SEVERITIES = ['Critical', 'Major', 'Minor', 'Trivial'];
+const BUG_TYPES = ['Functional', 'UI', 'Performance', 'Security', 'Other'];
+const BUG_STATUSES = ['New', 'Triaged', 'Assigned', 'In Progress', 'Fixed', 'Ready for Test', 'Verified', 'Closed', 'Reopened', 'Rejected'];
+const BUG_RESOLUTIONS = ['Fixed', 'Won\'t Fix', 'Duplicate', 'Cannot Reproduce', 'By Design'];
+const USER_STATUSES = ['active', 'inactive'];
 
-      completed++;
-      if (completed === totalQueries) {
-        res.json(stats);
-      }
-    });
-  });
-});
+// Statuses in which a bug still needs work - not yet fixed, verified, closed or rejected
+const BUG_OPEN_STATUSES = ['New', 'Triaged', 'Assigned', 'In Progress', 'Reopened'];
 
-app.put('/api/sessions/:session_id', (req, res) => {
-  const { session_id } = req.params;
-  const { overall_status, overall_notes } = req.body;
+// Field rule builders for express-validator schemas. Nullable fields accept null to clear the column
+const nullable = (isNullable) => ({ optional: isNullable ? { options: { values: 'null' } } : true });
 
-  db.run(
-    `UPDATE test_sessions
-     SET overall_status = ?, overall_notes = ?, completed_at = CURRENT_TIMESTAMP
-     WHERE session_id = ?`,
-    [overall_status, overall_notes, session_id],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({
-          success: true,
-          message: 'Session updated successfully'
-        });
-      }
-    }
-  );
-});
+function stringField({ nullable: isNullable = true, required = false, max = 10000 } = {}) {
+  return {
+    ...nullable(isNullable),
+    isString: { errorMessage: 'Must be a string', bail: true },
+    trim: true,
+    ...(required && { notEmpty: { errorMessage: 'Cannot be empty' } }),
+    isLength: { options: { max }, errorMessage: `Must be at most ${max} characters` }
+  };
+}
 
-// Custom Tests API Endpoints
+function enumField(values, { nullable: isNullable = false } = {}) {
+  return {
+    ...nullable(isNullable),
+    isIn: { options: [values], errorMessage: `Must be one of: ${values.join(', ')}` }
+  };
+}
 
-app.post('/api/custom-tests', (req, res) => {
-  const {
-    title,
-    description,
-    module,
-    category,
-    priority,
-    steps,
-    expected_result,
-    prerequisites,
-    test_data,
-    created_by,
-    tags
-  } = req.body;
+function arrayField({ nullable: isNullable = true } = {}) {
+  return { ...nullable(isNullable), isArray: { errorMessage: 'Must be an array' } };
+}
 
-  const test_id = `CUSTOM-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+function booleanField() {
+  return { optional: true, isBoolean: { errorMessage: 'Must be a boolean', bail: true }, toBoolean: true };
+}
 
-  db.run(
-    `INSERT INTO custom_tests
-     (test_id, title, description, module, category, priority, steps, expected_result, prerequisites, test_data, created_by, tags)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      test_id,
-      title,
-      description,
-      module,
-      category || 'Custom',
-      priority || 'Medium',
-      JSON.stringify(steps),
-      expected_result,
-      JSON.stringify(prerequisites || []),
-      test_data,
-      created_by,
-      JSON.stringify(tags || [])
-    ],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({
-          success: true,
-          test_id,
-          id: this.lastID,
-          message: 'Custom test created successfully'
-        });
-      }
-    }
-  );
-});
+function intField({ min } = {}) {
+  return {
+    optional: true,
+    isInt: { options: { min }, errorMessage: min === undefined ? 'Must be an integer' : `Must be an integer >= ${min}` },
+    toInt: true
+  };
+}
 
-// Get all custom tests
-app.get('/api/custom-tests', (req, res) => {
-  const query = `
-    SELECT * FROM custom_tests
-    WHERE is_active = 1
-    ORDER BY created_at DESC
-  `;
+function numberField({ min } = {}) {
+  return {
+    ...nullable(true),
+    isFloat: { options: { min }, errorMessage: min === undefined ? 'Must be a number' : `Must be a number >= ${min}` },
+    toFloat: true
+  };
+}
 
-  db.all(query, [], (err, rows) => {
-    if (err) {
-      console.error('Error fetching custom tests:', err);
-      res.status(500).json({ error: 'Failed to fetch custom tests' });
-      return;
-    }
+function dateField() {
+  return { ...nullable(true), isISO8601: { errorMessage: 'Must be an ISO 8601 date' } };
+}
 
-    // Parse JSON fields with error handling and data validation
-    const tests = [];
-    rows.forEach(row => {
-      try {
-        // Validate and clean the data before parsing
-        let steps = [];
-        let prerequisites = [];
-        let test_data = {};
-        let tags = [];
+// Either a JSON-serialisable object/array or a plain string (legacy rows hold free text)
+function jsonOrStringField() {
+  return {
+    ...nullable(true),
+    custom: {
+      options: (value) => typeof value === 'string' || typeof value === 'object',
+      errorMessage: 'Must be a string, object or array'
+    }
+  };
+}
 
-        // Safely parse steps
-        if (row.steps) {
-          try {
-            const parsed = safeJsonParse(row.steps, []);
-            steps = Array.isArray(parsed) ? parsed : [];
-          } catch (e) {
-            console.error(`Invalid steps for test ${row.test_id}:`, row.steps);
-            steps = [];
-          }
-        }
+// Columns derived from other tables - writing them directly is refused with a pointer to the endpoint
+function managedField(endpoint) {
+  return {
+    optional: true,
+    custom: { options: () => false, errorMessage: `Managed through ${endpoint}` }
+  };
+}
 
-        // Safely parse prerequisites
-        if (row.prerequisites) {
-          try {
-            const parsed = safeJsonParse(row.prerequisites, []);
-            prerequisites = Array.isArray(parsed) ? parsed : [];
-          } catch (e) {
-            console.error(`Invalid prerequisites for test ${row.test_id}:`, row.prerequisites);
-            prerequisites = [];
-          }
-        }
+const CUSTOM_TEST_UPDATE_SCHEMA = {
+  title: stringField({ nullable: false, required: true, max: 500 }),
+  description: stringField(),
+  module: stringField({ nullable: false, required: true, max: 200 }),
+  category: stringField({ max: 200 }),
+  priority: stringField({ nullable: false, required: true, max: 50 }),
+  steps: arrayField({ nullable: false }),
+  expected_result: stringField({ nullable: false, required: true }),
+  prerequisites: arrayField(),
+  test_data: stringField(),
+  tags: arrayField(),
+  applicable_versions: arrayField(),
+  is_active: booleanField()
+};
 
-        // Safely parse test_data
-        if (row.test_data) {
-          try {
-            const parsed = safeJsonParse(row.test_data, {});
-            test_data = typeof parsed === 'object' && parsed !== null ? parsed : {};
-          } catch (e) {
-            console.error(`Invalid test_data for test ${row.test_id}:`, row.test_data);
-            test_data = {};
-          }
-        }
+const USER_UPDATE_SCHEMA = {
+  email: {
+    optional: true,
+    isEmail: { errorMessage: 'Must be a valid email address' },
+    customSanitizer: { options: (value) => String(value).toLowerCase() }
+  },
+  name: stringField({ nullable: false, required: true, max: 200 }),
+  role: enumField(Object.keys(ROLE_PERMISSIONS)),
+  status: enumField(USER_STATUSES),
+  password: { optional: true, isString: { errorMessage: 'Must be a string', bail: true }, notEmpty: { errorMessage: 'Cannot be empty' } }
+};
 
-        // Safely parse tags
-        if (row.tags) {
-          try {
-            const parsed = safeJsonParse(row.tags, []);
-            tags = Array.isArray(parsed) ? parsed : [];
-          } catch (e) {
-            console.error(`Invalid tags for test ${row.test_id}:`, row.tags);
-            tags = [];
-          }
-        }
+const MODULE_UPDATE_SCHEMA = {
+  name: stringField({ nullable: false, required: true, max: 200 }),
+  description: stringField(),
+  icon: stringField({ max: 100 }),
+  display_order: intField({ min: 0 }),
+  is_active: booleanField()
+};
 
-        tests.push({
-          ...row,
-          steps: steps,
-          prerequisites: prerequisites,
-          test_data: test_data,
-          tags: tags
-        });
-      } catch (error) {
-        console.error('Error processing custom test row:', row.test_id, error);
-        // Skip this row if it has critical errors
-      }
-    });
+const VERSION_UPDATE_SCHEMA = {
+  version_number: stringField({ nullable: false, required: true, max: 50 }),
+  version_name: stringField({ nullable: false, required: true, max: 200 }),
+  description: stringField(),
+  release_date: dateField(),
+  status: stringField({ nullable: false, required: true, max: 50 }),
+  is_current: booleanField(),
+  features: arrayField(),
+  bug_fixes: arrayField(),
+  known_issues: arrayField()
+};
 
-    res.json(tests);
-  });
-});
+const SPRINT_STATUSES = ['Planned', 'Active', 'Completed'];
 
-// Add endpoint to fix prerequisites stored as strings
-app.post('/api/admin/fix-prerequisites', (req, res) => {
-  console.log('Fixing prerequisites stored as plain strings...');
+function sqlDateField() {
+  return {
+    optional: true,
+    custom: { options: value => isValidSqlDate(value), errorMessage: 'Must be a date in YYYY-MM-DD format' }
+  };
+}
 
-  db.all(`SELECT test_id, prerequisites FROM custom_tests`, [], (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch tests' });
-    }
+// Also checked on POST /api/sprints, where name, version_id and the dates are required
+const SPRINT_UPDATE_SCHEMA = {
+  name: stringField({ nullable: false, required: true, max: 200 }),
+  version_id: stringField({ nullable: false, required: true, max: 100 }),
+  start_date: sqlDateField(),
+  end_date: sqlDateField(),
+  capacity_hours: numberField({ min: 0 }),
+  goal: stringField({ max: 2000 }),
+  status: enumField(SPRINT_STATUSES)
+};
 
-    let fixed = 0;
-    let errors = 0;
+const BUG_UPDATE_SCHEMA = {
+  title: stringField({ nullable: false, required: true, max: 500 }),
+  description: stringField(),
+  steps_to_reproduce: jsonOrStringField(),
+  expected_result: stringField(),
+  actual_result: stringField(),
+  priority: enumField(BUG_PRIORITIES),
+  severity: enumField(BUG_SEVERITIES),
+  category: stringField({ max: 200 }),
+  type: enumField(BUG_TYPES),
+  status: enumField(BUG_STATUSES),
+  resolution: enumField(BUG_RESOLUTIONS, { nullable: true }),
+  linked_tests: arrayField(),
+  related_bugs: managedField('/api/bugs/:bug_id/links'),
+  parent_bug_id: managedField('/api/bugs/:bug_id/links'),
+  module_id: stringField({ max: 100 }),
+  session_id: stringField({ max: 100 }),
+  assignee_id: stringField({ max: 100 }),
+  assignee_name: stringField({ max: 200 }),
+  assignee_email: stringField({ max: 200 }),
+  verifier_id: stringField({ max: 100 }),
+  verifier_name: stringField({ max: 200 }),
+  verifier_email: stringField({ max: 200 }),
+  environment: jsonOrStringField(),
+  found_in_version: stringField({ max: 100 }),
+  fixed_in_version: stringField({ max: 100 }),
+  target_release: stringField({ max: 100 }),
+  tags: arrayField(),
+  estimated_hours: numberField({ min: 0 }),
+  actual_hours: managedField('/api/bugs/:bug_id/time-logs'),
+  sprint_id: managedField('/api/sprints/:sprint_id/items'),
+  comment: stringField() // not a column - accompanies a status change that requires one
+};
 
-    rows.forEach(row => {
-      if (row.prerequisites && typeof row.prerequisites === 'string') {
-        try {
-          // Try to parse as JSON first
-          JSON.parse(row.prerequisites);
-        } catch (e) {
-          // Not valid JSON, convert to JSON array
-          const jsonPrereqs = JSON.stringify([row.prerequisites]);
+// POST /api/bugs/bulk. Bugs are picked by ID, by filter criteria or by a saved filter. Only the nested
+// change keys listed here are accepted. resolution, verifier_id and comment only go with a status change
+const BULK_BUG_LIMIT = 500;
+const BULK_CHANGE_FIELDS = ['assignee_id', 'priority', 'severity', 'status', 'target_release', 'fixed_in_version'];
 
-          db.run(
-            `UPDATE custom_tests SET prerequisites = ? WHERE test_id = ?`,
-            [jsonPrereqs, row.test_id],
-            (updateErr) => {
-              if (updateErr) {
-                console.error('Error fixing prerequisites for test:', row.test_id, updateErr);
-                errors++;
-              } else {
-                fixed++;
-              }
-            }
-          );
-        }
+const BUG_BULK_SCHEMA = {
+  bug_ids: {
+    optional: true,
+    isArray: { options: { min: 1, max: BULK_BUG_LIMIT }, errorMessage: `Must be an array of 1-${BULK_BUG_LIMIT} bug IDs` }
+  },
+  'bug_ids.*': { isString: { errorMessage: 'Must be a bug ID' } },
+  filter: {
+    optional: true,
+    custom: {
+      options: (value) => {
+        const errors = validateBugCriteria(value);
+        if (errors.length > 0) throw new Error(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+        return true;
       }
-    });
+    }
+  },
+  filter_id: stringField({ nullable: false, max: 100 }),
+  'changes.assignee_id': stringField({ max: 100 }),
+  'changes.priority': enumField(BUG_PRIORITIES),
+  'changes.severity': enumField(BUG_SEVERITIES),
+  'changes.status': enumField(BUG_STATUSES),
+  'changes.target_release': stringField({ max: 100 }),
+  'changes.fixed_in_version': stringField({ max: 100 }),
+  'changes.resolution': enumField(BUG_RESOLUTIONS, { nullable: true }),
+  'changes.verifier_id': stringField({ max: 100 }),
+  'changes.comment': stringField(),
+  dry_run: booleanField(),
+  skip_invalid: booleanField()
+};
 
-    setTimeout(() => {
-      res.json({
-        success: true,
-        message: `Fixed ${fixed} tests, ${errors} errors`
-      });
-    }, 2000);
-  });
-});
+// Columns clients commonly echo back from a GET. They are dropped silently instead of rejected
+const READ_ONLY_FIELDS = ['id', 'created_at', 'updated_at'];
 
-// Add endpoint to clean corrupted data (admin only)
-app.post('/api/admin/clean-corrupted-data', (req, res) => {
-  // This endpoint should be protected with authentication in production
+function sendValidationErrors(req, res, next) {
+  const result = validationResult(req);
+  if (result.isEmpty()) {
+    return next();
+  }
 
-  // Clean up corrupted JSON data in custom_tests table
-  db.all('SELECT * FROM custom_tests', [], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: 'Failed to fetch tests for cleaning' });
-      return;
+  const errors = [];
+  result.array().forEach(error => {
+    if (error.type === 'unknown_fields') {
+      error.fields.forEach(field => {
+        errors.push({ field: field.path, message: 'Unknown or read-only field' });
+      });
+    } else {
+      errors.push({ field: error.path, message: error.msg, value: error.value });
     }
+  });
 
-    let cleaned = 0;
-    let errors = 0;
+  res.status(400).json({ error: 'Validation failed', errors });
+}
 
-    rows.forEach(row => {
-      let needsUpdate = false;
-      let updates = {};
+// Middleware chain for PUT routes that build UPDATE statements: only fields in the schema may be
+// written, each must pass its rules, and every problem is reported in one 400 response
+function validateUpdate(schema, readOnlyFields = []) {
+  const ignored = [...READ_ONLY_FIELDS, ...readOnlyFields];
+  return [
+    (req, res, next) => {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Validation failed', errors: [{ field: null, message: 'Body must be a JSON object' }] });
+      }
+      ignored.forEach(field => delete req.body[field]);
+      next();
+    },
+    checkExact(checkSchema(schema, ['body']), { locations: ['body'] }),
+    sendValidationErrors
+  ];
+}
 
-      // Check and clean each JSON field
-      ['steps', 'prerequisites', 'test_data', 'tags'].forEach(field => {
-        if (row[field]) {
-          try {
-            JSON.parse(row[field]);
-          } catch (e) {
-            // Field has invalid JSON, replace with empty array/object
-            needsUpdate = true;
-            updates[field] = field === 'test_data' ? '{}' : '[]';
-            console.log(`Cleaning corrupted ${field} in test ${row.test_id}`);
-          }
+// Request fields that name who performed an action. They are stamped from the authenticated
+// user, so client-supplied values are dropped before any route sees the body
+const ACTOR_FIELDS = [
+  'changed_by_id', 'changed_by_name',
+  'deleted_by_id', 'deleted_by_name',
+  'uploaded_by_id', 'uploaded_by_name',
+  'author_id', 'author_name', 'author_email',
+  'creator_id', 'creator_name', 'creator_email',
+  'reporter_id', 'reporter_name', 'reporter_email',
+  'created_by'
+];
+
+function stripActorFields(req, res, next) {
+  if (req.body && typeof req.body === 'object') {
+    ACTOR_FIELDS.forEach(field => {
+      delete req.body[field];
+    });
+  }
+  next();
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+function generateAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, name: user.name, role: user.role, typ: 'access' },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Issue an access/refresh token pair and record the refresh token so it can be rotated or revoked
+function issueTokens(user, callback) {
+  const token_id = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const refresh_token = jwt.sign(
+    { sub: user.id, typ: 'refresh' },
+    JWT_SECRET,
+    { jwtid: token_id, expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+
+  db.run(
+    `INSERT INTO refresh_tokens (token_id, user_id, expires_at) VALUES (?, ?, ?)`,
+    [token_id, user.id, toSqlDateTime(expiresAt)],
+    (err) => {
+      if (err) return callback(err);
+
+      const access_token = generateAccessToken(user);
+      const decoded = jwt.decode(access_token);
+
+      callback(null, {
+        token_id,
+        tokens: {
+          access_token,
+          refresh_token,
+          token_type: 'Bearer',
+          expires_in: decoded.exp - decoded.iat
         }
       });
+    }
+  );
+}
 
-      if (needsUpdate) {
-        const updateFields = Object.keys(updates).map(f => `${f} = ?`).join(', ');
-        const updateValues = Object.values(updates);
-        updateValues.push(row.test_id);
+// Authentication middleware - every /api route except PUBLIC_API_PATHS requires a valid access token
+// or a personal API key
+function authenticateRequest(req, res, next) {
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
 
-        db.run(
-          `UPDATE custom_tests SET ${updateFields} WHERE test_id = ?`,
-          updateValues,
-          (err) => {
-            if (err) {
-              console.error('Error cleaning test:', row.test_id, err);
-              errors++;
-            } else {
-              cleaned++;
-            }
-          }
-        );
-      }
+  const token = getBearerToken(req);
+  if (!token && req.query.signature) {
+    return authenticateSignedDownload(req, res, next);
+  }
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({
+      error: err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
     });
+  }
 
-    setTimeout(() => {
-      res.json({
-        success: true,
-        message: `Cleaned ${cleaned} records, ${errors} errors`
-      });
-    }, 2000);
-  });
-});
+  if (payload.typ !== 'access') {
+    return res.status(401).json({ error: 'Invalid access token' });
+  }
 
-app.get('/api/custom-tests/:test_id', (req, res) => {
-  const { test_id } = req.params;
+  attachUser(payload.sub, null, req, res, next);
+}
 
+function authenticateApiKey(key, req, res, next) {
   db.get(
-    `SELECT * FROM custom_tests WHERE test_id = ?`,
-    [test_id],
-    (err, row) => {
+    `SELECT key_id, user_id, name, scopes, expires_at, revoked_at FROM api_keys WHERE key_hash = ?`,
+    [hashApiKey(key)],
+    (err, apiKey) => {
       if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!row) {
-        res.status(404).json({ error: 'Test not found' });
-      } else {
-        try {
-          const test = {
-            ...row,
-            steps: safeJsonParse(row.steps, []),
-            prerequisites: safeJsonParse(row.prerequisites, []),
-            test_data: safeJsonParse(row.test_data, {}),
-            tags: safeJsonParse(row.tags, [])
-          };
-          res.json(test);
-        } catch (error) {
-          console.error('Error processing custom test:', row.test_id, error);
-          res.json({
-            ...row,
-            steps: [],
-            prerequisites: [],
-            test_data: {},
-            tags: []
-          });
-        }
+        return res.status(500).json({ error: err.message });
+      }
+
+      const expiresAt = apiKey && fromSqlDateTime(apiKey.expires_at);
+      if (!apiKey || apiKey.revoked_at) {
+        return res.status(401).json({ error: 'Invalid API key' });
       }
+      if (expiresAt && expiresAt <= new Date()) {
+        return res.status(401).json({ error: 'API key expired' });
+      }
+
+      db.run(
+        `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE key_id = ?`,
+        [req.ip, apiKey.key_id]
+      );
+
+      attachUser(apiKey.user_id, {
+        key_id: apiKey.key_id,
+        name: apiKey.name,
+        scopes: JSON.parse(apiKey.scopes)
+      }, req, res, next);
     }
   );
-});
+}
 
-app.post('/api/custom-tests/sync', (req, res) => {
-  const { tests } = req.body;
+// A signed URL stands in for authentication on a single attachment download until it expires
+function authenticateSignedDownload(req, res, next) {
+  const match = req.method === 'GET' && req.path.match(/^\/attachments\/([^/]+)\/download$/);
+  if (!match) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
-  if (!Array.isArray(tests)) {
-    res.status(400).json({ error: 'Tests must be an array' });
-    return;
+  let attachmentId;
+  try {
+    attachmentId = decodeURIComponent(match[1]);
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid download signature' });
   }
 
-  let processed = 0;
-  let errors = [];
+  const expires = parseInt(req.query.expires, 10);
+  const expected = Buffer.from(signAttachmentUrl(attachmentId, expires));
+  // Compared as bytes: a multibyte signature can match the hex length in characters but not in bytes
+  const given = Buffer.from(String(req.query.signature));
+
+  if (
+    !expires ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return res.status(403).json({ error: 'Invalid download signature' });
+  }
+  if (expires * 1000 < Date.now()) {
+    return res.status(403).json({ error: 'Download link expired' });
+  }
 
-  const processTest = (index) => {
-    if (index >= tests.length) {
-      res.json({
-        success: true,
-        processed,
-        errors: errors.length > 0 ? errors : undefined
-      });
-      return;
-    }
+  req.signedAttachmentId = attachmentId;
+  next();
+}
 
-    const test = tests[index];
+function signAttachmentUrl(attachmentId, expires) {
+  return crypto.createHmac('sha256', JWT_SECRET)
+    .update(`attachment:${attachmentId}:${expires}`)
+    .digest('hex');
+}
 
-    db.get(
-      'SELECT id FROM custom_tests WHERE test_id = ?',
-      [test.test_id],
-      (err, existing) => {
-        if (err) {
-          errors.push({ test_id: test.test_id, error: err.message });
-          processTest(index + 1);
-          return;
-        }
+// Re-read the user so deactivated or deleted accounts lose access immediately
+function attachUser(userId, apiKey, req, res, next) {
+  db.get(
+    `SELECT id, email, name, role, status, must_reset_password, totp_enabled FROM users WHERE id = ?`,
+    [userId],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user || user.status !== 'active') {
+        return res.status(401).json({ error: 'User account is inactive or no longer exists' });
+      }
 
-        if (existing) {
-          const updateQuery = `
-            UPDATE custom_tests SET
-              title = ?, description = ?, module = ?, category = ?,
-              priority = ?, steps = ?, expected_result = ?,
-              prerequisites = ?, test_data = ?, tags = ?,
-              updated_at = CURRENT_TIMESTAMP
-            WHERE test_id = ?
-          `;
+      const restriction = getAccountRestriction(user);
+      if (restriction && !restriction.allowedPaths.includes(req.path)) {
+        return res.status(403).json({ error: restriction.error, code: restriction.code });
+      }
 
-          db.run(
-            updateQuery,
-            [
-              test.title,
-              test.description || '',
-              test.module,
-              test.category || 'General',
-              test.priority || 'Medium',
-              JSON.stringify(test.steps || []),
-              test.expected_result,
-              JSON.stringify(test.prerequisites || []),
-              JSON.stringify(test.test_data || {}),
-              JSON.stringify(test.tags || []),
-              test.test_id
-            ],
-            (err) => {
-              if (err) {
-                errors.push({ test_id: test.test_id, error: err.message });
-              } else {
-                processed++;
-              }
-              processTest(index + 1);
-            }
-          );
-        } else {
-          const insertQuery = `
-            INSERT INTO custom_tests (
-              test_id, title, description, module, category, priority,
-              steps, expected_result, prerequisites, test_data, created_by, tags
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `;
+      user.api_key = apiKey;
+      req.user = user;
+      next();
+    }
+  );
+}
 
-          db.run(
-            insertQuery,
-            [
-              test.test_id || `CT_${Date.now()}_${index}`,
-              test.title,
-              test.description || '',
-              test.module,
-              test.category || 'General',
-              test.priority || 'Medium',
-              JSON.stringify(test.steps || []),
-              test.expected_result,
-              JSON.stringify(test.prerequisites || []),
-              JSON.stringify(test.test_data || {}),
-              test.created_by || 'System',
-              JSON.stringify(test.tags || [])
-            ],
-            (err) => {
-              if (err) {
-                errors.push({ test_id: test.test_id, error: err.message });
-              } else {
-                processed++;
-              }
-              processTest(index + 1);
-            }
-          );
-        }
-      }
-    );
-  };
+// Accounts that have something to fix first are limited to the routes that fix it
+// (logout stays available because it is public)
+function getAccountRestriction(user) {
+  if (user.must_reset_password) {
+    return {
+      code: 'PASSWORD_RESET_REQUIRED',
+      error: 'Password change required before continuing',
+      allowedPaths: [`/users/${user.id}/password`, '/auth/verify']
+    };
+  }
+  if (isMfaRequired(user) && !user.totp_enabled) {
+    return {
+      code: 'MFA_ENROLLMENT_REQUIRED',
+      error: 'Two-factor authentication must be set up before continuing',
+      allowedPaths: ['/auth/totp', '/auth/totp/setup', '/auth/totp/enable', '/auth/verify']
+    };
+  }
+  return null;
+}
 
-  processTest(0);
-});
+// ============ TWO-FACTOR AUTHENTICATION (TOTP) ============
 
-app.put('/api/custom-tests/:test_id', (req, res) => {
-  const { test_id } = req.params;
-  const updates = req.body;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
 
-  const fields = [];
-  const values = [];
+function isMfaRequired(user) {
+  return MFA_REQUIRED_ROLES.includes(user.role);
+}
 
-  Object.keys(updates).forEach(key => {
-    if (key !== 'test_id' && key !== 'id' && key !== 'created_at') {
-      fields.push(`${key} = ?`);
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
 
-      if (['steps', 'prerequisites', 'tags'].includes(key)) {
-        values.push(JSON.stringify(updates[key]));
-      } else {
-        values.push(updates[key]);
-      }
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
     }
-  });
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
 
-  fields.push('updated_at = CURRENT_TIMESTAMP');
+// HOTP (RFC 4226) for a given counter - TOTP is HOTP with counter = current time step
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
 
-  values.push(test_id);
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
 
-  const query = `UPDATE custom_tests SET ${fields.join(', ')} WHERE test_id = ?`;
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
 
-  db.run(query, values, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else if (this.changes === 0) {
-      res.status(404).json({ error: 'Test not found' });
-    } else {
-      res.json({
-        success: true,
-        message: 'Custom test updated successfully'
-      });
+// Returns the matching time step, or null. Steps at or before lastStep are rejected so a code
+// cannot be replayed
+function verifyTotp(secret, code, lastStep) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
     }
+  }
+  return null;
+}
+
+function getTotpProvisioningUri(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
   });
-});
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
 
-app.delete('/api/custom-tests/:test_id', (req, res) => {
-  const { test_id } = req.params;
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Replace the user's recovery codes with a fresh set and hand the plaintext codes to the callback
+function generateRecoveryCodes(userId, callback) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+
+  db.serialize(() => {
+    db.run(`DELETE FROM totp_recovery_codes WHERE user_id = ?`, [userId]);
+    const stmt = db.prepare(`INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)`);
+    codes.forEach(code => stmt.run(userId, hashRecoveryCode(code)));
+    stmt.finalize((err) => callback(err, codes));
+  });
+}
+
+// Check a TOTP code, or a recovery code when one is given. Accepted codes are consumed:
+// the TOTP step is remembered and recovery codes are marked used
+function verifySecondFactor(user, { code, recovery_code }, callback) {
+  if (recovery_code) {
+    return db.run(
+      `UPDATE totp_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE id = (SELECT id FROM totp_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)`,
+      [user.id, hashRecoveryCode(recovery_code)],
+      function(err) {
+        callback(err, !err && this.changes > 0, 'recovery_code');
+      }
+    );
+  }
+
+  const step = user.totp_secret ? verifyTotp(user.totp_secret, code, user.totp_last_step) : null;
+  if (step === null) {
+    return callback(null, false, 'totp');
+  }
 
+  // Guard against two requests racing with the same code
   db.run(
-    `UPDATE custom_tests SET is_active = 0 WHERE test_id = ?`,
-    [test_id],
+    `UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+    [step, user.id, step],
     function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (this.changes === 0) {
-        res.status(404).json({ error: 'Test not found' });
-      } else {
-        res.json({
-          success: true,
-          message: 'Custom test deleted successfully'
-        });
-      }
+      callback(err, !err && this.changes > 0, 'totp');
     }
   );
-});
+}
 
-// User Management API Endpoints
+// API keys look like erp_<64 hex chars>; the first characters are kept in clear so users can tell keys apart
+const API_KEY_PREFIX = 'erp_';
 
-app.post('/api/auth/login', (req, res) => {
-  const { email, password } = req.body;
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+}
 
-  db.get(
-    `SELECT id, email, name, role, status FROM users WHERE email = ? AND password = ? AND status = 'active'`,
-    [email.toLowerCase(), password],
-    (err, user) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!user) {
-        res.status(401).json({ error: 'Invalid email or password' });
-      } else {
-        db.run(
-          `UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?`,
-          [user.id]
-        );
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
 
-        res.json({
-          success: true,
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role
-          }
-        });
-      }
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Invalidate any outstanding reset tokens, then mail a fresh one to the user
+function sendPasswordResetEmail(user, req, callback) {
+  // The console transport would print a live reset link to the production logs
+  if (process.env.NODE_ENV === 'production' && MAIL_TRANSPORT === 'console') {
+    return callback(new Error('Password reset mail needs a real MAIL_TRANSPORT in production (set SMTP_HOST)'));
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  db.run(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL`,
+    [user.id],
+    (err) => {
+      if (err) return callback(err);
+
+      db.run(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)`,
+        [user.id, hashResetToken(token), toSqlDateTime(expiresAt), req.ip],
+        (err) => {
+          if (err) return callback(err);
+
+          const link = `${PASSWORD_RESET_URL}?token=${token}`;
+          sendMail({
+            to: user.email,
+            subject: 'Reset your ERP Testing Portal password',
+            text: `Hi ${user.name},\n\n` +
+              `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+              `${link}\n\n` +
+              `If you did not ask for a password reset you can ignore this email.`
+          }, callback);
+        }
+      );
     }
   );
-});
+}
 
-// Token verification endpoint (simple implementation)
-app.post('/api/auth/verify', (req, res) => {
-  // For now, we'll just return success if the user is authenticated
-  // In a production app, you'd verify a JWT token here
+// API Routes
+
+// Health check endpoint for Render
+app.get('/health', (req, res) => {
   res.json({
-    valid: true,
-    success: true,
-    message: 'Token is valid'
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    port: PORT,
+    database: fs.existsSync(dbPath) ? 'connected' : 'initializing',
+    uploads: fs.existsSync(uploadsDir) ? 'available' : 'unavailable'
   });
 });
 
-// Also support GET for testing
-app.get('/api/auth/verify', (req, res) => {
+// Root endpoint
+app.get('/', (req, res) => {
   res.json({
-    valid: true,
-    success: true,
-    message: 'Token is valid'
+    message: 'ERP Testing Portal Backend API',
+    version: '2.0.0',
+    endpoints: {
+      health: '/health',
+      api: '/api/*'
+    }
   });
 });
 
-app.get('/api/users', (req, res) => {
-  db.all(
-    `SELECT id, email, name, role, status, created_at, created_by, last_login FROM users ORDER BY created_at DESC`,
-    [],
-    (err, users) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(users);
-      }
-    }
-  );
-});
+// Everything below /api requires authentication (see PUBLIC_API_PATHS for exceptions)
+app.use('/api', authenticateRequest);
+app.use('/api', stripActorFields);
 
-app.get('/api/users/:id', (req, res) => {
-  const { id } = req.params;
+app.post('/api/sessions', requirePermission('sessions:write'), (req, res) => {
+  // The session belongs to whoever starts it - tester_name/tester_email in the body are ignored
+  const { environment, browser, version_id } = req.body;
+  const session_id = `TEST-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-  db.get(
-    `SELECT id, email, name, role, status, created_at, created_by, last_login FROM users WHERE id = ?`,
-    [id],
-    (err, user) => {
+  db.run(
+    `INSERT INTO test_sessions (session_id, tester_name, tester_email, environment, browser, version_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [session_id, req.user.name, req.user.email, environment, browser, version_id || null],
+    function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
-      } else if (!user) {
-        res.status(404).json({ error: 'User not found' });
       } else {
-        res.json(user);
+        res.json({
+          success: true,
+          session_id,
+          message: 'Test session created successfully'
+        });
       }
     }
   );
 });
 
-app.post('/api/users', (req, res) => {
-  const { email, password, name, role, status, created_by } = req.body;
-  const id = `user-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-
-  db.get(
-    `SELECT id FROM users WHERE email = ?`,
-    [email.toLowerCase()],
-    (err, existing) => {
+app.get('/api/sessions', requirePermission('sessions:read'), (req, res) => {
+  db.all(
+    `SELECT * FROM test_sessions ORDER BY started_at DESC`,
+    [],
+    (err, rows) => {
       if (err) {
         res.status(500).json({ error: err.message });
-      } else if (existing) {
-        res.status(400).json({ error: 'Email already exists' });
       } else {
-        db.run(
-          `INSERT INTO users (id, email, password, name, role, status, created_by)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [id, email.toLowerCase(), password, name, role || 'tester', status || 'active', created_by],
-          function(err) {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else {
-              res.json({
-                success: true,
-                id,
-                message: 'User created successfully'
-              });
-            }
-          }
-        );
+        res.json(rows);
       }
     }
   );
 });
 
-app.put('/api/users/:id', (req, res) => {
-  const { id } = req.params;
-  const updates = req.body;
-
-  const fields = [];
-  const values = [];
-
-  Object.keys(updates).forEach(key => {
-    if (key !== 'id' && key !== 'created_at') {
-      if (key === 'email') {
-        fields.push(`${key} = ?`);
-        values.push(updates[key].toLowerCase());
-      } else {
-        fields.push(`${key} = ?`);
-        values.push(updates[key]);
-      }
-    }
-  });
-
-  if (fields.length === 0) {
-    res.status(400).json({ error: 'No fields to update' });
-    return;
-  }
-
-  fields.push('updated_at = CURRENT_TIMESTAMP');
-  values.push(id);
-
-  const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
-
-  db.run(query, values, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else if (this.changes === 0) {
-      res.status(404).json({ error: 'User not found' });
-    } else {
-      res.json({
-        success: true,
-        message: 'User updated successfully'
-      });
-    }
-  });
-});
-
-app.delete('/api/users/:id', (req, res) => {
-  const { id } = req.params;
+app.get('/api/sessions/:session_id', requirePermission('sessions:read'), (req, res) => {
+  const { session_id } = req.params;
 
   db.get(
-    `SELECT COUNT(*) as adminCount FROM users WHERE role = 'admin' AND id != ?`,
-    [id],
-    (err, result) => {
+    `SELECT * FROM test_sessions WHERE session_id = ?`,
+    [session_id],
+    (err, session) => {
       if (err) {
         res.status(500).json({ error: err.message });
+      } else if (!session) {
+        res.status(404).json({ error: 'Session not found' });
       } else {
-        db.get(
-          `SELECT role FROM users WHERE id = ?`,
-          [id],
-          (err, user) => {
+        db.all(
+          `SELECT * FROM test_results WHERE session_id = ? ORDER BY tested_at DESC`,
+          [session_id],
+          (err, results) => {
             if (err) {
               res.status(500).json({ error: err.message });
-            } else if (!user) {
-              res.status(404).json({ error: 'User not found' });
-            } else if (user.role === 'admin' && result.adminCount === 0) {
-              res.status(400).json({ error: 'Cannot delete the last admin user' });
             } else {
-              db.run(
-                `DELETE FROM users WHERE id = ?`,
-                [id],
-                function(err) {
+              db.all(
+                `SELECT * FROM test_feedback WHERE session_id = ? ORDER BY created_at DESC`,
+                [session_id],
+                (err, feedback) => {
                   if (err) {
                     res.status(500).json({ error: err.message });
                   } else {
                     res.json({
-                      success: true,
-                      message: 'User deleted successfully'
+                      session,
+                      results,
+                      feedback
                     });
                   }
                 }
@@ -1897,230 +2735,131 @@ app.delete('/api/users/:id', (req, res) => {
   );
 });
 
-app.put('/api/users/:id/password', (req, res) => {
-  const { id } = req.params;
-  const { oldPassword, newPassword } = req.body;
+app.post('/api/results', requirePermission('results:write'), (req, res) => {
+  const {
+    session_id,
+    module_name,
+    test_case_id,
+    test_case_title,
+    category,
+    priority,
+    status,
+    passed,
+    notes,
+    error_message,
+    screenshots,
+    version_id
+  } = req.body;
 
-  db.get(
-    `SELECT password FROM users WHERE id = ?`,
-    [id],
-    (err, user) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!user) {
-        res.status(404).json({ error: 'User not found' });
-      } else if (user.password !== oldPassword) {
-        res.status(401).json({ error: 'Current password is incorrect' });
+  db.run(
+    `INSERT INTO test_results
+     (session_id, module_name, test_case_id, test_case_title, category, priority, status, passed, notes, error_message, screenshots, version_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [session_id, module_name, test_case_id, test_case_title, category, priority, status, passed, notes, error_message, screenshots, version_id || null],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
       } else {
-        db.run(
-          `UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-          [newPassword, id],
-          function(err) {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else {
-              res.json({
-                success: true,
-                message: 'Password changed successfully'
-              });
-            }
-          }
-        );
+        const id = this.lastID;
+
+        // The result is saved either way - regression and acceptance checks must not fail the request
+        const regressionCheck = detectRegressions({ session_id, test_case_id, status })
+          .catch(regressionErr => {
+            console.error('Error checking for regressions:', regressionErr);
+            return [];
+          });
+        const criteriaCheck = regressionCheck
+          .then(() => evaluateCriteriaForTest(test_case_id))
+          .catch(criteriaErr => {
+            console.error('Error evaluating acceptance criteria:', criteriaErr);
+            return [];
+          });
+
+        Promise.all([regressionCheck, criteriaCheck]).then(([regressions, acceptanceCriteria]) => {
+          res.json({
+            success: true,
+            id,
+            regressions,
+            acceptance_criteria: acceptanceCriteria,
+            message: 'Test result saved successfully'
+          });
+        });
       }
     }
   );
 });
 
-app.get('/api/dashboard', (req, res) => {
-  const dashboard = {};
+app.post('/api/feedback', requirePermission('results:write'), (req, res) => {
+  const {
+    session_id,
+    module_name,
+    feedback_type,
+    severity,
+    title,
+    description,
+    steps_to_reproduce,
+    expected_behavior,
+    actual_behavior,
+    screenshots
+  } = req.body;
 
-  db.all(
-    `SELECT
-      tr.*,
-      ts.tester_name
-     FROM test_results tr
-     JOIN test_sessions ts ON tr.session_id = ts.session_id
-     ORDER BY tr.tested_at DESC
-     LIMIT 10`,
-    [],
-    (err, recentTests) => {
+  db.run(
+    `INSERT INTO test_feedback
+     (session_id, module_name, feedback_type, severity, title, description, steps_to_reproduce, expected_behavior, actual_behavior, screenshots)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [session_id, module_name, feedback_type, severity, title, description, steps_to_reproduce, expected_behavior, actual_behavior, screenshots],
+    function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        dashboard.recentTests = recentTests;
-
-        db.all(
-          `SELECT
-            tf.*,
-            ts.tester_name
-           FROM test_feedback tf
-           JOIN test_sessions ts ON tf.session_id = ts.session_id
-           ORDER BY tf.created_at DESC
-           LIMIT 10`,
-          [],
-          (err, recentFeedback) => {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else {
-              dashboard.recentFeedback = recentFeedback;
-
-              db.all(
-                `SELECT
-                  module_name,
-                  COUNT(DISTINCT test_case_id) as tests_run,
-                  SUM(CASE WHEN UPPER(status) = 'PASS' THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as pass_rate
-                 FROM test_results
-                 GROUP BY module_name`,
-                [],
-                (err, moduleCoverage) => {
-                  if (err) {
-                    res.status(500).json({ error: err.message });
-                  } else {
-                    dashboard.moduleCoverage = moduleCoverage;
-                    res.json(dashboard);
-                  }
-                }
-              );
-            }
-          }
-        );
+        res.json({
+          success: true,
+          id: this.lastID,
+          message: 'Feedback submitted successfully'
+        });
       }
     }
   );
 });
 
-// =====================================================
-// Admin Database Management
-// =====================================================
-
-app.post('/api/admin/reset-database', (req, res) => {
-  // This endpoint should be protected in production
-  // For now, it's open for testing purposes
-
-  console.log('Database reset requested');
-
-  // Close current database connection
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err);
-      return res.status(500).json({ error: 'Failed to close database' });
-    }
-
-    // Delete the database file
-    try {
-      if (fs.existsSync(dbPath)) {
-        fs.unlinkSync(dbPath);
-        console.log('Database file deleted');
-      }
-    } catch (error) {
-      console.error('Error deleting database:', error);
-    }
+app.get('/api/results/module/:module_name', requirePermission('results:read'), (req, res) => {
+  const { module_name } = req.params;
 
-    // Recreate database
-    db = new sqlite3.Database(dbPath, (err) => {
+  db.all(
+    `SELECT * FROM test_results WHERE module_name = ? ORDER BY tested_at DESC`,
+    [module_name],
+    (err, rows) => {
       if (err) {
-        console.error('Error recreating database:', err);
-        return res.status(500).json({ error: 'Failed to recreate database' });
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json(rows);
       }
-
-      console.log('Database recreated');
-      initializeDatabase();
-
-      res.json({
-        success: true,
-        message: 'Database has been reset successfully'
-      });
-    });
-  });
+    }
+  );
 });
 
-// Admin endpoint to reset only testing data (preserves users and modules)
-app.post('/api/admin/reset-testing-data', (req, res) => {
-  console.log('Testing data reset requested (preserving users and modules)');
-
-  // Start a transaction to ensure consistency
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION', (err) => {
-      if (err) {
-        console.error('Error starting transaction:', err);
-        return res.status(500).json({ error: 'Failed to start transaction' });
-      }
-
-      // Clear only testing-related tables
-      const clearQueries = [
-        'DELETE FROM test_sessions',
-        'DELETE FROM test_results',
-        'DELETE FROM test_feedback',
-        'DELETE FROM custom_tests'
-      ];
-
-      let completed = 0;
-      let hasError = false;
-
-      clearQueries.forEach((query) => {
-        db.run(query, (err) => {
-          if (err) {
-            console.error(`Error executing: ${query}`, err);
-            hasError = true;
-          }
-
-          completed++;
-
-          if (completed === clearQueries.length) {
-            if (hasError) {
-              db.run('ROLLBACK', () => {
-                res.status(500).json({
-                  error: 'Failed to clear testing data',
-                  message: 'Some tables could not be cleared'
-                });
-              });
-            } else {
-              db.run('COMMIT', (err) => {
-                if (err) {
-                  console.error('Error committing transaction:', err);
-                  res.status(500).json({ error: 'Failed to commit changes' });
-                } else {
-                  console.log('Testing data cleared successfully, users and modules preserved');
-                  res.json({
-                    success: true,
-                    message: 'Testing data has been cleared. Users and modules preserved.',
-                    clearedTables: [
-                      'test_sessions',
-                      'test_results',
-                      'test_feedback',
-                      'custom_tests'
-                    ],
-                    preservedTables: [
-                      'users',
-                      'modules'
-                    ]
-                  });
-                }
-              });
-            }
-          }
-        });
-      });
-    });
-  });
-});
+app.get('/api/feedback', requirePermission('results:read'), (req, res) => {
+  const { severity, module_name, feedback_type } = req.query;
 
-// =====================================================
-// Module Management API Endpoints
-// =====================================================
+  let query = `SELECT * FROM test_feedback WHERE 1=1`;
+  const params = [];
 
-app.get('/api/modules', (req, res) => {
-  const { is_active } = req.query;
+  if (severity) {
+    query += ` AND severity = ?`;
+    params.push(severity);
+  }
 
-  let query = `SELECT * FROM modules WHERE 1=1`;
-  const params = [];
+  if (module_name) {
+    query += ` AND module_name = ?`;
+    params.push(module_name);
+  }
 
-  if (is_active !== undefined) {
-    query += ` AND is_active = ?`;
-    params.push(is_active === 'true' ? 1 : 0);
+  if (feedback_type) {
+    query += ` AND feedback_type = ?`;
+    params.push(feedback_type);
   }
 
-  query += ` ORDER BY display_order ASC, created_at ASC`;
+  query += ` ORDER BY created_at DESC`;
 
   db.all(query, params, (err, rows) => {
     if (err) {
@@ -2131,481 +2870,2454 @@ app.get('/api/modules', (req, res) => {
   });
 });
 
-app.get('/api/modules/:module_id', (req, res) => {
-  const { module_id } = req.params;
+app.get('/api/statistics', requirePermission('reports:read'), (req, res) => {
+  const queries = {
+    totalSessions: `SELECT COUNT(*) as count FROM test_sessions`,
+    totalTests: `SELECT COUNT(*) as count FROM test_results`,
+    totalFeedback: `SELECT COUNT(*) as count FROM test_feedback`,
+    moduleStats: `SELECT * FROM module_statistics`,
+    recentSessions: `SELECT * FROM test_sessions ORDER BY started_at DESC LIMIT 5`,
+    criticalBugs: `SELECT COUNT(*) as count FROM test_feedback WHERE severity = 'Critical'`,
+    testsByStatus: `
+      SELECT
+        CASE
+          WHEN UPPER(status) = 'PASS' THEN 'Pass'
+          WHEN UPPER(status) = 'FAIL' THEN 'Fail'
+          WHEN UPPER(status) = 'BLOCKED' THEN 'Blocked'
+          WHEN UPPER(status) = 'NOT STARTED' THEN 'Not Started'
+          ELSE status
+        END as status,
+        COUNT(*) as count
+      FROM test_results
+      GROUP BY CASE
+        WHEN UPPER(status) = 'PASS' THEN 'Pass'
+        WHEN UPPER(status) = 'FAIL' THEN 'Fail'
+        WHEN UPPER(status) = 'BLOCKED' THEN 'Blocked'
+        WHEN UPPER(status) = 'NOT STARTED' THEN 'Not Started'
+        ELSE status
+      END
+    `,
+    recentTests: `
+      SELECT
+        tr.test_case_id,
+        tr.test_case_title,
+        tr.module_name,
+        tr.status,
+        tr.tested_at,
+        ts.tester_name
+      FROM test_results tr
+      LEFT JOIN test_sessions ts ON tr.session_id = ts.session_id
+      ORDER BY tr.tested_at DESC
+      LIMIT 10
+    `
+  };
 
-  db.get(
-    `SELECT * FROM modules WHERE module_id = ?`,
-    [module_id],
-    (err, module) => {
+  const stats = {};
+  let completed = 0;
+  const totalQueries = Object.keys(queries).length;
+
+  Object.entries(queries).forEach(([key, query]) => {
+    db.all(query, [], (err, rows) => {
       if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!module) {
-        res.status(404).json({ error: 'Module not found' });
+        console.error(`Error in ${key}:`, err);
+        stats[key] = null;
       } else {
-        res.json(module);
+        stats[key] = rows.length === 1 && rows[0].count !== undefined ? rows[0].count : rows;
       }
-    }
-  );
+
+      completed++;
+      if (completed === totalQueries) {
+        res.json(stats);
+      }
+    });
+  });
 });
 
-app.post('/api/modules', (req, res) => {
-  const { name, description, icon, display_order, created_by } = req.body;
-  const module_id = `MOD_${Date.now()}_${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+app.put('/api/sessions/:session_id', requirePermission('sessions:write'), (req, res) => {
+  const { session_id } = req.params;
+  const { overall_status, overall_notes } = req.body;
 
   db.run(
-    `INSERT INTO modules (module_id, name, description, icon, display_order, created_by)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [module_id, name, description || '', icon || 'Folder', display_order || 999, created_by],
+    `UPDATE test_sessions
+     SET overall_status = ?, overall_notes = ?, completed_at = CURRENT_TIMESTAMP
+     WHERE session_id = ?`,
+    [overall_status, overall_notes, session_id],
     function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
         res.json({
           success: true,
-          module_id,
-          id: this.lastID,
-          message: 'Module created successfully'
+          message: 'Session updated successfully'
         });
       }
     }
   );
 });
 
-app.put('/api/modules/:module_id', (req, res) => {
-  const { module_id } = req.params;
-  const updates = req.body;
-
-  const fields = [];
-  const values = [];
-
-  Object.keys(updates).forEach(key => {
-    if (key !== 'module_id' && key !== 'id' && key !== 'created_at') {
-      fields.push(`${key} = ?`);
-      values.push(updates[key]);
-    }
-  });
-
-  if (fields.length === 0) {
-    res.status(400).json({ error: 'No fields to update' });
-    return;
-  }
-
-  fields.push('updated_at = CURRENT_TIMESTAMP');
-  values.push(module_id);
-
-  const query = `UPDATE modules SET ${fields.join(', ')} WHERE module_id = ?`;
+// Custom Tests API Endpoints
 
-  db.run(query, values, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else if (this.changes === 0) {
-      res.status(404).json({ error: 'Module not found' });
-    } else {
-      res.json({
-        success: true,
-        message: 'Module updated successfully'
-      });
-    }
-  });
-});
+app.post('/api/custom-tests', requirePermission('custom_tests:write'), (req, res) => {
+  const {
+    title,
+    description,
+    module,
+    category,
+    priority,
+    steps,
+    expected_result,
+    prerequisites,
+    test_data,
+    tags
+  } = req.body;
 
-app.delete('/api/modules/:module_id', (req, res) => {
-  const { module_id } = req.params;
+  const test_id = `CUSTOM-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
 
-  db.get(
-    `SELECT COUNT(*) as count FROM custom_tests WHERE module = (SELECT name FROM modules WHERE module_id = ?)`,
-    [module_id],
-    (err, result) => {
+  db.run(
+    `INSERT INTO custom_tests
+     (test_id, title, description, module, category, priority, steps, expected_result, prerequisites, test_data, created_by, tags)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      test_id,
+      title,
+      description,
+      module,
+      category || 'Custom',
+      priority || 'Medium',
+      JSON.stringify(steps),
+      expected_result,
+      JSON.stringify(prerequisites || []),
+      test_data,
+      req.user.name,
+      JSON.stringify(tags || [])
+    ],
+    function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
-      } else if (result.count > 0) {
-        res.status(400).json({ error: 'Cannot delete module with associated tests' });
       } else {
-        db.run(
-          `UPDATE modules SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE module_id = ?`,
-          [module_id],
-          function(err) {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else if (this.changes === 0) {
-              res.status(404).json({ error: 'Module not found' });
-            } else {
-              res.json({
-                success: true,
-                message: 'Module deleted successfully'
-              });
-            }
-          }
-        );
+        res.json({
+          success: true,
+          test_id,
+          id: this.lastID,
+          message: 'Custom test created successfully'
+        });
       }
     }
   );
 });
 
-app.put('/api/modules/reorder', (req, res) => {
-  const { modules } = req.body;
-
-  if (!Array.isArray(modules)) {
-    res.status(400).json({ error: 'Modules must be an array' });
-    return;
-  }
+// Get all custom tests
+app.get('/api/custom-tests', requirePermission('custom_tests:read'), (req, res) => {
+  const query = `
+    SELECT * FROM custom_tests
+    WHERE is_active = 1
+    ORDER BY created_at DESC
+  `;
 
-  let completed = 0;
-  let errors = [];
+  db.all(query, [], (err, rows) => {
+    if (err) {
+      console.error('Error fetching custom tests:', err);
+      res.status(500).json({ error: 'Failed to fetch custom tests' });
+      return;
+    }
 
-  modules.forEach(({ module_id, display_order }) => {
-    db.run(
-      `UPDATE modules SET display_order = ?, updated_at = CURRENT_TIMESTAMP WHERE module_id = ?`,
-      [display_order, module_id],
-      (err) => {
-        if (err) errors.push(err.message);
-        completed++;
+    // Parse JSON fields with error handling and data validation
+    const tests = [];
+    rows.forEach(row => {
+      try {
+        // Validate and clean the data before parsing
+        let steps = [];
+        let prerequisites = [];
+        let test_data = {};
+        let tags = [];
 
-        if (completed === modules.length) {
-          if (errors.length > 0) {
-            res.status(500).json({ error: 'Some modules failed to update', errors });
-          } else {
-            res.json({ success: true, message: 'Modules reordered successfully' });
+        // Safely parse steps
+        if (row.steps) {
+          try {
+            const parsed = safeJsonParse(row.steps, []);
+            steps = Array.isArray(parsed) ? parsed : [];
+          } catch (e) {
+            console.error(`Invalid steps for test ${row.test_id}:`, row.steps);
+            steps = [];
           }
         }
-      }
-    );
-  });
-});
 
-// =====================================================
-// Version Management API Endpoints
-// =====================================================
+        // Safely parse prerequisites
+        if (row.prerequisites) {
+          try {
+            const parsed = safeJsonParse(row.prerequisites, []);
+            prerequisites = Array.isArray(parsed) ? parsed : [];
+          } catch (e) {
+            console.error(`Invalid prerequisites for test ${row.test_id}:`, row.prerequisites);
+            prerequisites = [];
+          }
+        }
 
-app.get('/api/versions', (req, res) => {
-  const { status, is_current } = req.query;
+        // Safely parse test_data
+        if (row.test_data) {
+          try {
+            const parsed = safeJsonParse(row.test_data, {});
+            test_data = typeof parsed === 'object' && parsed !== null ? parsed : {};
+          } catch (e) {
+            console.error(`Invalid test_data for test ${row.test_id}:`, row.test_data);
+            test_data = {};
+          }
+        }
 
-  let query = `SELECT * FROM versions WHERE 1=1`;
-  const params = [];
+        // Safely parse tags
+        if (row.tags) {
+          try {
+            const parsed = safeJsonParse(row.tags, []);
+            tags = Array.isArray(parsed) ? parsed : [];
+          } catch (e) {
+            console.error(`Invalid tags for test ${row.test_id}:`, row.tags);
+            tags = [];
+          }
+        }
 
-  if (status) {
-    query += ` AND status = ?`;
-    params.push(status);
-  }
+        tests.push({
+          ...row,
+          steps: steps,
+          prerequisites: prerequisites,
+          test_data: test_data,
+          tags: tags
+        });
+      } catch (error) {
+        console.error('Error processing custom test row:', row.test_id, error);
+        // Skip this row if it has critical errors
+      }
+    });
 
-  if (is_current !== undefined) {
-    query += ` AND is_current = ?`;
-    params.push(is_current === 'true' ? 1 : 0);
-  }
+    res.json(tests);
+  });
+});
 
-  query += ` ORDER BY release_date DESC, version_number DESC`;
+// Add endpoint to fix prerequisites stored as strings
+app.post('/api/admin/fix-prerequisites', requirePermission('admin:manage'), (req, res) => {
+  console.log('Fixing prerequisites stored as plain strings...');
 
-  db.all(query, params, (err, rows) => {
+  db.all(`SELECT test_id, prerequisites FROM custom_tests`, [], (err, rows) => {
     if (err) {
-      res.status(500).json({ error: err.message });
-    } else {
-      // Parse JSON fields
-      const versions = rows.map(row => ({
-        ...row,
-        features: safeJsonParse(row.features, []),
-        bug_fixes: safeJsonParse(row.bug_fixes, []),
-        known_issues: safeJsonParse(row.known_issues, [])
-      }));
-      res.json(versions);
+      return res.status(500).json({ error: 'Failed to fetch tests' });
     }
-  });
-});
 
-app.get('/api/versions/current', (req, res) => {
-  db.get(
-    `SELECT * FROM versions WHERE is_current = 1 LIMIT 1`,
-    [],
-    (err, row) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!row) {
-        res.status(404).json({ error: 'No current version found' });
-      } else {
-        const version = {
-          ...row,
-          features: safeJsonParse(row.features, []),
-          bug_fixes: safeJsonParse(row.bug_fixes, []),
-          known_issues: safeJsonParse(row.known_issues, [])
-        };
-        res.json(version);
-      }
-    }
-  );
-});
+    let fixed = 0;
+    let errors = 0;
 
-app.get('/api/versions/:version_id', (req, res) => {
-  const { version_id } = req.params;
+    rows.forEach(row => {
+      if (row.prerequisites && typeof row.prerequisites === 'string') {
+        try {
+          // Try to parse as JSON first
+          JSON.parse(row.prerequisites);
+        } catch (e) {
+          // Not valid JSON, convert to JSON array
+          const jsonPrereqs = JSON.stringify([row.prerequisites]);
 
-  db.get(
-    `SELECT * FROM versions WHERE version_id = ?`,
-    [version_id],
-    (err, row) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!row) {
-        res.status(404).json({ error: 'Version not found' });
-      } else {
-        const version = {
-          ...row,
-          features: safeJsonParse(row.features, []),
-          bug_fixes: safeJsonParse(row.bug_fixes, []),
-          known_issues: safeJsonParse(row.known_issues, [])
-        };
-        res.json(version);
+          db.run(
+            `UPDATE custom_tests SET prerequisites = ? WHERE test_id = ?`,
+            [jsonPrereqs, row.test_id],
+            (updateErr) => {
+              if (updateErr) {
+                console.error('Error fixing prerequisites for test:', row.test_id, updateErr);
+                errors++;
+              } else {
+                fixed++;
+              }
+            }
+          );
+        }
       }
-    }
-  );
-});
+    });
 
-app.post('/api/versions', (req, res) => {
-  const {
-    version_number,
-    version_name,
-    description,
-    release_date,
-    status,
-    is_current,
-    features,
-    bug_fixes,
-    known_issues,
-    created_by
-  } = req.body;
+    setTimeout(() => {
+      res.json({
+        success: true,
+        message: `Fixed ${fixed} tests, ${errors} errors`
+      });
+    }, 2000);
+  });
+});
 
-  const version_id = `VER_${version_number.replace(/\./g, '_')}`;
+// Add endpoint to clean corrupted data (admin only)
+app.post('/api/admin/clean-corrupted-data', requirePermission('admin:manage'), (req, res) => {
+  // This endpoint should be protected with authentication in production
 
-  // If setting as current, unset all other versions first
-  const handleCurrentVersion = (callback) => {
-    if (is_current) {
-      db.run(
-        `UPDATE versions SET is_current = 0, updated_at = CURRENT_TIMESTAMP`,
-        [],
-        (err) => {
-          if (err) {
-            res.status(500).json({ error: err.message });
-          } else {
-            callback();
-          }
-        }
-      );
-    } else {
-      callback();
+  // Clean up corrupted JSON data in custom_tests table
+  db.all('SELECT * FROM custom_tests', [], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: 'Failed to fetch tests for cleaning' });
+      return;
     }
-  };
-
-  handleCurrentVersion(() => {
-    db.run(
-      `INSERT INTO versions (version_id, version_number, version_name, description, release_date, status, is_current, features, bug_fixes, known_issues, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        version_id,
-        version_number,
-        version_name,
-        description || '',
-        release_date || new Date().toISOString().split('T')[0],
-        status || 'active',
-        is_current ? 1 : 0,
-        JSON.stringify(features || []),
-        JSON.stringify(bug_fixes || []),
-        JSON.stringify(known_issues || []),
-        created_by
-      ],
-      function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-        } else {
-          res.json({
-            success: true,
-            version_id,
-            id: this.lastID,
-            message: 'Version created successfully'
-          });
-        }
-      }
-    );
-  });
-});
 
-app.put('/api/versions/:version_id', (req, res) => {
-  const { version_id } = req.params;
-  const updates = req.body;
+    let cleaned = 0;
+    let errors = 0;
 
-  const fields = [];
-  const values = [];
+    rows.forEach(row => {
+      let needsUpdate = false;
+      let updates = {};
 
-  // Handle is_current flag
-  const handleCurrentVersion = (callback) => {
-    if (updates.is_current) {
-      db.run(
-        `UPDATE versions SET is_current = 0, updated_at = CURRENT_TIMESTAMP WHERE version_id != ?`,
-        [version_id],
-        (err) => {
-          if (err) {
-            res.status(500).json({ error: err.message });
-          } else {
-            callback();
+      // Check and clean each JSON field
+      ['steps', 'prerequisites', 'test_data', 'tags'].forEach(field => {
+        if (row[field]) {
+          try {
+            JSON.parse(row[field]);
+          } catch (e) {
+            // Field has invalid JSON, replace with empty array/object
+            needsUpdate = true;
+            updates[field] = field === 'test_data' ? '{}' : '[]';
+            console.log(`Cleaning corrupted ${field} in test ${row.test_id}`);
           }
         }
-      );
-    } else {
-      callback();
-    }
-  };
+      });
 
-  handleCurrentVersion(() => {
-    Object.keys(updates).forEach(key => {
-      if (key !== 'version_id' && key !== 'id' && key !== 'created_at') {
-        fields.push(`${key} = ?`);
+      if (needsUpdate) {
+        const updateFields = Object.keys(updates).map(f => `${f} = ?`).join(', ');
+        const updateValues = Object.values(updates);
+        updateValues.push(row.test_id);
 
-        if (['features', 'bug_fixes', 'known_issues'].includes(key)) {
-          values.push(JSON.stringify(updates[key]));
-        } else {
-          values.push(updates[key]);
-        }
+        db.run(
+          `UPDATE custom_tests SET ${updateFields} WHERE test_id = ?`,
+          updateValues,
+          (err) => {
+            if (err) {
+              console.error('Error cleaning test:', row.test_id, err);
+              errors++;
+            } else {
+              cleaned++;
+            }
+          }
+        );
       }
     });
 
-    if (fields.length === 0) {
-      res.status(400).json({ error: 'No fields to update' });
-      return;
-    }
-
-    fields.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(version_id);
+    setTimeout(() => {
+      res.json({
+        success: true,
+        message: `Cleaned ${cleaned} records, ${errors} errors`
+      });
+    }, 2000);
+  });
+});
 
-    const query = `UPDATE versions SET ${fields.join(', ')} WHERE version_id = ?`;
+app.get('/api/custom-tests/:test_id', requirePermission('custom_tests:read'), (req, res) => {
+  const { test_id } = req.params;
 
-    db.run(query, values, function(err) {
+  db.get(
+    `SELECT * FROM custom_tests WHERE test_id = ?`,
+    [test_id],
+    (err, row) => {
       if (err) {
         res.status(500).json({ error: err.message });
-      } else if (this.changes === 0) {
-        res.status(404).json({ error: 'Version not found' });
+      } else if (!row) {
+        res.status(404).json({ error: 'Test not found' });
       } else {
-        res.json({
-          success: true,
-          message: 'Version updated successfully'
-        });
+        try {
+          const test = {
+            ...row,
+            steps: safeJsonParse(row.steps, []),
+            prerequisites: safeJsonParse(row.prerequisites, []),
+            test_data: safeJsonParse(row.test_data, {}),
+            tags: safeJsonParse(row.tags, [])
+          };
+          res.json(test);
+        } catch (error) {
+          console.error('Error processing custom test:', row.test_id, error);
+          res.json({
+            ...row,
+            steps: [],
+            prerequisites: [],
+            test_data: {},
+            tags: []
+          });
+        }
       }
-    });
-  });
+    }
+  );
 });
 
-app.delete('/api/versions/:version_id', (req, res) => {
-  const { version_id } = req.params;
+app.post('/api/custom-tests/sync', requirePermission('custom_tests:write'), (req, res) => {
+  const { tests } = req.body;
 
-  // Check if version is current
-  db.get(
-    `SELECT is_current FROM versions WHERE version_id = ?`,
-    [version_id],
-    (err, version) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!version) {
-        res.status(404).json({ error: 'Version not found' });
-      } else if (version.is_current) {
-        res.status(400).json({ error: 'Cannot delete current version' });
-      } else {
-        // Check if version has associated test sessions
-        db.get(
-          `SELECT COUNT(*) as count FROM test_sessions WHERE version_id = ?`,
-          [version_id],
-          (err, result) => {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else if (result.count > 0) {
-              // Soft delete - just change status
-              db.run(
-                `UPDATE versions SET status = 'archived', updated_at = CURRENT_TIMESTAMP WHERE version_id = ?`,
-                [version_id],
-                function(err) {
-                  if (err) {
-                    res.status(500).json({ error: err.message });
-                  } else {
-                    res.json({
-                      success: true,
-                      message: 'Version archived successfully'
-                    });
-                  }
-                }
-              );
-            } else {
-              // Hard delete if no associated data
-              db.run(
-                `DELETE FROM versions WHERE version_id = ?`,
-                [version_id],
-                function(err) {
-                  if (err) {
-                    res.status(500).json({ error: err.message });
-                  } else {
-                    res.json({
-                      success: true,
-                      message: 'Version deleted successfully'
-                    });
-                  }
-                }
-              );
+  if (!Array.isArray(tests)) {
+    res.status(400).json({ error: 'Tests must be an array' });
+    return;
+  }
+
+  let processed = 0;
+  let errors = [];
+
+  const processTest = (index) => {
+    if (index >= tests.length) {
+      res.json({
+        success: true,
+        processed,
+        errors: errors.length > 0 ? errors : undefined
+      });
+      return;
+    }
+
+    const test = tests[index];
+
+    db.get(
+      'SELECT id FROM custom_tests WHERE test_id = ?',
+      [test.test_id],
+      (err, existing) => {
+        if (err) {
+          errors.push({ test_id: test.test_id, error: err.message });
+          processTest(index + 1);
+          return;
+        }
+
+        if (existing) {
+          const updateQuery = `
+            UPDATE custom_tests SET
+              title = ?, description = ?, module = ?, category = ?,
+              priority = ?, steps = ?, expected_result = ?,
+              prerequisites = ?, test_data = ?, tags = ?,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE test_id = ?
+          `;
+
+          db.run(
+            updateQuery,
+            [
+              test.title,
+              test.description || '',
+              test.module,
+              test.category || 'General',
+              test.priority || 'Medium',
+              JSON.stringify(test.steps || []),
+              test.expected_result,
+              JSON.stringify(test.prerequisites || []),
+              JSON.stringify(test.test_data || {}),
+              JSON.stringify(test.tags || []),
+              test.test_id
+            ],
+            (err) => {
+              if (err) {
+                errors.push({ test_id: test.test_id, error: err.message });
+              } else {
+                processed++;
+              }
+              processTest(index + 1);
             }
-          }
-        );
+          );
+        } else {
+          const insertQuery = `
+            INSERT INTO custom_tests (
+              test_id, title, description, module, category, priority,
+              steps, expected_result, prerequisites, test_data, created_by, tags
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `;
+
+          db.run(
+            insertQuery,
+            [
+              test.test_id || `CT_${Date.now()}_${index}`,
+              test.title,
+              test.description || '',
+              test.module,
+              test.category || 'General',
+              test.priority || 'Medium',
+              JSON.stringify(test.steps || []),
+              test.expected_result,
+              JSON.stringify(test.prerequisites || []),
+              JSON.stringify(test.test_data || {}),
+              req.user.name,
+              JSON.stringify(test.tags || [])
+            ],
+            (err) => {
+              if (err) {
+                errors.push({ test_id: test.test_id, error: err.message });
+              } else {
+                processed++;
+              }
+              processTest(index + 1);
+            }
+          );
+        }
+      }
+    );
+  };
+
+  processTest(0);
+});
+
+app.put('/api/custom-tests/:test_id', requirePermission('custom_tests:write'), validateUpdate(CUSTOM_TEST_UPDATE_SCHEMA, ['test_id']), (req, res) => {
+  const { test_id } = req.params;
+  const updates = req.body;
+
+  const fields = [];
+  const values = [];
+
+  Object.keys(updates).forEach(key => {
+    if (updates[key] !== undefined) {
+      fields.push(`${key} = ?`);
+
+      if (['steps', 'prerequisites', 'tags', 'applicable_versions'].includes(key)) {
+        values.push(JSON.stringify(updates[key]));
+      } else {
+        values.push(updates[key]);
       }
     }
-  );
+  });
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+
+  values.push(test_id);
+
+  const query = `UPDATE custom_tests SET ${fields.join(', ')} WHERE test_id = ?`;
+
+  db.run(query, values, function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else if (this.changes === 0) {
+      res.status(404).json({ error: 'Test not found' });
+    } else {
+      res.json({
+        success: true,
+        message: 'Custom test updated successfully'
+      });
+    }
+  });
 });
 
-app.put('/api/versions/:version_id/set-current', (req, res) => {
-  const { version_id } = req.params;
+app.delete('/api/custom-tests/:test_id', requirePermission('custom_tests:delete'), (req, res) => {
+  const { test_id } = req.params;
 
-  // First unset all versions
   db.run(
-    `UPDATE versions SET is_current = 0, updated_at = CURRENT_TIMESTAMP`,
-    [],
-    (err) => {
+    `UPDATE custom_tests SET is_active = 0 WHERE test_id = ?`,
+    [test_id],
+    function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
+      } else if (this.changes === 0) {
+        res.status(404).json({ error: 'Test not found' });
       } else {
-        // Then set the specified version as current
-        db.run(
-          `UPDATE versions SET is_current = 1, updated_at = CURRENT_TIMESTAMP WHERE version_id = ?`,
-          [version_id],
-          function(err) {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else if (this.changes === 0) {
-              res.status(404).json({ error: 'Version not found' });
-            } else {
-              res.json({
-                success: true,
-                message: 'Current version updated successfully'
-              });
-            }
-          }
-        );
+        res.json({
+          success: true,
+          message: 'Custom test deleted successfully'
+        });
       }
     }
   );
 });
 
-// Get test statistics for a specific version
-app.get('/api/versions/:version_id/statistics', (req, res) => {
-  const { version_id } = req.params;
+// User Management API Endpoints
 
-  // Debug: Log what test results exist for this version
-  db.all(`
-    SELECT tr.status, COUNT(*) as count
-    FROM test_results tr
-    JOIN test_sessions ts ON tr.session_id = ts.session_id
-    WHERE ts.version_id = ?
-    GROUP BY tr.status
-  `, [version_id], (err, statusRows) => {
-    console.log('Debug - Raw status values for version', version_id, ':', statusRows);
+function recordLoginAttempt(req, { email, user_id = null, success, failure_reason = null }) {
+  db.run(
+    `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, failure_reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      email ? String(email).toLowerCase() : null,
+      user_id,
+      req.ip,
+      (req.get('user-agent') || '').substring(0, 255),
+      success ? 1 : 0,
+      failure_reason
+    ],
+    (err) => {
+      if (err) console.error('Error recording login attempt:', err);
+    }
+  );
+}
+
+// Per-IP throttle - only failed logins count towards the limit
+const loginRateLimiter = rateLimit({
+  windowMs: LOGIN_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  limit: LOGIN_RATE_LIMIT_MAX,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    recordLoginAttempt(req, {
+      email: req.body && req.body.email,
+      success: false,
+      failure_reason: 'ip_rate_limited'
+    });
+    res.status(options.statusCode).json({
+      error: 'Too many failed login attempts from this address, please try again later'
+    });
+  }
+});
+
+// Count a failed password for the account and lock it once MAX_FAILED_LOGINS is reached.
+// Each consecutive lockout doubles in length, capped at LOCKOUT_MAX_MINUTES. A successful
+// login does not reset the backoff - otherwise an attacker who knows one password could keep
+// the lockout at its base length - it decays once the last lockout is LOCKOUT_DECAY_HOURS old
+function registerFailedLogin(user, callback) {
+  // Increment in SQL so parallel guesses cannot overwrite each other's count
+  db.run(
+    `UPDATE users SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1 WHERE id = ?`,
+    [user.id],
+    (err) => {
+      if (err) return callback(err, null);
+
+      db.get(
+        `SELECT failed_login_attempts, lockout_count, locked_until FROM users WHERE id = ?`,
+        [user.id],
+        (err, row) => {
+          if (err || !row || row.failed_login_attempts < MAX_FAILED_LOGINS) {
+            return callback(err, null);
+          }
+
+          const lastLockout = fromSqlDateTime(row.locked_until);
+          const decayed = !lastLockout || Date.now() - lastLockout.getTime() > LOCKOUT_DECAY_HOURS * 60 * 60 * 1000;
+          const lockoutCount = (decayed ? 0 : row.lockout_count || 0) + 1;
+          const minutes = Math.min(LOCKOUT_BASE_MINUTES * Math.pow(2, lockoutCount - 1), LOCKOUT_MAX_MINUTES);
+          const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+          db.run(
+            `UPDATE users SET failed_login_attempts = 0, lockout_count = ?, locked_until = ? WHERE id = ?`,
+            [lockoutCount, toSqlDateTime(lockedUntil), user.id],
+            (err) => callback(err, lockedUntil)
+          );
+        }
+      );
+    }
+  );
+}
+
+function sendAccountLocked(res, lockedUntil) {
+  res.status(423).json({
+    error: 'Account temporarily locked due to repeated failed logins',
+    locked_until: lockedUntil.toISOString(),
+    retry_after: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
   });
+}
 
-  const queries = {
-    totalSessions: `SELECT COUNT(*) as count FROM test_sessions WHERE version_id = ?`,
-    totalTests: `
-      SELECT COUNT(*) as count
-      FROM test_results tr
-      JOIN test_sessions ts ON tr.session_id = ts.session_id
+// Final step of a successful login: reset the failure count, audit and issue the token pair.
+// lockout_count and the expired locked_until stay so the backoff can decay (see registerFailedLogin)
+function completeLogin(user, req, res) {
+  issueTokens(user, (err, issued) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    recordLoginAttempt(req, { email: user.email, user_id: user.id, success: true });
+    db.run(
+      `UPDATE users SET last_login = CURRENT_TIMESTAMP, failed_login_attempts = 0 WHERE id = ?`,
+      [user.id]
+    );
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        permissions: getRolePermissions(user.role),
+        must_reset_password: !!user.must_reset_password,
+        totp_enabled: !!user.totp_enabled,
+        mfa_enrollment_required: isMfaRequired(user) && !user.totp_enabled
+      },
+      ...issued.tokens
+    });
+  });
+}
+
+// Shared by both login steps - counts the failure towards the account lockout
+function rejectLogin(user, req, res, reason, message) {
+  recordLoginAttempt(req, { email: user.email, user_id: user.id, success: false, failure_reason: reason });
+  registerFailedLogin(user, (err, newLock) => {
+    if (err) console.error('Error recording failed login:', err);
+    if (newLock) {
+      return sendAccountLocked(res, newLock);
+    }
+    res.status(401).json({ error: message });
+  });
+}
+
+const LOGIN_USER_COLUMNS = `id, email, password, name, role, status, failed_login_attempts, lockout_count, locked_until,
+  must_reset_password, totp_secret, totp_enabled, totp_last_step`;
+
+app.post('/api/auth/login', loginRateLimiter, (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password must be strings' });
+  }
+
+  db.get(
+    `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE email = ? AND status = 'active'`,
+    [email.toLowerCase()],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user) {
+        recordLoginAttempt(req, { email, success: false, failure_reason: 'unknown_email' });
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const lockedUntil = fromSqlDateTime(user.locked_until);
+      if (lockedUntil && lockedUntil > new Date()) {
+        recordLoginAttempt(req, { email, user_id: user.id, success: false, failure_reason: 'account_locked' });
+        return sendAccountLocked(res, lockedUntil);
+      }
+
+      verifyPassword(password, user.password, (err, matches, needsUpgrade) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!matches) {
+          return rejectLogin(user, req, res, 'invalid_password', 'Invalid email or password');
+        }
+
+        // Transparently replace a legacy plaintext password with its hash
+        if (needsUpgrade) {
+          hashPassword(password, (hashErr, hash) => {
+            if (hashErr) {
+              return console.error('Error hashing legacy password:', hashErr);
+            }
+            db.run(
+              `UPDATE users SET password = ? WHERE id = ? AND password = ?`,
+              [hash, user.id, user.password],
+              (err) => {
+                if (err) console.error('Error upgrading legacy password:', err);
+              }
+            );
+          });
+        }
+
+        if (!user.totp_enabled) {
+          return completeLogin(user, req, res);
+        }
+
+        // Password is correct but the second factor is still outstanding
+        const challenge_token = jwt.sign(
+          { sub: user.id, typ: 'mfa_challenge' },
+          JWT_SECRET,
+          { expiresIn: MFA_CHALLENGE_TTL }
+        );
+        const decoded = jwt.decode(challenge_token);
+
+        res.json({
+          success: true,
+          mfa_required: true,
+          challenge_token,
+          expires_in: decoded.exp - decoded.iat,
+          message: 'Enter the code from your authenticator app or a recovery code'
+        });
+      });
+    }
+  );
+});
+
+// Second login step for accounts with TOTP: { challenge_token, code } or { challenge_token, recovery_code }
+app.post('/api/auth/login/verify-totp', loginRateLimiter, (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+
+  if (!challenge_token || (!code && !recovery_code)) {
+    return res.status(400).json({ error: 'challenge_token and a code or recovery_code are required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(challenge_token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({
+      error: err.name === 'TokenExpiredError' ? 'Login challenge expired, please log in again' : 'Invalid login challenge'
+    });
+  }
+
+  if (payload.typ !== 'mfa_challenge') {
+    return res.status(401).json({ error: 'Invalid login challenge' });
+  }
+
+  db.get(
+    `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ? AND status = 'active'`,
+    [payload.sub],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user || !user.totp_enabled) {
+        return res.status(401).json({ error: 'Invalid login challenge' });
+      }
+
+      const lockedUntil = fromSqlDateTime(user.locked_until);
+      if (lockedUntil && lockedUntil > new Date()) {
+        recordLoginAttempt(req, { email: user.email, user_id: user.id, success: false, failure_reason: 'account_locked' });
+        return sendAccountLocked(res, lockedUntil);
+      }
+
+      verifySecondFactor(user, { code, recovery_code }, (err, valid, method) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!valid) {
+          return rejectLogin(user, req, res, `invalid_${method}`, 'Invalid authentication code');
+        }
+        completeLogin(user, req, res);
+      });
+    }
+  );
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is rotated out)
+app.post('/api/auth/refresh', (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(refresh_token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  if (payload.typ !== 'refresh' || !payload.jti) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  db.get(
+    `SELECT * FROM refresh_tokens WHERE token_id = ?`,
+    [payload.jti],
+    (err, stored) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!stored) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+      if (stored.revoked_at) {
+        // A rotated token being presented again means it leaked - end every session of this user
+        if (stored.replaced_by) {
+          db.run(
+            `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`,
+            [stored.user_id]
+          );
+        }
+        return res.status(401).json({ error: 'Refresh token has been revoked' });
+      }
+
+      db.get(
+        `SELECT id, email, name, role, status FROM users WHERE id = ?`,
+        [stored.user_id],
+        (err, user) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          if (!user || user.status !== 'active') {
+            return res.status(401).json({ error: 'User account is inactive or no longer exists' });
+          }
+
+          issueTokens(user, (err, issued) => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+
+            db.run(
+              `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE token_id = ?`,
+              [issued.token_id, stored.token_id],
+              (err) => {
+                if (err) console.error('Error rotating refresh token:', err);
+              }
+            );
+
+            res.json({
+              success: true,
+              ...issued.tokens
+            });
+          });
+        }
+      );
+    }
+  );
+});
+
+// Revoke a refresh token (or every refresh token of its user with all_sessions: true)
+app.post('/api/auth/logout', (req, res) => {
+  const { refresh_token, all_sessions } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  let payload;
+  try {
+    // Expired tokens can still be logged out
+    payload = jwt.verify(refresh_token, JWT_SECRET, { ignoreExpiration: true });
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+
+  if (payload.typ !== 'refresh' || !payload.jti) {
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+
+  const query = all_sessions
+    ? `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`
+    : `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_id = ? AND revoked_at IS NULL`;
+
+  db.run(query, [all_sessions ? payload.sub : payload.jti], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json({
+        success: true,
+        revoked: this.changes,
+        message: 'Logged out successfully'
+      });
+    }
+  });
+});
+
+// Per-IP throttle on reset requests so the endpoint cannot be used to flood mailboxes
+const passwordResetRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many password reset requests, please try again later' }
+});
+
+// Always answers the same way so the endpoint cannot be used to discover registered emails
+app.post('/api/auth/forgot-password', passwordResetRateLimiter, (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  db.get(
+    `SELECT id, email, name FROM users WHERE email = ? AND status = 'active'`,
+    [String(email).toLowerCase()],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user) {
+        return res.json(genericResponse);
+      }
+
+      sendPasswordResetEmail(user, req, (err) => {
+        if (err) {
+          console.error('Error sending password reset email:', err);
+        }
+        res.json(genericResponse);
+      });
+    }
+  );
+});
+
+app.post('/api/auth/reset-password', (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: 'Token and new password are required' });
+  }
+  if (typeof newPassword !== 'string') {
+    return res.status(400).json({ error: 'New password must be a string' });
+  }
+
+  db.get(
+    `SELECT id, user_id FROM password_reset_tokens
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?`,
+    [hashResetToken(String(token)), toSqlDateTime(new Date())],
+    (err, resetToken) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!resetToken) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      // Claim the token first so two concurrent requests cannot both use it
+      db.run(
+        `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL`,
+        [resetToken.id],
+        function(err) {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          if (this.changes === 0) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+          }
+
+          hashPassword(newPassword, (err, passwordHash) => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+
+            // A reset also clears any lockout and the forced-reset flag
+            db.run(
+              `UPDATE users SET password = ?, must_reset_password = 0, failed_login_attempts = 0,
+                 lockout_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+               WHERE id = ?`,
+              [passwordHash, resetToken.user_id],
+              (err) => {
+                if (err) {
+                  return res.status(500).json({ error: err.message });
+                }
+
+                // Sessions opened with the old password must not survive the reset
+                db.run(
+                  `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`,
+                  [resetToken.user_id]
+                );
+
+                res.json({
+                  success: true,
+                  message: 'Password has been reset, please log in with your new password'
+                });
+              }
+            );
+          });
+        }
+      );
+    }
+  );
+});
+
+// Token verification endpoint - the authentication middleware has already validated the token
+app.post('/api/auth/verify', (req, res) => {
+  res.json({
+    valid: true,
+    success: true,
+    message: 'Token is valid',
+    user: {
+      id: req.user.id,
+      email: req.user.email,
+      name: req.user.name,
+      role: req.user.role,
+      permissions: getRolePermissions(req.user.role)
+    },
+    api_key: req.user.api_key
+  });
+});
+
+app.get('/api/auth/verify', (req, res) => {
+  res.json({
+    valid: true,
+    success: true,
+    message: 'Token is valid',
+    user: {
+      id: req.user.id,
+      email: req.user.email,
+      name: req.user.name,
+      role: req.user.role,
+      permissions: getRolePermissions(req.user.role)
+    },
+    api_key: req.user.api_key
+  });
+});
+
+// =====================================================
+// Two-Factor Authentication Endpoints
+// =====================================================
+
+app.get('/api/auth/totp', (req, res) => {
+  db.get(
+    `SELECT totp_enabled,
+       (SELECT COUNT(*) FROM totp_recovery_codes WHERE user_id = users.id AND used_at IS NULL) as recovery_codes_remaining
+     FROM users WHERE id = ?`,
+    [req.user.id],
+    (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({
+          enabled: !!row.totp_enabled,
+          required: isMfaRequired(req.user),
+          recovery_codes_remaining: row.recovery_codes_remaining
+        });
+      }
+    }
+  );
+});
+
+// Start enrolment: store a new secret (not yet active) and return it with the provisioning URI
+// the frontend renders as a QR code
+app.post('/api/auth/totp/setup', requireInteractiveLogin, (req, res) => {
+  if (req.user.totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  db.run(
+    `UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?`,
+    [secret, req.user.id],
+    (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({
+          success: true,
+          secret,
+          otpauth_uri: getTotpProvisioningUri(secret, req.user.email),
+          message: 'Scan the QR code with your authenticator app, then confirm with a code'
+        });
+      }
+    }
+  );
+});
+
+// Finish enrolment with a code from the app; recovery codes are returned once
+app.post('/api/auth/totp/enable', requireInteractiveLogin, (req, res) => {
+  const { code } = req.body;
+
+  db.get(
+    `SELECT id, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?`,
+    [req.user.id],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (user.totp_enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+      if (!user.totp_secret) {
+        return res.status(400).json({ error: 'Call /api/auth/totp/setup first' });
+      }
+
+      verifySecondFactor(user, { code }, (err, valid) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!valid) {
+          return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        db.run(`UPDATE users SET totp_enabled = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [user.id], (err) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+
+          generateRecoveryCodes(user.id, (err, recovery_codes) => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+            console.log(`Two-factor authentication enabled for ${req.user.email}`);
+            res.json({
+              success: true,
+              recovery_codes,
+              message: 'Two-factor authentication enabled - store the recovery codes somewhere safe'
+            });
+          });
+        });
+      });
+    }
+  );
+});
+
+// Needs the password and a current code (or recovery code). Not allowed for roles that require 2FA
+app.post('/api/auth/totp/disable', requireInteractiveLogin, (req, res) => {
+  const { password, code, recovery_code } = req.body;
+
+  if (isMfaRequired(req.user)) {
+    return res.status(403).json({ error: `Two-factor authentication is mandatory for the ${req.user.role} role` });
+  }
+
+  db.get(
+    `SELECT id, password, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?`,
+    [req.user.id],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user.totp_enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      verifyPassword(password, user.password, (err, matches) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!matches) {
+          return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        verifySecondFactor(user, { code, recovery_code }, (err, valid) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          if (!valid) {
+            return res.status(401).json({ error: 'Invalid authentication code' });
+          }
+
+          clearTotp(user.id, (err) => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+            res.json({ success: true, message: 'Two-factor authentication disabled' });
+          });
+        });
+      });
+    }
+  );
+});
+
+// Replace all recovery codes (for example after using some). Needs a current TOTP code
+app.post('/api/auth/totp/recovery-codes', requireInteractiveLogin, (req, res) => {
+  const { code } = req.body;
+
+  db.get(
+    `SELECT id, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?`,
+    [req.user.id],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user.totp_enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      verifySecondFactor(user, { code }, (err, valid) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!valid) {
+          return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        generateRecoveryCodes(user.id, (err, recovery_codes) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.json({ success: true, recovery_codes });
+        });
+      });
+    }
+  );
+});
+
+function clearTotp(userId, callback) {
+  db.run(
+    `UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [userId],
+    function(err) {
+      if (err) return callback(err);
+      const changes = this.changes;
+      db.run(`DELETE FROM totp_recovery_codes WHERE user_id = ?`, [userId], (err) => callback(err, changes));
+    }
+  );
+}
+
+// =====================================================
+// API Key Endpoints
+// =====================================================
+
+// Keys act on behalf of their owner, so every user manages their own. Managing API keys and two-factor
+// authentication always needs an interactive login - a key cannot mint keys or change the second factor
+function requireInteractiveLogin(req, res, next) {
+  if (req.user.api_key) {
+    return res.status(403).json({ error: 'This action needs an interactive login and cannot be done with an API key' });
+  }
+  next();
+}
+
+function formatApiKey(row) {
+  const expiresAt = fromSqlDateTime(row.expires_at);
+  return {
+    ...row,
+    scopes: JSON.parse(row.scopes),
+    active: !row.revoked_at && (!expiresAt || expiresAt > new Date())
+  };
+}
+
+app.get('/api/api-keys', requireInteractiveLogin, (req, res) => {
+  // Admins can audit every user's keys with ?all=true
+  const all = req.query.all === 'true' && hasPermission(req.user, 'admin:manage');
+
+  db.all(
+    `SELECT k.key_id, k.user_id, u.email as user_email, k.name, k.key_prefix, k.scopes,
+            k.last_used_at, k.last_used_ip, k.expires_at, k.revoked_at, k.created_at
+     FROM api_keys k
+     LEFT JOIN users u ON k.user_id = u.id
+     ${all ? '' : 'WHERE k.user_id = ?'}
+     ORDER BY k.created_at DESC`,
+    all ? [] : [req.user.id],
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json(rows.map(formatApiKey));
+      }
+    }
+  );
+});
+
+app.post('/api/api-keys', requireInteractiveLogin, (req, res) => {
+  const { name, scopes, expires_at } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'Name and a non-empty scopes array are required' });
+  }
+
+  const invalidScopes = scopes.filter(scope => typeof scope !== 'string' || !/^([a-z_]+:([a-z_]+|\*)|\*)$/.test(scope));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({ error: 'Invalid scopes', invalid_scopes: invalidScopes });
+  }
+
+  // A key can never do more than its owner's role allows
+  const rolePermissions = getRolePermissions(req.user.role);
+  const excessScopes = scopes.filter(scope => !grantsPermission(rolePermissions, scope));
+  if (excessScopes.length > 0) {
+    return res.status(403).json({ error: 'Scopes exceed your role permissions', invalid_scopes: excessScopes });
+  }
+
+  let expiresAt = null;
+  if (expires_at) {
+    expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'expires_at must be a future date' });
+    }
+  }
+
+  const key = generateApiKey();
+  const key_id = `KEY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const key_prefix = key.substring(0, API_KEY_PREFIX.length + 8);
+  const uniqueScopes = [...new Set(scopes)];
+
+  db.run(
+    `INSERT INTO api_keys (key_id, user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [key_id, req.user.id, name, key_prefix, hashApiKey(key), JSON.stringify(uniqueScopes),
+     expiresAt ? toSqlDateTime(expiresAt) : null],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({
+          success: true,
+          key_id,
+          name,
+          key_prefix,
+          scopes: uniqueScopes,
+          expires_at: expiresAt ? toSqlDateTime(expiresAt) : null,
+          api_key: key,
+          message: 'API key created - copy it now, it will not be shown again'
+        });
+      }
+    }
+  );
+});
+
+app.delete('/api/api-keys/:key_id', requireInteractiveLogin, (req, res) => {
+  const { key_id } = req.params;
+
+  db.get(`SELECT key_id, user_id FROM api_keys WHERE key_id = ?`, [key_id], (err, apiKey) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKey.user_id !== req.user.id && !hasPermission(req.user, 'admin:manage')) {
+      return sendForbidden(req, res, 'admin:manage');
+    }
+
+    db.run(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE key_id = ? AND revoked_at IS NULL`,
+      [key_id],
+      function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+        } else {
+          res.json({
+            success: true,
+            message: this.changes ? 'API key revoked successfully' : 'API key was already revoked'
+          });
+        }
+      }
+    );
+  });
+});
+
+// =====================================================
+// User Management Endpoints
+// =====================================================
+
+app.get('/api/users', requirePermission('users:read'), (req, res) => {
+  db.all(
+    `SELECT id, email, name, role, status, created_at, created_by, last_login, locked_until, must_reset_password, totp_enabled FROM users ORDER BY created_at DESC`,
+    [],
+    (err, users) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json(users);
+      }
+    }
+  );
+});
+
+app.get('/api/users/:id', requirePermission('users:read'), (req, res) => {
+  const { id } = req.params;
+
+  db.get(
+    `SELECT id, email, name, role, status, created_at, created_by, last_login, locked_until, must_reset_password, totp_enabled FROM users WHERE id = ?`,
+    [id],
+    (err, user) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (!user) {
+        res.status(404).json({ error: 'User not found' });
+      } else {
+        res.json(user);
+      }
+    }
+  );
+});
+
+app.post('/api/users', requirePermission('users:write'), (req, res) => {
+  const { email, password, name, role, status } = req.body;
+  const id = `user-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password must be strings' });
+  }
+
+  db.get(
+    `SELECT id FROM users WHERE email = ?`,
+    [email.toLowerCase()],
+    (err, existing) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (existing) {
+        res.status(400).json({ error: 'Email already exists' });
+      } else {
+        hashPassword(password, (err, passwordHash) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+
+          db.run(
+            `INSERT INTO users (id, email, password, name, role, status, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, email.toLowerCase(), passwordHash, name, role || 'tester', status || 'active', req.user.name],
+            function(err) {
+              if (err) {
+                res.status(500).json({ error: err.message });
+              } else {
+                res.json({
+                  success: true,
+                  id,
+                  message: 'User created successfully'
+                });
+              }
+            }
+          );
+        });
+      }
+    }
+  );
+});
+
+// Users may edit their own name/email, but only users:write can touch other accounts, roles,
+// status or set a password without knowing the current one (the password field here; the
+// self-service PUT /api/users/:id/password always checks oldPassword)
+function authorizeUserUpdate(req, res, next) {
+  const updates = req.body || {};
+  if (!hasPermission(req.user, 'users:write') &&
+      (req.user.id !== req.params.id || ['role', 'status', 'password'].some(key => updates[key] !== undefined))) {
+    return sendForbidden(req, res, 'users:write');
+  }
+  next();
+}
+
+app.put('/api/users/:id', authorizeUserUpdate, validateUpdate(USER_UPDATE_SCHEMA, [
+  'created_by', 'last_login', 'locked_until', 'must_reset_password', 'totp_enabled', 'permissions'
+]), (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  const fields = [];
+  const values = [];
+
+  Object.keys(updates).forEach(key => {
+    // Passwords are hashed separately below
+    if (updates[key] !== undefined && key !== 'password') {
+      fields.push(`${key} = ?`);
+      values.push(updates[key]);
+    }
+  });
+
+  const runUpdate = () => {
+    if (fields.length === 0) {
+      res.status(400).json({ error: 'No fields to update' });
+      return;
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
+
+    db.run(query, values, function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (this.changes === 0) {
+        res.status(404).json({ error: 'User not found' });
+      } else {
+        res.json({
+          success: true,
+          message: 'User updated successfully'
+        });
+      }
+    });
+  };
+
+  if (updates.password) {
+    hashPassword(updates.password, (err, passwordHash) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      fields.push('password = ?');
+      values.push(passwordHash);
+      runUpdate();
+    });
+  } else {
+    runUpdate();
+  }
+});
+
+app.delete('/api/users/:id', requirePermission('users:delete'), (req, res) => {
+  const { id } = req.params;
+
+  db.get(
+    `SELECT COUNT(*) as adminCount FROM users WHERE role = 'admin' AND id != ?`,
+    [id],
+    (err, result) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        db.get(
+          `SELECT role FROM users WHERE id = ?`,
+          [id],
+          (err, user) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+            } else if (!user) {
+              res.status(404).json({ error: 'User not found' });
+            } else if (user.role === 'admin' && result.adminCount === 0) {
+              res.status(400).json({ error: 'Cannot delete the last admin user' });
+            } else {
+              db.run(
+                `DELETE FROM users WHERE id = ?`,
+                [id],
+                function(err) {
+                  if (err) {
+                    res.status(500).json({ error: err.message });
+                  } else {
+                    res.json({
+                      success: true,
+                      message: 'User deleted successfully'
+                    });
+                  }
+                }
+              );
+            }
+          }
+        );
+      }
+    }
+  );
+});
+
+app.put('/api/users/:id/password', (req, res) => {
+  const { id } = req.params;
+  const { oldPassword, newPassword } = req.body;
+
+  if (req.user.id !== id && !hasPermission(req.user, 'users:write')) {
+    return sendForbidden(req, res, 'users:write');
+  }
+
+  if (!newPassword) {
+    return res.status(400).json({ error: 'New password is required' });
+  }
+  if (typeof newPassword !== 'string' || (oldPassword !== undefined && typeof oldPassword !== 'string')) {
+    return res.status(400).json({ error: 'Passwords must be strings' });
+  }
+
+  db.get(
+    `SELECT password FROM users WHERE id = ?`,
+    [id],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      verifyPassword(oldPassword, user.password, (err, matches) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!matches) {
+          return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        hashPassword(newPassword, (err, passwordHash) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+
+          db.run(
+            `UPDATE users SET password = ?, must_reset_password = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [passwordHash, id],
+            function(err) {
+              if (err) {
+                res.status(500).json({ error: err.message });
+              } else {
+                // Sessions opened with the old password must not survive the change
+                db.run(
+                  `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`,
+                  [id]
+                );
+
+                res.json({
+                  success: true,
+                  message: 'Password changed successfully'
+                });
+              }
+            }
+          );
+        });
+      });
+    }
+  );
+});
+
+app.get('/api/dashboard', requirePermission('reports:read'), (req, res) => {
+  const dashboard = {};
+
+  db.all(
+    `SELECT
+      tr.*,
+      ts.tester_name
+     FROM test_results tr
+     JOIN test_sessions ts ON tr.session_id = ts.session_id
+     ORDER BY tr.tested_at DESC
+     LIMIT 10`,
+    [],
+    (err, recentTests) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        dashboard.recentTests = recentTests;
+
+        db.all(
+          `SELECT
+            tf.*,
+            ts.tester_name
+           FROM test_feedback tf
+           JOIN test_sessions ts ON tf.session_id = ts.session_id
+           ORDER BY tf.created_at DESC
+           LIMIT 10`,
+          [],
+          (err, recentFeedback) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+            } else {
+              dashboard.recentFeedback = recentFeedback;
+
+              db.all(
+                `SELECT
+                  module_name,
+                  COUNT(DISTINCT test_case_id) as tests_run,
+                  SUM(CASE WHEN UPPER(status) = 'PASS' THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as pass_rate
+                 FROM test_results
+                 GROUP BY module_name`,
+                [],
+                (err, moduleCoverage) => {
+                  if (err) {
+                    res.status(500).json({ error: err.message });
+                  } else {
+                    dashboard.moduleCoverage = moduleCoverage;
+                    res.json(dashboard);
+                  }
+                }
+              );
+            }
+          }
+        );
+      }
+    }
+  );
+});
+
+// =====================================================
+// Admin Database Management
+// =====================================================
+
+app.post('/api/admin/reset-database', requirePermission('admin:manage'), (req, res) => {
+  // This endpoint should be protected in production
+  // For now, it's open for testing purposes
+
+  console.log('Database reset requested');
+
+  // Close current database connection
+  db.close((err) => {
+    if (err) {
+      console.error('Error closing database:', err);
+      return res.status(500).json({ error: 'Failed to close database' });
+    }
+
+    // Delete the database file
+    try {
+      if (fs.existsSync(dbPath)) {
+        fs.unlinkSync(dbPath);
+        console.log('Database file deleted');
+      }
+    } catch (error) {
+      console.error('Error deleting database:', error);
+    }
+
+    // Recreate database
+    db = guardConnection(new sqlite3.Database(dbPath, (err) => {
+      if (err) {
+        console.error('Error recreating database:', err);
+        return res.status(500).json({ error: 'Failed to recreate database' });
+      }
+
+      console.log('Database recreated');
+      initializeDatabase();
+
+      res.json({
+        success: true,
+        message: 'Database has been reset successfully'
+      });
+    }));
+  });
+});
+
+// Admin endpoint to reset only testing data (preserves users and modules)
+app.post('/api/admin/reset-testing-data', requirePermission('admin:manage'), (req, res) => {
+  console.log('Testing data reset requested (preserving users and modules)');
+
+  // Clear only testing-related tables, all or nothing
+  const clearedTables = ['test_sessions', 'test_results', 'test_feedback', 'custom_tests'];
+
+  withTransaction(async () => {
+    for (const table of clearedTables) {
+      await dbRun(`DELETE FROM ${table}`);
+    }
+  }).then(() => {
+    console.log('Testing data cleared successfully, users and modules preserved');
+    res.json({
+      success: true,
+      message: 'Testing data has been cleared. Users and modules preserved.',
+      clearedTables,
+      preservedTables: [
+        'users',
+        'modules'
+      ]
+    });
+  }, err => {
+    console.error('Error clearing testing data:', err);
+    res.status(500).json({
+      error: 'Failed to clear testing data',
+      message: 'Some tables could not be cleared'
+    });
+  });
+});
+
+// Clear a lockout so the user can log in again immediately
+app.post('/api/admin/users/:id/unlock', requirePermission('admin:manage'), (req, res) => {
+  const { id } = req.params;
+
+  db.run(
+    `UPDATE users SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [id],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (this.changes === 0) {
+        res.status(404).json({ error: 'User not found' });
+      } else {
+        console.log(`User ${id} unlocked by ${req.user.email}`);
+        res.json({
+          success: true,
+          message: 'User unlocked successfully'
+        });
+      }
+    }
+  );
+});
+
+// Lost authenticator: remove the user's TOTP so they can log in with their password and enrol again
+app.post('/api/admin/users/:id/reset-totp', requirePermission('admin:manage'), (req, res) => {
+  const { id } = req.params;
+
+  clearTotp(id, (err, changes) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else if (!changes) {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      // Existing sessions were opened with the old second factor
+      db.run(
+        `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`,
+        [id]
+      );
+      console.log(`Two-factor authentication reset for user ${id} by ${req.user.email}`);
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset - the user must enrol again'
+      });
+    }
+  });
+});
+
+// Make the user choose a new password before doing anything else. With send_email the user
+// also gets a reset link, which is the only way back in if they no longer know the current password
+app.post('/api/admin/users/:id/force-password-reset', requirePermission('admin:manage'), (req, res) => {
+  const { id } = req.params;
+  const { send_email } = req.body;
+
+  db.get(`SELECT id, email, name FROM users WHERE id = ?`, [id], (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    db.run(
+      `UPDATE users SET must_reset_password = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id],
+      (err) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        console.log(`Password reset forced for ${user.email} by ${req.user.email}`);
+
+        if (!send_email) {
+          return res.json({
+            success: true,
+            message: 'User must change their password on next login'
+          });
+        }
+
+        sendPasswordResetEmail(user, req, (err) => {
+          if (err) {
+            return res.status(500).json({ error: `Reset flag set but email failed: ${err.message}` });
+          }
+          res.json({
+            success: true,
+            message: 'User must change their password on next login; reset email sent'
+          });
+        });
+      }
+    );
+  });
+});
+
+// Login audit log, newest first
+app.get('/api/admin/login-attempts', requirePermission('admin:manage'), (req, res) => {
+  const { email, user_id, ip_address, success, since, limit = 100, offset = 0 } = req.query;
+
+  let query = `SELECT * FROM login_attempts WHERE 1=1`;
+  const params = [];
+
+  if (email) {
+    query += ` AND email = ?`;
+    params.push(email.toLowerCase());
+  }
+
+  if (user_id) {
+    query += ` AND user_id = ?`;
+    params.push(user_id);
+  }
+
+  if (ip_address) {
+    query += ` AND ip_address = ?`;
+    params.push(ip_address);
+  }
+
+  if (success !== undefined) {
+    query += ` AND success = ?`;
+    params.push(success === 'true' ? 1 : 0);
+  }
+
+  if (since) {
+    query += ` AND attempted_at >= ?`;
+    params.push(since);
+  }
+
+  query += ` ORDER BY attempted_at DESC, id DESC LIMIT ? OFFSET ?`;
+  params.push(parseInt(limit), parseInt(offset));
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json(rows);
+    }
+  });
+});
+
+// Brute-force overview: failures grouped by source IP and by targeted account, plus current lockouts
+app.get('/api/admin/login-attempts/summary', requirePermission('admin:manage'), (req, res) => {
+  const hours = parseInt(req.query.hours) || 24;
+  const since = toSqlDateTime(new Date(Date.now() - hours * 60 * 60 * 1000));
+
+  const queries = {
+    totals: `
+      SELECT
+        COUNT(*) as total_attempts,
+        SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successful,
+        SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failed
+      FROM login_attempts WHERE attempted_at >= ?`,
+    failuresByIp: `
+      SELECT ip_address, COUNT(*) as failures, COUNT(DISTINCT email) as distinct_emails, MAX(attempted_at) as last_attempt
+      FROM login_attempts WHERE success = 0 AND attempted_at >= ?
+      GROUP BY ip_address ORDER BY failures DESC LIMIT 20`,
+    failuresByEmail: `
+      SELECT email, COUNT(*) as failures, COUNT(DISTINCT ip_address) as distinct_ips, MAX(attempted_at) as last_attempt
+      FROM login_attempts WHERE success = 0 AND attempted_at >= ?
+      GROUP BY email ORDER BY failures DESC LIMIT 20`,
+    lockedAccounts: `
+      SELECT id, email, name, lockout_count, locked_until
+      FROM users WHERE locked_until > ? ORDER BY locked_until DESC`
+  };
+
+  const summary = { since, hours };
+  let completed = 0;
+  const totalQueries = Object.keys(queries).length;
+
+  Object.entries(queries).forEach(([key, query]) => {
+    const params = key === 'lockedAccounts' ? [toSqlDateTime(new Date())] : [since];
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        console.error(`Error in ${key}:`, err);
+        summary[key] = key === 'totals' ? null : [];
+      } else {
+        summary[key] = key === 'totals' ? rows[0] : rows;
+      }
+
+      completed++;
+      if (completed === totalQueries) {
+        res.json(summary);
+      }
+    });
+  });
+});
+
+// =====================================================
+// Module Management API Endpoints
+// =====================================================
+
+app.get('/api/modules', requirePermission('modules:read'), (req, res) => {
+  const { is_active } = req.query;
+
+  let query = `SELECT * FROM modules WHERE 1=1`;
+  const params = [];
+
+  if (is_active !== undefined) {
+    query += ` AND is_active = ?`;
+    params.push(is_active === 'true' ? 1 : 0);
+  }
+
+  query += ` ORDER BY display_order ASC, created_at ASC`;
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json(rows);
+    }
+  });
+});
+
+app.get('/api/modules/:module_id', requirePermission('modules:read'), (req, res) => {
+  const { module_id } = req.params;
+
+  db.get(
+    `SELECT * FROM modules WHERE module_id = ?`,
+    [module_id],
+    (err, module) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (!module) {
+        res.status(404).json({ error: 'Module not found' });
+      } else {
+        res.json(module);
+      }
+    }
+  );
+});
+
+app.post('/api/modules', requirePermission('modules:write'), (req, res) => {
+  const { name, description, icon, display_order } = req.body;
+  const module_id = `MOD_${Date.now()}_${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+
+  db.run(
+    `INSERT INTO modules (module_id, name, description, icon, display_order, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [module_id, name, description || '', icon || 'Folder', display_order || 999, req.user.name],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({
+          success: true,
+          module_id,
+          id: this.lastID,
+          message: 'Module created successfully'
+        });
+      }
+    }
+  );
+});
+
+app.put('/api/modules/:module_id', requirePermission('modules:write'), validateUpdate(MODULE_UPDATE_SCHEMA, ['module_id']), (req, res) => {
+  const { module_id } = req.params;
+  const updates = req.body;
+
+  const fields = [];
+  const values = [];
+
+  Object.keys(updates).forEach(key => {
+    if (updates[key] !== undefined) {
+      fields.push(`${key} = ?`);
+      values.push(updates[key]);
+    }
+  });
+
+  if (fields.length === 0) {
+    res.status(400).json({ error: 'No fields to update' });
+    return;
+  }
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(module_id);
+
+  const query = `UPDATE modules SET ${fields.join(', ')} WHERE module_id = ?`;
+
+  db.run(query, values, function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else if (this.changes === 0) {
+      res.status(404).json({ error: 'Module not found' });
+    } else {
+      res.json({
+        success: true,
+        message: 'Module updated successfully'
+      });
+    }
+  });
+});
+
+app.delete('/api/modules/:module_id', requirePermission('modules:delete'), (req, res) => {
+  const { module_id } = req.params;
+
+  db.get(
+    `SELECT COUNT(*) as count FROM custom_tests WHERE module = (SELECT name FROM modules WHERE module_id = ?)`,
+    [module_id],
+    (err, result) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (result.count > 0) {
+        res.status(400).json({ error: 'Cannot delete module with associated tests' });
+      } else {
+        db.run(
+          `UPDATE modules SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE module_id = ?`,
+          [module_id],
+          function(err) {
+            if (err) {
+              res.status(500).json({ error: err.message });
+            } else if (this.changes === 0) {
+              res.status(404).json({ error: 'Module not found' });
+            } else {
+              res.json({
+                success: true,
+                message: 'Module deleted successfully'
+              });
+            }
+          }
+        );
+      }
+    }
+  );
+});
+
+app.put('/api/modules/reorder', requirePermission('modules:write'), (req, res) => {
+  const { modules } = req.body;
+
+  if (!Array.isArray(modules)) {
+    res.status(400).json({ error: 'Modules must be an array' });
+    return;
+  }
+
+  let completed = 0;
+  let errors = [];
+
+  modules.forEach(({ module_id, display_order }) => {
+    db.run(
+      `UPDATE modules SET display_order = ?, updated_at = CURRENT_TIMESTAMP WHERE module_id = ?`,
+      [display_order, module_id],
+      (err) => {
+        if (err) errors.push(err.message);
+        completed++;
+
+        if (completed === modules.length) {
+          if (errors.length > 0) {
+            res.status(500).json({ error: 'Some modules failed to update', errors });
+          } else {
+            res.json({ success: true, message: 'Modules reordered successfully' });
+          }
+        }
+      }
+    );
+  });
+});
+
+// =====================================================
+// Version Management API Endpoints
+// =====================================================
+
+app.get('/api/versions', requirePermission('versions:read'), (req, res) => {
+  const { status, is_current } = req.query;
+
+  let query = `SELECT * FROM versions WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    query += ` AND status = ?`;
+    params.push(status);
+  }
+
+  if (is_current !== undefined) {
+    query += ` AND is_current = ?`;
+    params.push(is_current === 'true' ? 1 : 0);
+  }
+
+  query += ` ORDER BY release_date DESC, version_number DESC`;
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      // Parse JSON fields
+      const versions = rows.map(row => ({
+        ...row,
+        features: safeJsonParse(row.features, []),
+        bug_fixes: safeJsonParse(row.bug_fixes, []),
+        known_issues: safeJsonParse(row.known_issues, [])
+      }));
+      res.json(versions);
+    }
+  });
+});
+
+app.get('/api/versions/current', requirePermission('versions:read'), (req, res) => {
+  db.get(
+    `SELECT * FROM versions WHERE is_current = 1 LIMIT 1`,
+    [],
+    (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (!row) {
+        res.status(404).json({ error: 'No current version found' });
+      } else {
+        const version = {
+          ...row,
+          features: safeJsonParse(row.features, []),
+          bug_fixes: safeJsonParse(row.bug_fixes, []),
+          known_issues: safeJsonParse(row.known_issues, [])
+        };
+        res.json(version);
+      }
+    }
+  );
+});
+
+app.get('/api/versions/:version_id', requirePermission('versions:read'), (req, res) => {
+  const { version_id } = req.params;
+
+  db.get(
+    `SELECT * FROM versions WHERE version_id = ?`,
+    [version_id],
+    (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (!row) {
+        res.status(404).json({ error: 'Version not found' });
+      } else {
+        const version = {
+          ...row,
+          features: safeJsonParse(row.features, []),
+          bug_fixes: safeJsonParse(row.bug_fixes, []),
+          known_issues: safeJsonParse(row.known_issues, [])
+        };
+        res.json(version);
+      }
+    }
+  );
+});
+
+app.post('/api/versions', requirePermission('versions:write'), (req, res) => {
+  const {
+    version_number,
+    version_name,
+    description,
+    release_date,
+    status,
+    is_current,
+    features,
+    bug_fixes,
+    known_issues
+  } = req.body;
+
+  const version_id = `VER_${version_number.replace(/\./g, '_')}`;
+
+  // If setting as current, unset all other versions first
+  const handleCurrentVersion = (callback) => {
+    if (is_current) {
+      db.run(
+        `UPDATE versions SET is_current = 0, updated_at = CURRENT_TIMESTAMP`,
+        [],
+        (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+          } else {
+            callback();
+          }
+        }
+      );
+    } else {
+      callback();
+    }
+  };
+
+  handleCurrentVersion(() => {
+    db.run(
+      `INSERT INTO versions (version_id, version_number, version_name, description, release_date, status, is_current, features, bug_fixes, known_issues, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        version_id,
+        version_number,
+        version_name,
+        description || '',
+        release_date || new Date().toISOString().split('T')[0],
+        status || 'active',
+        is_current ? 1 : 0,
+        JSON.stringify(features || []),
+        JSON.stringify(bug_fixes || []),
+        JSON.stringify(known_issues || []),
+        req.user.name
+      ],
+      function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+        } else {
+          res.json({
+            success: true,
+            version_id,
+            id: this.lastID,
+            message: 'Version created successfully'
+          });
+        }
+      }
+    );
+  });
+});
+
+app.put('/api/versions/:version_id', requirePermission('versions:write'), validateUpdate(VERSION_UPDATE_SCHEMA, ['version_id']), (req, res) => {
+  const { version_id } = req.params;
+  const updates = req.body;
+
+  const fields = [];
+  const values = [];
+
+  // Handle is_current flag
+  const handleCurrentVersion = (callback) => {
+    if (updates.is_current) {
+      db.run(
+        `UPDATE versions SET is_current = 0, updated_at = CURRENT_TIMESTAMP WHERE version_id != ?`,
+        [version_id],
+        (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+          } else {
+            callback();
+          }
+        }
+      );
+    } else {
+      callback();
+    }
+  };
+
+  handleCurrentVersion(() => {
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = ?`);
+
+        if (['features', 'bug_fixes', 'known_issues'].includes(key)) {
+          values.push(JSON.stringify(updates[key]));
+        } else {
+          values.push(updates[key]);
+        }
+      }
+    });
+
+    if (fields.length === 0) {
+      res.status(400).json({ error: 'No fields to update' });
+      return;
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(version_id);
+
+    const query = `UPDATE versions SET ${fields.join(', ')} WHERE version_id = ?`;
+
+    db.run(query, values, function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (this.changes === 0) {
+        res.status(404).json({ error: 'Version not found' });
+      } else {
+        res.json({
+          success: true,
+          message: 'Version updated successfully'
+        });
+      }
+    });
+  });
+});
+
+app.delete('/api/versions/:version_id', requirePermission('versions:delete'), (req, res) => {
+  const { version_id } = req.params;
+
+  // Check if version is current
+  db.get(
+    `SELECT is_current FROM versions WHERE version_id = ?`,
+    [version_id],
+    (err, version) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (!version) {
+        res.status(404).json({ error: 'Version not found' });
+      } else if (version.is_current) {
+        res.status(400).json({ error: 'Cannot delete current version' });
+      } else {
+        // Check if version has associated test sessions
+        db.get(
+          `SELECT COUNT(*) as count FROM test_sessions WHERE version_id = ?`,
+          [version_id],
+          (err, result) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+            } else if (result.count > 0) {
+              // Soft delete - just change status
+              db.run(
+                `UPDATE versions SET status = 'archived', updated_at = CURRENT_TIMESTAMP WHERE version_id = ?`,
+                [version_id],
+                function(err) {
+                  if (err) {
+                    res.status(500).json({ error: err.message });
+                  } else {
+                    res.json({
+                      success: true,
+                      message: 'Version archived successfully'
+                    });
+                  }
+                }
+              );
+            } else {
+              // Hard delete if no associated data
+              db.run(
+                `DELETE FROM versions WHERE version_id = ?`,
+                [version_id],
+                function(err) {
+                  if (err) {
+                    res.status(500).json({ error: err.message });
+                  } else {
+                    res.json({
+                      success: true,
+                      message: 'Version deleted successfully'
+                    });
+                  }
+                }
+              );
+            }
+          }
+        );
+      }
+    }
+  );
+});
+
+app.put('/api/versions/:version_id/set-current', requirePermission('versions:write'), (req, res) => {
+  const { version_id } = req.params;
+
+  // First unset all versions
+  db.run(
+    `UPDATE versions SET is_current = 0, updated_at = CURRENT_TIMESTAMP`,
+    [],
+    (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        // Then set the specified version as current
+        db.run(
+          `UPDATE versions SET is_current = 1, updated_at = CURRENT_TIMESTAMP WHERE version_id = ?`,
+          [version_id],
+          function(err) {
+            if (err) {
+              res.status(500).json({ error: err.message });
+            } else if (this.changes === 0) {
+              res.status(404).json({ error: 'Version not found' });
+            } else {
+              res.json({
+                success: true,
+                message: 'Current version updated successfully'
+              });
+            }
+          }
+        );
+      }
+    }
+  );
+});
+
+// Get test statistics for a specific version
+app.get('/api/versions/:version_id/statistics', requirePermission('reports:read'), (req, res) => {
+  const { version_id } = req.params;
+
+  // Debug: Log what test results exist for this version
+  db.all(`
+    SELECT tr.status, COUNT(*) as count
+    FROM test_results tr
+    JOIN test_sessions ts ON tr.session_id = ts.session_id
+    WHERE ts.version_id = ?
+    GROUP BY tr.status
+  `, [version_id], (err, statusRows) => {
+    console.log('Debug - Raw status values for version', version_id, ':', statusRows);
+  });
+
+  const queries = {
+    totalSessions: `SELECT COUNT(*) as count FROM test_sessions WHERE version_id = ?`,
+    totalTests: `
+      SELECT COUNT(*) as count
+      FROM test_results tr
+      JOIN test_sessions ts ON tr.session_id = ts.session_id
       WHERE ts.version_id = ?
     `,
     testsByStatus: `
@@ -2699,923 +5411,6102 @@ app.get('/api/versions/:version_id/statistics', (req, res) => {
     `
   };
 
-  const stats = {};
-  let completed = 0;
-  const totalQueries = Object.keys(queries).length;
+  const stats = {};
+  let completed = 0;
+  const totalQueries = Object.keys(queries).length;
+
+  Object.entries(queries).forEach(([key, query]) => {
+    const params = key === 'bugFixes' ? [version_id] :
+                  key === 'knownIssues' ? [version_id] :
+                  key === 'newFeatures' ? [version_id] : [version_id];
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        console.error(`Error in ${key}:`, err);
+        // Return empty array for array fields, 0 for counts
+        if (key === 'bugFixes' || key === 'knownIssues' || key === 'newFeatures' || key === 'testsByStatus' || key === 'moduleStats') {
+          stats[key] = [];
+        } else {
+          stats[key] = 0;
+        }
+      } else {
+        // For count queries, return the count value, for array queries return the rows
+        if (rows.length === 1 && rows[0].count !== undefined) {
+          stats[key] = rows[0].count;
+        } else {
+          stats[key] = rows || [];
+        }
+      }
+
+      completed++;
+      if (completed === totalQueries) {
+        res.json(stats);
+      }
+    });
+  });
+});
+
+// ============ BUG WORKFLOW ============
+
+// Default status graph. Roles listed are the only ones allowed to make the move (null = anyone
+// with bugs:write); required fields must be sent with the status change
+const LEADS = ['admin', 'lead'];
+const DEVELOPERS = ['admin', 'lead', 'developer'];
+const TESTERS = ['admin', 'lead', 'tester'];
+
+const DEFAULT_BUG_WORKFLOW = [
+  { from: 'New', to: 'Triaged', roles: LEADS },
+  { from: 'New', to: 'Assigned', roles: LEADS },
+  { from: 'New', to: 'Rejected', roles: LEADS, required: ['resolution'] },
+  { from: 'Triaged', to: 'Assigned', roles: LEADS },
+  { from: 'Triaged', to: 'Rejected', roles: LEADS, required: ['resolution'] },
+  { from: 'Assigned', to: 'In Progress', roles: DEVELOPERS },
+  { from: 'Assigned', to: 'Rejected', roles: LEADS, required: ['resolution'] },
+  { from: 'In Progress', to: 'Assigned', roles: DEVELOPERS },
+  { from: 'In Progress', to: 'Fixed', roles: DEVELOPERS, required: ['resolution'] },
+  { from: 'In Progress', to: 'Rejected', roles: LEADS, required: ['resolution'] },
+  { from: 'Fixed', to: 'Ready for Test', roles: DEVELOPERS },
+  { from: 'Fixed', to: 'Reopened', roles: null, required: ['comment'] },
+  { from: 'Ready for Test', to: 'Verified', roles: TESTERS, required: ['verifier_id'] },
+  { from: 'Ready for Test', to: 'Reopened', roles: null, required: ['comment'] },
+  { from: 'Verified', to: 'Closed', roles: TESTERS },
+  { from: 'Verified', to: 'Reopened', roles: null, required: ['comment'] },
+  { from: 'Closed', to: 'Reopened', roles: null, required: ['comment'] },
+  { from: 'Reopened', to: 'Assigned', roles: LEADS },
+  { from: 'Reopened', to: 'In Progress', roles: DEVELOPERS },
+  { from: 'Reopened', to: 'Rejected', roles: LEADS, required: ['resolution'] },
+  { from: 'Rejected', to: 'Reopened', roles: null, required: ['comment'] }
+];
+
+const TRANSITION_FIELDS = ['resolution', 'verifier_id', 'comment'];
+
+function seedBugWorkflow(callback) {
+  db.serialize(() => {
+    db.run(`DELETE FROM bug_workflow_transitions`);
+    const stmt = db.prepare(
+      `INSERT INTO bug_workflow_transitions (from_status, to_status, allowed_roles, required_fields, updated_by)
+       VALUES (?, ?, ?, ?, 'system')`
+    );
+    DEFAULT_BUG_WORKFLOW.forEach(t => {
+      stmt.run(t.from, t.to, t.roles ? JSON.stringify(t.roles) : null, JSON.stringify(t.required || []));
+    });
+    stmt.finalize(callback);
+  });
+}
+
+function formatTransition(row) {
+  return {
+    ...row,
+    allowed_roles: row.allowed_roles ? safeJsonParse(row.allowed_roles, []) : null,
+    required_fields: safeJsonParse(row.required_fields, []),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+function canUseTransition(user, transition) {
+  return hasPermission(user, 'bugs:write') &&
+    (!transition.allowed_roles || transition.allowed_roles.includes(user.role));
+}
+
+// Validate moving a bug from one status to another. Calls back with (err, failure, context):
+// failure is { status, body } ready to send, context carries values the update needs (the verifier)
+function checkBugTransition(user, fromStatus, toStatus, fields, callback) {
+  if (!BUG_STATUSES.includes(toStatus)) {
+    return callback(null, {
+      status: 400,
+      body: { error: `Invalid status. Must be one of: ${BUG_STATUSES.join(', ')}` }
+    });
+  }
+  if (fromStatus === toStatus) {
+    return callback(null, { status: 400, body: { error: `Bug is already ${toStatus}` } });
+  }
+
+  db.all(
+    `SELECT * FROM bug_workflow_transitions WHERE from_status = ? AND is_active = 1`,
+    [fromStatus],
+    (err, rows) => {
+      if (err) return callback(err);
+
+      const transitions = rows.map(formatTransition);
+      const transition = transitions.find(t => t.to_status === toStatus);
+
+      if (!transition) {
+        return callback(null, {
+          status: 409,
+          body: {
+            error: `Transition not allowed: ${fromStatus} → ${toStatus}`,
+            allowed_transitions: transitions.filter(t => canUseTransition(user, t)).map(t => t.to_status)
+          }
+        });
+      }
+
+      if (!canUseTransition(user, transition)) {
+        return callback(null, {
+          status: 403,
+          body: {
+            error: `Your role (${user.role}) cannot move bugs from ${fromStatus} to ${toStatus}`,
+            allowed_roles: transition.allowed_roles
+          }
+        });
+      }
+
+      const missing = transition.required_fields.filter(field =>
+        fields[field] === undefined || fields[field] === null || String(fields[field]).trim() === ''
+      );
+      if (missing.length > 0) {
+        return callback(null, {
+          status: 400,
+          body: {
+            error: `Missing required fields for ${fromStatus} → ${toStatus}: ${missing.join(', ')}`,
+            missing_fields: missing
+          }
+        });
+      }
+
+      if (fields.resolution !== undefined && fields.resolution !== null && !BUG_RESOLUTIONS.includes(fields.resolution)) {
+        return callback(null, {
+          status: 400,
+          body: { error: `Invalid resolution. Must be one of: ${BUG_RESOLUTIONS.join(', ')}` }
+        });
+      }
+
+      if (!transition.required_fields.includes('verifier_id') || !fields.verifier_id) {
+        return callback(null, null, {});
+      }
+
+      db.get(
+        `SELECT id, name, email FROM users WHERE id = ? AND status = 'active'`,
+        [fields.verifier_id],
+        (err, verifier) => {
+          if (err) return callback(err);
+          if (!verifier) {
+            return callback(null, { status: 400, body: { error: 'Verifier not found or inactive' } });
+          }
+          callback(null, null, { verifier });
+        }
+      );
+    }
+  );
+}
+
+// Columns a status change sets besides status itself, once checkBugTransition has accepted it.
+// bug is the current row (for the reopen counter)
+function getTransitionColumns(toStatus, fields, context, bug) {
+  const now = toSqlDateTime(new Date());
+  const columns = { status: toStatus };
+
+  if (toStatus === 'Fixed' || toStatus === 'Rejected') {
+    columns.resolution = fields.resolution || (toStatus === 'Fixed' ? 'Fixed' : 'Won\'t Fix');
+    columns.resolved_at = now;
+  } else if (toStatus === 'Verified') {
+    columns.verified_at = now;
+    if (context.verifier) {
+      columns.verifier_id = context.verifier.id;
+      columns.verifier_name = context.verifier.name;
+      columns.verifier_email = context.verifier.email;
+    }
+  } else if (toStatus === 'Reopened') {
+    columns.resolution = null;
+    columns.resolved_at = null;
+    columns.verified_at = null;
+    columns.reopen_count = (bug.reopen_count || 0) + 1;
+    columns.last_reopened_at = now;
+    columns.last_reopen_reason = fields.comment || null;
+    // Reopening settles a suspected regression
+    columns.regression_suspected = 0;
+  }
+
+  return columns;
+}
+
+// The comment that accompanies a transition (required for Reopened) is stored as a regular bug comment
+function addTransitionComment(bugId, fromStatus, toStatus, comment, user) {
+  if (!comment) return;
+  db.run(
+    `INSERT INTO bug_comments (bug_id, comment_text, author_id, author_name, author_email, is_internal)
+     VALUES (?, ?, ?, ?, ?, 0)`,
+    [bugId, `[${fromStatus} → ${toStatus}] ${comment}`, user.id, user.name, user.email],
+    (err) => {
+      if (err) console.error('Error saving transition comment:', err);
+    }
+  );
+}
+
+// ============ DUPLICATE DETECTION ============
+
+const DUPLICATE_SCORE_THRESHOLD = parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.35;
+const DUPLICATE_CANDIDATE_LIMIT = 500;
+const DUPLICATE_SUGGESTION_LIMIT = 5;
+
+const SIMILARITY_STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'is', 'are', 'was', 'were',
+  'be', 'it', 'this', 'that', 'when', 'not', 'no', 'does', 'do', 'from', 'by', 'as', 'after', 'before'
+]);
+
+// JSON array columns may hold NULL, an array, or legacy non-array values
+function parseJsonArray(value) {
+  const parsed = safeJsonParse(value, []);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !SIMILARITY_STOP_WORDS.has(token))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Weighted score between 0 and 1 - title wording dominates, module and shared linked tests add evidence
+function scoreDuplicate(bug, candidate) {
+  const titleScore = jaccard(tokenize(bug.title), tokenize(candidate.title));
+  const descriptionScore = jaccard(tokenize(bug.description), tokenize(candidate.description));
+  const sameModule = !!bug.module_id && bug.module_id === candidate.module_id;
+  const testsScore = jaccard(new Set(parseJsonArray(bug.linked_tests)), new Set(parseJsonArray(candidate.linked_tests)));
+
+  const score = 0.5 * titleScore + 0.2 * descriptionScore + (sameModule ? 0.1 : 0) + 0.2 * testsScore;
+  const reasons = [];
+  if (titleScore > 0) reasons.push(`title ${Math.round(titleScore * 100)}% similar`);
+  if (descriptionScore > 0) reasons.push(`description ${Math.round(descriptionScore * 100)}% similar`);
+  if (sameModule) reasons.push('same module');
+  if (testsScore > 0) reasons.push('shares linked tests');
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+// bug is { bug_id?, title, description, module_id, linked_tests } - linked_tests may be an array or JSON
+function findDuplicateCandidates(bug, callback) {
+  db.all(
+    `SELECT bug_id, title, description, module_id, linked_tests, status, priority, created_at
+     FROM bugs
+     WHERE bug_id != ? AND (is_deleted = 0 OR is_deleted IS NULL)
+       AND (resolution IS NULL OR resolution != 'Duplicate')
+     ORDER BY updated_at DESC
+     LIMIT ?`,
+    [bug.bug_id || '', DUPLICATE_CANDIDATE_LIMIT],
+    (err, rows) => {
+      if (err) return callback(err);
+
+      const suggestions = rows
+        .map(candidate => ({ candidate, ...scoreDuplicate(bug, candidate) }))
+        .filter(match => match.score >= DUPLICATE_SCORE_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, DUPLICATE_SUGGESTION_LIMIT)
+        .map(({ candidate, score, reasons }) => ({
+          bug_id: candidate.bug_id,
+          title: candidate.title,
+          status: candidate.status,
+          priority: candidate.priority,
+          module_id: candidate.module_id,
+          created_at: candidate.created_at,
+          score,
+          reasons
+        }));
+
+      callback(null, suggestions);
+    }
+  );
+}
+
+// Move everything that belongs to the duplicate onto the canonical bug and close the duplicate
+async function mergeDuplicateBug(canonical, duplicate, user, comment) {
+  return withTransaction(async () => {
+    const now = toSqlDateTime(new Date());
+
+    const comments = await dbRun(`UPDATE bug_comments SET bug_id = ? WHERE bug_id = ?`, [canonical.bug_id, duplicate.bug_id]);
+    const attachments = await dbRun(`UPDATE bug_attachments SET bug_id = ? WHERE bug_id = ?`, [canonical.bug_id, duplicate.bug_id]);
+    const history = await dbRun(
+      `UPDATE bug_history SET bug_id = ?, merged_from = ? WHERE bug_id = ?`,
+      [canonical.bug_id, duplicate.bug_id, duplicate.bug_id]
+    );
+
+    // Watchers follow the canonical bug; anyone already on it keeps their own setting
+    const watchers = await dbRun(
+      `INSERT OR IGNORE INTO watchers (entity_type, entity_id, user_id, reason, is_watching, last_viewed_at)
+       SELECT 'bug', ?, user_id, reason, is_watching, last_viewed_at FROM watchers
+       WHERE entity_type = 'bug' AND entity_id = ?`,
+      [canonical.bug_id, duplicate.bug_id]
+    );
+    await dbRun(`DELETE FROM watchers WHERE entity_type = 'bug' AND entity_id = ?`, [duplicate.bug_id]);
+
+    const union = (a, b) => [...new Set([...parseJsonArray(a), ...parseJsonArray(b)])];
+    const linkedTests = union(canonical.linked_tests, duplicate.linked_tests);
+    const canonicalAttachments = union(canonical.attachments, duplicate.attachments);
+
+    await dbRun(
+      `UPDATE bugs SET linked_tests = ?, attachments = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
+      [JSON.stringify(linkedTests), JSON.stringify(canonicalAttachments), canonical.bug_id]
+    );
+    await dbRun(
+      `UPDATE bugs SET status = 'Closed', resolution = 'Duplicate', resolved_at = ?, attachments = '[]',
+         updated_at = CURRENT_TIMESTAMP
+       WHERE bug_id = ?`,
+      [now, duplicate.bug_id]
+    );
+
+    // The duplicates link also puts each bug in the other's related_bugs
+    await dbRun(
+      `INSERT OR IGNORE INTO bug_links (source_bug_id, target_bug_id, link_type, created_by_id, created_by_name)
+       VALUES (?, ?, 'duplicates', ?, ?)`,
+      [duplicate.bug_id, canonical.bug_id, user.id, user.name]
+    );
+    await syncBugLinkColumns([canonical.bug_id, duplicate.bug_id]);
+
+    // Old IDs (including ones previously merged into the duplicate) now resolve to the canonical bug
+    await dbRun(`UPDATE bug_redirects SET new_bug_id = ? WHERE new_bug_id = ?`, [canonical.bug_id, duplicate.bug_id]);
+    await dbRun(
+      `INSERT INTO bug_redirects (old_bug_id, new_bug_id, merged_by_id, merged_by_name) VALUES (?, ?, ?, ?)`,
+      [duplicate.bug_id, canonical.bug_id, user.id, user.name]
+    );
+
+    await dbRun(
+      `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
+       VALUES (?, 'Duplicate Merged', 'related_bugs', ?, ?, ?)`,
+      [canonical.bug_id, duplicate.bug_id, user.id, user.name]
+    );
+    await dbRun(
+      `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+       VALUES (?, 'Marked Duplicate', 'status', ?, ?, ?, ?)`,
+      [duplicate.bug_id, duplicate.status, `Closed (duplicate of ${canonical.bug_id})`, user.id, user.name]
+    );
+
+    if (comment) {
+      await dbRun(
+        `INSERT INTO bug_comments (bug_id, comment_text, author_id, author_name, author_email, is_internal)
+         VALUES (?, ?, ?, ?, ?, 0)`,
+        [canonical.bug_id, `[Merged ${duplicate.bug_id}] ${comment}`, user.id, user.name, user.email]
+      );
+    }
+
+    const timeLogs = await dbRun(
+      `UPDATE time_logs SET entity_id = ? WHERE entity_type = 'bug' AND entity_id = ?`,
+      [canonical.bug_id, duplicate.bug_id]
+    );
+    if (timeLogs.changes > 0) {
+      await rollupActualHours('bug', canonical.bug_id);
+      await rollupActualHours('bug', duplicate.bug_id);
+    }
+
+    return {
+      comments: comments.changes,
+      attachments: attachments.changes,
+      history: history.changes,
+      watchers: watchers.changes,
+      time_logs: timeLogs.changes,
+      linked_tests: linkedTests.length - parseJsonArray(canonical.linked_tests).length
+    };
+  });
+}
+
+// ============ BUG LINKS ============
+
+// Link types as seen from the bug a request is about. Each maps to the stored link_type and whether
+// that bug is the source of the row. relates_to is symmetric and stored with source < target
+const BUG_LINK_ROLES = {
+  child: { link_type: 'parent_of', outgoing: true, label: 'is the parent of' },
+  parent: { link_type: 'parent_of', outgoing: false, label: 'is a child of' },
+  blocks: { link_type: 'blocks', outgoing: true, label: 'blocks' },
+  blocked_by: { link_type: 'blocks', outgoing: false, label: 'is blocked by' },
+  relates_to: { link_type: 'relates_to', outgoing: true, label: 'relates to' },
+  duplicates: { link_type: 'duplicates', outgoing: true, label: 'duplicates' },
+  duplicated_by: { link_type: 'duplicates', outgoing: false, label: 'is duplicated by' }
+};
+
+// A bug in one of these statuses no longer holds up its parent or the bugs it blocks
+const BUG_DONE_STATUSES = ['Closed', 'Rejected'];
+const BUG_GRAPH_MAX_DEPTH = 5;
+
+function getLinkRole(link, bugId) {
+  if (link.link_type === 'relates_to') return 'relates_to';
+  const outgoing = link.source_bug_id === bugId;
+  return Object.keys(BUG_LINK_ROLES).find(role =>
+    BUG_LINK_ROLES[role].link_type === link.link_type && BUG_LINK_ROLES[role].outgoing === outgoing
+  );
+}
+
+// Whether following linkType edges (source → target) from one bug reaches another
+async function isBugReachable(linkType, fromBugId, toBugId) {
+  const row = await dbGet(
+    `WITH RECURSIVE reach(bug_id) AS (
+       SELECT ?
+       UNION
+       SELECT l.target_bug_id FROM bug_links l JOIN reach r ON l.source_bug_id = r.bug_id
+       WHERE l.link_type = ?
+     )
+     SELECT 1 AS found FROM reach WHERE bug_id = ? LIMIT 1`,
+    [fromBugId, linkType, toBugId]
+  );
+  return Boolean(row);
+}
+
+// Why a new link may not be stored, as { status, body }, or null when it is fine
+async function checkBugLink(linkType, sourceBugId, targetBugId) {
+  const existing = await dbGet(
+    `SELECT id FROM bug_links WHERE link_type = ? AND source_bug_id = ? AND target_bug_id = ?`,
+    [linkType, sourceBugId, targetBugId]
+  );
+  if (existing) {
+    return { status: 409, body: { error: 'These bugs are already linked this way', link_id: existing.id } };
+  }
+
+  if (linkType === 'parent_of') {
+    const parent = await dbGet(
+      `SELECT source_bug_id FROM bug_links WHERE target_bug_id = ? AND link_type = 'parent_of'`,
+      [targetBugId]
+    );
+    if (parent) {
+      return { status: 409, body: { error: `${targetBugId} already has parent ${parent.source_bug_id}` } };
+    }
+  }
+
+  if (linkType !== 'relates_to' && await isBugReachable(linkType, targetBugId, sourceBugId)) {
+    return {
+      status: 409,
+      body: { error: `Linking would create a cycle: ${targetBugId} already leads back to ${sourceBugId} through '${linkType}' links` }
+    };
+  }
+
+  return null;
+}
+
+// Rewrite bugs.parent_bug_id and bugs.related_bugs (relates_to and duplicates peers) from bug_links
+async function syncBugLinkColumns(bugIds) {
+  for (const bugId of new Set(bugIds)) {
+    const parent = await dbGet(
+      `SELECT source_bug_id FROM bug_links WHERE target_bug_id = ? AND link_type = 'parent_of'`,
+      [bugId]
+    );
+    const peers = await dbAll(
+      `SELECT CASE WHEN source_bug_id = ? THEN target_bug_id ELSE source_bug_id END AS bug_id
+       FROM bug_links
+       WHERE (source_bug_id = ? OR target_bug_id = ?) AND link_type IN ('relates_to', 'duplicates')
+       ORDER BY id`,
+      [bugId, bugId, bugId]
+    );
+    await dbRun(
+      `UPDATE bugs SET parent_bug_id = ?, related_bugs = ? WHERE bug_id = ?`,
+      [parent ? parent.source_bug_id : null, JSON.stringify([...new Set(peers.map(peer => peer.bug_id))]), bugId]
+    );
+  }
+}
+
+// Record a link change in the history of both bugs, each from its own side
+async function logBugLinkChange(link, action, user) {
+  for (const bugId of [link.source_bug_id, link.target_bug_id]) {
+    const otherBugId = bugId === link.source_bug_id ? link.target_bug_id : link.source_bug_id;
+    await dbRun(
+      `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [bugId, action, getLinkRole(link, bugId),
+       action === 'Link Removed' ? otherBugId : null,
+       action === 'Link Added' ? otherBugId : null,
+       user.id, user.name]
+    );
+  }
+}
+
+// A parent bug can only be closed once all of its children are done
+async function checkOpenChildren(bugId, toStatus) {
+  if (toStatus !== 'Closed') return null;
+
+  const children = await dbAll(
+    `SELECT b.bug_id, b.title, b.status
+     FROM bug_links l
+     JOIN bugs b ON b.bug_id = l.target_bug_id
+     WHERE l.source_bug_id = ? AND l.link_type = 'parent_of'
+       AND b.status NOT IN (${BUG_DONE_STATUSES.map(() => '?').join(', ')})
+       AND (b.is_deleted = 0 OR b.is_deleted IS NULL)`,
+    [bugId, ...BUG_DONE_STATUSES]
+  );
+  if (children.length === 0) return null;
+
+  return {
+    status: 409,
+    body: {
+      error: `Cannot close ${bugId} while ${children.length} child bug(s) are still open`,
+      open_children: children
+    }
+  };
+}
+
+function formatLinkedBug(bug) {
+  return bug ? {
+    bug_id: bug.bug_id,
+    title: bug.title,
+    status: bug.status,
+    priority: bug.priority,
+    severity: bug.severity,
+    assignee_name: bug.assignee_name,
+    is_open: !BUG_DONE_STATUSES.includes(bug.status) && !bug.is_deleted
+  } : null;
+}
+
+// ============ BUG SLAS ============
+
+// A policy is met once the bug reaches its target status or any status after it in this order.
+// Rejected settles every SLA; Reopened puts the bug back on the clock
+const SLA_STATUS_ORDER = ['New', 'Triaged', 'Assigned', 'In Progress', 'Fixed', 'Ready for Test', 'Verified', 'Closed'];
+const SLA_TARGET_STATUSES = SLA_STATUS_ORDER.slice(1);
+
+const DEFAULT_SLA_POLICIES = [
+  { name: 'P1 / Critical', priority: 'P1', severity: 'Critical', target_hours: 24 },
+  { name: 'P1', priority: 'P1', severity: null, target_hours: 40 },
+  { name: 'P2', priority: 'P2', severity: null, target_hours: 80 },
+  { name: 'P3', priority: 'P3', severity: null, target_hours: 160 }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function seedSlaPolicies(callback) {
+  const stmt = db.prepare(
+    `INSERT INTO sla_policies (name, priority, severity, target_status, target_hours, business_hours, created_by)
+     VALUES (?, ?, ?, 'Fixed', ?, 1, 'system')`
+  );
+  DEFAULT_SLA_POLICIES.forEach(p => stmt.run(p.name, p.priority, p.severity, p.target_hours));
+  stmt.finalize((err) => {
+    if (err) return callback(err);
+    // Existing open bugs get a deadline as soon as there are policies to match
+    recalculateOpenBugSlas().then(() => callback(null), callback);
+  });
+}
+
+function formatSlaPolicy(row) {
+  return {
+    ...row,
+    business_hours: Boolean(row.business_hours),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+function describeSlaPolicy(policy) {
+  return `${policy.name}: ${policy.target_status} within ${policy.target_hours} ${policy.business_hours ? 'business ' : ''}hours`;
+}
+
+function slaTargetReached(status, targetStatus) {
+  if (status === 'Rejected') return true;
+  const index = SLA_STATUS_ORDER.indexOf(status);
+  return index !== -1 && index >= SLA_STATUS_ORDER.indexOf(targetStatus);
+}
+
+// The most specific active policy wins (priority and severity, then priority, then severity,
+// then a catch-all); among equally specific ones the strictest
+function matchSlaPolicy(policies, bug) {
+  const specificity = policy => (policy.priority ? 2 : 0) + (policy.severity ? 1 : 0);
+
+  return policies
+    .filter(policy => policy.is_active &&
+      (!policy.priority || policy.priority === bug.priority) &&
+      (!policy.severity || policy.severity === bug.severity))
+    .sort((a, b) => specificity(b) - specificity(a) || a.target_hours - b.target_hours)[0] || null;
+}
+
+function businessHoursConfigured() {
+  return BUSINESS_HOURS_END > BUSINESS_HOURS_START &&
+    BUSINESS_DAYS.some(day => day >= 0 && day <= 6);
+}
+
+// Add working hours to a date, skipping nights and non-business days. The cursor is shifted into
+// the business time zone so that UTC day/time arithmetic reads local wall-clock values
+function addBusinessHours(start, hours) {
+  const offset = BUSINESS_HOURS_UTC_OFFSET * 60 * 1000;
+  const dayStart = BUSINESS_HOURS_START * HOUR_MS;
+  const dayEnd = BUSINESS_HOURS_END * HOUR_MS;
+  let cursor = start.getTime() + offset;
+  let remaining = hours * HOUR_MS;
+
+  while (true) {
+    const midnight = cursor - (((cursor % DAY_MS) + DAY_MS) % DAY_MS);
+    const weekday = new Date(midnight).getUTCDay();
+
+    if (!BUSINESS_DAYS.includes(weekday) || cursor >= midnight + dayEnd) {
+      cursor = midnight + DAY_MS + dayStart;
+      continue;
+    }
+    cursor = Math.max(cursor, midnight + dayStart);
+
+    const available = midnight + dayEnd - cursor;
+    if (remaining <= available) {
+      return new Date(cursor + remaining - offset);
+    }
+    remaining -= available;
+    cursor = midnight + DAY_MS + dayStart;
+  }
+}
+
+function computeSlaDueDate(start, policy) {
+  if (!policy.business_hours || !businessHoursConfigured()) {
+    return new Date(start.getTime() + policy.target_hours * HOUR_MS);
+  }
+  return addBusinessHours(start, policy.target_hours);
+}
+
+// The SLA clock runs from the last reopen, or from creation for a bug that was never reopened
+function getSlaClockStart(bug) {
+  return fromSqlDateTime(bug.last_reopened_at || bug.created_at);
+}
+
+// on_track / at_risk / breached for bugs still on the clock, met / met_late once the target
+// status was reached. At risk = less than SLA_AT_RISK_RATIO of the (wall-clock) window left
+function getSlaState(bug, now = new Date()) {
+  if (!bug.sla_due_at) return null;
+  if (bug.sla_met_at) return bug.sla_breached_at ? 'met_late' : 'met';
+
+  const due = fromSqlDateTime(bug.sla_due_at);
+  if (bug.sla_breached_at || due <= now) return 'breached';
+
+  const span = due - getSlaClockStart(bug);
+  return due - now <= span * SLA_AT_RISK_RATIO ? 'at_risk' : 'on_track';
+}
+
+// Mark a bug's SLA as breached (at its due date) and record it in the bug history, once
+async function recordSlaBreach(bugId, dueAt, policy) {
+  const result = await dbRun(
+    `UPDATE bugs SET sla_breached_at = ? WHERE bug_id = ? AND sla_breached_at IS NULL`,
+    [dueAt, bugId]
+  );
+  if (result.changes === 0) return false;
+
+  await dbRun(
+    `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+     VALUES (?, 'SLA Breached', 'sla_due_at', ?, ?, 'system', 'SLA monitor')`,
+    [bugId, dueAt, describeSlaPolicy(policy)]
+  );
+  return true;
+}
+
+// Bring a bug's SLA columns up to date after it was created or changed. With recalculate the
+// policy is matched again and the due date recomputed from the clock start (priority/severity
+// changes, reopening); otherwise only the met/breached state follows the bug's status
+async function syncBugSla(bugId, { recalculate = false, user = null } = {}) {
+  const bug = await dbGet(
+    `SELECT bug_id, priority, severity, status, created_at, last_reopened_at, is_deleted,
+            sla_policy_id, sla_due_at, sla_met_at, sla_breached_at
+     FROM bugs WHERE bug_id = ?`,
+    [bugId]
+  );
+  if (!bug) return null;
+
+  const policies = (await dbAll(`SELECT * FROM sla_policies`)).map(formatSlaPolicy);
+  let policy = policies.find(p => p.id === bug.sla_policy_id) || null;
+  const columns = {};
+
+  if (recalculate) {
+    policy = matchSlaPolicy(policies, bug);
+    const policyId = policy ? policy.id : null;
+    const dueAt = policy ? toSqlDateTime(computeSlaDueDate(getSlaClockStart(bug), policy)) : null;
+
+    if (policyId !== bug.sla_policy_id || dueAt !== bug.sla_due_at) {
+      // A new deadline is judged afresh - the old breach stays in the history
+      Object.assign(columns, { sla_policy_id: policyId, sla_due_at: dueAt, sla_breached_at: null });
+    }
+  }
+
+  if (!policy) {
+    if (Object.keys(columns).length > 0) columns.sla_met_at = null;
+  } else {
+    const reached = slaTargetReached(bug.status, policy.target_status);
+    if (reached && !bug.sla_met_at) columns.sla_met_at = toSqlDateTime(new Date());
+    else if (!reached && bug.sla_met_at) columns.sla_met_at = null;
+  }
+
+  const current = { ...bug, ...columns };
+  const keys = Object.keys(columns);
+
+  if (keys.length > 0) {
+    await dbRun(
+      `UPDATE bugs SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE bug_id = ?`,
+      [...keys.map(key => columns[key]), bugId]
+    );
+  }
+
+  if (bug.sla_due_at && 'sla_due_at' in columns && user) {
+    await dbRun(
+      `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+       VALUES (?, 'SLA Recalculated', 'sla_due_at', ?, ?, ?, ?)`,
+      [bugId, bug.sla_due_at, current.sla_due_at, user.id, user.name]
+    );
+  }
+
+  // Deadlines that already passed are recorded now instead of waiting for the next sweep
+  if (policy && current.sla_due_at && !current.sla_breached_at && !bug.is_deleted) {
+    const due = fromSqlDateTime(current.sla_due_at);
+    const settledAt = current.sla_met_at ? fromSqlDateTime(current.sla_met_at) : new Date();
+    if (settledAt > due && await recordSlaBreach(bugId, current.sla_due_at, policy)) {
+      current.sla_breached_at = current.sla_due_at;
+    }
+  }
+
+  return current;
+}
+
+// Re-match every unresolved bug, e.g. after the policies changed
+async function recalculateOpenBugSlas(user = null) {
+  const bugs = await dbAll(
+    `SELECT bug_id FROM bugs
+     WHERE status IN (${BUG_OPEN_STATUSES.map(() => '?').join(', ')})
+       AND (is_deleted = 0 OR is_deleted IS NULL)`,
+    BUG_OPEN_STATUSES
+  );
+  for (const bug of bugs) {
+    await syncBugSla(bug.bug_id, { recalculate: true, user });
+  }
+  return bugs.length;
+}
+
+// Record breaches for bugs whose deadline passed without anyone touching them
+async function sweepSlaBreaches() {
+  const overdue = await dbAll(
+    `SELECT b.bug_id, b.sla_due_at, p.name, p.target_status, p.target_hours, p.business_hours
+     FROM bugs b
+     JOIN sla_policies p ON p.id = b.sla_policy_id
+     WHERE b.sla_due_at <= ? AND b.sla_met_at IS NULL AND b.sla_breached_at IS NULL
+       AND (b.is_deleted = 0 OR b.is_deleted IS NULL)`,
+    [toSqlDateTime(new Date())]
+  );
+
+  let breached = 0;
+  for (const bug of overdue) {
+    if (await recordSlaBreach(bug.bug_id, bug.sla_due_at, formatSlaPolicy(bug))) breached++;
+  }
+  return breached;
+}
+
+setInterval(() => {
+  sweepSlaBreaches()
+    .then(count => {
+      if (count > 0) console.log(`SLA monitor: ${count} bug(s) breached their SLA`);
+    })
+    .catch(err => console.error('Error checking SLA breaches:', err));
+}, SLA_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+
+function validateSlaPolicy(body) {
+  const { name, priority = null, severity = null, target_status = 'Fixed', target_hours } = body;
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim() === '') errors.push({ field: 'name', message: 'Name is required' });
+  if (priority !== null && !BUG_PRIORITIES.includes(priority)) {
+    errors.push({ field: 'priority', message: `Must be null or one of: ${BUG_PRIORITIES.join(', ')}` });
+  }
+  if (severity !== null && !BUG_SEVERITIES.includes(severity)) {
+    errors.push({ field: 'severity', message: `Must be null or one of: ${BUG_SEVERITIES.join(', ')}` });
+  }
+  if (!SLA_TARGET_STATUSES.includes(target_status)) {
+    errors.push({ field: 'target_status', message: `Must be one of: ${SLA_TARGET_STATUSES.join(', ')}` });
+  }
+  if (typeof target_hours !== 'number' || !(target_hours > 0)) {
+    errors.push({ field: 'target_hours', message: 'Must be a positive number' });
+  }
+  return errors;
+}
+
+// ============ REGRESSION DETECTION ============
+
+// Bugs in these states are considered done; a failing linked test means the problem is back
+const REGRESSION_WATCH_STATUSES = ['Verified', 'Closed'];
+const REGRESSION_ACTOR = { id: 'system', name: 'Regression monitor' };
+
+function isFailingResult(status) {
+  return ['FAIL', 'FAILED'].includes(String(status || '').trim().toUpperCase());
+}
+
+function isPassingResult(status) {
+  return ['PASS', 'PASSED'].includes(String(status || '').trim().toUpperCase());
+}
+
+// Done bugs that list the test in linked_tests. Duplicates are skipped - their tests moved to the canonical bug
+function findRegressionCandidates(testCaseId) {
+  return dbAll(
+    `SELECT * FROM bugs
+     WHERE status IN (${REGRESSION_WATCH_STATUSES.map(() => '?').join(', ')})
+       AND COALESCE(is_deleted, 0) = 0
+       AND COALESCE(resolution, '') != 'Duplicate'
+       AND EXISTS (
+         SELECT 1 FROM json_each(CASE WHEN json_valid(linked_tests) AND json_type(linked_tests) = 'array' THEN linked_tests ELSE '[]' END)
+         WHERE value = ?)`,
+    [...REGRESSION_WATCH_STATUSES, testCaseId]
+  );
+}
+
+// Called for every recorded test result. A FAIL on a test linked to a verified/closed bug either
+// reopens the bug or flags it (REGRESSION_ACTION); either way bug_history points at the session.
+// Resolves to [{ bug_id, action }]
+async function detectRegressions(result) {
+  if (!result.test_case_id || !isFailingResult(result.status)) return [];
+
+  const bugs = await findRegressionCandidates(result.test_case_id);
+  const detected = [];
+  const now = toSqlDateTime(new Date());
+  const reason = `Linked test ${result.test_case_id} failed in session ${result.session_id || 'unknown'}`;
+
+  for (const bug of bugs) {
+    // A bug already flagged stays flagged; the first failing session is the one recorded
+    if (REGRESSION_ACTION === 'flag' && bug.regression_suspected) continue;
+
+    const columns = {
+      regression_detected_at: now,
+      regression_session_id: result.session_id || null,
+      regression_test_id: result.test_case_id
+    };
+    if (REGRESSION_ACTION === 'reopen') {
+      Object.assign(columns, getTransitionColumns('Reopened', { comment: reason }, {}, bug));
+    } else {
+      columns.regression_suspected = 1;
+    }
+
+    const keys = Object.keys(columns);
+    const update = await dbRun(
+      `UPDATE bugs SET ${keys.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE bug_id = ? AND status = ?`,
+      [...keys.map(key => columns[key]), bug.bug_id, bug.status]
+    );
+    if (update.changes === 0) continue;
+
+    await dbRun(
+      `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+       VALUES (?, 'Regression Detected', 'session_id', ?, ?, ?, ?)`,
+      [bug.bug_id, result.test_case_id, result.session_id || null, REGRESSION_ACTOR.id, REGRESSION_ACTOR.name]
+    );
+    if (REGRESSION_ACTION === 'reopen') {
+      await dbRun(
+        `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+         VALUES (?, 'Status Changed', 'status', ?, 'Reopened', ?, ?)`,
+        [bug.bug_id, bug.status, REGRESSION_ACTOR.id, REGRESSION_ACTOR.name]
+      );
+      addTransitionComment(bug.bug_id, bug.status, 'Reopened', reason, REGRESSION_ACTOR);
+      await syncBugSla(bug.bug_id, { recalculate: true, user: REGRESSION_ACTOR })
+        .catch(err => console.error('Error updating bug SLA:', err));
+    }
+
+    console.log(`Regression ${REGRESSION_ACTION === 'reopen' ? 'reopened' : 'flagged'} ${bug.bug_id}: ${reason}`);
+    detected.push({ bug_id: bug.bug_id, action: REGRESSION_ACTION === 'reopen' ? 'reopened' : 'flagged' });
+  }
+
+  return detected;
+}
+
+// ============ BUG FILTERS ============
+
+// Criteria understood by GET /api/bugs, saved filters and bulk updates. Every list field takes one
+// value, an array or a comma-separated string. User fields also take "@me" (the current user) and
+// "none" or null (not set). Dates bound created_at / updated_at / resolved_at. A date-only *_to
+// includes that whole day
+const BUG_FILTER_LIST_FIELDS = {
+  status: BUG_STATUSES,
+  priority: BUG_PRIORITIES,
+  severity: BUG_SEVERITIES,
+  type: BUG_TYPES,
+  resolution: BUG_RESOLUTIONS,
+  module_id: null,
+  found_in_version: null,
+  fixed_in_version: null,
+  target_release: null
+};
+const BUG_FILTER_USER_FIELDS = ['assignee_id', 'reporter_id', 'verifier_id'];
+const BUG_FILTER_DATE_COLUMNS = { created: 'created_at', updated: 'updated_at', resolved: 'resolved_at' };
+const BUG_FILTER_DATE_KEYS = Object.keys(BUG_FILTER_DATE_COLUMNS).flatMap(prefix => [`${prefix}_from`, `${prefix}_to`]);
+const BUG_FILTER_SORTS = ['created_at', 'updated_at', 'priority', 'sla_due_at', 'reopen_count'];
+
+// Built-in personal queues. They behave like shared saved filters but cannot be edited
+const BUG_QUEUES = [
+  { filter_id: 'assigned-to-me', name: 'Assigned to me', criteria: { assignee_id: ['@me'], status: BUG_OPEN_STATUSES, sort: 'priority', order: 'asc' } },
+  { filter_id: 'reported-by-me', name: 'Reported by me', criteria: { reporter_id: ['@me'], show_rejected: 'false' } },
+  { filter_id: 'unassigned', name: 'Unassigned', criteria: { assignee_id: ['none'], status: BUG_OPEN_STATUSES } },
+  { filter_id: 'ready-for-test', name: 'Ready for test', criteria: { status: ['Ready for Test'] } },
+  { filter_id: 'sla-due', name: 'SLA due soonest', criteria: { status: BUG_OPEN_STATUSES, sort: 'sla_due_at', order: 'asc' } },
+  { filter_id: 'suspected-regressions', name: 'Suspected regressions', criteria: { regression_suspected: 'true' } }
+];
+
+function toFilterList(value) {
+  if (value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [value];
+}
+
+function parseFilterDate(value, endOfDay = false) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(Date.parse(value) + DAY_MS - 1000);
+  }
+  return new Date(value);
+}
+
+// Problems with a criteria object, as [{ field, message }]
+function validateBugCriteria(criteria) {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return [{ field: 'criteria', message: 'Must be an object' }];
+  }
+
+  const errors = [];
+  Object.keys(criteria).forEach(field => {
+    const value = criteria[field];
+    const values = toFilterList(value);
+
+    if (field in BUG_FILTER_LIST_FIELDS) {
+      const allowed = BUG_FILTER_LIST_FIELDS[field];
+      if (values.some(item => typeof item !== 'string' || (allowed && !allowed.includes(item)))) {
+        errors.push({ field, message: allowed ? `Must be one or more of: ${allowed.join(', ')}` : 'Must be a string or an array of strings' });
+      }
+    } else if (BUG_FILTER_USER_FIELDS.includes(field)) {
+      if (values.some(item => item !== null && typeof item !== 'string')) {
+        errors.push({ field, message: 'Must be user IDs, "@me" or "none"' });
+      }
+    } else if (field === 'tags') {
+      if (values.some(item => typeof item !== 'string')) {
+        errors.push({ field, message: 'Must be a string or an array of strings' });
+      }
+    } else if (BUG_FILTER_DATE_KEYS.includes(field)) {
+      if (!parseFilterDate(value)) errors.push({ field, message: 'Must be an ISO 8601 date' });
+    } else if (field === 'search') {
+      if (typeof value !== 'string') errors.push({ field, message: 'Must be a string' });
+    } else if (field === 'show_deleted') {
+      if (!['true', 'false', 'all'].includes(value)) errors.push({ field, message: 'Must be one of: true, false, all' });
+    } else if (field === 'show_rejected' || field === 'regression_suspected') {
+      if (!['true', 'false'].includes(value)) errors.push({ field, message: 'Must be one of: true, false' });
+    } else if (field === 'sort') {
+      if (!BUG_FILTER_SORTS.includes(value)) errors.push({ field, message: `Must be one of: ${BUG_FILTER_SORTS.join(', ')}` });
+    } else if (field === 'order') {
+      if (!['asc', 'desc'].includes(value)) errors.push({ field, message: 'Must be asc or desc' });
+    } else {
+      errors.push({ field, message: 'Unknown filter field' });
+    }
+  });
+  return errors;
+}
+
+// WHERE conditions for a criteria object, as a string of " AND ..." clauses and its parameters.
+// Unknown keys are ignored, so a raw req.query can be passed in
+function buildBugFilterQuery(filters, user = null) {
+  let where = '';
+  const params = [];
+
+  // Handle deleted and rejected filters
+  // show_deleted: 'true' = show only deleted, 'false' = hide deleted, 'all' = show all
+  // show_rejected: 'true' = show rejected (not deleted), 'false' = hide rejected
+  if (filters.show_deleted === 'false') {
+    where += ` AND (is_deleted = 0 OR is_deleted IS NULL)`;
+  } else if (filters.show_deleted === 'true') {
+    where += ` AND is_deleted = 1`;
+  }
+  // If show_deleted is 'all' or undefined, don't filter by is_deleted
+
+  if (filters.show_rejected === 'false') {
+    where += ` AND (status != 'Rejected' OR is_deleted = 1)`;
+  } else if (filters.show_rejected === 'true') {
+    where += ` AND status = 'Rejected' AND (is_deleted = 0 OR is_deleted IS NULL)`;
+  }
+
+  Object.keys(BUG_FILTER_LIST_FIELDS).forEach(field => {
+    const values = toFilterList(filters[field]).filter(value => value !== null);
+    if (values.length > 0) {
+      where += ` AND ${field} IN (${values.map(() => '?').join(', ')})`;
+      params.push(...values);
+    }
+  });
+
+  BUG_FILTER_USER_FIELDS.forEach(field => {
+    const values = toFilterList(filters[field]);
+    if (values.length === 0) return;
+
+    const ids = values
+      .filter(value => value !== null && value !== 'none')
+      .map(value => (value === '@me' ? (user ? user.id : null) : value))
+      .filter(value => value !== null);
+    const conditions = [];
+
+    if (ids.length > 0) {
+      conditions.push(`${field} IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+    if (values.some(value => value === null || value === 'none')) {
+      conditions.push(`${field} IS NULL OR ${field} = ''`);
+    }
+    // "@me" without a signed-in user matches nothing
+    where += ` AND (${conditions.length > 0 ? conditions.join(' OR ') : '0'})`;
+  });
+
+  const tags = toFilterList(filters.tags);
+  if (tags.length > 0) {
+    where += ` AND EXISTS (
+      SELECT 1 FROM json_each(CASE WHEN json_valid(tags) AND json_type(tags) = 'array' THEN tags ELSE '[]' END)
+      WHERE value IN (${tags.map(() => '?').join(', ')}))`;
+    params.push(...tags);
+  }
+
+  Object.keys(BUG_FILTER_DATE_COLUMNS).forEach(prefix => {
+    const column = BUG_FILTER_DATE_COLUMNS[prefix];
+    const from = parseFilterDate(filters[`${prefix}_from`]);
+    const to = parseFilterDate(filters[`${prefix}_to`], true);
+    if (from) {
+      where += ` AND ${column} >= ?`;
+      params.push(toSqlDateTime(from));
+    }
+    if (to) {
+      where += ` AND ${column} <= ?`;
+      params.push(toSqlDateTime(to));
+    }
+  });
+
+  if (filters.regression_suspected === 'true') {
+    where += ` AND regression_suspected = 1`;
+  } else if (filters.regression_suspected === 'false') {
+    where += ` AND COALESCE(regression_suspected, 0) = 0`;
+  }
+
+  if (filters.search) {
+    where += ` AND (title LIKE ? OR description LIKE ?)`;
+    params.push(`%${filters.search}%`, `%${filters.search}%`);
+  }
+
+  return { where, params };
+}
+
+// Saved filters leave deleted bugs out unless their criteria say otherwise
+function buildSavedFilterQuery(savedFilter, user) {
+  return buildBugFilterQuery({ show_deleted: 'false', ...savedFilter.criteria }, user);
+}
+
+function getBugFilterOrder(filters) {
+  const sort = BUG_FILTER_SORTS.includes(filters.sort) ? filters.sort : 'created_at';
+  const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+  return `${sort} IS NULL, ${sort} ${order}, created_at DESC`;
+}
+
+function formatBugFilter(row) {
+  return {
+    ...row,
+    criteria: safeJsonParse(row.criteria, {}),
+    is_shared: Boolean(row.is_shared),
+    builtin: false
+  };
+}
+
+// A queue or a saved filter the user may run (their own or a shared one), or null
+async function loadBugFilter(filterId, user) {
+  if (!filterId) return null;
+
+  const queue = BUG_QUEUES.find(q => q.filter_id === filterId);
+  if (queue) return { ...queue, is_shared: true, builtin: true };
+
+  const row = await dbGet(
+    `SELECT * FROM saved_bug_filters WHERE filter_id = ? AND (owner_id = ? OR is_shared = 1)`,
+    [filterId, user.id]
+  );
+  return row ? formatBugFilter(row) : null;
+}
+
+async function countBugsForFilter(savedFilter, user) {
+  const { where, params } = buildSavedFilterQuery(savedFilter, user);
+  const row = await dbGet(`SELECT COUNT(*) AS count FROM bugs WHERE 1=1${where}`, params);
+  return row.count;
+}
+
+// ============ WATCHERS ============
+
+// Watchable entities and the tables their activity is read from
+const WATCH_TARGETS = {
+  bug: {
+    table: 'bugs', key: 'bug_id', label: 'Bug', permission: 'bugs:read',
+    history: 'bug_history', comments: 'bug_comments',
+    path: (id) => `/api/bugs/${id}`
+  },
+  feature: {
+    table: 'upcoming_features', key: 'feature_id', label: 'Feature', permission: 'features:read',
+    history: 'feature_history', comments: 'feature_comments',
+    path: (id) => `/api/features/${id}`
+  }
+};
+
+// Auto-watch a reporter, assignee, commenter... An existing row is left alone so an explicit
+// unwatch sticks. Ids that are not users (free-typed assignees) are ignored
+function autoWatch(entityType, entityId, userId, reason, { viewed = false } = {}) {
+  if (!entityId || !userId) return Promise.resolve();
+  return dbRun(
+    `INSERT OR IGNORE INTO watchers (entity_type, entity_id, user_id, reason, last_viewed_at)
+     SELECT ?, ?, id, ?, ${viewed ? 'CURRENT_TIMESTAMP' : 'NULL'} FROM users WHERE id = ?`,
+    [entityType, entityId, reason, userId]
+  ).catch(err => console.error('Error adding watcher:', err));
+}
+
+// Reset the unread counters of one item (or all of a user's items) to now
+function markWatchedViewed(userId, entityType, entityId) {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    conditions.push('entity_id = ?');
+    params.push(entityId);
+  }
+  return dbRun(`UPDATE watchers SET last_viewed_at = CURRENT_TIMESTAMP WHERE ${conditions.join(' AND ')}`, params);
+}
+
+// Unread activity is everything in the history and comment tables since last_viewed_at,
+// not counting the user's own changes or comments the user cannot see
+function watchedItemsQuery(entityType, includeInternal) {
+  const target = WATCH_TARGETS[entityType];
+  const since = (column) => `(w.last_viewed_at IS NULL OR ${column} > w.last_viewed_at)`;
+  return `
+    SELECT w.entity_type, w.entity_id, w.reason, w.last_viewed_at, w.created_at as watching_since,
+      t.title, t.status, t.priority, t.updated_at,
+      (SELECT COUNT(*) FROM ${target.history} h
+        WHERE h.${target.key} = w.entity_id AND ${since('h.changed_at')}
+          AND COALESCE(h.changed_by_id, '') != w.user_id) as unread_changes,
+      (SELECT COUNT(*) FROM ${target.comments} c
+        WHERE c.${target.key} = w.entity_id AND ${since('c.created_at')}
+          AND COALESCE(c.author_id, '') != w.user_id AND COALESCE(c.is_deleted, 0) = 0
+          ${includeInternal ? '' : 'AND COALESCE(c.is_internal, 0) = 0'}) as unread_comments,
+      MAX(COALESCE(t.updated_at, ''),
+        COALESCE((SELECT MAX(c.created_at) FROM ${target.comments} c WHERE c.${target.key} = w.entity_id), '')) as last_activity_at
+    FROM watchers w
+    JOIN ${target.table} t ON t.${target.key} = w.entity_id
+    WHERE w.entity_type = '${entityType}' AND w.user_id = ? AND w.is_watching = 1
+      AND COALESCE(t.is_deleted, 0) = 0`;
+}
+
+async function loadWatchTarget(entityType, entityId) {
+  const target = WATCH_TARGETS[entityType];
+  const row = await dbGet(
+    `SELECT ${target.key} FROM ${target.table} WHERE ${target.key} = ? AND COALESCE(is_deleted, 0) = 0`,
+    [entityId]
+  );
+  if (!row) {
+    const err = new Error(`${target.label} not found`);
+    err.status = 404;
+    throw err;
+  }
+}
+
+// GET /api/bugs/:bug_id/watchers and /api/features/:feature_id/watchers
+function listWatchers(entityType) {
+  const target = WATCH_TARGETS[entityType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+
+    (async () => {
+      await loadWatchTarget(entityType, entityId);
+      const watchers = await dbAll(
+        `SELECT w.user_id, u.name as user_name, u.email as user_email, w.reason, w.created_at as watching_since
+         FROM watchers w
+         LEFT JOIN users u ON u.id = w.user_id
+         WHERE w.entity_type = ? AND w.entity_id = ? AND w.is_watching = 1
+         ORDER BY w.created_at`,
+        [entityType, entityId]
+      );
+      res.json({
+        [target.key]: entityId,
+        watching: watchers.some(watcher => watcher.user_id === req.user.id),
+        count: watchers.length,
+        watchers
+      });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// POST/DELETE /api/bugs/:bug_id/watch and /api/features/:feature_id/watch, for the current user
+function setWatching(entityType, watching) {
+  const target = WATCH_TARGETS[entityType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+
+    (async () => {
+      await loadWatchTarget(entityType, entityId);
+      await dbRun(
+        `INSERT INTO watchers (entity_type, entity_id, user_id, reason, is_watching, last_viewed_at)
+         VALUES (?, ?, ?, 'manual', ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(entity_type, entity_id, user_id)
+         DO UPDATE SET is_watching = excluded.is_watching, updated_at = CURRENT_TIMESTAMP`,
+        [entityType, entityId, req.user.id, watching ? 1 : 0]
+      );
+      res.json({
+        success: true,
+        [target.key]: entityId,
+        watching,
+        message: watching ? `Watching ${entityId}` : `Stopped watching ${entityId}`
+      });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// Watched bugs and features with unread change/comment counts, most recently active first.
+// ?type=bug|feature narrows it, ?unread=true leaves out items with nothing new
+app.get('/api/me/watching', (req, res) => {
+  const { type, unread } = req.query;
+
+  if (type && !WATCH_TARGETS[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(WATCH_TARGETS).join(', ')}` });
+  }
+
+  const types = (type ? [type] : Object.keys(WATCH_TARGETS))
+    .filter(entityType => hasPermission(req.user, WATCH_TARGETS[entityType].permission));
+  if (types.length === 0) {
+    return sendForbidden(req, res, WATCH_TARGETS[type || 'bug'].permission);
+  }
+
+  (async () => {
+    const rows = await dbAll(
+      `SELECT * FROM (${types.map(type => watchedItemsQuery(type, canSeeInternalComments(req.user))).join(' UNION ALL ')})
+       ORDER BY last_activity_at DESC`,
+      types.map(() => req.user.id)
+    );
+
+    const items = rows
+      .map(row => ({
+        type: row.entity_type,
+        id: row.entity_id,
+        title: row.title,
+        status: row.status,
+        priority: row.priority,
+        reason: row.reason,
+        watching_since: row.watching_since,
+        last_viewed_at: row.last_viewed_at,
+        last_activity_at: row.last_activity_at,
+        unread_changes: row.unread_changes,
+        unread_comments: row.unread_comments,
+        unread_count: row.unread_changes + row.unread_comments,
+        path: WATCH_TARGETS[row.entity_type].path(row.entity_id)
+      }))
+      .filter(item => unread !== 'true' || item.unread_count > 0);
+
+    res.json({
+      total: items.length,
+      unread_items: items.filter(item => item.unread_count > 0).length,
+      unread_total: items.reduce((sum, item) => sum + item.unread_count, 0),
+      items
+    });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Mark watched items as read: { type, id } for one item, { type } for all of a kind, {} for everything
+app.post('/api/me/watching/read', (req, res) => {
+  const { type, id } = req.body || {};
+
+  if (type !== undefined && !WATCH_TARGETS[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(WATCH_TARGETS).join(', ')}` });
+  }
+  if (id !== undefined && type === undefined) {
+    return res.status(400).json({ error: 'type is required with id' });
+  }
+
+  markWatchedViewed(req.user.id, type, id)
+    .then(result => res.json({ success: true, marked: result.changes }))
+    .catch(err => res.status(500).json({ error: err.message }));
+});
+
+// ============ NOTIFICATIONS ============
+
+const NOTIFICATION_LIST_LIMIT = 100;
+
+// Record an in-app notification and mail it through the configured transport
+async function notifyUser(user, { type, entityType, entityId, commentId, message, text, actor }) {
+  await dbRun(
+    `INSERT INTO notifications (user_id, type, entity_type, entity_id, comment_id, message, actor_id, actor_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [user.id, type, entityType, entityId, commentId, message, actor.id, actor.name]
+  );
+  sendMail({ to: user.email, subject: message, text: text || message }, (err) => {
+    if (err) console.error(`Error mailing notification to ${user.email}:`, err);
+  });
+}
+
+// The current user's notifications, newest first. ?unread=true leaves out read ones
+app.get('/api/me/notifications', (req, res) => {
+  const unreadOnly = req.query.unread === 'true';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, NOTIFICATION_LIST_LIMIT);
+
+  (async () => {
+    const notifications = await dbAll(
+      `SELECT * FROM notifications WHERE user_id = ?${unreadOnly ? ' AND is_read = 0' : ''}
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [req.user.id, limit]
+    );
+    const unread = await dbGet(`SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0`, [req.user.id]);
+
+    res.json({
+      unread_count: unread.count,
+      notifications: notifications.map(notification => ({ ...notification, is_read: Boolean(notification.is_read) }))
+    });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Mark one notification read
+app.post('/api/me/notifications/:id/read', (req, res) => {
+  db.run(
+    `UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?`,
+    [req.params.id, req.user.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+      res.json({ success: true });
+    }
+  );
+});
+
+// Mark all of the current user's notifications read
+app.post('/api/me/notifications/read-all', (req, res) => {
+  db.run(
+    `UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0`,
+    [req.user.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({ success: true, marked: this.changes });
+    }
+  );
+});
+
+// ============ COMMENTS ============
+
+// Bug and feature comments share one implementation; routes are registered with the other bug/feature routes
+const COMMENT_TARGETS = {
+  bug: {
+    table: 'bug_comments', parentTable: 'bugs', key: 'bug_id', label: 'Bug', history: 'bug_history',
+    read: 'bugs:read', moderate: 'bugs:delete'
+  },
+  feature: {
+    table: 'feature_comments', parentTable: 'upcoming_features', key: 'feature_id', label: 'Feature', history: 'feature_history',
+    read: 'features:read', moderate: 'features:delete'
+  }
+};
+
+const COMMENT_MAX_LENGTH = 10000;
+// @jane.doe (the part of an email before the @) or @jane.doe@example.com
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+// Internal comments are for staff only - see 'comments:internal' in ROLE_PERMISSIONS
+function canSeeInternalComments(user) {
+  return hasPermission(user, 'comments:internal');
+}
+
+function extractMentions(text) {
+  const handles = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].replace(/[.]+$/, '').toLowerCase());
+  }
+  return [...handles];
+}
+
+// Resolve @handles to active users. A bare handle must match exactly one email local part
+async function resolveMentions(text) {
+  const handles = extractMentions(text);
+  if (handles.length === 0) return [];
+
+  const placeholders = handles.map(() => '?').join(', ');
+  const candidates = await dbAll(
+    `SELECT id, name, email, role FROM users
+     WHERE status = 'active'
+       AND (LOWER(email) IN (${placeholders}) OR LOWER(substr(email, 1, instr(email, '@') - 1)) IN (${placeholders}))`,
+    [...handles, ...handles]
+  );
+
+  const mentioned = new Map();
+  handles.forEach(handle => {
+    const byEmail = candidates.find(user => user.email.toLowerCase() === handle);
+    const byLocalPart = candidates.filter(user => user.email.toLowerCase().split('@')[0] === handle);
+    const user = byEmail || (byLocalPart.length === 1 ? byLocalPart[0] : null);
+    if (user) mentioned.set(user.id, user);
+  });
+  return [...mentioned.values()];
+}
+
+// Notify mentioned users who can read the comment, skipping the author and anyone already notified
+async function notifyMentions(commentType, comment, mentioned, actor, alreadyMentioned = []) {
+  const target = COMMENT_TARGETS[commentType];
+  const entityId = comment[target.key];
+
+  for (const user of mentioned) {
+    if (user.id === actor.id || alreadyMentioned.some(previous => previous.id === user.id)) continue;
+    if (!hasPermission(user, target.read)) continue;
+    if (comment.is_internal && !canSeeInternalComments(user)) continue;
+
+    await notifyUser(user, {
+      type: 'mention',
+      entityType: commentType,
+      entityId,
+      commentId: comment.id,
+      message: `${actor.name} mentioned you on ${target.label.toLowerCase()} ${entityId}`,
+      text: `${actor.name} mentioned you in a comment on ${target.label.toLowerCase()} ${entityId}:\n\n${comment.comment_text}`,
+      actor
+    }).catch(err => console.error('Error notifying mention:', err));
+  }
+}
+
+function formatComment(row) {
+  const comment = {
+    ...row,
+    parent_comment_id: row.parent_comment_id || null,
+    is_internal: Boolean(row.is_internal),
+    is_deleted: Boolean(row.is_deleted),
+    is_edited: Boolean(row.edited_at)
+  };
+  // Deleted comments stay in the list as placeholders so replies keep their place in the thread
+  if (comment.is_deleted) comment.comment_text = null;
+  return comment;
+}
+
+function validateCommentText(text) {
+  if (typeof text !== 'string' || !text.trim()) return 'comment_text is required';
+  if (text.length > COMMENT_MAX_LENGTH) return `comment_text must be at most ${COMMENT_MAX_LENGTH} characters`;
+  return null;
+}
+
+async function loadCommentParent(commentType, entityId) {
+  const target = COMMENT_TARGETS[commentType];
+  const parent = await dbGet(
+    `SELECT ${target.key} FROM ${target.parentTable} WHERE ${target.key} = ? AND COALESCE(is_deleted, 0) = 0`,
+    [entityId]
+  );
+  if (!parent) {
+    const err = new Error(`${target.label} not found`);
+    err.status = 404;
+    throw err;
+  }
+}
+
+// A comment the user may see on this bug/feature, or a 404
+async function loadComment(commentType, entityId, commentId, user) {
+  const target = COMMENT_TARGETS[commentType];
+  const comment = await dbGet(
+    `SELECT * FROM ${target.table} WHERE id = ? AND ${target.key} = ?`,
+    [commentId, entityId]
+  );
+  if (!comment || (comment.is_internal && !canSeeInternalComments(user))) {
+    const err = new Error('Comment not found');
+    err.status = 404;
+    throw err;
+  }
+  return comment;
+}
+
+// GET .../comments - newest first. ?threaded=true nests replies (oldest first) under their parent
+function listComments(commentType) {
+  const target = COMMENT_TARGETS[commentType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+    const hideInternal = !canSeeInternalComments(req.user);
+
+    db.all(
+      `SELECT c.*, (SELECT COUNT(*) FROM comment_edits e WHERE e.comment_type = ? AND e.comment_id = c.id) as edit_count
+       FROM ${target.table} c
+       WHERE c.${target.key} = ?${hideInternal ? ' AND COALESCE(c.is_internal, 0) = 0' : ''}
+       ORDER BY c.created_at DESC, c.id DESC`,
+      [commentType, entityId],
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        const comments = rows.map(formatComment);
+        if (req.query.threaded !== 'true') {
+          return res.json(comments);
+        }
+
+        const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+        const roots = [];
+        [...byId.values()].reverse().forEach(comment => {
+          const parent = comment.parent_comment_id && byId.get(comment.parent_comment_id);
+          if (parent) parent.replies.push(comment);
+          else roots.push(comment);
+        });
+        res.json(roots.reverse());
+      }
+    );
+  };
+}
+
+// POST .../comments { comment_text, is_internal?, parent_comment_id? }
+function createComment(commentType) {
+  const target = COMMENT_TARGETS[commentType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+    const { comment_text, parent_comment_id } = req.body;
+    let isInternal = Boolean(req.body.is_internal);
+
+    const textError = validateCommentText(comment_text);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    if (isInternal && !canSeeInternalComments(req.user)) {
+      return sendForbidden(req, res, 'comments:internal');
+    }
+
+    (async () => {
+      await loadCommentParent(commentType, entityId);
+
+      if (parent_comment_id !== undefined && parent_comment_id !== null) {
+        const parent = await loadComment(commentType, entityId, parent_comment_id, req.user).catch(() => null);
+        if (!parent || parent.is_deleted) {
+          return res.status(400).json({ error: `parent_comment_id ${parent_comment_id} is not a comment on ${entityId}` });
+        }
+        // A reply to an internal comment would leak its context, so it is internal too
+        if (parent.is_internal) isInternal = true;
+      }
+
+      const result = await dbRun(
+        `INSERT INTO ${target.table} (${target.key}, comment_text, author_id, author_name, author_email, is_internal, parent_comment_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [entityId, comment_text, req.user.id, req.user.name, req.user.email, isInternal ? 1 : 0, parent_comment_id || null]
+      );
+      const comment = await dbGet(`SELECT * FROM ${target.table} WHERE id = ?`, [result.lastID]);
+
+      autoWatch(commentType, entityId, req.user.id, 'commenter', { viewed: true });
+      const mentioned = await resolveMentions(comment_text);
+      await notifyMentions(commentType, comment, mentioned, req.user);
+
+      res.json({
+        success: true,
+        id: comment.id,
+        comment_id: comment.id,
+        is_internal: isInternal,
+        parent_comment_id: comment.parent_comment_id,
+        mentions: mentioned.map(user => ({ id: user.id, name: user.name, email: user.email })),
+        message: 'Comment added successfully'
+      });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// PUT .../comments/:comment_id { comment_text?, is_internal? } - authors only; the old text goes to comment_edits
+function updateComment(commentType) {
+  const target = COMMENT_TARGETS[commentType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+    const { comment_text, is_internal } = req.body;
+
+    if (comment_text === undefined && is_internal === undefined) {
+      return res.status(400).json({ error: 'Nothing to update: send comment_text and/or is_internal' });
+    }
+    const textError = comment_text !== undefined && validateCommentText(comment_text);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    if (is_internal !== undefined && !canSeeInternalComments(req.user)) {
+      return sendForbidden(req, res, 'comments:internal');
+    }
+
+    (async () => {
+      const comment = await loadComment(commentType, entityId, req.params.comment_id, req.user);
+      if (comment.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Only the author can edit a comment' });
+      }
+      if (comment.is_deleted) {
+        return res.status(409).json({ error: 'Deleted comments cannot be edited' });
+      }
+
+      const newText = comment_text !== undefined ? comment_text : comment.comment_text;
+      const newInternal = is_internal !== undefined ? Boolean(is_internal) : Boolean(comment.is_internal);
+      if (newText === comment.comment_text && newInternal === Boolean(comment.is_internal)) {
+        return res.json({ success: true, message: 'No changes to update' });
+      }
+
+      await withTransaction(async () => {
+        await dbRun(
+          `INSERT INTO comment_edits (comment_type, comment_id, old_text, old_is_internal, edited_by_id, edited_by_name)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [commentType, comment.id, comment.comment_text, comment.is_internal ? 1 : 0, req.user.id, req.user.name]
+        );
+        await dbRun(
+          `UPDATE ${target.table} SET comment_text = ?, is_internal = ?, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [newText, newInternal ? 1 : 0, comment.id]
+        );
+      });
+
+      // Only people newly mentioned by the edit are notified
+      const updated = await dbGet(`SELECT * FROM ${target.table} WHERE id = ?`, [comment.id]);
+      const mentioned = await resolveMentions(newText);
+      const previouslyMentioned = await resolveMentions(comment.comment_text);
+      await notifyMentions(commentType, updated, mentioned, req.user, previouslyMentioned);
+
+      res.json({ success: true, comment: formatComment(updated), message: 'Comment updated successfully' });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// DELETE .../comments/:comment_id - soft delete by the author or a user who can delete the bug/feature
+function deleteComment(commentType) {
+  const target = COMMENT_TARGETS[commentType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+
+    (async () => {
+      const comment = await loadComment(commentType, entityId, req.params.comment_id, req.user);
+      if (comment.author_id !== req.user.id && !hasPermission(req.user, target.moderate)) {
+        return sendForbidden(req, res, target.moderate);
+      }
+      if (comment.is_deleted) {
+        return res.status(409).json({ error: 'Comment is already deleted' });
+      }
+
+      await dbRun(
+        `UPDATE ${target.table} SET is_deleted = 1, deleted_at = CURRENT_TIMESTAMP, deleted_by_id = ?, deleted_by_name = ?
+         WHERE id = ?`,
+        [req.user.id, req.user.name, comment.id]
+      );
+      await dbRun(
+        `INSERT INTO ${target.history} (${target.key}, action, field_name, old_value, changed_by_id, changed_by_name)
+         VALUES (?, 'Comment Deleted', 'comment', ?, ?, ?)`,
+        [entityId, String(comment.id), req.user.id, req.user.name]
+      );
+
+      res.json({ success: true, message: 'Comment deleted successfully' });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// GET .../comments/:comment_id/edits - earlier versions of a comment, newest first. Texts of deleted
+// comments are only shown to moderators
+function listCommentEdits(commentType) {
+  const target = COMMENT_TARGETS[commentType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+
+    (async () => {
+      const comment = await loadComment(commentType, entityId, req.params.comment_id, req.user);
+      if (comment.is_deleted && !hasPermission(req.user, target.moderate)) {
+        return sendForbidden(req, res, target.moderate);
+      }
+
+      const edits = await dbAll(
+        `SELECT id, old_text, old_is_internal, edited_by_id, edited_by_name, edited_at FROM comment_edits
+         WHERE comment_type = ? AND comment_id = ?
+         ORDER BY edited_at DESC, id DESC`,
+        [commentType, comment.id]
+      );
+
+      res.json({
+        comment_id: comment.id,
+        current_text: comment.comment_text,
+        edits: edits
+          .filter(edit => !edit.old_is_internal || canSeeInternalComments(req.user))
+          .map(edit => ({ ...edit, old_is_internal: Boolean(edit.old_is_internal) }))
+      });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// ============ TIME TRACKING ============
+
+// Hours logged per user against bugs and features. actual_hours on bugs and upcoming_features is the
+// sum of their logs (plus a feature's legacy_actual_hours) and is only written by rollupActualHours
+const TIME_LOG_TARGETS = {
+  bug: {
+    table: 'bugs', key: 'bug_id', label: 'Bug', history: 'bug_history',
+    read: 'bugs:read', write: 'bugs:write', baseline: null,
+    version: 'COALESCE(target_release, fixed_in_version, found_in_version)',
+    developer: { id: 'assignee_id', name: 'assignee_name' }
+  },
+  feature: {
+    table: 'upcoming_features', key: 'feature_id', label: 'Feature', history: 'feature_history',
+    read: 'features:read', write: 'features:write', baseline: 'legacy_actual_hours',
+    version: 'target_version',
+    developer: { id: 'developer_id', name: 'developer_name' }
+  }
+};
+
+const TIME_LOG_MAX_HOURS = 24;
+const TIME_LOG_NOTE_MAX_LENGTH = 2000;
+// Edit or delete other users' entries and read their timesheets
+const TIME_LOG_MANAGE_PERMISSION = 'time_logs:manage';
+const EFFORT_GROUPS = ['module', 'version', 'developer'];
+
+function toSqlDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function isValidSqlDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && toSqlDate(new Date(`${value}T00:00:00Z`)) === value;
+}
+
+const roundHours = hours => Math.round((hours || 0) * 100) / 100;
+
+// Field errors for a new entry, or for the fields present in an edit
+function validateTimeLog(body, { partial = false } = {}) {
+  const errors = [];
+  const { hours, log_date, note } = body;
+
+  if (!partial || hours !== undefined) {
+    if (typeof hours !== 'number' || !(hours > 0) || hours > TIME_LOG_MAX_HOURS) {
+      errors.push({ field: 'hours', message: `Must be a number greater than 0 and at most ${TIME_LOG_MAX_HOURS}` });
+    }
+  }
+  if (log_date !== undefined) {
+    // One day of slack for users ahead of UTC
+    const latest = toSqlDate(new Date(Date.now() + 86400000));
+    if (!isValidSqlDate(log_date)) {
+      errors.push({ field: 'log_date', message: 'Must be a date in YYYY-MM-DD format' });
+    } else if (log_date > latest) {
+      errors.push({ field: 'log_date', message: 'Cannot be in the future' });
+    }
+  }
+  if (note !== undefined && note !== null &&
+      (typeof note !== 'string' || note.length > TIME_LOG_NOTE_MAX_LENGTH)) {
+    errors.push({ field: 'note', message: `Must be a string of at most ${TIME_LOG_NOTE_MAX_LENGTH} characters` });
+  }
+  return errors;
+}
+
+function formatTimeLog(row) {
+  return {
+    id: row.id,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    ...(row.entity_title !== undefined && { entity_title: row.entity_title }),
+    user_id: row.user_id,
+    user_name: row.user_name,
+    log_date: row.log_date,
+    hours: row.hours,
+    note: row.note,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Recompute actual_hours of a bug or feature from its time logs and baseline. Resolves to the old and
+// new totals
+async function rollupActualHours(entityType, entityId) {
+  const target = TIME_LOG_TARGETS[entityType];
+  const entity = await dbGet(
+    `SELECT actual_hours, ${target.baseline || 'NULL'} AS baseline FROM ${target.table} WHERE ${target.key} = ?`,
+    [entityId]
+  );
+  const sum = await dbGet(
+    `SELECT COALESCE(SUM(hours), 0) AS total FROM time_logs WHERE entity_type = ? AND entity_id = ?`,
+    [entityType, entityId]
+  );
+  const total = roundHours(sum.total + ((entity && entity.baseline) || 0));
+  await dbRun(`UPDATE ${target.table} SET actual_hours = ? WHERE ${target.key} = ?`, [total, entityId]);
+  return { from: entity ? entity.actual_hours : null, to: total };
+}
+
+// Roll up after a change to an entry and note the new total in the item's history
+async function recordTimeLogChange(entityType, entityId, action, user) {
+  const target = TIME_LOG_TARGETS[entityType];
+  const totals = await rollupActualHours(entityType, entityId);
+  await dbRun(
+    `INSERT INTO ${target.history} (${target.key}, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+     VALUES (?, ?, 'actual_hours', ?, ?, ?, ?)`,
+    [entityId, action, totals.from === null ? null : String(totals.from), String(totals.to), user.id, user.name]
+  );
+  return totals.to;
+}
+
+async function loadTimeLogEntity(entityType, entityId) {
+  const target = TIME_LOG_TARGETS[entityType];
+  const entity = await dbGet(
+    `SELECT ${target.key}, estimated_hours, actual_hours, ${target.baseline || 'NULL'} AS legacy_hours FROM ${target.table}
+     WHERE ${target.key} = ? AND COALESCE(is_deleted, 0) = 0`,
+    [entityId]
+  );
+  if (!entity) {
+    const err = new Error(`${target.label} not found`);
+    err.status = 404;
+    throw err;
+  }
+  return entity;
+}
+
+// GET /api/bugs/:bug_id/time-logs and /api/features/:feature_id/time-logs
+function listTimeLogs(entityType) {
+  const target = TIME_LOG_TARGETS[entityType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+
+    (async () => {
+      const entity = await loadTimeLogEntity(entityType, entityId);
+      const entries = await dbAll(
+        `SELECT * FROM time_logs WHERE entity_type = ? AND entity_id = ? ORDER BY log_date DESC, id DESC`,
+        [entityType, entityId]
+      );
+      const byUser = await dbAll(
+        `SELECT user_id, MAX(user_name) AS user_name, SUM(hours) AS hours
+         FROM time_logs WHERE entity_type = ? AND entity_id = ?
+         GROUP BY user_id ORDER BY hours DESC`,
+        [entityType, entityId]
+      );
+
+      const actual = roundHours(entity.actual_hours);
+      res.json({
+        entity_type: entityType,
+        entity_id: entityId,
+        estimated_hours: entity.estimated_hours,
+        actual_hours: actual,
+        ...(target.baseline && { legacy_hours: entity.legacy_hours }),
+        variance_hours: entity.estimated_hours === null ? null : roundHours(actual - entity.estimated_hours),
+        by_user: byUser.map(row => ({ ...row, hours: roundHours(row.hours) })),
+        entries: entries.map(formatTimeLog)
+      });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// POST .../time-logs { hours, log_date?, note? } - always logged for the current user
+function createTimeLog(entityType) {
+  const target = TIME_LOG_TARGETS[entityType];
+  return (req, res) => {
+    const entityId = req.params[target.key];
+    const errors = validateTimeLog(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    const { hours, log_date = toSqlDate(new Date()), note = null } = req.body;
+
+    (async () => {
+      await loadTimeLogEntity(entityType, entityId);
+
+      const { id, actualHours } = await withTransaction(async () => {
+        const result = await dbRun(
+          `INSERT INTO time_logs (entity_type, entity_id, user_id, user_name, log_date, hours, note)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [entityType, entityId, req.user.id, req.user.name, log_date, roundHours(hours), note]
+        );
+        return { id: result.lastID, actualHours: await recordTimeLogChange(entityType, entityId, 'Time Logged', req.user) };
+      });
+
+      const entry = await dbGet(`SELECT * FROM time_logs WHERE id = ?`, [id]);
+      res.json({ success: true, time_log: formatTimeLog(entry), actual_hours: actualHours, message: 'Time logged' });
+    })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+  };
+}
+
+// An entry the current user may change: their own, or anyone's with time_logs:manage
+async function loadEditableTimeLog(req) {
+  const entry = await dbGet(`SELECT * FROM time_logs WHERE id = ?`, [req.params.time_log_id]);
+  if (!entry || !hasPermission(req.user, TIME_LOG_TARGETS[entry.entity_type].write)) {
+    const err = new Error('Time log not found');
+    err.status = 404;
+    throw err;
+  }
+  if (entry.user_id !== req.user.id && !hasPermission(req.user, TIME_LOG_MANAGE_PERMISSION)) {
+    const err = new Error(`Forbidden: missing permission ${TIME_LOG_MANAGE_PERMISSION}`);
+    err.status = 403;
+    throw err;
+  }
+  return entry;
+}
+
+app.put('/api/time-logs/:time_log_id', (req, res) => {
+  const errors = validateTimeLog(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors });
+  }
+  const changes = ['hours', 'log_date', 'note'].filter(field => req.body[field] !== undefined);
+  if (changes.length === 0) {
+    return res.status(400).json({ error: 'Nothing to update: send hours, log_date and/or note' });
+  }
+
+  (async () => {
+    const entry = await loadEditableTimeLog(req);
+
+    const actualHours = await withTransaction(async () => {
+      await dbRun(
+        `UPDATE time_logs SET ${changes.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...changes.map(field => (field === 'hours' ? roundHours(req.body.hours) : req.body[field])), entry.id]
+      );
+      return recordTimeLogChange(entry.entity_type, entry.entity_id, 'Time Log Updated', req.user);
+    });
+
+    const updated = await dbGet(`SELECT * FROM time_logs WHERE id = ?`, [entry.id]);
+    res.json({ success: true, time_log: formatTimeLog(updated), actual_hours: actualHours, message: 'Time log updated' });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
+
+app.delete('/api/time-logs/:time_log_id', (req, res) => {
+  (async () => {
+    const entry = await loadEditableTimeLog(req);
+
+    const actualHours = await withTransaction(async () => {
+      await dbRun(`DELETE FROM time_logs WHERE id = ?`, [entry.id]);
+      return recordTimeLogChange(entry.entity_type, entry.entity_id, 'Time Log Deleted', req.user);
+    });
+
+    res.json({ success: true, actual_hours: actualHours, message: 'Time log deleted' });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// SQL selecting a user's entries in a date range, with the title of what they were logged against
+function timeLogsInRangeSql() {
+  return `SELECT t.*, COALESCE(b.title, f.title) AS entity_title
+    FROM time_logs t
+    LEFT JOIN bugs b ON t.entity_type = 'bug' AND b.bug_id = t.entity_id
+    LEFT JOIN upcoming_features f ON t.entity_type = 'feature' AND f.feature_id = t.entity_id
+    WHERE t.user_id = ? AND t.log_date >= ? AND t.log_date <= ?
+    ORDER BY t.log_date, t.id`;
+}
+
+// The current user's entries: ?from=&to= (default: the last 30 days)
+app.get('/api/me/time-logs', (req, res) => {
+  const { from = toSqlDate(new Date(Date.now() - 29 * 86400000)), to = toSqlDate(new Date()) } = req.query;
+  if (!isValidSqlDate(from) || !isValidSqlDate(to)) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+
+  (async () => {
+    const entries = await dbAll(timeLogsInRangeSql(), [req.user.id, from, to]);
+    res.json({
+      from,
+      to,
+      total_hours: roundHours(entries.reduce((sum, entry) => sum + entry.hours, 0)),
+      entries: entries.map(formatTimeLog)
+    });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Estimate vs actual per module, version or developer (feature developer / bug assignee).
+// Variance only counts items that have an estimate; hours on the rest are reported separately
+app.get('/api/reports/effort-variance', requirePermission('reports:read'), (req, res) => {
+  const { group_by = 'module', type, version, module_id, details } = req.query;
+
+  if (!EFFORT_GROUPS.includes(group_by)) {
+    return res.status(400).json({ error: `group_by must be one of: ${EFFORT_GROUPS.join(', ')}` });
+  }
+  if (type !== undefined && !TIME_LOG_TARGETS[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(TIME_LOG_TARGETS).join(', ')}` });
+  }
+  const types = type ? [type] : Object.keys(TIME_LOG_TARGETS);
+  const missing = types.map(t => TIME_LOG_TARGETS[t].read).find(permission => !hasPermission(req.user, permission));
+  if (missing) {
+    return sendForbidden(req, res, missing);
+  }
+
+  (async () => {
+    const items = [];
+    for (const entityType of types) {
+      const target = TIME_LOG_TARGETS[entityType];
+      const conditions = [
+        'COALESCE(is_deleted, 0) = 0',
+        '(COALESCE(estimated_hours, 0) > 0 OR COALESCE(actual_hours, 0) > 0)'
+      ];
+      const params = [];
+      if (version) {
+        conditions.push(`${target.version} = ?`);
+        params.push(version);
+      }
+      if (module_id) {
+        conditions.push('module_id = ?');
+        params.push(module_id);
+      }
+
+      const rows = await dbAll(
+        `SELECT ${target.key} AS id, title, status, module_id, ${target.version} AS version,
+                ${target.developer.id} AS developer_id, ${target.developer.name} AS developer_name,
+                estimated_hours, COALESCE(actual_hours, 0) AS actual_hours,
+                COALESCE(${target.baseline || 'NULL'}, 0) AS legacy_hours
+         FROM ${target.table}
+         WHERE ${conditions.join(' AND ')}`,
+        params
+      );
+      items.push(...rows.map(row => ({ type: entityType, ...row })));
+    }
+
+    const groupKey = item => (group_by === 'module' ? item.module_id : group_by === 'version' ? item.version : item.developer_id);
+    const summarize = groupItems => {
+      const estimated = groupItems.filter(item => item.estimated_hours > 0);
+      const estimatedHours = roundHours(estimated.reduce((sum, item) => sum + item.estimated_hours, 0));
+      const actualOnEstimated = roundHours(estimated.reduce((sum, item) => sum + item.actual_hours, 0));
+      const variance = roundHours(actualOnEstimated - estimatedHours);
+      return {
+        items: groupItems.length,
+        estimated_items: estimated.length,
+        estimated_hours: estimatedHours,
+        actual_hours: roundHours(groupItems.reduce((sum, item) => sum + item.actual_hours, 0)),
+        legacy_actual_hours: roundHours(groupItems.reduce((sum, item) => sum + item.legacy_hours, 0)),
+        actual_hours_on_estimated: actualOnEstimated,
+        unestimated_actual_hours: roundHours(groupItems
+          .filter(item => !(item.estimated_hours > 0))
+          .reduce((sum, item) => sum + item.actual_hours, 0)),
+        variance_hours: variance,
+        variance_percent: estimatedHours > 0 ? Math.round(variance * 1000 / estimatedHours) / 10 : null,
+        over_estimate_items: estimated.filter(item => item.actual_hours > item.estimated_hours).length
+      };
+    };
+
+    const groups = new Map();
+    items.forEach(item => {
+      const key = groupKey(item) || null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+
+    res.json({
+      group_by,
+      filters: { type: type || null, version: version || null, module_id: module_id || null },
+      totals: summarize(items),
+      groups: [...groups].map(([key, groupItems]) => ({
+        key,
+        label: group_by === 'developer'
+          ? (groupItems.find(item => item.developer_name) || {}).developer_name || (key ? key : 'Unassigned')
+          : key || (group_by === 'version' ? 'No version' : 'No module'),
+        ...summarize(groupItems),
+        ...(details === 'true' && {
+          details: groupItems.map(item => ({
+            ...item,
+            actual_hours: roundHours(item.actual_hours),
+            variance_hours: item.estimated_hours > 0 ? roundHours(item.actual_hours - item.estimated_hours) : null
+          }))
+        })
+      })).sort((a, b) => b.variance_hours - a.variance_hours)
+    });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// A CSV cell, quoted when needed and defused against spreadsheet formula injection
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Weekly timesheet (Monday to Sunday) of the current user, or of ?user_id= with time_logs:manage.
+// ?week= is any date in the week (default: this week); ?format=csv downloads it
+app.get('/api/reports/timesheet', requirePermission('reports:read'), (req, res) => {
+  const { user_id = req.user.id, week = toSqlDate(new Date()), format = 'json' } = req.query;
+
+  if (!isValidSqlDate(week)) {
+    return res.status(400).json({ error: 'week must be a date in YYYY-MM-DD format' });
+  }
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+  if (user_id !== req.user.id && !hasPermission(req.user, TIME_LOG_MANAGE_PERMISSION)) {
+    return sendForbidden(req, res, TIME_LOG_MANAGE_PERMISSION);
+  }
+
+  (async () => {
+    const user = await dbGet(`SELECT id, name, email FROM users WHERE id = ?`, [user_id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const day = new Date(`${week}T00:00:00Z`);
+    const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 86400000);
+    const days = Array.from({ length: 7 }, (_, i) => toSqlDate(new Date(monday.getTime() + i * 86400000)));
+    const entries = await dbAll(timeLogsInRangeSql(), [user.id, days[0], days[6]]);
+
+    const rows = new Map();
+    entries.forEach(entry => {
+      const key = `${entry.entity_type}:${entry.entity_id}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          entity_type: entry.entity_type,
+          entity_id: entry.entity_id,
+          title: entry.entity_title,
+          hours_by_day: Object.fromEntries(days.map(date => [date, 0])),
+          total_hours: 0
+        });
+      }
+      const row = rows.get(key);
+      row.hours_by_day[entry.log_date] = roundHours(row.hours_by_day[entry.log_date] + entry.hours);
+      row.total_hours = roundHours(row.total_hours + entry.hours);
+    });
+
+    const dailyTotals = Object.fromEntries(days.map(date => [
+      date,
+      roundHours(entries.filter(entry => entry.log_date === date).reduce((sum, entry) => sum + entry.hours, 0))
+    ]));
+    const totalHours = roundHours(entries.reduce((sum, entry) => sum + entry.hours, 0));
+
+    if (format === 'csv') {
+      const header = ['Type', 'ID', 'Title', ...days, 'Total'];
+      const lines = [
+        header,
+        ...[...rows.values()].map(row => [row.entity_type, row.entity_id, row.title, ...days.map(date => row.hours_by_day[date]), row.total_hours]),
+        ['', '', 'Total', ...days.map(date => dailyTotals[date]), totalHours]
+      ];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="timesheet-${user.id.replace(/[^\w.-]/g, '_')}-${days[0]}.csv"`);
+      return res.send(lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n');
+    }
+
+    res.json({
+      user,
+      week_start: days[0],
+      week_end: days[6],
+      days,
+      rows: [...rows.values()],
+      daily_totals: dailyTotals,
+      total_hours: totalHours
+    });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// ============ BUG TRACKING API ENDPOINTS ============
+
+// Bug IDs that were merged into another bug resolve to the canonical bug on the read-only :bug_id
+// routes. Writes to a merged ID are refused and name the canonical bug, so they never land on it unseen
+app.param('bug_id', (req, res, next, bugId) => {
+  db.get(`SELECT new_bug_id FROM bug_redirects WHERE old_bug_id = ?`, [bugId], (err, redirect) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (redirect) {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(409).json({
+          error: `Bug ${bugId} was merged into ${redirect.new_bug_id}, please use that bug instead`,
+          merged_bug_id: bugId,
+          canonical_bug_id: redirect.new_bug_id
+        });
+      }
+      req.params.bug_id = redirect.new_bug_id;
+      req.redirectedFromBugId = bugId;
+      res.set('X-Bug-Redirected-From', bugId);
+    }
+    next();
+  });
+});
+
+// Generate unique bug ID
+function generateBugId() {
+  const year = new Date().getFullYear();
+  const timestamp = Date.now().toString(36).toUpperCase();
+  return `BUG-${year}-${timestamp}`;
+}
+
+// Create a new bug
+app.post('/api/bugs', requirePermission('bugs:write'), (req, res) => {
+  const {
+    title,
+    description,
+    steps_to_reproduce,
+    expected_result,
+    actual_result,
+    priority = 'P3',
+    severity = 'Minor',
+    category,
+    type = 'Functional',
+    module_id,
+    session_id,
+    linked_tests,
+    assignee_id,
+    assignee_name,
+    assignee_email,
+    environment,
+    found_in_version,
+    target_release,
+    tags,
+    attachments,
+    estimated_hours
+  } = req.body;
+
+  if (estimated_hours !== undefined && estimated_hours !== null && !(typeof estimated_hours === 'number' && estimated_hours >= 0)) {
+    return res.status(400).json({ error: 'estimated_hours must be a number >= 0' });
+  }
+
+  const bug_id = generateBugId();
+
+  db.run(
+    `INSERT INTO bugs (
+      bug_id, title, description, steps_to_reproduce, expected_result, actual_result,
+      priority, severity, category, type, module_id, session_id, linked_tests,
+      reporter_id, reporter_name, reporter_email, assignee_id, assignee_name, assignee_email,
+      environment, found_in_version, target_release, tags, attachments, estimated_hours
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      bug_id, title, description,
+      JSON.stringify(steps_to_reproduce || []),
+      expected_result, actual_result,
+      priority, severity, category, type,
+      module_id, session_id,
+      JSON.stringify(linked_tests || []),
+      req.user.id, req.user.name, req.user.email,
+      assignee_id, assignee_name, assignee_email,
+      JSON.stringify(environment || {}),
+      found_in_version, target_release,
+      JSON.stringify(tags || []),
+      JSON.stringify(attachments || []),
+      estimated_hours === undefined ? null : estimated_hours
+    ],
+    function(err) {
+      if (err) {
+        console.error('Error creating bug:', err);
+        res.status(500).json({ error: err.message });
+      } else {
+        // Log the creation in history
+        db.run(
+          `INSERT INTO bug_history (bug_id, action, changed_by_id, changed_by_name)
+           VALUES (?, ?, ?, ?)`,
+          [bug_id, 'Created', req.user.id, req.user.name],
+          (histErr) => {
+            if (histErr) console.error('Error logging bug creation:', histErr);
+          }
+        );
+
+        autoWatch('bug', bug_id, req.user.id, 'reporter', { viewed: true });
+        autoWatch('bug', bug_id, assignee_id, 'assignee');
+
+        const id = this.lastID;
+
+        syncBugSla(bug_id, { recalculate: true })
+          .catch(slaErr => console.error('Error computing bug SLA:', slaErr))
+          .then(sla => {
+            // Suggestions are advisory - a failure here must not fail the creation
+            findDuplicateCandidates({ bug_id, title, description, module_id, linked_tests }, (dupErr, possible_duplicates) => {
+              if (dupErr) console.error('Error finding duplicate bugs:', dupErr);
+
+              res.json({
+                success: true,
+                id,
+                bug_id: bug_id,
+                sla_due_at: sla ? sla.sla_due_at : null,
+                possible_duplicates: possible_duplicates || [],
+                message: 'Bug created successfully'
+              });
+            });
+          });
+      }
+    }
+  );
+});
+
+// Check a bug that is still being written for likely duplicates
+app.post('/api/bugs/check-duplicates', requirePermission('bugs:read'), (req, res) => {
+  const { title, description, module_id, linked_tests } = req.body;
+
+  if (!title && !description) {
+    return res.status(400).json({ error: 'Title or description is required' });
+  }
+
+  findDuplicateCandidates({ title, description, module_id, linked_tests }, (err, possible_duplicates) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json({ possible_duplicates });
+    }
+  });
+});
+
+// Promise form of checkBugTransition for async routes
+function checkBugTransitionAsync(user, fromStatus, toStatus, fields) {
+  return new Promise((resolve, reject) => {
+    checkBugTransition(user, fromStatus, toStatus, fields, (err, failure, context) => {
+      if (err) reject(err);
+      else resolve({ failure, context });
+    });
+  });
+}
+
+// Change many bugs at once, e.g. during triage. Every bug goes through the same workflow checks as
+// POST /status. Unless skip_invalid is set, one rejected bug means nothing is changed. All updates
+// run in one transaction. dry_run reports the changes without applying them
+app.post('/api/bugs/bulk', requirePermission('bugs:write'),
+  checkExact(checkSchema(BUG_BULK_SCHEMA, ['body']), { locations: ['body'] }), sendValidationErrors, (req, res) => {
+  const { bug_ids, filter, filter_id, changes = {}, dry_run = false, skip_invalid = false } = req.body;
+
+  if ([bug_ids, filter, filter_id].filter(Boolean).length !== 1) {
+    return res.status(400).json({ error: 'Send exactly one of bug_ids, filter or filter_id' });
+  }
+  if (!BULK_CHANGE_FIELDS.some(field => changes[field] !== undefined)) {
+    return res.status(400).json({ error: `changes must set at least one of: ${BULK_CHANGE_FIELDS.join(', ')}` });
+  }
+
+  (async () => {
+    // Bugs are read, planned and updated in one transaction, so no plan sees another request's
+    // half-applied changes and the history records the values actually replaced
+    const applied = await (dry_run ? work => work() : withTransaction)(async () => {
+      let bugs;
+      let notFound = [];
+      let mergedInto = new Map();
+
+      if (bug_ids) {
+        // Merged bug IDs are refused like on the :bug_id write routes, naming the canonical bug
+        const ids = [...new Set(bug_ids)];
+        const redirects = await dbAll(
+          `SELECT old_bug_id, new_bug_id FROM bug_redirects WHERE old_bug_id IN (${ids.map(() => '?').join(', ')})`,
+          ids
+        );
+        mergedInto = new Map(redirects.map(r => [r.old_bug_id, r.new_bug_id]));
+
+        bugs = await dbAll(`SELECT * FROM bugs WHERE bug_id IN (${ids.map(() => '?').join(', ')})`, ids);
+        notFound = ids.filter(id => !bugs.some(bug => bug.bug_id === id));
+      } else {
+        const saved = filter_id ? await loadBugFilter(filter_id, req.user) : null;
+        if (filter_id && !saved) {
+          res.status(404).json({ error: 'Filter not found' });
+          return null;
+        }
+        const { where, params } = buildBugFilterQuery({ show_deleted: 'false', ...(saved ? saved.criteria : filter) }, req.user);
+        bugs = await dbAll(
+          `SELECT * FROM bugs WHERE 1=1${where} ORDER BY created_at DESC LIMIT ?`,
+          [...params, BULK_BUG_LIMIT + 1]
+        );
+        if (bugs.length > BULK_BUG_LIMIT) {
+          res.status(400).json({ error: `Filter matches more than ${BULK_BUG_LIMIT} bugs, please narrow it down` });
+          return null;
+        }
+      }
+
+      let assignee = null;
+      if (changes.assignee_id) {
+        assignee = await dbGet(`SELECT id, name, email FROM users WHERE id = ? AND status = 'active'`, [changes.assignee_id]);
+        if (!assignee) {
+          res.status(400).json({ error: 'Assignee not found or inactive' });
+          return null;
+        }
+      }
+
+      const plans = [];
+      for (const bug of bugs) {
+        const plan = { bug_id: bug.bug_id, title: bug.title, from_status: bug.status, changes: {} };
+        const columns = {};
+        plans.push(plan);
+
+        if (bug.is_deleted) {
+          plan.error = 'Bug is deleted';
+          continue;
+        }
+        if (mergedInto.has(bug.bug_id)) {
+          plan.error = `Bug was merged into ${mergedInto.get(bug.bug_id)}`;
+          plan.canonical_bug_id = mergedInto.get(bug.bug_id);
+          continue;
+        }
+
+        ['priority', 'severity', 'target_release', 'fixed_in_version'].forEach(field => {
+          if (changes[field] !== undefined) columns[field] = changes[field];
+        });
+
+        if (changes.assignee_id !== undefined) {
+          columns.assignee_id = assignee ? assignee.id : null;
+          columns.assignee_name = assignee ? assignee.name : null;
+          columns.assignee_email = assignee ? assignee.email : null;
+        }
+
+        if (changes.status !== undefined && changes.status !== bug.status) {
+          const { failure, context } = await checkBugTransitionAsync(req.user, bug.status, changes.status, changes);
+          const blocked = failure || await checkOpenChildren(bug.bug_id, changes.status);
+          if (blocked) {
+            plan.error = blocked.body.error;
+            continue;
+          }
+          Object.assign(columns, getTransitionColumns(changes.status, changes, context, bug));
+        }
+
+        Object.keys(columns).forEach(key => {
+          if (columns[key] !== bug[key]) plan.changes[key] = { from: bug[key], to: columns[key] };
+        });
+      }
+
+      const invalid = plans.filter(plan => plan.error);
+      const toApply = plans.filter(plan => !plan.error && Object.keys(plan.changes).length > 0);
+      const summary = {
+        matched: bugs.length,
+        changed: toApply.length,
+        unchanged: plans.length - toApply.length - invalid.length,
+        rejected: invalid.length,
+        not_found: notFound
+      };
+
+      if (invalid.length > 0 && !skip_invalid && !dry_run) {
+        res.status(409).json({
+          error: `${invalid.length} bug(s) cannot be changed - nothing was updated (send skip_invalid to apply the rest)`,
+          ...summary,
+          results: plans
+        });
+        return null;
+      }
+
+      if (dry_run) {
+        res.json({ success: true, dry_run: true, ...summary, results: plans });
+        return null;
+      }
+
+      for (const plan of toApply) {
+        const keys = Object.keys(plan.changes);
+
+        // Guard against the bug having moved since it was checked
+        const result = await dbRun(
+          `UPDATE bugs SET ${keys.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE bug_id = ? AND status = ?`,
+          [...keys.map(key => plan.changes[key].to), plan.bug_id, plan.from_status]
+        );
+        if (result.changes === 0) {
+          const err = new Error(`Bug ${plan.bug_id} changed meanwhile, please reload and try again`);
+          err.status = 409;
+          throw err;
+        }
+
+        for (const key of keys) {
+          await dbRun(
+            `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [plan.bug_id, key === 'status' ? 'Status Changed' : 'Bulk Updated', key,
+             plan.changes[key].from, plan.changes[key].to, req.user.id, req.user.name]
+          );
+        }
+
+        if (plan.changes.status && changes.comment) {
+          await dbRun(
+            `INSERT INTO bug_comments (bug_id, comment_text, author_id, author_name, author_email, is_internal)
+             VALUES (?, ?, ?, ?, ?, 0)`,
+            [plan.bug_id, `[${plan.from_status} → ${plan.changes.status.to}] ${changes.comment}`,
+             req.user.id, req.user.name, req.user.email]
+          );
+        }
+      }
+
+      return { summary, plans, toApply };
+    });
+    // null: the response was already sent (error, refused plan or dry run)
+    if (!applied) return;
+    const { summary, plans, toApply } = applied;
+
+    for (const plan of toApply) {
+      await syncBugSla(plan.bug_id, {
+        recalculate: Boolean(plan.changes.priority || plan.changes.severity ||
+          (plan.changes.status && plan.changes.status.to === 'Reopened')),
+        user: req.user
+      }).catch(err => console.error('Error updating bug SLA:', err));
+      if (plan.changes.assignee_id) await autoWatch('bug', plan.bug_id, plan.changes.assignee_id.to, 'assignee');
+      if (plan.changes.verifier_id) await autoWatch('bug', plan.bug_id, plan.changes.verifier_id.to, 'verifier');
+    }
+
+    console.log(`Bulk update of ${toApply.length} bug(s) by ${req.user.email}`);
+    res.json({ success: true, dry_run: false, ...summary, results: plans });
+  })().catch(err => {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error in bulk bug update:', err);
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Get all bugs with filtering. ?filter=<filter_id> runs a saved filter or queue; other query
+// parameters narrow it further
+app.get('/api/bugs', requirePermission('bugs:read'), (req, res) => {
+  const { limit = 100, offset = 0, filter: filterId } = req.query;
+
+  loadBugFilter(filterId, req.user).then(saved => {
+    if (filterId && !saved) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    const savedFilter = saved ? buildSavedFilterQuery(saved, req.user) : { where: '', params: [] };
+    const filter = buildBugFilterQuery(req.query, req.user);
+
+    let query = `SELECT * FROM bugs WHERE 1=1${savedFilter.where}${filter.where}`;
+    const params = [...savedFilter.params, ...filter.params];
+
+    query += ` ORDER BY ${getBugFilterOrder(req.query.sort || !saved ? req.query : saved.criteria)}
+      LIMIT ? OFFSET ?`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        // Parse JSON fields
+        rows.forEach(row => {
+          if (row.steps_to_reproduce) row.steps_to_reproduce = safeJsonParse(row.steps_to_reproduce, []);
+          if (row.linked_tests) row.linked_tests = safeJsonParse(row.linked_tests, []);
+          if (row.related_bugs) row.related_bugs = safeJsonParse(row.related_bugs, []);
+          if (row.environment) row.environment = safeJsonParse(row.environment, {});
+          if (row.tags) row.tags = safeJsonParse(row.tags, []);
+          if (row.attachments) row.attachments = safeJsonParse(row.attachments, []);
+          row.sla_state = getSlaState(row);
+        });
+        res.json(rows);
+      }
+    });
+  }, err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Saved bug filters - the user's own, the shared ones and the built-in queues
+app.get('/api/bug-filters', requirePermission('bugs:read'), (req, res) => {
+  db.all(
+    `SELECT * FROM saved_bug_filters WHERE owner_id = ? OR is_shared = 1 ORDER BY owner_id = ? DESC, name`,
+    [req.user.id, req.user.id],
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({
+          queues: BUG_QUEUES.map(queue => ({ ...queue, is_shared: true, builtin: true })),
+          filters: rows.map(row => ({ ...formatBugFilter(row), is_owner: row.owner_id === req.user.id }))
+        });
+      }
+    }
+  );
+});
+
+// Counts for every queue and visible saved filter, for sidebar badges (before :filter_id)
+app.get('/api/bug-filters/counts', requirePermission('bugs:read'), (req, res) => {
+  (async () => {
+    const rows = await dbAll(
+      `SELECT * FROM saved_bug_filters WHERE owner_id = ? OR is_shared = 1`,
+      [req.user.id]
+    );
+    const filters = [
+      ...BUG_QUEUES.map(queue => ({ ...queue, builtin: true })),
+      ...rows.map(formatBugFilter)
+    ];
+
+    const counts = {};
+    for (const filter of filters) {
+      counts[filter.filter_id] = await countBugsForFilter(filter, req.user);
+    }
+    res.json({ counts });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+app.post('/api/bug-filters', requirePermission('bugs:read'), (req, res) => {
+  const { name, description = null, criteria, is_shared = false } = req.body;
+  const errors = validateBugCriteria(criteria).map(error => ({ ...error, field: `criteria.${error.field}` }));
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.unshift({ field: 'name', message: 'Name is required' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors });
+  }
+
+  const filter_id = `FLT-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  db.run(
+    `INSERT INTO saved_bug_filters (filter_id, name, description, criteria, owner_id, owner_name, is_shared)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [filter_id, name.trim(), description, JSON.stringify(criteria), req.user.id, req.user.name, is_shared ? 1 : 0],
+    (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({ success: true, filter_id, message: 'Filter saved' });
+      }
+    }
+  );
+});
+
+app.get('/api/bug-filters/:filter_id', requirePermission('bugs:read'), (req, res) => {
+  loadBugFilter(req.params.filter_id, req.user).then(filter => {
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+    res.json(filter);
+  }, err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+app.get('/api/bug-filters/:filter_id/count', requirePermission('bugs:read'), (req, res) => {
+  (async () => {
+    const filter = await loadBugFilter(req.params.filter_id, req.user);
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+    res.json({ filter_id: filter.filter_id, count: await countBugsForFilter(filter, req.user) });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Saved filters can be changed by their owner or an admin. Queues are fixed
+function loadOwnedBugFilter(req, res, callback) {
+  const { filter_id } = req.params;
+
+  if (BUG_QUEUES.some(queue => queue.filter_id === filter_id)) {
+    return res.status(400).json({ error: 'Built-in queues cannot be changed' });
+  }
+
+  db.get(`SELECT * FROM saved_bug_filters WHERE filter_id = ?`, [filter_id], (err, row) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!row || (row.owner_id !== req.user.id && !row.is_shared)) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+    if (row.owner_id !== req.user.id && !hasPermission(req.user, 'admin:manage')) {
+      return sendForbidden(req, res, 'admin:manage');
+    }
+    callback(row);
+  });
+}
+
+app.put('/api/bug-filters/:filter_id', requirePermission('bugs:read'), (req, res) => {
+  loadOwnedBugFilter(req, res, (row) => {
+    const current = formatBugFilter(row);
+    const { name = current.name, description = current.description, criteria = current.criteria, is_shared = current.is_shared } = req.body;
+    const errors = validateBugCriteria(criteria).map(error => ({ ...error, field: `criteria.${error.field}` }));
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.unshift({ field: 'name', message: 'Name is required' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    db.run(
+      `UPDATE saved_bug_filters SET name = ?, description = ?, criteria = ?, is_shared = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE filter_id = ?`,
+      [name.trim(), description, JSON.stringify(criteria), is_shared ? 1 : 0, row.filter_id],
+      (err) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+        } else {
+          res.json({ success: true, message: 'Filter updated' });
+        }
+      }
+    );
+  });
+});
+
+app.delete('/api/bug-filters/:filter_id', requirePermission('bugs:read'), (req, res) => {
+  loadOwnedBugFilter(req, res, (row) => {
+    db.run(`DELETE FROM saved_bug_filters WHERE filter_id = ?`, [row.filter_id], (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({ success: true, message: 'Filter deleted' });
+      }
+    });
+  });
+});
+
+// Get bug statistics (must be before :bug_id route to avoid route conflict)
+app.get('/api/bugs/stats', requirePermission('bugs:read'), (req, res) => {
+  const { module_id, assignee_id } = req.query;
+
+  let query = `
+    SELECT
+      COUNT(*) as total_bugs,
+      SUM(CASE WHEN status = 'New' THEN 1 ELSE 0 END) as new_bugs,
+      SUM(CASE WHEN status IN ('Assigned', 'In Progress') THEN 1 ELSE 0 END) as in_progress,
+      SUM(CASE WHEN status = 'Fixed' THEN 1 ELSE 0 END) as fixed,
+      SUM(CASE WHEN status = 'Verified' THEN 1 ELSE 0 END) as verified,
+      SUM(CASE WHEN status = 'Closed' THEN 1 ELSE 0 END) as closed,
+      SUM(CASE WHEN priority = 'P1' THEN 1 ELSE 0 END) as p1_bugs,
+      SUM(CASE WHEN priority = 'P2' THEN 1 ELSE 0 END) as p2_bugs,
+      SUM(CASE WHEN severity = 'Critical' THEN 1 ELSE 0 END) as critical_bugs,
+      SUM(CASE WHEN severity = 'Major' THEN 1 ELSE 0 END) as major_bugs
+    FROM bugs WHERE 1=1`;
+
+  const params = [];
+
+  if (module_id) {
+    query += ` AND module_id = ?`;
+    params.push(module_id);
+  }
+
+  if (assignee_id) {
+    query += ` AND assignee_id = ?`;
+    params.push(assignee_id);
+  }
+
+  db.get(query, params, (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json(row || {});
+    }
+  });
+});
+
+// SLA report - unresolved bugs with a deadline, grouped by assignee and module (before :bug_id too)
+app.get('/api/bugs/sla', requirePermission('bugs:read'), (req, res) => {
+  const { module_id, assignee_id, state } = req.query;
+
+  let query = `
+    SELECT b.bug_id, b.title, b.priority, b.severity, b.status, b.module_id, m.name as module_name,
+           b.assignee_id, b.assignee_name, b.created_at, b.last_reopened_at, b.sla_due_at, b.sla_met_at, b.sla_breached_at,
+           p.name as sla_policy, p.target_status as sla_target_status
+    FROM bugs b
+    LEFT JOIN sla_policies p ON p.id = b.sla_policy_id
+    LEFT JOIN modules m ON m.module_id = b.module_id
+    WHERE b.sla_due_at IS NOT NULL AND b.sla_met_at IS NULL
+      AND (b.is_deleted = 0 OR b.is_deleted IS NULL)`;
+  const params = [];
+
+  if (module_id) {
+    query += ` AND b.module_id = ?`;
+    params.push(module_id);
+  }
+
+  if (assignee_id) {
+    query += ` AND b.assignee_id = ?`;
+    params.push(assignee_id);
+  }
+
+  query += ` ORDER BY b.sla_due_at ASC`;
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    const now = new Date();
+    const bugs = rows.map(row => ({
+      ...row,
+      sla_state: getSlaState(row, now),
+      hours_remaining: Math.round((fromSqlDateTime(row.sla_due_at) - now) / HOUR_MS * 10) / 10
+    }));
+
+    const summary = { on_track: 0, at_risk: 0, breached: 0 };
+    const byAssignee = new Map();
+    const byModule = new Map();
+
+    const addTo = (groups, key, fields, bug) => {
+      if (!groups.has(key)) {
+        groups.set(key, { ...fields, on_track: 0, at_risk: 0, breached: 0, bugs: [] });
+      }
+      const group = groups.get(key);
+      group[bug.sla_state]++;
+      if (bug.sla_state !== 'on_track') group.bugs.push(bug);
+    };
+
+    bugs.forEach(bug => {
+      summary[bug.sla_state]++;
+      addTo(byAssignee, bug.assignee_id || null, {
+        assignee_id: bug.assignee_id || null,
+        assignee_name: bug.assignee_name || 'Unassigned'
+      }, bug);
+      addTo(byModule, bug.module_id || null, {
+        module_id: bug.module_id || null,
+        module_name: bug.module_name || (bug.module_id ? bug.module_id : 'No module')
+      }, bug);
+    });
+
+    const worstFirst = (a, b) => (b.breached - a.breached) || (b.at_risk - a.at_risk);
+    const attention = bugs.filter(bug => bug.sla_state !== 'on_track');
+
+    res.json({
+      generated_at: toSqlDateTime(now),
+      at_risk_ratio: SLA_AT_RISK_RATIO,
+      summary: { ...summary, total: bugs.length },
+      by_assignee: [...byAssignee.values()].sort(worstFirst),
+      by_module: [...byModule.values()].sort(worstFirst),
+      bugs: state ? bugs.filter(bug => bug.sla_state === state) : attention
+    });
+  });
+});
+
+// Get single bug by ID
+app.get('/api/bugs/:bug_id', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  db.get(
+    `SELECT * FROM bugs WHERE bug_id = ?`,
+    [bug_id],
+    (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (!row) {
+        res.status(404).json({ error: 'Bug not found' });
+      } else {
+        // Parse JSON fields
+        if (row.steps_to_reproduce) row.steps_to_reproduce = safeJsonParse(row.steps_to_reproduce, []);
+        if (row.linked_tests) row.linked_tests = safeJsonParse(row.linked_tests, []);
+        if (row.related_bugs) row.related_bugs = safeJsonParse(row.related_bugs, []);
+        if (row.environment) row.environment = safeJsonParse(row.environment, {});
+        if (row.tags) row.tags = safeJsonParse(row.tags, []);
+        if (row.attachments) row.attachments = safeJsonParse(row.attachments, []);
+        if (req.redirectedFromBugId) row.redirected_from = req.redirectedFromBugId;
+        row.sla_state = getSlaState(row);
+
+        markWatchedViewed(req.user.id, 'bug', row.bug_id)
+          .catch(viewErr => console.error('Error marking bug viewed:', viewErr));
+
+        res.json(row);
+      }
+    }
+  );
+});
+
+// Update bug
+app.put('/api/bugs/:bug_id', requirePermission('bugs:write'), validateUpdate(BUG_UPDATE_SCHEMA, [
+  'bug_id', 'resolved_at', 'verified_at', 'attachments', 'is_deleted',
+  'sla_policy_id', 'sla_due_at', 'sla_met_at', 'sla_breached_at', 'sla_state',
+  'reopen_count', 'last_reopened_at', 'last_reopen_reason',
+  'regression_suspected', 'regression_detected_at', 'regression_session_id', 'regression_test_id'
+]), (req, res) => {
+  const { bug_id } = req.params;
+  const updates = req.body;
+
+  // Get current bug state for history
+  db.get(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id], (err, currentBug) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!currentBug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    // A status change here goes through the same workflow checks as POST /status
+    const statusChanged = updates.status !== undefined && updates.status !== currentBug.status;
+    const transitionFields = { ...updates };
+    delete updates.comment;
+
+    const checkStatus = (callback) => {
+      if (!statusChanged) return callback({});
+      checkBugTransition(req.user, currentBug.status, updates.status, transitionFields, (err, failure, context) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (failure) {
+          return res.status(failure.status).json(failure.body);
+        }
+        checkOpenChildren(bug_id, updates.status).then(childFailure => {
+          if (childFailure) {
+            return res.status(childFailure.status).json(childFailure.body);
+          }
+          Object.assign(updates, getTransitionColumns(updates.status, transitionFields, context, currentBug));
+          callback(context);
+        }, err => {
+          res.status(500).json({ error: err.message });
+        });
+      });
+    };
+
+    checkStatus(() => {
+      // Build update query dynamically
+      const updateFields = [];
+      const params = [];
+      const changedFields = [];
+
+      Object.keys(updates).forEach(key => {
+        if (updates[key] !== undefined) {
+          let value = updates[key];
+
+          // Stringify JSON fields
+          if (['steps_to_reproduce', 'linked_tests', 'related_bugs', 'environment', 'tags'].includes(key) && value !== null) {
+            value = JSON.stringify(value);
+          }
+
+          updateFields.push(`${key} = ?`);
+          params.push(value);
+          if (currentBug[key] !== value) changedFields.push({ key, value });
+        }
+      });
+
+      if (updateFields.length === 0) {
+        res.json({ success: true, message: 'No changes to update' });
+        return;
+      }
+
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(bug_id, currentBug.status);
+
+      // Only update if the bug is still in the status it was read (and any transition checked) in
+      const query = `UPDATE bugs SET ${updateFields.join(', ')} WHERE bug_id = ? AND status = ?`;
+
+      db.run(query, params, function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+        } else if (this.changes === 0) {
+          res.status(409).json({ error: 'Bug status changed meanwhile, please reload and try again' });
+        } else {
+          // Log changes to history
+          changedFields.forEach(({ key, value }) => {
+            db.run(
+              `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+               VALUES (?, ?, ?, ?, ?, ?, ?)`,
+              [bug_id, 'Updated', key, currentBug[key], value, req.user.id, req.user.name],
+              (histErr) => {
+                if (histErr) console.error('Error logging bug update:', histErr);
+              }
+            );
+          });
+
+          if (statusChanged) {
+            addTransitionComment(bug_id, currentBug.status, updates.status, transitionFields.comment, req.user);
+          }
+          if (updates.assignee_id && updates.assignee_id !== currentBug.assignee_id) {
+            autoWatch('bug', bug_id, updates.assignee_id, 'assignee');
+          }
+          if (updates.verifier_id && updates.verifier_id !== currentBug.verifier_id) {
+            autoWatch('bug', bug_id, updates.verifier_id, 'verifier');
+          }
+
+          const changes = this.changes;
+          const slaInputChanged = (statusChanged && updates.status === 'Reopened') || ['priority', 'severity'].some(key =>
+            updates[key] !== undefined && updates[key] !== currentBug[key]
+          );
+
+          syncBugSla(bug_id, { recalculate: slaInputChanged, user: req.user })
+            .catch(slaErr => console.error('Error updating bug SLA:', slaErr))
+            .then(() => {
+              res.json({
+                success: true,
+                message: 'Bug updated successfully',
+                changes
+              });
+            });
+        }
+      });
+    });
+  });
+});
+
+// Update bug status
+app.post('/api/bugs/:bug_id/status', requirePermission('bugs:write'), (req, res) => {
+  const { bug_id } = req.params;
+  const { status } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ error: 'Status is required' });
+  }
+
+  // Get current status
+  db.get(`SELECT status, resolution, reopen_count FROM bugs WHERE bug_id = ?`, [bug_id], (err, currentBug) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!currentBug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    checkBugTransition(req.user, currentBug.status, status, req.body, (err, failure, context) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+
+      checkOpenChildren(bug_id, status).then(childFailure => {
+        if (childFailure) {
+          return res.status(childFailure.status).json(childFailure.body);
+        }
+
+        const columns = getTransitionColumns(status, req.body, context, currentBug);
+        const keys = Object.keys(columns);
+
+        // Only update if the bug is still in the status the transition was checked against
+        db.run(
+          `UPDATE bugs SET ${keys.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE bug_id = ? AND status = ?`,
+          [...keys.map(key => columns[key]), bug_id, currentBug.status],
+          function(err) {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+            if (this.changes === 0) {
+              return res.status(409).json({ error: 'Bug status changed meanwhile, please reload and try again' });
+            }
+
+            // Log status change to history
+            db.run(
+              `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+               VALUES (?, ?, ?, ?, ?, ?, ?)`,
+              [bug_id, 'Status Changed', 'status', currentBug.status, status, req.user.id, req.user.name],
+              (histErr) => {
+                if (histErr) console.error('Error logging status change:', histErr);
+              }
+            );
+
+            addTransitionComment(bug_id, currentBug.status, status, req.body.comment, req.user);
+            if (columns.verifier_id) {
+              autoWatch('bug', bug_id, columns.verifier_id, 'verifier');
+            }
+
+            syncBugSla(bug_id, { recalculate: status === 'Reopened', user: req.user })
+              .catch(slaErr => console.error('Error updating bug SLA:', slaErr))
+              .then(() => {
+                res.json({
+                  success: true,
+                  message: `Bug status updated to ${status}`
+                });
+              });
+          }
+        );
+      }, err => {
+        res.status(500).json({ error: err.message });
+      });
+    });
+  });
+});
+
+// Clear a suspected-regression flag after triage decided the failure is not the bug coming back
+app.delete('/api/bugs/:bug_id/regression', requirePermission('bugs:write'), (req, res) => {
+  const { bug_id } = req.params;
+
+  (async () => {
+    const bug = await dbGet(`SELECT bug_id, regression_suspected, regression_session_id FROM bugs WHERE bug_id = ?`, [bug_id]);
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+    if (!bug.regression_suspected) {
+      return res.status(409).json({ error: 'Bug is not flagged as a suspected regression' });
+    }
+
+    await dbRun(`UPDATE bugs SET regression_suspected = 0, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`, [bug_id]);
+    await dbRun(
+      `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+       VALUES (?, 'Regression Dismissed', 'regression_suspected', '1', '0', ?, ?)`,
+      [bug_id, req.user.id, req.user.name]
+    );
+
+    res.json({ success: true, message: `Regression flag cleared on ${bug_id}` });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Status moves the current user can make from the bug's current status
+app.get('/api/bugs/:bug_id/transitions', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  db.get(`SELECT status FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    db.all(
+      `SELECT * FROM bug_workflow_transitions WHERE from_status = ? AND is_active = 1 ORDER BY id`,
+      [bug.status],
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        res.json({
+          bug_id,
+          status: bug.status,
+          transitions: rows
+            .map(formatTransition)
+            .filter(t => canUseTransition(req.user, t))
+            .map(t => ({ to_status: t.to_status, required_fields: t.required_fields }))
+        });
+      }
+    );
+  });
+});
+
+// Likely duplicates of an existing bug
+app.get('/api/bugs/:bug_id/duplicates', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  db.get(
+    `SELECT bug_id, title, description, module_id, linked_tests FROM bugs WHERE bug_id = ?`,
+    [bug_id],
+    (err, bug) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!bug) {
+        return res.status(404).json({ error: 'Bug not found' });
+      }
+
+      findDuplicateCandidates(bug, (err, possible_duplicates) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+        } else {
+          res.json({ bug_id, possible_duplicates });
+        }
+      });
+    }
+  );
+});
+
+// Merge { duplicate_bug_id } into this bug
+app.post('/api/bugs/:bug_id/merge', requirePermission('bugs:merge'), (req, res) => {
+  const { bug_id } = req.params;
+  const { duplicate_bug_id, comment } = req.body;
+
+  if (!duplicate_bug_id) {
+    return res.status(400).json({ error: 'duplicate_bug_id is required' });
+  }
+
+  (async () => {
+    // Both bugs are read in the merge's transaction, so merges into the same bug never work from stale rows
+    const moved = await withTransaction(async () => {
+      const redirect = await dbGet(`SELECT new_bug_id FROM bug_redirects WHERE old_bug_id = ?`, [duplicate_bug_id]);
+      if (redirect) {
+        res.status(409).json({ error: `${duplicate_bug_id} was already merged into ${redirect.new_bug_id}` });
+        return null;
+      }
+      if (duplicate_bug_id === bug_id) {
+        res.status(400).json({ error: 'A bug cannot be merged into itself' });
+        return null;
+      }
+
+      const canonical = await dbGet(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id]);
+      const duplicate = await dbGet(`SELECT * FROM bugs WHERE bug_id = ?`, [duplicate_bug_id]);
+
+      if (!canonical) {
+        res.status(404).json({ error: 'Bug not found' });
+        return null;
+      }
+      if (!duplicate) {
+        res.status(404).json({ error: 'Duplicate bug not found' });
+        return null;
+      }
+      if (canonical.is_deleted) {
+        res.status(400).json({ error: 'Cannot merge into a deleted bug' });
+        return null;
+      }
+
+      return mergeDuplicateBug(canonical, duplicate, req.user, comment);
+    });
+    // null: the merge was refused and the response already sent
+    if (!moved) return;
+
+    await syncBugSla(duplicate_bug_id);
+    console.log(`Bug ${duplicate_bug_id} merged into ${bug_id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      canonical_bug_id: bug_id,
+      merged_bug_id: duplicate_bug_id,
+      moved,
+      message: `${duplicate_bug_id} merged into ${bug_id}`
+    });
+  })().catch(err => {
+    console.error('Error merging bugs:', err);
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Typed links to other bugs, grouped by how they relate to this one
+app.get('/api/bugs/:bug_id/links', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  (async () => {
+    const bug = await dbGet(`SELECT bug_id FROM bugs WHERE bug_id = ?`, [bug_id]);
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const links = await dbAll(
+      `SELECT l.id AS link_id, l.source_bug_id, l.target_bug_id, l.link_type, l.created_by_name, l.created_at,
+              b.bug_id, b.title, b.status, b.priority, b.severity, b.assignee_name, b.is_deleted
+       FROM bug_links l
+       JOIN bugs b ON b.bug_id = CASE WHEN l.source_bug_id = ? THEN l.target_bug_id ELSE l.source_bug_id END
+       WHERE l.source_bug_id = ? OR l.target_bug_id = ?
+       ORDER BY l.created_at`,
+      [bug_id, bug_id, bug_id]
+    );
+
+    const grouped = {};
+    Object.keys(BUG_LINK_ROLES).forEach(role => { grouped[role] = []; });
+    links.forEach(link => {
+      grouped[getLinkRole(link, bug_id)].push({
+        link_id: link.link_id,
+        ...formatLinkedBug(link),
+        linked_by: link.created_by_name,
+        linked_at: link.created_at
+      });
+    });
+
+    res.json({
+      bug_id,
+      parent: grouped.parent[0] || null,
+      children: grouped.child,
+      blocks: grouped.blocks,
+      blocked_by: grouped.blocked_by,
+      relates_to: grouped.relates_to,
+      duplicates: grouped.duplicates,
+      duplicated_by: grouped.duplicated_by,
+      open_children: grouped.child.filter(child => child.is_open).length,
+      is_blocked: grouped.blocked_by.some(blocker => blocker.is_open)
+    });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Link another bug: { type: child | parent | blocks | blocked_by | relates_to | duplicates | duplicated_by, linked_bug_id }
+app.post('/api/bugs/:bug_id/links', requirePermission('bugs:write'), (req, res) => {
+  const { bug_id } = req.params;
+  const { type, linked_bug_id } = req.body;
+  const role = BUG_LINK_ROLES[type];
+
+  if (!role) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(BUG_LINK_ROLES).join(', ')}` });
+  }
+  if (!linked_bug_id) {
+    return res.status(400).json({ error: 'linked_bug_id is required' });
+  }
+
+  (async () => {
+    const redirect = await dbGet(`SELECT new_bug_id FROM bug_redirects WHERE old_bug_id = ?`, [linked_bug_id]);
+    const otherBugId = redirect ? redirect.new_bug_id : linked_bug_id;
+
+    if (otherBugId === bug_id) {
+      return res.status(400).json({ error: 'A bug cannot be linked to itself' });
+    }
+
+    const bug = await dbGet(`SELECT bug_id, is_deleted FROM bugs WHERE bug_id = ?`, [bug_id]);
+    const other = await dbGet(`SELECT bug_id, is_deleted FROM bugs WHERE bug_id = ?`, [otherBugId]);
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+    if (!other) {
+      return res.status(404).json({ error: 'Linked bug not found' });
+    }
+    if (bug.is_deleted || other.is_deleted) {
+      return res.status(400).json({ error: 'Deleted bugs cannot be linked' });
+    }
+
+    let [source, target] = role.outgoing ? [bug_id, otherBugId] : [otherBugId, bug_id];
+    if (role.link_type === 'relates_to' && source > target) {
+      [source, target] = [target, source];
+    }
+
+    const failure = await checkBugLink(role.link_type, source, target);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const link = { source_bug_id: source, target_bug_id: target, link_type: role.link_type };
+    await withTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO bug_links (source_bug_id, target_bug_id, link_type, created_by_id, created_by_name)
+         VALUES (?, ?, ?, ?, ?)`,
+        [source, target, role.link_type, req.user.id, req.user.name]
+      );
+      link.id = result.lastID;
+      await logBugLinkChange(link, 'Link Added', req.user);
+      await syncBugLinkColumns([source, target]);
+    });
+
+    res.json({
+      success: true,
+      link_id: link.id,
+      type,
+      linked_bug_id: otherBugId,
+      message: `${bug_id} ${role.label} ${otherBugId}`
+    });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+app.delete('/api/bugs/:bug_id/links/:link_id', requirePermission('bugs:write'), (req, res) => {
+  const { bug_id, link_id } = req.params;
+
+  (async () => {
+    const link = await dbGet(
+      `SELECT * FROM bug_links WHERE id = ? AND (source_bug_id = ? OR target_bug_id = ?)`,
+      [link_id, bug_id, bug_id]
+    );
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await withTransaction(async () => {
+      await dbRun(`DELETE FROM bug_links WHERE id = ?`, [link.id]);
+      await logBugLinkChange(link, 'Link Removed', req.user);
+      await syncBugLinkColumns([link.source_bug_id, link.target_bug_id]);
+    });
+
+    res.json({ success: true, message: 'Link removed' });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Link graph around a bug: nodes within ?depth= hops (default 2) and the links between them.
+// ?types=parent_of,blocks limits which link types are followed
+app.get('/api/bugs/:bug_id/graph', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+  const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 2, 1), BUG_GRAPH_MAX_DEPTH);
+  const allTypes = [...new Set(Object.values(BUG_LINK_ROLES).map(role => role.link_type))];
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(type => allTypes.includes(type))
+    : allTypes;
+
+  if (types.length === 0) {
+    return res.status(400).json({ error: `types must list any of: ${allTypes.join(', ')}` });
+  }
+
+  (async () => {
+    const root = await dbGet(`SELECT bug_id FROM bugs WHERE bug_id = ?`, [bug_id]);
+    if (!root) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const levels = new Map([[bug_id, 0]]);
+    const edges = new Map();
+    let frontier = [bug_id];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const placeholders = frontier.map(() => '?').join(', ');
+      const links = await dbAll(
+        `SELECT id, source_bug_id, target_bug_id, link_type FROM bug_links
+         WHERE (source_bug_id IN (${placeholders}) OR target_bug_id IN (${placeholders}))
+           AND link_type IN (${types.map(() => '?').join(', ')})`,
+        [...frontier, ...frontier, ...types]
+      );
+
+      const next = [];
+      links.forEach(link => {
+        edges.set(link.id, { id: link.id, source: link.source_bug_id, target: link.target_bug_id, type: link.link_type });
+        [link.source_bug_id, link.target_bug_id].forEach(id => {
+          if (!levels.has(id)) {
+            levels.set(id, level);
+            next.push(id);
+          }
+        });
+      });
+      frontier = next;
+    }
+
+    const ids = [...levels.keys()];
+    const bugs = await dbAll(
+      `SELECT bug_id, title, status, priority, severity, assignee_name, is_deleted
+       FROM bugs WHERE bug_id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+
+    res.json({
+      root: bug_id,
+      depth,
+      nodes: bugs.map(bug => ({ ...formatLinkedBug(bug), level: levels.get(bug.bug_id) }))
+        .sort((a, b) => a.level - b.level),
+      edges: [...edges.values()]
+    });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Workflow administration - the transition graph used by checkBugTransition
+app.get('/api/admin/bug-workflow', requirePermission('admin:manage'), (req, res) => {
+  db.all(
+    `SELECT * FROM bug_workflow_transitions ORDER BY from_status, to_status`,
+    [],
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({
+          statuses: BUG_STATUSES,
+          roles: Object.keys(ROLE_PERMISSIONS),
+          transition_fields: TRANSITION_FIELDS,
+          transitions: rows.map(formatTransition)
+        });
+      }
+    }
+  );
+});
+
+// Create or update the transition from_status → to_status
+app.put('/api/admin/bug-workflow', requirePermission('admin:manage'), (req, res) => {
+  const { from_status, to_status, allowed_roles = null, required_fields = [], is_active = true } = req.body;
+  const errors = [];
+
+  if (!BUG_STATUSES.includes(from_status)) errors.push({ field: 'from_status', message: `Must be one of: ${BUG_STATUSES.join(', ')}` });
+  if (!BUG_STATUSES.includes(to_status)) errors.push({ field: 'to_status', message: `Must be one of: ${BUG_STATUSES.join(', ')}` });
+  if (from_status === to_status) errors.push({ field: 'to_status', message: 'Must differ from from_status' });
+  if (allowed_roles !== null && (!Array.isArray(allowed_roles) || allowed_roles.some(role => !ROLE_PERMISSIONS[role]))) {
+    errors.push({ field: 'allowed_roles', message: `Must be null or an array of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+  }
+  if (!Array.isArray(required_fields) || required_fields.some(field => !TRANSITION_FIELDS.includes(field))) {
+    errors.push({ field: 'required_fields', message: `Must be an array of: ${TRANSITION_FIELDS.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors });
+  }
+
+  db.run(
+    `INSERT INTO bug_workflow_transitions (from_status, to_status, allowed_roles, required_fields, is_active, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(from_status, to_status) DO UPDATE SET
+       allowed_roles = excluded.allowed_roles,
+       required_fields = excluded.required_fields,
+       is_active = excluded.is_active,
+       updated_by = excluded.updated_by,
+       updated_at = CURRENT_TIMESTAMP`,
+    [from_status, to_status, allowed_roles ? JSON.stringify(allowed_roles) : null,
+     JSON.stringify(required_fields), is_active ? 1 : 0, req.user.name],
+    (err) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      console.log(`Bug workflow ${from_status} → ${to_status} updated by ${req.user.email}`);
+      res.json({
+        success: true,
+        message: `Transition ${from_status} → ${to_status} saved`
+      });
+    }
+  );
+});
+
+app.delete('/api/admin/bug-workflow/:id', requirePermission('admin:manage'), (req, res) => {
+  db.run(`DELETE FROM bug_workflow_transitions WHERE id = ?`, [req.params.id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else if (this.changes === 0) {
+      res.status(404).json({ error: 'Transition not found' });
+    } else {
+      console.log(`Bug workflow transition ${req.params.id} deleted by ${req.user.email}`);
+      res.json({ success: true, message: 'Transition deleted' });
+    }
+  });
+});
+
+app.post('/api/admin/bug-workflow/reset', requirePermission('admin:manage'), (req, res) => {
+  seedBugWorkflow((err) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      console.log(`Bug workflow reset to defaults by ${req.user.email}`);
+      res.json({ success: true, message: 'Bug workflow reset to defaults' });
+    }
+  });
+});
+
+// SLA policy administration. Open bugs are re-matched whenever the policies change
+app.get('/api/admin/sla-policies', requirePermission('admin:manage'), (req, res) => {
+  db.all(`SELECT * FROM sla_policies ORDER BY priority IS NULL, priority, severity IS NULL, severity, target_hours`, [], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json({
+        target_statuses: SLA_TARGET_STATUSES,
+        business_hours: {
+          start: BUSINESS_HOURS_START,
+          end: BUSINESS_HOURS_END,
+          days: BUSINESS_DAYS,
+          utc_offset_minutes: BUSINESS_HOURS_UTC_OFFSET
+        },
+        policies: rows.map(formatSlaPolicy)
+      });
+    }
+  });
+});
+
+app.post('/api/admin/sla-policies', requirePermission('admin:manage'), (req, res) => {
+  const errors = validateSlaPolicy(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors });
+  }
+
+  const { name, priority = null, severity = null, target_status = 'Fixed', target_hours, business_hours = true, is_active = true } = req.body;
+
+  (async () => {
+    const result = await dbRun(
+      `INSERT INTO sla_policies (name, priority, severity, target_status, target_hours, business_hours, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name.trim(), priority, severity, target_status, target_hours, business_hours ? 1 : 0, is_active ? 1 : 0, req.user.name]
+    );
+    const recalculated = await recalculateOpenBugSlas(req.user);
+    console.log(`SLA policy "${name}" created by ${req.user.email}`);
+    res.json({ success: true, id: result.lastID, recalculated, message: 'SLA policy created' });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+app.put('/api/admin/sla-policies/:id', requirePermission('admin:manage'), (req, res) => {
+  (async () => {
+    const existing = await dbGet(`SELECT * FROM sla_policies WHERE id = ?`, [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+
+    const policy = { ...formatSlaPolicy(existing), ...req.body };
+    const errors = validateSlaPolicy(policy);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    await dbRun(
+      `UPDATE sla_policies SET name = ?, priority = ?, severity = ?, target_status = ?, target_hours = ?,
+         business_hours = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [policy.name.trim(), policy.priority, policy.severity, policy.target_status, policy.target_hours,
+       policy.business_hours ? 1 : 0, policy.is_active ? 1 : 0, req.params.id]
+    );
+
+    // Bugs on this policy are recomputed even if they are no longer open, so a changed target is applied
+    const onPolicy = await dbAll(`SELECT bug_id FROM bugs WHERE sla_policy_id = ?`, [req.params.id]);
+    for (const bug of onPolicy) {
+      await syncBugSla(bug.bug_id, { recalculate: true, user: req.user });
+    }
+    const recalculated = await recalculateOpenBugSlas(req.user);
+
+    console.log(`SLA policy ${req.params.id} updated by ${req.user.email}`);
+    res.json({ success: true, recalculated, message: 'SLA policy updated' });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+app.delete('/api/admin/sla-policies/:id', requirePermission('admin:manage'), (req, res) => {
+  (async () => {
+    const result = await dbRun(`DELETE FROM sla_policies WHERE id = ?`, [req.params.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+
+    const onPolicy = await dbAll(`SELECT bug_id FROM bugs WHERE sla_policy_id = ?`, [req.params.id]);
+    for (const bug of onPolicy) {
+      await syncBugSla(bug.bug_id, { recalculate: true, user: req.user });
+    }
+
+    console.log(`SLA policy ${req.params.id} deleted by ${req.user.email}`);
+    res.json({ success: true, recalculated: onPolicy.length, message: 'SLA policy deleted' });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Re-match all open bugs and record any breaches right away instead of waiting for the sweep
+app.post('/api/admin/sla-policies/recalculate', requirePermission('admin:manage'), (req, res) => {
+  (async () => {
+    const recalculated = await recalculateOpenBugSlas(req.user);
+    const breached = await sweepSlaBreaches();
+    res.json({ success: true, recalculated, breached });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Delete bug (soft delete)
+app.delete('/api/bugs/:bug_id', requirePermission('bugs:delete'), (req, res) => {
+  const { bug_id } = req.params;
+
+  // Mark bug as deleted instead of actually removing it
+  db.run(
+    `UPDATE bugs SET
+      is_deleted = 1,
+      status = 'Rejected',
+      resolution = 'Won''t Fix',
+      updated_at = CURRENT_TIMESTAMP
+    WHERE bug_id = ?`,
+    [bug_id],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (this.changes === 0) {
+        res.status(404).json({ error: 'Bug not found' });
+      } else {
+        // Log the deletion in history
+        db.run(
+          `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [bug_id, 'Deleted', 'is_deleted', 'true', req.user.id, req.user.name],
+          (histErr) => {
+            if (histErr) console.error('Error logging bug deletion:', histErr);
+          }
+        );
+
+        res.json({
+          success: true,
+          message: 'Bug deleted successfully'
+        });
+      }
+    }
+  );
+});
+
+// Bug comments: list (?threaded=true), add, edit, soft delete and edit history
+app.get('/api/bugs/:bug_id/comments', requirePermission('bugs:read'), listComments('bug'));
+app.post('/api/bugs/:bug_id/comments', requirePermission('bugs:comment'), createComment('bug'));
+app.put('/api/bugs/:bug_id/comments/:comment_id', requirePermission('bugs:comment'), updateComment('bug'));
+app.delete('/api/bugs/:bug_id/comments/:comment_id', requirePermission('bugs:comment'), deleteComment('bug'));
+app.get('/api/bugs/:bug_id/comments/:comment_id/edits', requirePermission('bugs:read'), listCommentEdits('bug'));
+
+// Watchers of a bug; POST/DELETE /watch follow and unfollow it for the current user
+app.get('/api/bugs/:bug_id/watchers', requirePermission('bugs:read'), listWatchers('bug'));
+app.post('/api/bugs/:bug_id/watch', requirePermission('bugs:read'), setWatching('bug', true));
+app.delete('/api/bugs/:bug_id/watch', requirePermission('bugs:read'), setWatching('bug', false));
+
+// Time logged against a bug; entries are edited through /api/time-logs/:time_log_id
+app.get('/api/bugs/:bug_id/time-logs', requirePermission('bugs:read'), listTimeLogs('bug'));
+app.post('/api/bugs/:bug_id/time-logs', requirePermission('bugs:write'), createTimeLog('bug'));
+
+// Get bug history
+app.get('/api/bugs/:bug_id/history', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  db.all(
+    `SELECT * FROM bug_history WHERE bug_id = ? ORDER BY changed_at DESC`,
+    [bug_id],
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json(rows);
+      }
+    }
+  );
+});
+
+// Link bug to test
+app.post('/api/bugs/:bug_id/link-test', requirePermission('bugs:write'), (req, res) => {
+  const { bug_id } = req.params;
+  const { test_id } = req.body;
+
+  db.get(`SELECT linked_tests FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else if (!bug) {
+      res.status(404).json({ error: 'Bug not found' });
+    } else {
+      const linkedTests = safeJsonParse(bug.linked_tests, []);
+
+      if (!linkedTests.includes(test_id)) {
+        linkedTests.push(test_id);
+
+        db.run(
+          `UPDATE bugs SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
+          [JSON.stringify(linkedTests), bug_id],
+          function(err) {
+            if (err) {
+              res.status(500).json({ error: err.message });
+            } else {
+              // Log the linking
+              db.run(
+                `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [bug_id, 'Test Linked', 'linked_tests', test_id, req.user.id, req.user.name],
+                (histErr) => {
+                  if (histErr) console.error('Error logging test link:', histErr);
+                }
+              );
+
+              res.json({
+                success: true,
+                message: 'Test linked to bug successfully'
+              });
+            }
+          }
+        );
+      } else {
+        res.json({
+          success: true,
+          message: 'Test already linked to this bug'
+        });
+      }
+    }
+  });
+});
+
+// Get bugs by test ID
+app.get('/api/bugs/by-test/:test_id', requirePermission('bugs:read'), (req, res) => {
+  const { test_id } = req.params;
+
+  db.all(
+    `SELECT * FROM bugs WHERE linked_tests LIKE ? ORDER BY created_at DESC`,
+    [`%"${test_id}"%`],
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        // Parse JSON fields
+        rows.forEach(row => {
+          if (row.linked_tests) row.linked_tests = safeJsonParse(row.linked_tests, []);
+          if (row.steps_to_reproduce) row.steps_to_reproduce = safeJsonParse(row.steps_to_reproduce, []);
+          if (row.environment) row.environment = safeJsonParse(row.environment, {});
+          if (row.tags) row.tags = safeJsonParse(row.tags, []);
+          if (row.attachments) row.attachments = safeJsonParse(row.attachments, []);
+        });
+        res.json(rows);
+      }
+    }
+  );
+});
+
+// Get bug statistics
+app.get('/api/bugs/stats', requirePermission('bugs:read'), (req, res) => {
+  const { module_id, assignee_id } = req.query;
+
+  let query = `
+    SELECT
+      COUNT(*) as total_bugs,
+      SUM(CASE WHEN status = 'New' THEN 1 ELSE 0 END) as new_bugs,
+      SUM(CASE WHEN status IN ('Assigned', 'In Progress') THEN 1 ELSE 0 END) as in_progress,
+      SUM(CASE WHEN status = 'Fixed' THEN 1 ELSE 0 END) as fixed,
+      SUM(CASE WHEN status = 'Verified' THEN 1 ELSE 0 END) as verified,
+      SUM(CASE WHEN status = 'Closed' THEN 1 ELSE 0 END) as closed,
+      SUM(CASE WHEN priority = 'P1' THEN 1 ELSE 0 END) as p1_bugs,
+      SUM(CASE WHEN priority = 'P2' THEN 1 ELSE 0 END) as p2_bugs,
+      SUM(CASE WHEN severity = 'Critical' THEN 1 ELSE 0 END) as critical_bugs,
+      SUM(CASE WHEN severity = 'Major' THEN 1 ELSE 0 END) as major_bugs
+    FROM bugs WHERE 1=1`;
+
+  const params = [];
+
+  if (module_id) {
+    query += ` AND module_id = ?`;
+    params.push(module_id);
+  }
+
+  if (assignee_id) {
+    query += ` AND assignee_id = ?`;
+    params.push(assignee_id);
+  }
+
+  db.get(query, params, (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json(row || {});
+    }
+  });
+});
+
+// Upload attachment for a bug
+app.post('/api/bugs/:bug_id/attachments', requirePermission('bugs:write'), upload.array('files', 5), (req, res) => {
+  const { bug_id } = req.params;
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  // Check if bug exists
+  db.get(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!bug) {
+      // Delete uploaded files if bug doesn't exist
+      req.files.forEach(file => {
+        fs.unlinkSync(file.path);
+      });
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const attachments = [];
+    const promises = [];
+
+    req.files.forEach(file => {
+      const attachment_id = `ATT-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const relativePath = path.relative(__dirname, file.path);
+
+      attachments.push({
+        attachment_id,
+        filename: file.filename,
+        original_name: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        download_url: getAttachmentDownloadUrl(attachment_id)
+      });
+
+      promises.push(new Promise((resolve, reject) => {
+        db.run(
+          `INSERT INTO bug_attachments (attachment_id, bug_id, filename, original_name, mimetype, size, path, uploaded_by_id, uploaded_by_name)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [attachment_id, bug_id, file.filename, file.originalname, file.mimetype, file.size, `/uploads/bugs/${file.filename}`, req.user.id, req.user.name],
+          function(err) {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      }));
+    });
+
+    Promise.all(promises)
+      .then(() => {
+        // Update bug attachments field
+        const currentAttachments = safeJsonParse(bug.attachments, []);
+        const newAttachments = [...currentAttachments, ...attachments.map(a => a.attachment_id)];
+
+        db.run(
+          `UPDATE bugs SET attachments = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
+          [JSON.stringify(newAttachments), bug_id],
+          (err) => {
+            if (err) {
+              console.error('Error updating bug attachments:', err);
+            }
+
+            // Log the attachment upload
+            db.run(
+              `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
+               VALUES (?, ?, ?, ?, ?, ?)`,
+              [bug_id, 'Attachment Added', 'attachments', `${req.files.length} file(s) uploaded`, req.user.id, req.user.name],
+              (histErr) => {
+                if (histErr) console.error('Error logging attachment upload:', histErr);
+              }
+            );
+          }
+        );
+
+        res.json({
+          success: true,
+          message: `${attachments.length} file(s) uploaded successfully`,
+          attachments
+        });
+      })
+      .catch(err => {
+        // Delete uploaded files on error
+        req.files.forEach(file => {
+          fs.unlinkSync(file.path);
+        });
+        res.status(500).json({ error: 'Failed to save attachment records: ' + err.message });
+      });
+  });
+});
+
+// Get attachments for a bug
+app.get('/api/bugs/:bug_id/attachments', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  db.all(
+    `SELECT * FROM bug_attachments WHERE bug_id = ? ORDER BY uploaded_at DESC`,
+    [bug_id],
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json((rows || []).map(withDownloadUrl));
+      }
+    }
+  );
+});
+
+// Delete an attachment
+app.delete('/api/bugs/:bug_id/attachments/:attachment_id', requirePermission('bugs:write'), (req, res) => {
+  const { bug_id, attachment_id } = req.params;
+
+  // Get attachment details
+  db.get(
+    `SELECT * FROM bug_attachments WHERE attachment_id = ? AND bug_id = ?`,
+    [attachment_id, bug_id],
+    (err, attachment) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      // Delete file from filesystem
+      const filePath = path.join(uploadsDir, 'bugs', attachment.filename);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+
+      // Delete from database
+      db.run(
+        `DELETE FROM bug_attachments WHERE attachment_id = ?`,
+        [attachment_id],
+        function(err) {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+
+          // Update bug attachments field
+          db.get(`SELECT attachments FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
+            if (!err && bug) {
+              const attachments = safeJsonParse(bug.attachments, []);
+              const updatedAttachments = attachments.filter(id => id !== attachment_id);
+
+              db.run(
+                `UPDATE bugs SET attachments = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
+                [JSON.stringify(updatedAttachments), bug_id],
+                (err) => {
+                  if (err) console.error('Error updating bug attachments:', err);
+                }
+              );
+            }
+          });
+
+          // Log the deletion
+          db.run(
+            `INSERT INTO bug_history (bug_id, action, field_name, old_value, changed_by_id, changed_by_name)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [bug_id, 'Attachment Deleted', 'attachments', attachment.original_name, req.user.id, req.user.name],
+            (histErr) => {
+              if (histErr) console.error('Error logging attachment deletion:', histErr);
+            }
+          );
+
+          res.json({
+            success: true,
+            message: 'Attachment deleted successfully'
+          });
+        }
+      );
+    }
+  );
+});
+
+// Create test from bug
+app.post('/api/bugs/:bug_id/create-test', requirePermission('custom_tests:write', 'bugs:write'), (req, res) => {
+  const { bug_id } = req.params;
+
+  // Get bug details
+  db.get(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    // Generate test from bug data
+    const testId = `TEST-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const steps = safeJsonParse(bug.steps_to_reproduce, []);
+
+    // Create test case from bug
+    const testData = {
+      test_id: testId,
+      title: `Verify fix for: ${bug.title}`,
+      description: `Regression test to verify that bug ${bug.bug_id} has been fixed.\n\nOriginal issue: ${bug.description}`,
+      module: bug.category || 'General',
+      category: 'Regression',
+      priority: bug.priority === 'P1' ? 'High' : bug.priority === 'P2' ? 'High' : bug.priority === 'P3' ? 'Medium' : 'Low',
+      steps: JSON.stringify([
+        'Prerequisites: Ensure the bug fix has been deployed',
+        ...steps,
+        'Verify the issue no longer occurs'
+      ]),
+      expected_result: bug.expected_result || 'System should work as expected without the reported issue',
+      prerequisites: JSON.stringify([`Bug ${bug.bug_id} should be in Fixed or Verified status`]),
+      test_data: JSON.stringify({
+        bug_id: bug.bug_id,
+        environment: safeJsonParse(bug.environment, {}),
+        found_in_version: bug.found_in_version
+      }),
+      created_by: req.user.name,
+      tags: JSON.stringify(['regression', `bug-${bug.bug_id}`, bug.type?.toLowerCase()].filter(Boolean))
+    };
+
+    // Insert the test
+    db.run(
+      `INSERT INTO custom_tests (test_id, title, description, module, category, priority, steps, expected_result, prerequisites, test_data, created_by, tags)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [testData.test_id, testData.title, testData.description, testData.module, testData.category, testData.priority,
+       testData.steps, testData.expected_result, testData.prerequisites, testData.test_data, testData.created_by, testData.tags],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to create test: ' + err.message });
+        }
+
+        // Update bug with linked test
+        const linkedTests = safeJsonParse(bug.linked_tests, []);
+        linkedTests.push(testData.test_id);
+
+        db.run(
+          `UPDATE bugs SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
+          [JSON.stringify(linkedTests), bug_id],
+          (updateErr) => {
+            if (updateErr) {
+              console.error('Error linking test to bug:', updateErr);
+            }
+
+            // Log the test creation
+            db.run(
+              `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
+               VALUES (?, ?, ?, ?, ?, ?)`,
+              [bug_id, 'Test Created', 'linked_tests', testData.test_id, req.user.id, req.user.name],
+              (histErr) => {
+                if (histErr) console.error('Error logging test creation:', histErr);
+              }
+            );
+          }
+        );
+
+        res.json({
+          success: true,
+          message: 'Test case created successfully',
+          test_id: testData.test_id,
+          test: testData
+        });
+      }
+    );
+  });
+});
+
+// Get test cases linked to a bug
+app.get('/api/bugs/:bug_id/tests', requirePermission('bugs:read'), (req, res) => {
+  const { bug_id } = req.params;
+
+  // First get bug to find linked tests
+  db.get(`SELECT linked_tests FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const linkedTestIds = safeJsonParse(bug.linked_tests, []);
+    if (linkedTestIds.length === 0) {
+      return res.json([]);
+    }
+
+    // Get test details - only get active tests (not deleted)
+    const placeholders = linkedTestIds.map(() => '?').join(',');
+    db.all(
+      `SELECT * FROM custom_tests WHERE test_id IN (${placeholders}) AND is_active = 1 ORDER BY created_at DESC`,
+      linkedTestIds,
+      (err, tests) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+        } else {
+          // Parse JSON fields for each test
+          const parsedTests = (tests || []).map(test => ({
+            ...test,
+            steps: safeJsonParse(test.steps, []),
+            prerequisites: safeJsonParse(test.prerequisites, []),
+            test_data: safeJsonParse(test.test_data, {}),
+            tags: safeJsonParse(test.tags, [])
+          }));
+          res.json(parsedTests);
+        }
+      }
+    );
+  });
+});
+
+// ============ FEATURE DEPENDENCIES ============
+
+// upcoming_features.dependencies lists the features a feature waits for. blocks is its inverse and is
+// only ever rewritten from dependencies, never from client input
+const FEATURE_DONE_STATUSES = ['Completed'];
+const FEATURE_DEV_STATUS = 'In Development';
+
+// Hours per day of a start_date..end_date span, used as the duration of features without an estimate
+const FEATURE_HOURS_PER_DAY = 8;
+
+function featureIdList(value) {
+  const ids = safeJsonParse(value, []);
+  return Array.isArray(ids) ? [...new Set(ids.filter(id => typeof id === 'string' && id))] : [];
+}
+
+async function loadFeatureGraph() {
+  const rows = await dbAll(`SELECT feature_id, dependencies, is_deleted FROM upcoming_features`);
+  return new Map(rows.map(row => [row.feature_id, { ...row, dependencies: featureIdList(row.dependencies) }]));
+}
+
+// The chain of dependencies leading from one feature to another, or null when there is none
+function findDependencyPath(graph, fromId, toId, seen = new Set()) {
+  if (fromId === toId) return [toId];
+  if (seen.has(fromId)) return null;
+  seen.add(fromId);
+
+  const node = graph.get(fromId);
+  for (const nextId of node ? node.dependencies : []) {
+    const path = findDependencyPath(graph, nextId, toId, seen);
+    if (path) return [fromId, ...path];
+  }
+  return null;
+}
+
+// Why a feature may not depend on the given features, as { status, body }, or null when it is fine.
+// Only entries not already in current are checked, so a stale entry never blocks removing another
+function checkFeatureDependencies(graph, featureId, dependencies, current) {
+  if (!Array.isArray(dependencies) || dependencies.some(id => typeof id !== 'string' || !id)) {
+    return { status: 400, body: { error: 'dependencies must be an array of feature IDs' } };
+  }
+  if (dependencies.includes(featureId)) {
+    return { status: 400, body: { error: 'A feature cannot depend on itself' } };
+  }
+
+  const added = dependencies.filter(id => !current.includes(id));
+  const unknown = added.filter(id => !graph.has(id) || graph.get(id).is_deleted);
+  if (unknown.length > 0) {
+    return { status: 400, body: { error: `Unknown feature(s): ${unknown.join(', ')}`, unknown_features: unknown } };
+  }
+
+  for (const dependencyId of added) {
+    const path = findDependencyPath(graph, dependencyId, featureId);
+    if (path) {
+      const cycle = [featureId, ...path];
+      return {
+        status: 409,
+        body: { error: `Dependency would create a cycle: ${cycle.join(' → ')}`, cycle }
+      };
+    }
+  }
+
+  return null;
+}
+
+// Rewrite upcoming_features.blocks from the dependencies of every other feature
+async function syncFeatureBlocks(featureIds) {
+  for (const featureId of new Set(featureIds)) {
+    const dependents = await dbAll(
+      `SELECT f.feature_id
+       FROM upcoming_features f, json_each(CASE WHEN json_valid(f.dependencies) THEN f.dependencies ELSE '[]' END) d
+       WHERE d.value = ?
+       ORDER BY f.id`,
+      [featureId]
+    );
+    await dbRun(
+      `UPDATE upcoming_features SET blocks = ? WHERE feature_id = ?`,
+      [JSON.stringify([...new Set(dependents.map(row => row.feature_id))]), featureId]
+    );
+  }
+}
+
+// Store a feature's new dependency list, update blocks on both sides and log each change on both features
+async function saveFeatureDependencies(featureId, current, dependencies, user) {
+  const added = dependencies.filter(id => !current.includes(id));
+  const removed = current.filter(id => !dependencies.includes(id));
+  if (added.length === 0 && removed.length === 0) return { added, removed };
+
+  await withTransaction(async () => {
+    await dbRun(
+      `UPDATE upcoming_features SET dependencies = ?, updated_at = CURRENT_TIMESTAMP WHERE feature_id = ?`,
+      [JSON.stringify(dependencies), featureId]
+    );
+
+    const changes = [
+      ...added.map(id => ({ id, action: 'Dependency Added' })),
+      ...removed.map(id => ({ id, action: 'Dependency Removed' }))
+    ];
+    for (const { id, action } of changes) {
+      const isAdded = action === 'Dependency Added';
+      await dbRun(
+        `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+         VALUES (?, ?, 'dependencies', ?, ?, ?, ?)`,
+        [featureId, action, isAdded ? null : id, isAdded ? id : null, user.id, user.name]
+      );
+      await dbRun(
+        `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+         VALUES (?, ?, 'blocks', ?, ?, ?, ?)`,
+        [id, action, isAdded ? null : featureId, isAdded ? featureId : null, user.id, user.name]
+      );
+    }
+
+    await syncFeatureBlocks([...added, ...removed]);
+  });
+
+  return { added, removed };
+}
+
+function formatDependencyFeature(feature, featureId) {
+  if (!feature) return { feature_id: featureId, missing: true };
+  return {
+    feature_id: feature.feature_id,
+    title: feature.title,
+    status: feature.status,
+    target_version: feature.target_version,
+    start_date: feature.start_date,
+    end_date: feature.end_date,
+    is_complete: FEATURE_DONE_STATUSES.includes(feature.status),
+    is_deleted: Boolean(feature.is_deleted)
+  };
+}
+
+async function loadFeaturesById(featureIds) {
+  if (featureIds.length === 0) return new Map();
+  const rows = await dbAll(
+    `SELECT feature_id, title, status, target_version, start_date, end_date, is_deleted
+     FROM upcoming_features WHERE feature_id IN (${featureIds.map(() => '?').join(', ')})`,
+    featureIds
+  );
+  return new Map(rows.map(row => [row.feature_id, row]));
+}
 
-  Object.entries(queries).forEach(([key, query]) => {
-    const params = key === 'bugFixes' ? [version_id] :
-                  key === 'knownIssues' ? [version_id] :
-                  key === 'newFeatures' ? [version_id] : [version_id];
+// Dependencies that are neither done nor deleted, which should hold a feature back from development
+async function getIncompleteDependencies(featureId) {
+  const row = await dbGet(`SELECT dependencies FROM upcoming_features WHERE feature_id = ?`, [featureId]);
+  const dependencies = featureIdList(row && row.dependencies);
+  const features = await loadFeaturesById(dependencies);
 
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        console.error(`Error in ${key}:`, err);
-        // Return empty array for array fields, 0 for counts
-        if (key === 'bugFixes' || key === 'knownIssues' || key === 'newFeatures' || key === 'testsByStatus' || key === 'moduleStats') {
-          stats[key] = [];
-        } else {
-          stats[key] = 0;
-        }
-      } else {
-        // For count queries, return the count value, for array queries return the rows
-        if (rows.length === 1 && rows[0].count !== undefined) {
-          stats[key] = rows[0].count;
-        } else {
-          stats[key] = rows || [];
-        }
-      }
+  return dependencies
+    .map(id => features.get(id))
+    .filter(feature => feature && !feature.is_deleted && !FEATURE_DONE_STATUSES.includes(feature.status))
+    .map(feature => formatDependencyFeature(feature));
+}
 
-      completed++;
-      if (completed === totalQueries) {
-        res.json(stats);
+// Warnings to return when a status change starts development ahead of the feature's dependencies
+async function getDependencyWarnings(featureId, oldStatus, newStatus) {
+  if (newStatus !== FEATURE_DEV_STATUS || oldStatus === newStatus) {
+    return { warnings: [] };
+  }
+
+  const incomplete = await getIncompleteDependencies(featureId);
+  if (incomplete.length === 0) {
+    return { warnings: [] };
+  }
+
+  return {
+    warnings: [
+      `${featureId} moved to ${FEATURE_DEV_STATUS} while ${incomplete.length} dependenc${incomplete.length === 1 ? 'y is' : 'ies are'} incomplete: ` +
+      incomplete.map(feature => `${feature.feature_id} (${feature.status})`).join(', ')
+    ],
+    incomplete_dependencies: incomplete
+  };
+}
+
+function parseScheduleDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Planned hours of a feature: its estimate, else its date span, else nothing
+function getFeatureDuration(feature) {
+  if (feature.estimated_hours > 0) {
+    return { hours: feature.estimated_hours, source: 'estimate' };
+  }
+
+  const start = parseScheduleDate(feature.start_date);
+  const end = parseScheduleDate(feature.end_date);
+  if (start !== null && end !== null && end >= start) {
+    const days = Math.round((end - start) / 86400000) + 1;
+    return { hours: days * FEATURE_HOURS_PER_DAY, source: 'dates' };
+  }
+
+  return { hours: 0, source: 'none' };
+}
+
+// Date conflicts between a feature and one of its dependencies
+function getScheduleConflicts(feature, dependency) {
+  const conflicts = [];
+  const dependencyEnd = parseScheduleDate(dependency.end_date);
+  if (dependencyEnd === null) return conflicts;
+
+  const end = parseScheduleDate(feature.end_date);
+  const start = parseScheduleDate(feature.start_date);
+
+  if (end !== null && dependencyEnd > end) {
+    conflicts.push({
+      type: 'ends_before_dependency',
+      feature_id: feature.feature_id,
+      dependency_id: dependency.feature_id,
+      message: `${feature.feature_id} ends on ${feature.end_date}, before its dependency ${dependency.feature_id} ends on ${dependency.end_date}`
+    });
+  } else if (start !== null && dependencyEnd > start) {
+    conflicts.push({
+      type: 'starts_before_dependency_ends',
+      feature_id: feature.feature_id,
+      dependency_id: dependency.feature_id,
+      message: `${feature.feature_id} starts on ${feature.start_date}, before its dependency ${dependency.feature_id} ends on ${dependency.end_date}`
+    });
+  }
+
+  return conflicts;
+}
+
+// Critical path over the remaining work of the (optionally version-filtered) features. Dependencies
+// outside the selection are listed per feature and checked for date conflicts, but do not add to the path
+async function buildFeatureSchedule(version) {
+  const features = await dbAll(
+    `SELECT feature_id, title, status, priority, module_id, target_version, developer_id, developer_name,
+            estimated_hours, progress_percentage, start_date, end_date, dependencies
+     FROM upcoming_features
+     WHERE is_deleted = 0 AND status != 'Cancelled'${version ? ' AND target_version = ?' : ''}
+     ORDER BY id`,
+    version ? [version] : []
+  );
+
+  const nodes = new Map(features.map(feature => {
+    const duration = getFeatureDuration(feature);
+    const progress = Math.min(Math.max(feature.progress_percentage || 0, 0), 100);
+    return [feature.feature_id, {
+      feature,
+      dependencies: featureIdList(feature.dependencies),
+      duration_hours: duration.hours,
+      duration_source: duration.source,
+      remaining_hours: FEATURE_DONE_STATUSES.includes(feature.status) ? 0 : duration.hours * (100 - progress) / 100,
+      dependents: []
+    }];
+  }));
+
+  const externalIds = [...new Set([...nodes.values()].flatMap(node => node.dependencies.filter(id => !nodes.has(id))))];
+  const external = await loadFeaturesById(externalIds);
+
+  nodes.forEach((node, featureId) => {
+    node.dependencies.filter(id => nodes.has(id)).forEach(id => nodes.get(id).dependents.push(featureId));
+  });
+
+  // Forward pass in topological order. Features caught in a cycle (legacy data) are left unscheduled
+  const pending = new Map([...nodes].map(([id, node]) => [id, node.dependencies.filter(depId => nodes.has(depId)).length]));
+  const queue = [...pending].filter(([, count]) => count === 0).map(([id]) => id);
+  const order = [];
+  while (queue.length > 0) {
+    const featureId = queue.shift();
+    const node = nodes.get(featureId);
+    order.push(featureId);
+
+    node.earliest_start = Math.max(0, ...node.dependencies.filter(id => nodes.has(id)).map(id => nodes.get(id).earliest_finish));
+    node.earliest_finish = node.earliest_start + node.remaining_hours;
+
+    node.dependents.forEach(dependentId => {
+      pending.set(dependentId, pending.get(dependentId) - 1);
+      if (pending.get(dependentId) === 0) queue.push(dependentId);
+    });
+  }
+
+  const totalHours = Math.max(0, ...order.map(id => nodes.get(id).earliest_finish));
+
+  // Backward pass for slack
+  [...order].reverse().forEach(featureId => {
+    const node = nodes.get(featureId);
+    const scheduledDependents = node.dependents.filter(id => nodes.get(id).latest_start !== undefined);
+    node.latest_finish = Math.min(totalHours, ...scheduledDependents.map(id => nodes.get(id).latest_start));
+    node.latest_start = node.latest_finish - node.remaining_hours;
+  });
+
+  // Walk back from the feature that finishes last along the dependency that finishes last
+  const criticalPath = [];
+  let current = order.reduce((last, id) =>
+    (!last || nodes.get(id).earliest_finish > nodes.get(last).earliest_finish ? id : last), null);
+  while (current) {
+    criticalPath.unshift(current);
+    const node = nodes.get(current);
+    current = node.dependencies
+      .filter(id => nodes.has(id) && nodes.get(id).earliest_finish !== undefined)
+      .reduce((last, id) => (!last || nodes.get(id).earliest_finish > nodes.get(last).earliest_finish ? id : last), null);
+  }
+
+  const round = hours => (hours === undefined ? null : Math.round(hours * 100) / 100);
+  const conflicts = [];
+  const scheduled = features.map(feature => {
+    const node = nodes.get(feature.feature_id);
+    const featureConflicts = node.dependencies.flatMap(id => {
+      const dependency = nodes.has(id) ? nodes.get(id).feature : external.get(id);
+      return dependency && !dependency.is_deleted ? getScheduleConflicts(feature, dependency) : [];
+    });
+    conflicts.push(...featureConflicts);
+
+    const slack = node.earliest_finish === undefined ? undefined : node.latest_finish - node.earliest_finish;
+    return {
+      feature_id: feature.feature_id,
+      title: feature.title,
+      status: feature.status,
+      priority: feature.priority,
+      module_id: feature.module_id,
+      target_version: feature.target_version,
+      developer_name: feature.developer_name,
+      start_date: feature.start_date,
+      end_date: feature.end_date,
+      duration_hours: round(node.duration_hours),
+      duration_source: node.duration_source,
+      remaining_hours: round(node.remaining_hours),
+      earliest_start_hours: round(node.earliest_start),
+      earliest_finish_hours: round(node.earliest_finish),
+      slack_hours: round(slack),
+      is_critical: criticalPath.includes(feature.feature_id),
+      dependencies: node.dependencies.filter(id => nodes.has(id)),
+      external_dependencies: node.dependencies
+        .filter(id => !nodes.has(id))
+        .map(id => formatDependencyFeature(external.get(id), id)),
+      conflicts: featureConflicts
+    };
+  });
+
+  return {
+    version: version || null,
+    total_features: scheduled.length,
+    critical_path: criticalPath,
+    critical_path_hours: round(totalHours),
+    conflicts,
+    cyclic_features: features.map(feature => feature.feature_id).filter(id => !order.includes(id)),
+    features: scheduled
+  };
+}
+
+// Schedule for a version (or every open feature). Registered before /api/features/:feature_id
+app.get('/api/features/schedule', requirePermission('features:read'), (req, res) => {
+  const { version } = req.query;
+
+  (async () => {
+    if (version) {
+      const known = await dbGet(`SELECT version_id FROM versions WHERE version_id = ?`, [version]);
+      if (!known) {
+        return res.status(404).json({ error: 'Version not found' });
       }
+    }
+
+    res.json(await buildFeatureSchedule(version));
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Dependencies of a feature and the features it blocks
+app.get('/api/features/:feature_id/dependencies', requirePermission('features:read'), (req, res) => {
+  const { feature_id } = req.params;
+
+  (async () => {
+    const feature = await dbGet(`SELECT feature_id, dependencies FROM upcoming_features WHERE feature_id = ?`, [feature_id]);
+    if (!feature) {
+      return res.status(404).json({ error: 'Feature not found' });
+    }
+
+    const dependencies = featureIdList(feature.dependencies);
+    const dependents = await dbAll(
+      `SELECT f.feature_id
+       FROM upcoming_features f, json_each(CASE WHEN json_valid(f.dependencies) THEN f.dependencies ELSE '[]' END) d
+       WHERE d.value = ?
+       ORDER BY f.id`,
+      [feature_id]
+    );
+    const blocks = [...new Set(dependents.map(row => row.feature_id))];
+    const related = await loadFeaturesById([...dependencies, ...blocks]);
+
+    const formattedDependencies = dependencies.map(id => formatDependencyFeature(related.get(id), id));
+    res.json({
+      feature_id,
+      dependencies: formattedDependencies,
+      blocks: blocks.map(id => formatDependencyFeature(related.get(id), id)),
+      incomplete_dependencies: formattedDependencies.filter(dep => !dep.missing && !dep.is_deleted && !dep.is_complete).length
     });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
   });
 });
 
-// ============ BUG TRACKING API ENDPOINTS ============
+// Shared by the dependency write routes: validate the new list against the graph and store it
+function updateFeatureDependencies(req, res, buildList) {
+  const { feature_id } = req.params;
 
-// Generate unique bug ID
-function generateBugId() {
-  const year = new Date().getFullYear();
-  const timestamp = Date.now().toString(36).toUpperCase();
-  return `BUG-${year}-${timestamp}`;
+  (async () => {
+    const graph = await loadFeatureGraph();
+    const feature = graph.get(feature_id);
+    if (!feature || feature.is_deleted) {
+      return res.status(404).json({ error: 'Feature not found' });
+    }
+
+    const list = buildList(feature.dependencies);
+    if (list.failure) {
+      return res.status(list.failure.status).json(list.failure.body);
+    }
+
+    const dependencies = Array.isArray(list.dependencies) ? [...new Set(list.dependencies)] : list.dependencies;
+    const failure = checkFeatureDependencies(graph, feature_id, dependencies, feature.dependencies);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const { added, removed } = await saveFeatureDependencies(feature_id, feature.dependencies, dependencies, req.user);
+    res.json({
+      success: true,
+      feature_id,
+      dependencies,
+      added,
+      removed,
+      message: added.length || removed.length ? 'Dependencies updated' : 'Dependencies unchanged'
+    });
+  })().catch(err => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
 }
 
-// Create a new bug
-app.post('/api/bugs', (req, res) => {
-  const {
-    title,
-    description,
-    steps_to_reproduce,
-    expected_result,
-    actual_result,
-    priority = 'P3',
-    severity = 'Minor',
-    category,
-    type = 'Functional',
-    module_id,
-    session_id,
-    linked_tests,
-    reporter_id,
-    reporter_name,
-    reporter_email,
-    assignee_id,
-    assignee_name,
-    assignee_email,
-    environment,
-    found_in_version,
-    target_release,
-    tags,
-    attachments
-  } = req.body;
+// Replace the whole list: { dependencies: [feature_id, ...] }
+app.put('/api/features/:feature_id/dependencies', requirePermission('features:write'), (req, res) => {
+  updateFeatureDependencies(req, res, () => ({ dependencies: req.body.dependencies }));
+});
 
-  const bug_id = generateBugId();
+// Add one: { depends_on: feature_id }
+app.post('/api/features/:feature_id/dependencies', requirePermission('features:write'), (req, res) => {
+  const { depends_on } = req.body;
 
-  db.run(
-    `INSERT INTO bugs (
-      bug_id, title, description, steps_to_reproduce, expected_result, actual_result,
-      priority, severity, category, type, module_id, session_id, linked_tests,
-      reporter_id, reporter_name, reporter_email, assignee_id, assignee_name, assignee_email,
-      environment, found_in_version, target_release, tags, attachments
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      bug_id, title, description,
-      JSON.stringify(steps_to_reproduce || []),
-      expected_result, actual_result,
-      priority, severity, category, type,
-      module_id, session_id,
-      JSON.stringify(linked_tests || []),
-      reporter_id, reporter_name, reporter_email,
-      assignee_id, assignee_name, assignee_email,
-      JSON.stringify(environment || {}),
-      found_in_version, target_release,
-      JSON.stringify(tags || []),
-      JSON.stringify(attachments || [])
-    ],
-    function(err) {
-      if (err) {
-        console.error('Error creating bug:', err);
-        res.status(500).json({ error: err.message });
-      } else {
-        // Log the creation in history
-        db.run(
-          `INSERT INTO bug_history (bug_id, action, changed_by_id, changed_by_name)
-           VALUES (?, ?, ?, ?)`,
-          [bug_id, 'Created', reporter_id, reporter_name],
-          (histErr) => {
-            if (histErr) console.error('Error logging bug creation:', histErr);
-          }
-        );
+  updateFeatureDependencies(req, res, current => {
+    if (typeof depends_on !== 'string' || !depends_on) {
+      return { failure: { status: 400, body: { error: 'depends_on is required' } } };
+    }
+    if (current.includes(depends_on)) {
+      return { failure: { status: 409, body: { error: `${req.params.feature_id} already depends on ${depends_on}` } } };
+    }
+    return { dependencies: [...current, depends_on] };
+  });
+});
 
-        res.json({
-          success: true,
-          id: this.lastID,
-          bug_id: bug_id,
-          message: 'Bug created successfully'
-        });
-      }
+app.delete('/api/features/:feature_id/dependencies/:depends_on_id', requirePermission('features:write'), (req, res) => {
+  const { feature_id, depends_on_id } = req.params;
+
+  updateFeatureDependencies(req, res, current => {
+    if (!current.includes(depends_on_id)) {
+      return { failure: { status: 404, body: { error: `${feature_id} does not depend on ${depends_on_id}` } } };
     }
-  );
+    return { dependencies: current.filter(id => id !== depends_on_id) };
+  });
 });
 
-// Get all bugs with filtering
-app.get('/api/bugs', (req, res) => {
-  const {
-    status,
-    priority,
-    severity,
-    assignee_id,
-    module_id,
-    search,
-    show_deleted,
-    show_rejected,
-    limit = 100,
-    offset = 0
-  } = req.query;
+// ============ ACCEPTANCE CRITERIA ============
+
+// Criteria with state_source 'auto' follow the latest result of their linked custom tests:
+// any failing → failed, all passing → met, otherwise pending. A state set by hand sticks until
+// the criterion is switched back to auto
+const CRITERION_STATES = ['pending', 'met', 'failed'];
+const CRITERION_MAX_LENGTH = 2000;
+const CRITERIA_ACTOR = { id: 'system', name: 'Acceptance monitor' };
+
+function formatCriterion(row) {
+  return {
+    id: row.id,
+    feature_id: row.feature_id,
+    description: row.description,
+    position: row.position,
+    state: row.state,
+    state_source: row.state_source,
+    linked_tests: featureIdList(row.linked_tests),
+    last_result_id: row.last_result_id,
+    last_session_id: row.last_session_id,
+    state_changed_at: row.state_changed_at,
+    created_by_name: row.created_by_name,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
 
-  let query = `SELECT * FROM bugs WHERE 1=1`;
-  const params = [];
+// The criteria texts of a feature create/update request, or null when they are not a list of strings
+function normalizeCriteriaList(value) {
+  if (!Array.isArray(value) || value.some(text => typeof text !== 'string')) return null;
+  return value.map(text => text.trim()).filter(Boolean);
+}
 
-  // Handle deleted and rejected filters
-  // show_deleted: 'true' = show only deleted, 'false' = hide deleted, 'all' = show all
-  // show_rejected: 'true' = show rejected (not deleted), 'false' = hide rejected
-  if (show_deleted === 'false') {
-    query += ` AND (is_deleted = 0 OR is_deleted IS NULL)`;
-  } else if (show_deleted === 'true') {
-    query += ` AND is_deleted = 1`;
+function validateCriterionDescription(description) {
+  if (typeof description !== 'string' || !description.trim()) {
+    return 'description is required';
   }
-  // If show_deleted is 'all' or undefined, don't filter by is_deleted
+  if (description.length > CRITERION_MAX_LENGTH) {
+    return `description must be at most ${CRITERION_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+function logCriterionChange(featureId, criterionId, action, oldValue, newValue, user) {
+  return dbRun(
+    `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [featureId, action, `criterion:${criterionId}`, oldValue, newValue, user.id, user.name]
+  );
+}
 
-  if (show_rejected === 'false') {
-    query += ` AND (status != 'Rejected' OR is_deleted = 1)`;
-  } else if (show_rejected === 'true') {
-    query += ` AND status = 'Rejected' AND (is_deleted = 0 OR is_deleted IS NULL)`;
+// Rewrite upcoming_features.acceptance_criteria from the criteria records, in display order
+function syncCriteriaColumn(featureId) {
+  return dbRun(
+    `UPDATE upcoming_features
+     SET acceptance_criteria = (
+       SELECT json_group_array(description) FROM (
+         SELECT description FROM acceptance_criteria WHERE feature_id = ? ORDER BY position, id
+       )
+     )
+     WHERE feature_id = ?`,
+    [featureId, featureId]
+  );
+}
+
+// Latest result of each test, keyed by test ID. With a versionId only results recorded on that
+// version count (the result's version_id, or else its session's), as in the linked_tests_passed gate
+async function getLatestTestResults(testIds, versionId = null) {
+  const latest = new Map();
+  for (const testId of new Set(testIds)) {
+    const result = await dbGet(
+      `SELECT tr.id, tr.session_id, tr.test_case_id, tr.status,
+              COALESCE(tr.version_id, ts.version_id) AS version_id, tr.tested_at
+       FROM test_results tr
+       LEFT JOIN test_sessions ts ON ts.session_id = tr.session_id
+       WHERE tr.test_case_id = ?${versionId ? ' AND COALESCE(tr.version_id, ts.version_id) = ?' : ''}
+       ORDER BY tr.tested_at DESC, tr.id DESC LIMIT 1`,
+      versionId ? [testId, versionId] : [testId]
+    );
+    if (result) latest.set(testId, result);
   }
+  return latest;
+}
 
-  if (status) {
-    query += ` AND status = ?`;
-    params.push(status);
+// State of a criterion from the latest results of its tests, plus the result that decided it
+function deriveCriterionState(testIds, latest) {
+  const results = testIds.map(id => latest.get(id));
+  const failing = results.find(result => result && isFailingResult(result.status));
+  if (failing) return { state: 'failed', result: failing };
+
+  if (testIds.length > 0 && results.every(result => result && isPassingResult(result.status))) {
+    const newest = results.reduce((last, result) => (result.id > last.id ? result : last));
+    return { state: 'met', result: newest };
   }
 
-  if (priority) {
-    query += ` AND priority = ?`;
-    params.push(priority);
+  return { state: 'pending', result: null };
+}
+
+// Re-derive the state of auto criteria and store the ones that changed. Only results on each
+// feature's target_version count. Resolves to [{ id, feature_id, from, to }]
+async function evaluateCriteria(criteria, user = CRITERIA_ACTOR) {
+  const autoCriteria = criteria.filter(criterion => criterion.state_source === 'auto');
+  const latestByFeature = new Map();
+  const changed = [];
+
+  for (const criterion of autoCriteria) {
+    if (!latestByFeature.has(criterion.feature_id)) {
+      const feature = await dbGet(`SELECT target_version FROM upcoming_features WHERE feature_id = ?`, [criterion.feature_id]);
+      const testIds = autoCriteria
+        .filter(other => other.feature_id === criterion.feature_id)
+        .flatMap(other => featureIdList(other.linked_tests));
+      latestByFeature.set(criterion.feature_id, await getLatestTestResults(testIds, feature && feature.target_version));
+    }
+
+    const { state, result } = deriveCriterionState(featureIdList(criterion.linked_tests), latestByFeature.get(criterion.feature_id));
+    if (state === criterion.state) continue;
+
+    await dbRun(
+      `UPDATE acceptance_criteria
+       SET state = ?, last_result_id = ?, last_session_id = ?, state_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [state, result ? result.id : null, result ? result.session_id : null, criterion.id]
+    );
+    await logCriterionChange(criterion.feature_id, criterion.id, 'Criterion State Changed', criterion.state, state, user);
+    changed.push({ id: criterion.id, feature_id: criterion.feature_id, from: criterion.state, to: state });
   }
 
-  if (severity) {
-    query += ` AND severity = ?`;
-    params.push(severity);
+  return changed;
+}
+
+// Called for every recorded test result: re-evaluate the auto criteria of live features that link the test
+async function evaluateCriteriaForTest(testCaseId) {
+  if (!testCaseId) return [];
+
+  const criteria = await dbAll(
+    `SELECT a.* FROM acceptance_criteria a
+     JOIN upcoming_features f ON f.feature_id = a.feature_id
+     WHERE a.state_source = 'auto' AND COALESCE(f.is_deleted, 0) = 0
+       AND EXISTS (
+         SELECT 1 FROM json_each(CASE WHEN json_valid(a.linked_tests) THEN a.linked_tests ELSE '[]' END)
+         WHERE value = ?)`,
+    [testCaseId]
+  );
+  return evaluateCriteria(criteria);
+}
+
+// Make a feature's criteria match a list of texts (from POST/PUT /api/features). Criteria whose text
+// is still listed keep their ID, state and tests; the rest are removed
+async function replaceCriteriaFromList(featureId, texts, user) {
+  await withTransaction(async () => {
+    const existing = await dbAll(`SELECT * FROM acceptance_criteria WHERE feature_id = ? ORDER BY position, id`, [featureId]);
+    const unused = [...existing];
+
+    for (const [position, text] of texts.entries()) {
+      const index = unused.findIndex(criterion => criterion.description.trim() === text);
+      if (index >= 0) {
+        const [criterion] = unused.splice(index, 1);
+        if (criterion.position !== position) {
+          await dbRun(`UPDATE acceptance_criteria SET position = ? WHERE id = ?`, [position, criterion.id]);
+        }
+        continue;
+      }
+
+      const result = await dbRun(
+        `INSERT INTO acceptance_criteria (feature_id, description, position, created_by_id, created_by_name)
+         VALUES (?, ?, ?, ?, ?)`,
+        [featureId, text, position, user.id, user.name]
+      );
+      await logCriterionChange(featureId, result.lastID, 'Criterion Added', null, text, user);
+    }
+
+    for (const criterion of unused) {
+      await dbRun(`DELETE FROM acceptance_criteria WHERE id = ?`, [criterion.id]);
+      await logCriterionChange(featureId, criterion.id, 'Criterion Removed', criterion.description, null, user);
+    }
+
+    await syncCriteriaColumn(featureId);
+  });
+}
+
+async function loadCriterion(featureId, criterionId) {
+  const criterion = await dbGet(
+    `SELECT * FROM acceptance_criteria WHERE id = ? AND feature_id = ?`,
+    [criterionId, featureId]
+  );
+  if (!criterion) {
+    const err = new Error('Acceptance criterion not found');
+    err.status = 404;
+    throw err;
   }
+  return criterion;
+}
 
-  if (assignee_id) {
-    query += ` AND assignee_id = ?`;
-    params.push(assignee_id);
+async function loadLiveFeature(featureId) {
+  const feature = await dbGet(
+    `SELECT feature_id, linked_tests FROM upcoming_features WHERE feature_id = ? AND COALESCE(is_deleted, 0) = 0`,
+    [featureId]
+  );
+  if (!feature) {
+    const err = new Error('Feature not found');
+    err.status = 404;
+    throw err;
   }
+  return feature;
+}
 
-  if (module_id) {
-    query += ` AND module_id = ?`;
-    params.push(module_id);
-  }
+// Unknown test IDs among the given ones; criteria link custom tests only
+async function findUnknownCustomTests(testIds) {
+  if (testIds.length === 0) return [];
+  const rows = await dbAll(
+    `SELECT test_id FROM custom_tests WHERE test_id IN (${testIds.map(() => '?').join(', ')})`,
+    testIds
+  );
+  const known = new Set(rows.map(row => row.test_id));
+  return testIds.filter(id => !known.has(id));
+}
 
-  if (search) {
-    query += ` AND (title LIKE ? OR description LIKE ?)`;
-    params.push(`%${search}%`, `%${search}%`);
+// Criterion tests are feature tests too, so they are added to the feature's linked_tests
+async function linkTestsToFeature(feature, testIds, user) {
+  const linkedTests = featureIdList(feature.linked_tests);
+  const missing = testIds.filter(id => !linkedTests.includes(id));
+  if (missing.length === 0) return;
+
+  await dbRun(
+    `UPDATE upcoming_features SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE feature_id = ?`,
+    [JSON.stringify([...linkedTests, ...missing]), feature.feature_id]
+  );
+  for (const testId of missing) {
+    await dbRun(
+      `INSERT INTO feature_history (feature_id, action, field_name, new_value, changed_by_id, changed_by_name)
+       VALUES (?, 'Test Linked', 'linked_tests', ?, ?, ?)`,
+      [feature.feature_id, testId, user.id, user.name]
+    );
   }
+}
 
-  query += ` ORDER BY created_at DESC
-    LIMIT ? OFFSET ?`;
-  params.push(parseInt(limit), parseInt(offset));
+function summarizeCriteria(criteria) {
+  const summary = { total: criteria.length, met: 0, failed: 0, pending: 0, covered: 0, uncovered: 0 };
+  criteria.forEach(criterion => {
+    summary[criterion.state]++;
+    summary[criterion.linked_tests.length > 0 ? 'covered' : 'uncovered']++;
+  });
+  summary.coverage_percent = summary.total ? Math.round(summary.covered * 1000 / summary.total) / 10 : 0;
+  return summary;
+}
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else {
-      // Parse JSON fields
-      rows.forEach(row => {
-        if (row.steps_to_reproduce) row.steps_to_reproduce = safeJsonParse(row.steps_to_reproduce, []);
-        if (row.linked_tests) row.linked_tests = safeJsonParse(row.linked_tests, []);
-        if (row.related_bugs) row.related_bugs = safeJsonParse(row.related_bugs, []);
-        if (row.environment) row.environment = safeJsonParse(row.environment, {});
-        if (row.tags) row.tags = safeJsonParse(row.tags, []);
-        if (row.attachments) row.attachments = safeJsonParse(row.attachments, []);
-      });
-      res.json(rows);
+// Coverage of acceptance criteria by linked tests, per feature and per version.
+// Registered before /api/features/:feature_id
+app.get('/api/features/criteria-coverage', requirePermission('features:read'), (req, res) => {
+  const { version, module_id } = req.query;
+
+  (async () => {
+    const conditions = [`COALESCE(f.is_deleted, 0) = 0`, `f.status != 'Cancelled'`];
+    const params = [];
+    if (version) {
+      conditions.push('f.target_version = ?');
+      params.push(version);
+    }
+    if (module_id) {
+      conditions.push('f.module_id = ?');
+      params.push(module_id);
     }
-  });
-});
 
-// Get bug statistics (must be before :bug_id route to avoid route conflict)
-app.get('/api/bugs/stats', (req, res) => {
-  const { module_id, assignee_id } = req.query;
+    const rows = await dbAll(
+      `SELECT f.feature_id, f.title, f.status, f.module_id, f.target_version, a.id AS criterion_id,
+              a.description, a.position, a.state, a.state_source, a.linked_tests
+       FROM upcoming_features f
+       LEFT JOIN acceptance_criteria a ON a.feature_id = f.feature_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY f.target_version, f.id, a.position, a.id`,
+      params
+    );
 
-  let query = `
-    SELECT
-      COUNT(*) as total_bugs,
-      SUM(CASE WHEN status = 'New' THEN 1 ELSE 0 END) as new_bugs,
-      SUM(CASE WHEN status IN ('Assigned', 'In Progress') THEN 1 ELSE 0 END) as in_progress,
-      SUM(CASE WHEN status = 'Fixed' THEN 1 ELSE 0 END) as fixed,
-      SUM(CASE WHEN status = 'Verified' THEN 1 ELSE 0 END) as verified,
-      SUM(CASE WHEN status = 'Closed' THEN 1 ELSE 0 END) as closed,
-      SUM(CASE WHEN priority = 'P1' THEN 1 ELSE 0 END) as p1_bugs,
-      SUM(CASE WHEN priority = 'P2' THEN 1 ELSE 0 END) as p2_bugs,
-      SUM(CASE WHEN severity = 'Critical' THEN 1 ELSE 0 END) as critical_bugs,
-      SUM(CASE WHEN severity = 'Major' THEN 1 ELSE 0 END) as major_bugs
-    FROM bugs WHERE 1=1`;
+    const features = new Map();
+    rows.forEach(row => {
+      if (!features.has(row.feature_id)) {
+        features.set(row.feature_id, {
+          feature_id: row.feature_id,
+          title: row.title,
+          status: row.status,
+          module_id: row.module_id,
+          target_version: row.target_version,
+          criteria: []
+        });
+      }
+      if (row.criterion_id) {
+        features.get(row.feature_id).criteria.push({
+          id: row.criterion_id,
+          description: row.description,
+          state: row.state,
+          state_source: row.state_source,
+          linked_tests: featureIdList(row.linked_tests)
+        });
+      }
+    });
 
-  const params = [];
+    const report = [...features.values()].map(feature => ({
+      feature_id: feature.feature_id,
+      title: feature.title,
+      status: feature.status,
+      module_id: feature.module_id,
+      target_version: feature.target_version,
+      has_criteria: feature.criteria.length > 0,
+      summary: summarizeCriteria(feature.criteria),
+      uncovered_criteria: feature.criteria
+        .filter(criterion => criterion.linked_tests.length === 0)
+        .map(({ id, description, state }) => ({ id, description, state })),
+      failed_criteria: feature.criteria
+        .filter(criterion => criterion.state === 'failed')
+        .map(({ id, description, linked_tests }) => ({ id, description, linked_tests }))
+    }));
+
+    const versions = new Map();
+    [...features.values()].forEach(feature => {
+      if (!versions.has(feature.target_version)) versions.set(feature.target_version, []);
+      versions.get(feature.target_version).push(feature);
+    });
 
-  if (module_id) {
-    query += ` AND module_id = ?`;
-    params.push(module_id);
-  }
+    res.json({
+      version: version || null,
+      module_id: module_id || null,
+      summary: {
+        features: report.length,
+        features_without_criteria: report.filter(feature => !feature.has_criteria).length,
+        ...summarizeCriteria([...features.values()].flatMap(feature => feature.criteria))
+      },
+      by_version: [...versions].map(([versionId, versionFeatures]) => ({
+        target_version: versionId,
+        features: versionFeatures.length,
+        features_without_criteria: versionFeatures.filter(feature => feature.criteria.length === 0).length,
+        ...summarizeCriteria(versionFeatures.flatMap(feature => feature.criteria))
+      })),
+      features: report
+    });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
 
-  if (assignee_id) {
-    query += ` AND assignee_id = ?`;
-    params.push(assignee_id);
-  }
+// Criteria of a feature, each with its tests and their latest results
+app.get('/api/features/:feature_id/criteria', requirePermission('features:read'), (req, res) => {
+  const { feature_id } = req.params;
 
-  db.get(query, params, (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else {
-      res.json(row || {});
+  (async () => {
+    const feature = await dbGet(`SELECT feature_id, target_version FROM upcoming_features WHERE feature_id = ?`, [feature_id]);
+    if (!feature) {
+      return res.status(404).json({ error: 'Feature not found' });
     }
+
+    const criteria = (await dbAll(
+      `SELECT * FROM acceptance_criteria WHERE feature_id = ? ORDER BY position, id`,
+      [feature_id]
+    )).map(formatCriterion);
+
+    const testIds = [...new Set(criteria.flatMap(criterion => criterion.linked_tests))];
+    const latest = await getLatestTestResults(testIds, feature.target_version);
+    const tests = testIds.length === 0 ? [] : await dbAll(
+      `SELECT test_id, title, is_active FROM custom_tests WHERE test_id IN (${testIds.map(() => '?').join(', ')})`,
+      testIds
+    );
+    const testsById = new Map(tests.map(test => [test.test_id, test]));
+
+    res.json({
+      feature_id,
+      summary: summarizeCriteria(criteria),
+      criteria: criteria.map(criterion => ({
+        ...criterion,
+        tests: criterion.linked_tests.map(testId => {
+          const test = testsById.get(testId);
+          const result = latest.get(testId);
+          return {
+            test_id: testId,
+            title: test ? test.title : null,
+            is_active: test ? Boolean(test.is_active) : false,
+            latest_result: result ? {
+              id: result.id,
+              status: result.status,
+              session_id: result.session_id,
+              version_id: result.version_id,
+              tested_at: result.tested_at
+            } : null
+          };
+        })
+      }))
+    });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
   });
 });
 
-// Get single bug by ID
-app.get('/api/bugs/:bug_id', (req, res) => {
-  const { bug_id } = req.params;
+// Add a criterion: { description, linked_tests?, position? }
+app.post('/api/features/:feature_id/criteria', requirePermission('features:write'), (req, res) => {
+  const { feature_id } = req.params;
+  const { description, linked_tests = [], position } = req.body;
 
-  db.get(
-    `SELECT * FROM bugs WHERE bug_id = ?`,
-    [bug_id],
-    (err, row) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (!row) {
-        res.status(404).json({ error: 'Bug not found' });
-      } else {
-        // Parse JSON fields
-        if (row.steps_to_reproduce) row.steps_to_reproduce = safeJsonParse(row.steps_to_reproduce, []);
-        if (row.linked_tests) row.linked_tests = safeJsonParse(row.linked_tests, []);
-        if (row.related_bugs) row.related_bugs = safeJsonParse(row.related_bugs, []);
-        if (row.environment) row.environment = safeJsonParse(row.environment, {});
-        if (row.tags) row.tags = safeJsonParse(row.tags, []);
-        if (row.attachments) row.attachments = safeJsonParse(row.attachments, []);
+  const descriptionError = validateCriterionDescription(description);
+  if (descriptionError) {
+    return res.status(400).json({ error: descriptionError });
+  }
+  if (!Array.isArray(linked_tests) || linked_tests.some(id => typeof id !== 'string' || !id)) {
+    return res.status(400).json({ error: 'linked_tests must be an array of custom test IDs' });
+  }
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return res.status(400).json({ error: 'position must be a non-negative integer' });
+  }
 
-        res.json(row);
-      }
+  (async () => {
+    const feature = await loadLiveFeature(feature_id);
+    const testIds = [...new Set(linked_tests)];
+    const unknown = await findUnknownCustomTests(testIds);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown custom test(s): ${unknown.join(', ')}`, unknown_tests: unknown });
     }
-  );
-});
 
-// Update bug
-app.put('/api/bugs/:bug_id', (req, res) => {
-  const { bug_id } = req.params;
-  const updates = req.body;
-  const { changed_by_id, changed_by_name } = updates;
+    const criterion = await withTransaction(async () => {
+      const last = await dbGet(`SELECT MAX(position) AS position FROM acceptance_criteria WHERE feature_id = ?`, [feature_id]);
+      const result = await dbRun(
+        `INSERT INTO acceptance_criteria (feature_id, description, position, linked_tests, created_by_id, created_by_name)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [feature_id, description.trim(), position !== undefined ? position : (last.position === null ? 0 : last.position + 1),
+         JSON.stringify(testIds), req.user.id, req.user.name]
+      );
+      await logCriterionChange(feature_id, result.lastID, 'Criterion Added', null, description.trim(), req.user);
+      await linkTestsToFeature(feature, testIds, req.user);
+      await syncCriteriaColumn(feature_id);
 
-  // Remove meta fields from updates
-  delete updates.changed_by_id;
-  delete updates.changed_by_name;
+      const created = await dbGet(`SELECT * FROM acceptance_criteria WHERE id = ?`, [result.lastID]);
+      await evaluateCriteria([created], req.user);
+      return dbGet(`SELECT * FROM acceptance_criteria WHERE id = ?`, [result.lastID]);
+    });
 
-  // Get current bug state for history
-  db.get(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id], (err, currentBug) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else if (!currentBug) {
-      res.status(404).json({ error: 'Bug not found' });
-    } else {
-      // Build update query dynamically
-      const updateFields = [];
-      const params = [];
+    res.json({ success: true, criterion: formatCriterion(criterion), message: 'Acceptance criterion added' });
+  })().catch(err => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+});
 
-      Object.keys(updates).forEach(key => {
-        if (updates[key] !== undefined && key !== 'id' && key !== 'bug_id' && key !== 'created_at') {
-          let value = updates[key];
+// Edit a criterion: { description?, position?, state? } - setting state makes it manual;
+// { state_source: 'auto' } hands it back to the test results
+app.put('/api/features/:feature_id/criteria/:criterion_id', requirePermission('features:write'), (req, res) => {
+  const { feature_id, criterion_id } = req.params;
+  const { description, position, state, state_source } = req.body;
 
-          // Stringify JSON fields
-          if (['steps_to_reproduce', 'linked_tests', 'related_bugs', 'environment', 'tags', 'attachments'].includes(key)) {
-            value = JSON.stringify(value);
-          }
+  if (description === undefined && position === undefined && state === undefined && state_source === undefined) {
+    return res.status(400).json({ error: 'Nothing to update: send description, position, state or state_source' });
+  }
+  const descriptionError = description !== undefined && validateCriterionDescription(description);
+  if (descriptionError) {
+    return res.status(400).json({ error: descriptionError });
+  }
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return res.status(400).json({ error: 'position must be a non-negative integer' });
+  }
+  if (state !== undefined && !CRITERION_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${CRITERION_STATES.join(', ')}` });
+  }
+  if (state_source !== undefined && state_source !== 'auto') {
+    return res.status(400).json({ error: "state_source can only be set to 'auto'; send state to set it by hand" });
+  }
+  if (state !== undefined && state_source !== undefined) {
+    return res.status(400).json({ error: 'Send either state or state_source, not both' });
+  }
 
-          updateFields.push(`${key} = ?`);
-          params.push(value);
+  (async () => {
+    await loadLiveFeature(feature_id);
+    const criterion = await loadCriterion(feature_id, criterion_id);
 
-          // Log changes to history
-          if (currentBug[key] !== value) {
-            db.run(
-              `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
-               VALUES (?, ?, ?, ?, ?, ?, ?)`,
-              [bug_id, 'Updated', key, currentBug[key], value, changed_by_id, changed_by_name],
-              (histErr) => {
-                if (histErr) console.error('Error logging bug update:', histErr);
-              }
-            );
-          }
-        }
-      });
+    await withTransaction(async () => {
+      if (description !== undefined && description.trim() !== criterion.description) {
+        await dbRun(
+          `UPDATE acceptance_criteria SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [description.trim(), criterion.id]
+        );
+        await logCriterionChange(feature_id, criterion.id, 'Criterion Updated', criterion.description, description.trim(), req.user);
+      }
 
-      if (updateFields.length === 0) {
-        res.json({ success: true, message: 'No changes to update' });
-        return;
+      if (position !== undefined && position !== criterion.position) {
+        await dbRun(`UPDATE acceptance_criteria SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [position, criterion.id]);
       }
 
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(bug_id);
+      if (state !== undefined && (state !== criterion.state || criterion.state_source !== 'manual')) {
+        await dbRun(
+          `UPDATE acceptance_criteria
+           SET state = ?, state_source = 'manual', last_result_id = NULL, last_session_id = NULL,
+               state_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [state, criterion.id]
+        );
+        await logCriterionChange(feature_id, criterion.id, 'Criterion State Changed', criterion.state, state, req.user);
+      }
 
-      const query = `UPDATE bugs SET ${updateFields.join(', ')} WHERE bug_id = ?`;
+      if (state_source === 'auto' && criterion.state_source !== 'auto') {
+        await dbRun(`UPDATE acceptance_criteria SET state_source = 'auto', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [criterion.id]);
+        await evaluateCriteria([{ ...criterion, state_source: 'auto' }], req.user);
+      }
 
-      db.run(query, params, function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-        } else {
-          res.json({
-            success: true,
-            message: 'Bug updated successfully',
-            changes: this.changes
-          });
-        }
-      });
-    }
+      await syncCriteriaColumn(feature_id);
+    });
+
+    const updated = await dbGet(`SELECT * FROM acceptance_criteria WHERE id = ?`, [criterion.id]);
+    res.json({ success: true, criterion: formatCriterion(updated), message: 'Acceptance criterion updated' });
+  })().catch(err => {
+    res.status(err.status || 500).json({ error: err.message });
   });
 });
 
-// Update bug status
-app.post('/api/bugs/:bug_id/status', (req, res) => {
-  const { bug_id } = req.params;
-  const { status, resolution, changed_by_id, changed_by_name } = req.body;
+app.delete('/api/features/:feature_id/criteria/:criterion_id', requirePermission('features:write'), (req, res) => {
+  const { feature_id, criterion_id } = req.params;
 
-  // Get current status
-  db.get(`SELECT status, resolution FROM bugs WHERE bug_id = ?`, [bug_id], (err, currentBug) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else if (!currentBug) {
-      res.status(404).json({ error: 'Bug not found' });
-    } else {
-      let updateQuery = `UPDATE bugs SET status = ?, updated_at = CURRENT_TIMESTAMP`;
-      const params = [status];
+  (async () => {
+    await loadLiveFeature(feature_id);
+    const criterion = await loadCriterion(feature_id, criterion_id);
 
-      // Handle resolution and timestamps based on status
-      if (status === 'Fixed' || status === 'Rejected') {
-        updateQuery += `, resolution = ?, resolved_at = CURRENT_TIMESTAMP`;
-        params.push(resolution || (status === 'Fixed' ? 'Fixed' : 'Won\'t Fix'));
-      } else if (status === 'Verified') {
-        updateQuery += `, verified_at = CURRENT_TIMESTAMP`;
-      }
+    await withTransaction(async () => {
+      await dbRun(`DELETE FROM acceptance_criteria WHERE id = ?`, [criterion.id]);
+      await logCriterionChange(feature_id, criterion.id, 'Criterion Removed', criterion.description, null, req.user);
+      await syncCriteriaColumn(feature_id);
+    });
 
-      updateQuery += ` WHERE bug_id = ?`;
-      params.push(bug_id);
+    res.json({ success: true, message: 'Acceptance criterion removed' });
+  })().catch(err => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+});
 
-      db.run(updateQuery, params, function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-        } else {
-          // Log status change to history
-          db.run(
-            `INSERT INTO bug_history (bug_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [bug_id, 'Status Changed', 'status', currentBug.status, status, changed_by_id, changed_by_name],
-            (histErr) => {
-              if (histErr) console.error('Error logging status change:', histErr);
-            }
-          );
+// Link a custom test to a criterion: { test_id }. The test is linked to the feature as well
+app.post('/api/features/:feature_id/criteria/:criterion_id/tests', requirePermission('features:write'), (req, res) => {
+  const { feature_id, criterion_id } = req.params;
+  const { test_id } = req.body;
 
-          res.json({
-            success: true,
-            message: `Bug status updated to ${status}`
-          });
-        }
-      });
+  if (typeof test_id !== 'string' || !test_id) {
+    return res.status(400).json({ error: 'test_id is required' });
+  }
+
+  (async () => {
+    const feature = await loadLiveFeature(feature_id);
+    const criterion = await loadCriterion(feature_id, criterion_id);
+    const linkedTests = featureIdList(criterion.linked_tests);
+    if (linkedTests.includes(test_id)) {
+      return res.status(409).json({ error: `${test_id} is already linked to this criterion` });
     }
+    if ((await findUnknownCustomTests([test_id])).length > 0) {
+      return res.status(404).json({ error: 'Custom test not found' });
+    }
+
+    const changes = await withTransaction(async () => {
+      await dbRun(
+        `UPDATE acceptance_criteria SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [JSON.stringify([...linkedTests, test_id]), criterion.id]
+      );
+      await logCriterionChange(feature_id, criterion.id, 'Criterion Test Linked', null, test_id, req.user);
+      await linkTestsToFeature(feature, [test_id], req.user);
+      return evaluateCriteria([{ ...criterion, linked_tests: JSON.stringify([...linkedTests, test_id]) }], req.user);
+    });
+
+    const updated = await dbGet(`SELECT * FROM acceptance_criteria WHERE id = ?`, [criterion.id]);
+    res.json({
+      success: true,
+      criterion: formatCriterion(updated),
+      state_changed: changes.length > 0,
+      message: 'Test linked to acceptance criterion'
+    });
+  })().catch(err => {
+    res.status(err.status || 500).json({ error: err.message });
   });
 });
 
-// Delete bug (soft delete)
-app.delete('/api/bugs/:bug_id', (req, res) => {
-  const { bug_id } = req.params;
-  const { deleted_by_id, deleted_by_name } = req.body;
+// Unlink a test from a criterion. It stays linked to the feature
+app.delete('/api/features/:feature_id/criteria/:criterion_id/tests/:test_id', requirePermission('features:write'), (req, res) => {
+  const { feature_id, criterion_id, test_id } = req.params;
 
-  // Mark bug as deleted instead of actually removing it
-  db.run(
-    `UPDATE bugs SET
-      is_deleted = 1,
-      status = 'Rejected',
-      resolution = 'Won''t Fix',
-      updated_at = CURRENT_TIMESTAMP
-    WHERE bug_id = ?`,
-    [bug_id],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else if (this.changes === 0) {
-        res.status(404).json({ error: 'Bug not found' });
-      } else {
-        // Log the deletion in history
-        db.run(
-          `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [bug_id, 'Deleted', 'is_deleted', 'true', deleted_by_id || 'System', deleted_by_name || 'System'],
-          (histErr) => {
-            if (histErr) console.error('Error logging bug deletion:', histErr);
-          }
-        );
+  (async () => {
+    await loadLiveFeature(feature_id);
+    const criterion = await loadCriterion(feature_id, criterion_id);
+    const linkedTests = featureIdList(criterion.linked_tests);
+    if (!linkedTests.includes(test_id)) {
+      return res.status(404).json({ error: `${test_id} is not linked to this criterion` });
+    }
+
+    const remaining = linkedTests.filter(id => id !== test_id);
+    await withTransaction(async () => {
+      await dbRun(
+        `UPDATE acceptance_criteria SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [JSON.stringify(remaining), criterion.id]
+      );
+      await logCriterionChange(feature_id, criterion.id, 'Criterion Test Unlinked', test_id, null, req.user);
+      await evaluateCriteria([{ ...criterion, linked_tests: JSON.stringify(remaining) }], req.user);
+    });
+
+    const updated = await dbGet(`SELECT * FROM acceptance_criteria WHERE id = ?`, [criterion.id]);
+    res.json({ success: true, criterion: formatCriterion(updated), message: 'Test unlinked from acceptance criterion' });
+  })().catch(err => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+});
+
+// ============ QUALITY GATES ============
+
+// Conditions checked when a feature moves to Completed, configured per version. Versions without
+// gates, and features without a target_version, are not gated. An unmet gate refuses the change
+// with a gate report; admins can override it with a reason, which is logged
+const QUALITY_GATE_TYPES = {
+  linked_tests_passed: {
+    label: 'All linked tests passed on the target version',
+    defaults: { require_tests: true }
+  },
+  no_open_bugs: {
+    label: 'No open high-priority bugs in the module',
+    defaults: { priorities: ['P1', 'P2'] }
+  },
+  criteria_met: {
+    label: 'All acceptance criteria met',
+    defaults: { require_criteria: false }
+  }
+};
+// Bugs past these statuses no longer hold a release back
+const GATE_RESOLVED_BUG_STATUSES = ['Verified', 'Closed', 'Rejected'];
+const GATE_OVERRIDE_PERMISSION = 'admin:manage';
+
+function formatQualityGate(gate) {
+  const type = QUALITY_GATE_TYPES[gate.gate_type];
+  return {
+    type: gate.gate_type,
+    label: type.label,
+    is_active: Boolean(gate.is_active),
+    options: { ...type.defaults, ...safeJsonParse(gate.options, {}) }
+  };
+}
+
+// The gates configured for a version; source is 'none' when it has none
+async function getVersionGates(versionId) {
+  const rows = await dbAll(`SELECT * FROM version_quality_gates WHERE version_id = ? ORDER BY id`, [versionId]);
+  return rows.length > 0
+    ? { source: 'version', gates: rows.map(formatQualityGate) }
+    : { source: 'none', gates: [] };
+}
+
+function validateQualityGates(gates) {
+  if (!Array.isArray(gates)) {
+    return [{ field: 'gates', message: 'Must be an array of gates' }];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  gates.forEach((gate, index) => {
+    const field = `gates[${index}]`;
+    if (!gate || typeof gate !== 'object' || !QUALITY_GATE_TYPES[gate.type]) {
+      errors.push({ field: `${field}.type`, message: `Must be one of: ${Object.keys(QUALITY_GATE_TYPES).join(', ')}` });
+      return;
+    }
+    if (seen.has(gate.type)) {
+      errors.push({ field: `${field}.type`, message: `${gate.type} is listed more than once` });
+    }
+    seen.add(gate.type);
 
-        res.json({
-          success: true,
-          message: 'Bug deleted successfully'
-        });
+    if (gate.is_active !== undefined && typeof gate.is_active !== 'boolean') {
+      errors.push({ field: `${field}.is_active`, message: 'Must be a boolean' });
+    }
+
+    const options = gate.options === undefined ? {} : gate.options;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      errors.push({ field: `${field}.options`, message: 'Must be an object' });
+      return;
+    }
+    const allowed = Object.keys(QUALITY_GATE_TYPES[gate.type].defaults);
+    Object.keys(options).filter(key => !allowed.includes(key)).forEach(key => {
+      errors.push({ field: `${field}.options.${key}`, message: `Unknown option; ${gate.type} accepts: ${allowed.join(', ')}` });
+    });
+    ['require_tests', 'require_criteria'].forEach(key => {
+      if (options[key] !== undefined && typeof options[key] !== 'boolean') {
+        errors.push({ field: `${field}.options.${key}`, message: 'Must be a boolean' });
       }
+    });
+    if (options.priorities !== undefined &&
+        (!Array.isArray(options.priorities) || options.priorities.length === 0 ||
+         options.priorities.some(priority => !BUG_PRIORITIES.includes(priority)))) {
+      errors.push({ field: `${field}.options.priorities`, message: `Must be a non-empty array of: ${BUG_PRIORITIES.join(', ')}` });
     }
-  );
-});
+  });
+  return errors;
+}
 
-// Add comment to bug
-app.post('/api/bugs/:bug_id/comments', (req, res) => {
-  const { bug_id } = req.params;
-  const { comment_text, author_id, author_name, author_email, is_internal } = req.body;
+// Each evaluator resolves to the list of unmet conditions for one feature
+const QUALITY_GATE_EVALUATORS = {
+  async linked_tests_passed(feature, options) {
+    const testIds = featureIdList(feature.linked_tests);
+    if (testIds.length === 0) {
+      return options.require_tests ? [{ message: 'The feature has no linked tests' }] : [];
+    }
 
-  db.run(
-    `INSERT INTO bug_comments (bug_id, comment_text, author_id, author_name, author_email, is_internal)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [bug_id, comment_text, author_id, author_name, author_email, is_internal || 0],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({
-          success: true,
-          id: this.lastID,
-          message: 'Comment added successfully'
+    const unmet = [];
+    for (const testId of testIds) {
+      const result = await dbGet(
+        `SELECT tr.id, tr.status, tr.session_id, tr.tested_at
+         FROM test_results tr
+         LEFT JOIN test_sessions ts ON ts.session_id = tr.session_id
+         WHERE tr.test_case_id = ? AND COALESCE(tr.version_id, ts.version_id) = ?
+         ORDER BY tr.tested_at DESC, tr.id DESC LIMIT 1`,
+        [testId, feature.target_version]
+      );
+      if (!result) {
+        unmet.push({ test_id: testId, message: `${testId} has not run on ${feature.target_version}` });
+      } else if (!isPassingResult(result.status)) {
+        unmet.push({
+          test_id: testId,
+          status: result.status,
+          session_id: result.session_id,
+          tested_at: result.tested_at,
+          message: `${testId} was last ${result.status || 'recorded without a status'} in session ${result.session_id}`
         });
       }
     }
-  );
-});
+    return unmet;
+  },
 
-// Get comments for a bug
-app.get('/api/bugs/:bug_id/comments', (req, res) => {
-  const { bug_id } = req.params;
+  async no_open_bugs(feature, options) {
+    const bugs = await dbAll(
+      `SELECT bug_id, title, priority, status FROM bugs
+       WHERE module_id = ? AND COALESCE(is_deleted, 0) = 0
+         AND priority IN (${options.priorities.map(() => '?').join(', ')})
+         AND status NOT IN (${GATE_RESOLVED_BUG_STATUSES.map(() => '?').join(', ')})
+       ORDER BY priority, created_at`,
+      [feature.module_id, ...options.priorities, ...GATE_RESOLVED_BUG_STATUSES]
+    );
+    return bugs.map(bug => ({
+      bug_id: bug.bug_id,
+      priority: bug.priority,
+      status: bug.status,
+      message: `${bug.priority} bug ${bug.bug_id} is ${bug.status}: ${bug.title}`
+    }));
+  },
 
-  db.all(
-    `SELECT * FROM bug_comments WHERE bug_id = ? ORDER BY created_at DESC`,
-    [bug_id],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(rows);
-      }
+  async criteria_met(feature, options) {
+    const criteria = await dbAll(
+      `SELECT id, description, state FROM acceptance_criteria WHERE feature_id = ? ORDER BY position, id`,
+      [feature.feature_id]
+    );
+    if (criteria.length === 0) {
+      return options.require_criteria ? [{ message: 'The feature has no acceptance criteria' }] : [];
     }
-  );
-});
+    return criteria
+      .filter(criterion => criterion.state !== 'met')
+      .map(criterion => ({
+        criterion_id: criterion.id,
+        state: criterion.state,
+        message: `Criterion "${criterion.description}" is ${criterion.state}`
+      }));
+  }
+};
 
-// Get bug history
-app.get('/api/bugs/:bug_id/history', (req, res) => {
-  const { bug_id } = req.params;
+// Gate report for completing a feature: every active gate of its target version with what is unmet
+async function evaluateQualityGates(feature) {
+  if (!feature.target_version) {
+    return {
+      feature_id: feature.feature_id,
+      version_id: null,
+      gates_source: 'no_target_version',
+      passed: true,
+      unmet_gates: [],
+      gates: [],
+      message: 'The feature has no target_version, so no quality gates apply'
+    };
+  }
 
-  db.all(
-    `SELECT * FROM bug_history WHERE bug_id = ? ORDER BY changed_at DESC`,
-    [bug_id],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(rows);
-      }
-    }
-  );
-});
+  const { source, gates } = await getVersionGates(feature.target_version);
+  const results = [];
 
-// Link bug to test
-app.post('/api/bugs/:bug_id/link-test', (req, res) => {
-  const { bug_id } = req.params;
-  const { test_id, changed_by_id, changed_by_name } = req.body;
+  for (const gate of gates.filter(g => g.is_active)) {
+    const unmet = await QUALITY_GATE_EVALUATORS[gate.type](feature, gate.options);
+    results.push({ ...gate, passed: unmet.length === 0, unmet });
+  }
 
-  db.get(`SELECT linked_tests FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else if (!bug) {
-      res.status(404).json({ error: 'Bug not found' });
-    } else {
-      const linkedTests = safeJsonParse(bug.linked_tests, []);
+  const failed = results.filter(gate => !gate.passed);
+  return {
+    feature_id: feature.feature_id,
+    version_id: feature.target_version,
+    gates_source: source,
+    passed: failed.length === 0,
+    unmet_gates: failed.map(gate => gate.type),
+    gates: results
+  };
+}
 
-      if (!linkedTests.includes(test_id)) {
-        linkedTests.push(test_id);
+// Gate check for a feature status change, given the feature row and the request body. Resolves to
+// { failure: { status, body } } when the change must be refused, otherwise to { gate_report, override_reason }.
+// gate_report is null when the change does not complete the feature
+async function checkCompletionGates(feature, newStatus, body, user) {
+  if (newStatus !== 'Completed' || feature.status === 'Completed') {
+    return { gate_report: null };
+  }
 
-        db.run(
-          `UPDATE bugs SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
-          [JSON.stringify(linkedTests), bug_id],
-          function(err) {
-            if (err) {
-              res.status(500).json({ error: err.message });
-            } else {
-              // Log the linking
-              db.run(
-                `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [bug_id, 'Test Linked', 'linked_tests', test_id, changed_by_id, changed_by_name],
-                (histErr) => {
-                  if (histErr) console.error('Error logging test link:', histErr);
-                }
-              );
+  const report = await evaluateQualityGates(feature);
+  if (report.passed) {
+    return { gate_report: report };
+  }
 
-              res.json({
-                success: true,
-                message: 'Test linked to bug successfully'
-              });
-            }
-          }
-        );
-      } else {
-        res.json({
-          success: true,
-          message: 'Test already linked to this bug'
-        });
+  if (body.override_gates !== true) {
+    return {
+      failure: {
+        status: 409,
+        body: {
+          error: `${feature.feature_id} does not meet ${report.unmet_gates.length} quality gate(s) of ${feature.target_version}`,
+          gate_report: report
+        }
+      }
+    };
+  }
+
+  if (!hasPermission(user, GATE_OVERRIDE_PERMISSION)) {
+    return {
+      failure: {
+        status: 403,
+        body: {
+          error: `Forbidden: missing permission ${GATE_OVERRIDE_PERMISSION}`,
+          missing_permission: GATE_OVERRIDE_PERMISSION,
+          role: user.role,
+          gate_report: report
+        }
       }
+    };
+  }
+
+  if (typeof body.override_reason !== 'string' || !body.override_reason.trim()) {
+    return { failure: { status: 400, body: { error: 'override_reason is required to override quality gates' } } };
+  }
+
+  return { gate_report: { ...report, overridden: true }, override_reason: body.override_reason.trim() };
+}
+
+// Audit entry for an override: which gates were unmet (old_value) and why they were overridden (new_value)
+function logGateOverride(featureId, report, reason, user) {
+  return dbRun(
+    `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+     VALUES (?, 'Quality Gates Overridden', 'status', ?, ?, ?, ?)`,
+    [featureId, JSON.stringify(report.gates.filter(gate => !gate.passed).map(gate => ({
+      type: gate.type,
+      unmet: gate.unmet.map(condition => condition.message)
+    }))), reason, user.id, user.name]
+  );
+}
+
+app.get('/api/versions/:version_id/gates', requirePermission('versions:read'), (req, res) => {
+  const { version_id } = req.params;
+
+  (async () => {
+    const version = await dbGet(`SELECT version_id FROM versions WHERE version_id = ?`, [version_id]);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
     }
+
+    res.json({ version_id, ...(await getVersionGates(version_id)) });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
   });
 });
 
-// Get bugs by test ID
-app.get('/api/bugs/by-test/:test_id', (req, res) => {
-  const { test_id } = req.params;
+// Replace the gates of a version: { gates: [{ type, is_active?, options? }] }. An empty list removes them
+app.put('/api/versions/:version_id/gates', requirePermission('versions:write'), (req, res) => {
+  const { version_id } = req.params;
+  const { gates } = req.body;
 
-  db.all(
-    `SELECT * FROM bugs WHERE linked_tests LIKE ? ORDER BY created_at DESC`,
-    [`%"${test_id}"%`],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        // Parse JSON fields
-        rows.forEach(row => {
-          if (row.linked_tests) row.linked_tests = safeJsonParse(row.linked_tests, []);
-          if (row.steps_to_reproduce) row.steps_to_reproduce = safeJsonParse(row.steps_to_reproduce, []);
-          if (row.environment) row.environment = safeJsonParse(row.environment, {});
-          if (row.tags) row.tags = safeJsonParse(row.tags, []);
-          if (row.attachments) row.attachments = safeJsonParse(row.attachments, []);
-        });
-        res.json(rows);
-      }
+  const errors = validateQualityGates(gates);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors });
+  }
+
+  (async () => {
+    const version = await dbGet(`SELECT version_id FROM versions WHERE version_id = ?`, [version_id]);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
     }
-  );
-});
 
-// Get bug statistics
-app.get('/api/bugs/stats', (req, res) => {
-  const { module_id, assignee_id } = req.query;
+    await withTransaction(async () => {
+      await dbRun(`DELETE FROM version_quality_gates WHERE version_id = ?`, [version_id]);
+      for (const gate of gates) {
+        await dbRun(
+          `INSERT INTO version_quality_gates (version_id, gate_type, options, is_active, created_by_id, created_by_name)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [version_id, gate.type, JSON.stringify(gate.options || {}), gate.is_active === false ? 0 : 1, req.user.id, req.user.name]
+        );
+      }
+    });
 
-  let query = `
-    SELECT
-      COUNT(*) as total_bugs,
-      SUM(CASE WHEN status = 'New' THEN 1 ELSE 0 END) as new_bugs,
-      SUM(CASE WHEN status IN ('Assigned', 'In Progress') THEN 1 ELSE 0 END) as in_progress,
-      SUM(CASE WHEN status = 'Fixed' THEN 1 ELSE 0 END) as fixed,
-      SUM(CASE WHEN status = 'Verified' THEN 1 ELSE 0 END) as verified,
-      SUM(CASE WHEN status = 'Closed' THEN 1 ELSE 0 END) as closed,
-      SUM(CASE WHEN priority = 'P1' THEN 1 ELSE 0 END) as p1_bugs,
-      SUM(CASE WHEN priority = 'P2' THEN 1 ELSE 0 END) as p2_bugs,
-      SUM(CASE WHEN severity = 'Critical' THEN 1 ELSE 0 END) as critical_bugs,
-      SUM(CASE WHEN severity = 'Major' THEN 1 ELSE 0 END) as major_bugs
-    FROM bugs WHERE 1=1`;
+    res.json({ success: true, version_id, ...(await getVersionGates(version_id)), message: 'Quality gates updated' });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
 
-  const params = [];
+// Stop gating the version
+app.delete('/api/versions/:version_id/gates', requirePermission('versions:write'), (req, res) => {
+  const { version_id } = req.params;
 
-  if (module_id) {
-    query += ` AND module_id = ?`;
-    params.push(module_id);
-  }
+  (async () => {
+    await dbRun(`DELETE FROM version_quality_gates WHERE version_id = ?`, [version_id]);
+    res.json({ success: true, version_id, ...(await getVersionGates(version_id)), message: 'Quality gates removed' });
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
 
-  if (assignee_id) {
-    query += ` AND assignee_id = ?`;
-    params.push(assignee_id);
-  }
+// Gate report of a feature as if it were completed now
+app.get('/api/features/:feature_id/gates', requirePermission('features:read'), (req, res) => {
+  const { feature_id } = req.params;
 
-  db.get(query, params, (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-    } else {
-      res.json(row || {});
+  (async () => {
+    const feature = await dbGet(`SELECT * FROM upcoming_features WHERE feature_id = ?`, [feature_id]);
+    if (!feature) {
+      return res.status(404).json({ error: 'Feature not found' });
     }
+
+    res.json(await evaluateQualityGates(feature));
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
   });
 });
 
-// Upload attachment for a bug
-app.post('/api/bugs/:bug_id/attachments', upload.array('files', 5), (req, res) => {
-  const { bug_id } = req.params;
-  const { uploaded_by_id, uploaded_by_name } = req.body;
+// Audit log of gate overrides, newest first
+app.get('/api/admin/gate-overrides', requirePermission('admin:manage'), (req, res) => {
+  const { version_id, limit = 100, offset = 0 } = req.query;
+
+  (async () => {
+    const rows = await dbAll(
+      `SELECT h.id, h.feature_id, f.title, f.target_version, h.old_value, h.new_value,
+              h.changed_by_id, h.changed_by_name, h.changed_at
+       FROM feature_history h
+       LEFT JOIN upcoming_features f ON f.feature_id = h.feature_id
+       WHERE h.action = 'Quality Gates Overridden'${version_id ? ' AND f.target_version = ?' : ''}
+       ORDER BY h.changed_at DESC, h.id DESC
+       LIMIT ? OFFSET ?`,
+      [...(version_id ? [version_id] : []), Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0]
+    );
 
-  if (!req.files || req.files.length === 0) {
-    return res.status(400).json({ error: 'No files uploaded' });
+    res.json(rows.map(row => ({
+      id: row.id,
+      feature_id: row.feature_id,
+      title: row.title,
+      target_version: row.target_version,
+      unmet_gates: safeJsonParse(row.old_value, []),
+      reason: row.new_value,
+      overridden_by_id: row.changed_by_id,
+      overridden_by_name: row.changed_by_name,
+      overridden_at: row.changed_at
+    })));
+  })().catch(err => {
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// ============ SPRINTS ============
+
+// Sprints split a version into iterations. Bugs and features join one through sprint_items, which keeps
+// every stay so committed scope, carry-over and burndown can be rebuilt afterwards; the sprint_id
+// column on bugs and upcoming_features only mirrors the current stay
+const SPRINT_ITEM_TYPES = {
+  bug: {
+    ...TIME_LOG_TARGETS.bug,
+    done: ['Fixed', 'Ready for Test', 'Verified', 'Closed'],
+    dropped: ['Rejected']
+  },
+  feature: {
+    ...TIME_LOG_TARGETS.feature,
+    done: FEATURE_DONE_STATUSES,
+    dropped: ['Cancelled']
   }
+};
 
-  // Check if bug exists
-  db.get(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    if (!bug) {
-      // Delete uploaded files if bug doesn't exist
-      req.files.forEach(file => {
-        fs.unlinkSync(file.path);
-      });
-      return res.status(404).json({ error: 'Bug not found' });
-    }
+// Items added while a sprint is Planned form its committed scope; later additions count as added
+const SPRINT_COMMIT_STATUS = 'Planned';
 
-    const attachments = [];
-    const promises = [];
+async function loadSprint(sprintId) {
+  const sprint = await dbGet(`SELECT * FROM sprints WHERE sprint_id = ?`, [sprintId]);
+  if (!sprint) {
+    const err = new Error('Sprint not found');
+    err.status = 404;
+    throw err;
+  }
+  return sprint;
+}
 
-    req.files.forEach(file => {
-      const attachment_id = `ATT-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
-      const relativePath = path.relative(__dirname, file.path);
+function findOverlappingSprint(versionId, startDate, endDate, excludeSprintId = '') {
+  return dbGet(
+    `SELECT sprint_id, name, start_date, end_date FROM sprints
+     WHERE version_id = ? AND sprint_id != ? AND start_date <= ? AND end_date >= ?`,
+    [versionId, excludeSprintId, endDate, startDate]
+  );
+}
 
-      attachments.push({
-        attachment_id,
-        filename: file.filename,
-        original_name: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        path: `/uploads/bugs/${file.filename}`
-      });
+// Dates and version of a new or edited sprint; resolves to a { status, body } failure or null
+async function checkSprintPlacement({ version_id, start_date, end_date }, excludeSprintId) {
+  if (end_date < start_date) {
+    return { status: 400, body: { error: 'Validation failed', errors: [{ field: 'end_date', message: 'Cannot be before start_date' }] } };
+  }
+  const version = await dbGet(`SELECT version_id FROM versions WHERE version_id = ?`, [version_id]);
+  if (!version) {
+    return { status: 400, body: { error: 'Validation failed', errors: [{ field: 'version_id', message: 'Unknown version' }] } };
+  }
+  const overlapping = await findOverlappingSprint(version_id, start_date, end_date, excludeSprintId);
+  if (overlapping) {
+    return { status: 409, body: { error: `Dates overlap sprint ${overlapping.sprint_id} of the same version`, overlapping_sprint: overlapping } };
+  }
+  return null;
+}
 
-      promises.push(new Promise((resolve, reject) => {
-        db.run(
-          `INSERT INTO bug_attachments (attachment_id, bug_id, filename, original_name, mimetype, size, path, uploaded_by_id, uploaded_by_name)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [attachment_id, bug_id, file.filename, file.originalname, file.mimetype, file.size, `/uploads/bugs/${file.filename}`, uploaded_by_id, uploaded_by_name],
-          function(err) {
-            if (err) reject(err);
-            else resolve();
-          }
-        );
-      }));
+function sprintItemState(entityType, status) {
+  const type = SPRINT_ITEM_TYPES[entityType];
+  if (type.done.includes(status)) return 'done';
+  if (type.dropped.includes(status)) return 'dropped';
+  return 'open';
+}
+
+// Stays in a sprint joined with their bug or feature, oldest first. Deleted items are left out
+async function loadSprintItems(sprintId, { includeRemoved = false } = {}) {
+  const items = [];
+  for (const [entityType, type] of Object.entries(SPRINT_ITEM_TYPES)) {
+    const rows = await dbAll(
+      `SELECT si.*, e.title, e.status, e.priority, e.estimated_hours, COALESCE(e.actual_hours, 0) AS actual_hours,
+              e.${type.developer.name} AS developer_name
+       FROM sprint_items si
+       JOIN ${type.table} e ON e.${type.key} = si.entity_id
+       WHERE si.sprint_id = ? AND si.entity_type = ? AND COALESCE(e.is_deleted, 0) = 0
+             ${includeRemoved ? '' : 'AND si.removed_at IS NULL'}`,
+      [sprintId, entityType]
+    );
+    items.push(...rows);
+  }
+  return items
+    .sort((a, b) => a.id - b.id)
+    .map(row => ({
+      type: row.entity_type,
+      id: row.entity_id,
+      title: row.title,
+      status: row.status,
+      state: sprintItemState(row.entity_type, row.status),
+      priority: row.priority,
+      developer_name: row.developer_name,
+      estimated_hours: row.estimated_hours,
+      actual_hours: roundHours(row.actual_hours),
+      committed: Boolean(row.committed),
+      carried_from_sprint_id: row.carried_from_sprint_id,
+      added_at: row.added_at,
+      removed_at: row.removed_at,
+      removal_reason: row.removal_reason
+    }));
+}
+
+function summarizeSprintItems(items) {
+  const hours = list => roundHours(list.reduce((sum, item) => sum + (item.estimated_hours || 0), 0));
+  const done = items.filter(item => item.state === 'done');
+  const open = items.filter(item => item.state === 'open');
+  return {
+    items: items.length,
+    estimated_hours: hours(items),
+    actual_hours: roundHours(items.reduce((sum, item) => sum + item.actual_hours, 0)),
+    done_items: done.length,
+    done_hours: hours(done),
+    open_items: open.length,
+    open_hours: hours(open),
+    dropped_items: items.filter(item => item.state === 'dropped').length,
+    unestimated_items: items.filter(item => !(item.estimated_hours > 0)).length
+  };
+}
+
+// Status changes of the items, oldest first, keyed by "<type>:<id>". The gate override entry reuses
+// field_name 'status' for its report, so it is skipped
+async function loadStatusChanges(items) {
+  const changes = new Map();
+  for (const [entityType, type] of Object.entries(SPRINT_ITEM_TYPES)) {
+    const ids = [...new Set(items.filter(item => item.type === entityType).map(item => item.id))];
+    if (ids.length === 0) continue;
+
+    const rows = await dbAll(
+      `SELECT ${type.key} AS entity_id, old_value, new_value, substr(changed_at, 1, 10) AS day
+       FROM ${type.history}
+       WHERE field_name = 'status' AND action != 'Quality Gates Overridden'
+             AND ${type.key} IN (${ids.map(() => '?').join(', ')})
+       ORDER BY changed_at, id`,
+      ids
+    );
+    rows.forEach(row => {
+      const key = `${entityType}:${row.entity_id}`;
+      if (!changes.has(key)) changes.set(key, []);
+      changes.get(key).push(row);
     });
+  }
+  return changes;
+}
 
-    Promise.all(promises)
-      .then(() => {
-        // Update bug attachments field
-        const currentAttachments = safeJsonParse(bug.attachments, []);
-        const newAttachments = [...currentAttachments, ...attachments.map(a => a.attachment_id)];
+// Status of an item at the end of a day: the last change up to that day, else what the first later
+// change started from, else its current status
+function statusOnDay(changes = [], currentStatus, day) {
+  let status = null;
+  for (const change of changes) {
+    if (change.day > day) {
+      return status !== null ? status : change.old_value || currentStatus;
+    }
+    status = change.new_value;
+  }
+  return status !== null ? status : currentStatus;
+}
 
-        db.run(
-          `UPDATE bugs SET attachments = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
-          [JSON.stringify(newAttachments), bug_id],
-          (err) => {
-            if (err) {
-              console.error('Error updating bug attachments:', err);
-            }
+const sqlDay = timestamp => (timestamp ? String(timestamp).substring(0, 10) : null);
 
-            // Log the attachment upload
-            db.run(
-              `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
-               VALUES (?, ?, ?, ?, ?, ?)`,
-              [bug_id, 'Attachment Added', 'attachments', `${req.files.length} file(s) uploaded`, uploaded_by_id, uploaded_by_name],
-              (histErr) => {
-                if (histErr) console.error('Error logging attachment upload:', histErr);
-              }
-            );
-          }
-        );
+// Whether a stay covers the end of a day
+const inSprintOnDay = (item, day) =>
+  sqlDay(item.added_at) <= day && (!item.removed_at || sqlDay(item.removed_at) > day);
 
-        res.json({
-          success: true,
-          message: `${attachments.length} file(s) uploaded successfully`,
-          attachments
-        });
+function sprintDays(sprint) {
+  const days = [];
+  for (let time = Date.parse(`${sprint.start_date}T00:00:00Z`); time <= Date.parse(`${sprint.end_date}T00:00:00Z`); time += 86400000) {
+    days.push(toSqlDate(new Date(time)));
+  }
+  return days;
+}
+
+// Remaining work at the end of each day of the sprint, replayed from sprint_items and the status
+// changes in bug_history and feature_history. Hours are current estimates; the ideal line runs from
+// the scope on the first day down to zero on the last calendar day
+async function buildSprintBurndown(sprint) {
+  const stays = await loadSprintItems(sprint.sprint_id, { includeRemoved: true });
+  const changes = await loadStatusChanges(stays);
+  const days = sprintDays(sprint);
+  const today = toSqlDate(new Date());
+
+  const snapshot = day => {
+    const seen = new Set();
+    const totals = { scope_items: 0, scope_hours: 0, done_items: 0, done_hours: 0, remaining_items: 0, remaining_hours: 0 };
+    stays.forEach(item => {
+      const key = `${item.type}:${item.id}`;
+      if (seen.has(key) || !inSprintOnDay(item, day)) return;
+      seen.add(key);
+
+      const hours = item.estimated_hours || 0;
+      const state = sprintItemState(item.type, statusOnDay(changes.get(key), item.status, day));
+      totals.scope_items++;
+      totals.scope_hours += hours;
+      if (state === 'done') {
+        totals.done_items++;
+        totals.done_hours += hours;
+      } else if (state === 'open') {
+        totals.remaining_items++;
+        totals.remaining_hours += hours;
+      }
+    });
+    ['scope_hours', 'done_hours', 'remaining_hours'].forEach(field => { totals[field] = roundHours(totals[field]); });
+    return totals;
+  };
+
+  const start = snapshot(days[0] <= today ? days[0] : today);
+  const series = days.map((day, index) => {
+    const ideal = days.length > 1 ? (days.length - 1 - index) / (days.length - 1) : 0;
+    return {
+      date: day,
+      ideal_remaining_hours: roundHours(start.scope_hours * ideal),
+      ideal_remaining_items: Math.round(start.scope_items * ideal * 10) / 10,
+      ...(day <= today ? snapshot(day) : {
+        scope_items: null, scope_hours: null, done_items: null, done_hours: null, remaining_items: null, remaining_hours: null
       })
-      .catch(err => {
-        // Delete uploaded files on error
-        req.files.forEach(file => {
-          fs.unlinkSync(file.path);
-        });
-        res.status(500).json({ error: 'Failed to save attachment records: ' + err.message });
-      });
+    };
   });
-});
 
-// Get attachments for a bug
-app.get('/api/bugs/:bug_id/attachments', (req, res) => {
-  const { bug_id } = req.params;
+  return {
+    sprint_id: sprint.sprint_id,
+    start_date: sprint.start_date,
+    end_date: sprint.end_date,
+    capacity_hours: sprint.capacity_hours,
+    series
+  };
+}
+
+// Committed vs completed. Items count as completed when they are done at the end of the day the
+// sprint was completed, or of today / its end date while it runs
+async function buildSprintReport(sprint) {
+  const stays = await loadSprintItems(sprint.sprint_id, { includeRemoved: true });
+  const changes = await loadStatusChanges(stays);
+  const today = toSqlDate(new Date());
+  const asOf = sprint.completed_at ? sqlDay(sprint.completed_at) : (sprint.end_date < today ? sprint.end_date : today);
+
+  // One entry per item, from its last stay; committed if any stay was
+  const byItem = new Map();
+  stays.forEach(item => {
+    const key = `${item.type}:${item.id}`;
+    const previous = byItem.get(key);
+    byItem.set(key, { ...item, committed: item.committed || Boolean(previous && previous.committed) });
+  });
+
+  const items = [...byItem.entries()].map(([key, item]) => {
+    const state = sprintItemState(item.type, statusOnDay(changes.get(key), item.status, asOf));
+    let outcome = state === 'done' ? 'completed' : state;
+    if (item.removed_at && (item.removal_reason === 'carried_over' || sqlDay(item.removed_at) <= asOf)) {
+      outcome = item.removal_reason;
+    }
+    return { ...item, outcome };
+  });
+
+  const carriedTo = await dbAll(
+    `SELECT sprint_id, COUNT(*) AS items FROM sprint_items WHERE carried_from_sprint_id = ? GROUP BY sprint_id`,
+    [sprint.sprint_id]
+  );
+
+  const hours = list => roundHours(list.reduce((sum, item) => sum + (item.estimated_hours || 0), 0));
+  const completedOf = list => list.filter(item => item.outcome === 'completed');
+  const group = list => ({
+    items: list.length,
+    hours: hours(list),
+    completed_items: completedOf(list).length,
+    completed_hours: hours(completedOf(list))
+  });
+  const committed = items.filter(item => item.committed);
+  const committedGroup = group(committed);
+  const carriedOver = items.filter(item => item.outcome === 'carried_over');
+  const removed = items.filter(item => ['removed', 'moved'].includes(item.outcome));
+
+  return {
+    sprint,
+    as_of: asOf,
+    committed: {
+      ...committedGroup,
+      completion_percent: committed.length > 0 ? Math.round(committedGroup.completed_items * 100 / committed.length) : null
+    },
+    added: group(items.filter(item => !item.committed)),
+    completed: { items: completedOf(items).length, hours: hours(completedOf(items)) },
+    carried_over: { items: carriedOver.length, hours: hours(carriedOver), to: carriedTo },
+    removed: { items: removed.length, hours: hours(removed) },
+    capacity_hours: sprint.capacity_hours,
+    items
+  };
+}
+
+function logSprintChange(entityType, entityId, oldSprintId, newSprintId, user) {
+  const type = SPRINT_ITEM_TYPES[entityType];
+  return dbRun(
+    `INSERT INTO ${type.history} (${type.key}, action, field_name, old_value, new_value, changed_by_id, changed_by_name)
+     VALUES (?, 'Sprint Changed', 'sprint_id', ?, ?, ?, ?)`,
+    [entityId, oldSprintId, newSprintId, user.id, user.name]
+  );
+}
+
+// Move a bug or feature into toSprint (or out of any sprint when null), ending its current stay with
+// reason. Resolves to the sprint it left, or false when it already was in toSprint
+async function moveSprintItem(entityType, entityId, toSprint, user, { reason, carriedFrom = null }) {
+  const type = SPRINT_ITEM_TYPES[entityType];
+  const stay = await dbGet(
+    `SELECT * FROM sprint_items WHERE entity_type = ? AND entity_id = ? AND removed_at IS NULL`,
+    [entityType, entityId]
+  );
+  if (stay && toSprint && stay.sprint_id === toSprint.sprint_id) {
+    return false;
+  }
+
+  if (stay) {
+    await dbRun(`UPDATE sprint_items SET removed_at = CURRENT_TIMESTAMP, removal_reason = ? WHERE id = ?`, [reason, stay.id]);
+  }
+  if (toSprint) {
+    await dbRun(
+      `INSERT INTO sprint_items (sprint_id, entity_type, entity_id, committed, carried_from_sprint_id, added_by_id, added_by_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [toSprint.sprint_id, entityType, entityId, toSprint.status === SPRINT_COMMIT_STATUS ? 1 : 0, carriedFrom, user.id, user.name]
+    );
+  }
+  await dbRun(
+    `UPDATE ${type.table} SET sprint_id = ?, updated_at = CURRENT_TIMESTAMP WHERE ${type.key} = ?`,
+    [toSprint ? toSprint.sprint_id : null, entityId]
+  );
+  await logSprintChange(entityType, entityId, stay ? stay.sprint_id : null, toSprint ? toSprint.sprint_id : null, user);
+  return stay ? stay.sprint_id : null;
+}
+
+// List sprints: ?version_id=&status=
+app.get('/api/sprints', requirePermission('versions:read'), (req, res) => {
+  const { version_id, status } = req.query;
+  const conditions = [];
+  const params = [];
+  if (version_id) {
+    conditions.push('s.version_id = ?');
+    params.push(version_id);
+  }
+  if (status) {
+    conditions.push('s.status = ?');
+    params.push(status);
+  }
 
   db.all(
-    `SELECT * FROM bug_attachments WHERE bug_id = ? ORDER BY uploaded_at DESC`,
-    [bug_id],
+    `SELECT s.*,
+            (SELECT COUNT(*) FROM sprint_items si WHERE si.sprint_id = s.sprint_id AND si.removed_at IS NULL) AS item_count
+     FROM sprints s
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY s.version_id, s.start_date`,
+    params,
     (err, rows) => {
       if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(rows || []);
+        return res.status(500).json({ error: err.message });
       }
+      res.json(rows);
     }
   );
 });
 
-// Delete an attachment
-app.delete('/api/bugs/:bug_id/attachments/:attachment_id', (req, res) => {
-  const { bug_id, attachment_id } = req.params;
-  const { deleted_by_id, deleted_by_name } = req.body;
+// Create a sprint: { name, version_id, start_date, end_date, capacity_hours?, goal? }
+app.post('/api/sprints', requirePermission('versions:write'), validateUpdate(SPRINT_UPDATE_SCHEMA, ['sprint_id', 'status']), (req, res) => {
+  const { name, version_id, start_date, end_date, capacity_hours = null, goal = null } = req.body;
 
-  // Get attachment details
-  db.get(
-    `SELECT * FROM bug_attachments WHERE attachment_id = ? AND bug_id = ?`,
-    [attachment_id, bug_id],
-    (err, attachment) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
-      if (!attachment) {
-        return res.status(404).json({ error: 'Attachment not found' });
-      }
+  const missing = ['name', 'version_id', 'start_date', 'end_date'].filter(field => req.body[field] === undefined);
+  if (missing.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors: missing.map(field => ({ field, message: 'Required' })) });
+  }
 
-      // Delete file from filesystem
-      const filePath = path.join(__dirname, 'uploads', 'bugs', attachment.filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+  (async () => {
+    const failure = await checkSprintPlacement({ version_id, start_date, end_date });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
 
-      // Delete from database
-      db.run(
-        `DELETE FROM bug_attachments WHERE attachment_id = ?`,
-        [attachment_id],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: err.message });
-          }
+    const sprint_id = `SPR-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    await dbRun(
+      `INSERT INTO sprints (sprint_id, name, version_id, start_date, end_date, capacity_hours, goal, created_by_id, created_by_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [sprint_id, name, version_id, start_date, end_date, capacity_hours, goal, req.user.id, req.user.name]
+    );
 
-          // Update bug attachments field
-          db.get(`SELECT attachments FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
-            if (!err && bug) {
-              const attachments = safeJsonParse(bug.attachments, []);
-              const updatedAttachments = attachments.filter(id => id !== attachment_id);
+    res.json({ success: true, sprint: await loadSprint(sprint_id), message: 'Sprint created' });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
 
-              db.run(
-                `UPDATE bugs SET attachments = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
-                [JSON.stringify(updatedAttachments), bug_id],
-                (err) => {
-                  if (err) console.error('Error updating bug attachments:', err);
-                }
-              );
-            }
-          });
+// A sprint with totals of its current scope
+app.get('/api/sprints/:sprint_id', requirePermission('versions:read'), (req, res) => {
+  (async () => {
+    const sprint = await loadSprint(req.params.sprint_id);
+    res.json({ ...sprint, totals: summarizeSprintItems(await loadSprintItems(sprint.sprint_id)) });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
 
-          // Log the deletion
-          db.run(
-            `INSERT INTO bug_history (bug_id, action, field_name, old_value, changed_by_id, changed_by_name)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [bug_id, 'Attachment Deleted', 'attachments', attachment.original_name, deleted_by_id, deleted_by_name],
-            (histErr) => {
-              if (histErr) console.error('Error logging attachment deletion:', histErr);
-            }
-          );
+// Edit a sprint. status only moves forward: Planned -> Active -> Completed
+app.put('/api/sprints/:sprint_id', requirePermission('versions:write'), validateUpdate(SPRINT_UPDATE_SCHEMA, ['sprint_id']), (req, res) => {
+  const updates = req.body;
+  const fields = Object.keys(updates);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
 
-          res.json({
-            success: true,
-            message: 'Attachment deleted successfully'
-          });
-        }
-      );
+  (async () => {
+    const sprint = await loadSprint(req.params.sprint_id);
+
+    if (updates.status !== undefined &&
+        SPRINT_STATUSES.indexOf(updates.status) < SPRINT_STATUSES.indexOf(sprint.status)) {
+      return res.status(409).json({ error: `A ${sprint.status} sprint cannot go back to ${updates.status}` });
+    }
+    if (['version_id', 'start_date', 'end_date'].some(field => updates[field] !== undefined)) {
+      const failure = await checkSprintPlacement({ ...sprint, ...updates }, sprint.sprint_id);
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
     }
-  );
-});
 
-// Create test from bug
-app.post('/api/bugs/:bug_id/create-test', (req, res) => {
-  const { bug_id } = req.params;
-  const { created_by } = req.body;
+    const setClauses = fields.map(field => `${field} = ?`);
+    const params = fields.map(field => updates[field]);
+    if (updates.status === 'Active' && !sprint.started_at) setClauses.push('started_at = CURRENT_TIMESTAMP');
+    if (updates.status === 'Completed' && !sprint.completed_at) setClauses.push('completed_at = CURRENT_TIMESTAMP');
 
-  // Get bug details
-  db.get(`SELECT * FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    if (!bug) {
-      return res.status(404).json({ error: 'Bug not found' });
+    await dbRun(
+      `UPDATE sprints SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE sprint_id = ?`,
+      [...params, sprint.sprint_id]
+    );
+
+    res.json({ success: true, sprint: await loadSprint(sprint.sprint_id), message: 'Sprint updated' });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Delete a sprint that is not completed; its items leave it
+app.delete('/api/sprints/:sprint_id', requirePermission('versions:write'), (req, res) => {
+  (async () => {
+    const sprint = await loadSprint(req.params.sprint_id);
+    if (sprint.status === 'Completed') {
+      return res.status(409).json({ error: 'Completed sprints are kept for reporting and cannot be deleted' });
     }
 
-    // Generate test from bug data
-    const testId = `TEST-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const steps = safeJsonParse(bug.steps_to_reproduce, []);
+    const items = await loadSprintItems(sprint.sprint_id);
+    await withTransaction(async () => {
+      for (const item of items) {
+        await moveSprintItem(item.type, item.id, null, req.user, { reason: 'removed' });
+      }
+      await dbRun(`DELETE FROM sprint_items WHERE sprint_id = ?`, [sprint.sprint_id]);
+      await dbRun(`DELETE FROM sprints WHERE sprint_id = ?`, [sprint.sprint_id]);
+    });
 
-    // Create test case from bug
-    const testData = {
-      test_id: testId,
-      title: `Verify fix for: ${bug.title}`,
-      description: `Regression test to verify that bug ${bug.bug_id} has been fixed.\n\nOriginal issue: ${bug.description}`,
-      module: bug.category || 'General',
-      category: 'Regression',
-      priority: bug.priority === 'P1' ? 'High' : bug.priority === 'P2' ? 'High' : bug.priority === 'P3' ? 'Medium' : 'Low',
-      steps: JSON.stringify([
-        'Prerequisites: Ensure the bug fix has been deployed',
-        ...steps,
-        'Verify the issue no longer occurs'
-      ]),
-      expected_result: bug.expected_result || 'System should work as expected without the reported issue',
-      prerequisites: JSON.stringify([`Bug ${bug.bug_id} should be in Fixed or Verified status`]),
-      test_data: JSON.stringify({
-        bug_id: bug.bug_id,
-        environment: safeJsonParse(bug.environment, {}),
-        found_in_version: bug.found_in_version
-      }),
-      created_by: created_by || bug.reporter_name || 'System',
-      tags: JSON.stringify(['regression', `bug-${bug.bug_id}`, bug.type?.toLowerCase()].filter(Boolean))
-    };
+    res.json({ success: true, removed_items: items.length, message: 'Sprint deleted' });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
 
-    // Insert the test
-    db.run(
-      `INSERT INTO custom_tests (test_id, title, description, module, category, priority, steps, expected_result, prerequisites, test_data, created_by, tags)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [testData.test_id, testData.title, testData.description, testData.module, testData.category, testData.priority,
-       testData.steps, testData.expected_result, testData.prerequisites, testData.test_data, testData.created_by, testData.tags],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to create test: ' + err.message });
-        }
+// Current scope of a sprint against its capacity
+app.get('/api/sprints/:sprint_id/scope', requirePermission('versions:read'), (req, res) => {
+  (async () => {
+    const sprint = await loadSprint(req.params.sprint_id);
+    const items = await loadSprintItems(sprint.sprint_id);
+    const totals = summarizeSprintItems(items);
+
+    res.json({
+      sprint,
+      totals,
+      capacity_hours: sprint.capacity_hours,
+      load_percent: sprint.capacity_hours > 0 ? Math.round(totals.estimated_hours * 100 / sprint.capacity_hours) : null,
+      over_capacity: sprint.capacity_hours !== null && totals.estimated_hours > sprint.capacity_hours,
+      items
+    });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
 
-        // Update bug with linked test
-        const linkedTests = safeJsonParse(bug.linked_tests, []);
-        linkedTests.push(testData.test_id);
+// Add bugs and features to a sprint: { items: [{ type: 'bug' | 'feature', id }] }.
+// Items in another sprint are moved; those planned for a different version come back as warnings
+app.post('/api/sprints/:sprint_id/items', requirePermission('versions:write'), (req, res) => {
+  const { items } = req.body;
 
-        db.run(
-          `UPDATE bugs SET linked_tests = ?, updated_at = CURRENT_TIMESTAMP WHERE bug_id = ?`,
-          [JSON.stringify(linkedTests), bug_id],
-          (updateErr) => {
-            if (updateErr) {
-              console.error('Error linking test to bug:', updateErr);
-            }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array of { type, id }' });
+  }
+  const errors = [];
+  items.forEach((item, index) => {
+    if (!item || !SPRINT_ITEM_TYPES[item.type]) {
+      errors.push({ field: `items[${index}].type`, message: `Must be one of: ${Object.keys(SPRINT_ITEM_TYPES).join(', ')}` });
+    } else if (typeof item.id !== 'string' || !item.id) {
+      errors.push({ field: `items[${index}].id`, message: 'Must be a non-empty string' });
+    }
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', errors });
+  }
+  const missing = [...new Set(items.map(item => SPRINT_ITEM_TYPES[item.type].write))]
+    .find(permission => !hasPermission(req.user, permission));
+  if (missing) {
+    return sendForbidden(req, res, missing);
+  }
 
-            // Log the test creation
-            db.run(
-              `INSERT INTO bug_history (bug_id, action, field_name, new_value, changed_by_id, changed_by_name)
-               VALUES (?, ?, ?, ?, ?, ?)`,
-              [bug_id, 'Test Created', 'linked_tests', testData.test_id, created_by, created_by],
-              (histErr) => {
-                if (histErr) console.error('Error logging test creation:', histErr);
-              }
-            );
-          }
-        );
+  (async () => {
+    const sprint = await loadSprint(req.params.sprint_id);
+    if (sprint.status === 'Completed') {
+      return res.status(409).json({ error: 'Cannot add items to a completed sprint' });
+    }
 
-        res.json({
-          success: true,
-          message: 'Test case created successfully',
-          test_id: testData.test_id,
-          test: testData
-        });
+    const entities = [];
+    const unknown = [];
+    for (const item of items) {
+      const type = SPRINT_ITEM_TYPES[item.type];
+      const entity = await dbGet(
+        `SELECT ${type.key} AS id, title, ${type.version} AS version FROM ${type.table}
+         WHERE ${type.key} = ? AND COALESCE(is_deleted, 0) = 0`,
+        [item.id]
+      );
+      if (entity) entities.push({ type: item.type, ...entity });
+      else unknown.push(item);
+    }
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown bugs or features', unknown_items: unknown });
+    }
+
+    const added = [];
+    const unchanged = [];
+    await withTransaction(async () => {
+      for (const entity of entities) {
+        const from = await moveSprintItem(entity.type, entity.id, sprint, req.user, { reason: 'moved' });
+        if (from === false) unchanged.push({ type: entity.type, id: entity.id });
+        else added.push({ type: entity.type, id: entity.id, moved_from_sprint_id: from });
       }
+    });
+
+    const warnings = entities
+      .filter(entity => entity.version && entity.version !== sprint.version_id)
+      .map(entity => ({
+        type: entity.type,
+        id: entity.id,
+        message: `${SPRINT_ITEM_TYPES[entity.type].label} ${entity.id} is planned for ${entity.version}, not ${sprint.version_id}`
+      }));
+
+    res.json({
+      success: true,
+      sprint_id: sprint.sprint_id,
+      added,
+      already_in_sprint: unchanged,
+      warnings,
+      totals: summarizeSprintItems(await loadSprintItems(sprint.sprint_id)),
+      message: `${added.length} item(s) added to sprint`
+    });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Take a bug or feature out of a sprint
+app.delete('/api/sprints/:sprint_id/items/:type/:item_id', requirePermission('versions:write'), (req, res) => {
+  const { sprint_id, type, item_id } = req.params;
+  if (!SPRINT_ITEM_TYPES[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(SPRINT_ITEM_TYPES).join(', ')}` });
+  }
+  if (!hasPermission(req.user, SPRINT_ITEM_TYPES[type].write)) {
+    return sendForbidden(req, res, SPRINT_ITEM_TYPES[type].write);
+  }
+
+  (async () => {
+    const sprint = await loadSprint(sprint_id);
+    const stay = await dbGet(
+      `SELECT id FROM sprint_items WHERE sprint_id = ? AND entity_type = ? AND entity_id = ? AND removed_at IS NULL`,
+      [sprint.sprint_id, type, item_id]
     );
-  });
+    if (!stay) {
+      return res.status(404).json({ error: `${SPRINT_ITEM_TYPES[type].label} is not in this sprint` });
+    }
+
+    await withTransaction(() => moveSprintItem(type, item_id, null, req.user, { reason: 'removed' }));
+    res.json({ success: true, message: `${SPRINT_ITEM_TYPES[type].label} removed from sprint` });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
 });
 
-// Get test cases linked to a bug
-app.get('/api/bugs/:bug_id/tests', (req, res) => {
-  const { bug_id } = req.params;
+// Committed vs completed, with what was added, removed and carried over
+app.get('/api/sprints/:sprint_id/report', requirePermission('versions:read'), (req, res) => {
+  (async () => {
+    res.json(await buildSprintReport(await loadSprint(req.params.sprint_id)));
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
 
-  // First get bug to find linked tests
-  db.get(`SELECT linked_tests FROM bugs WHERE bug_id = ?`, [bug_id], (err, bug) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
+// Daily burndown series
+app.get('/api/sprints/:sprint_id/burndown', requirePermission('versions:read'), (req, res) => {
+  (async () => {
+    res.json(await buildSprintBurndown(await loadSprint(req.params.sprint_id)));
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
+});
+
+// Close a sprint and move its unfinished items to { to_sprint_id } or, by default, the next sprint of
+// the same version. Done and dropped items stay behind
+app.post('/api/sprints/:sprint_id/carry-over', requirePermission('versions:write'), (req, res) => {
+  const { to_sprint_id } = req.body;
+
+  (async () => {
+    const sprint = await loadSprint(req.params.sprint_id);
+    if (sprint.status === 'Completed') {
+      return res.status(409).json({ error: 'Sprint is already completed' });
     }
-    if (!bug) {
-      return res.status(404).json({ error: 'Bug not found' });
+
+    let next;
+    if (to_sprint_id !== undefined) {
+      next = await dbGet(`SELECT * FROM sprints WHERE sprint_id = ?`, [to_sprint_id]);
+      if (!next || next.sprint_id === sprint.sprint_id || next.status === 'Completed') {
+        return res.status(400).json({ error: 'to_sprint_id must be another sprint that is not completed' });
+      }
+    } else {
+      next = await dbGet(
+        `SELECT * FROM sprints WHERE version_id = ? AND start_date > ? AND status != 'Completed'
+         ORDER BY start_date LIMIT 1`,
+        [sprint.version_id, sprint.start_date]
+      );
+      if (!next) {
+        return res.status(409).json({ error: 'No later sprint in this version; create one or pass to_sprint_id' });
+      }
     }
 
-    const linkedTestIds = safeJsonParse(bug.linked_tests, []);
-    if (linkedTestIds.length === 0) {
-      return res.json([]);
+    const unfinished = (await loadSprintItems(sprint.sprint_id)).filter(item => item.state === 'open');
+    const missing = [...new Set(unfinished.map(item => SPRINT_ITEM_TYPES[item.type].write))]
+      .find(permission => !hasPermission(req.user, permission));
+    if (missing) {
+      return sendForbidden(req, res, missing);
     }
 
-    // Get test details - only get active tests (not deleted)
-    const placeholders = linkedTestIds.map(() => '?').join(',');
-    db.all(
-      `SELECT * FROM custom_tests WHERE test_id IN (${placeholders}) AND is_active = 1 ORDER BY created_at DESC`,
-      linkedTestIds,
-      (err, tests) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-        } else {
-          // Parse JSON fields for each test
-          const parsedTests = (tests || []).map(test => ({
-            ...test,
-            steps: safeJsonParse(test.steps, []),
-            prerequisites: safeJsonParse(test.prerequisites, []),
-            test_data: safeJsonParse(test.test_data, {}),
-            tags: safeJsonParse(test.tags, [])
-          }));
-          res.json(parsedTests);
-        }
+    await withTransaction(async () => {
+      for (const item of unfinished) {
+        await moveSprintItem(item.type, item.id, next, req.user, { reason: 'carried_over', carriedFrom: sprint.sprint_id });
       }
-    );
-  });
+      await dbRun(
+        `UPDATE sprints SET status = 'Completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE sprint_id = ?`,
+        [sprint.sprint_id]
+      );
+    });
+
+    res.json({
+      success: true,
+      sprint_id: sprint.sprint_id,
+      to_sprint_id: next.sprint_id,
+      carried_over: unfinished.map(item => ({ type: item.type, id: item.id, title: item.title, status: item.status })),
+      report: await buildSprintReport(await loadSprint(sprint.sprint_id)),
+      message: `Sprint completed; ${unfinished.length} unfinished item(s) moved to ${next.name}`
+    });
+  })().catch(err => res.status(err.status || 500).json({ error: err.message }));
 });
 
 // ============ UPCOMING FEATURES API ROUTES ============
 
 // Create a new feature
-app.post('/api/features', (req, res) => {
+app.post('/api/features', requirePermission('features:write'), (req, res) => {
   const {
     title,
     description,
@@ -3637,8 +11528,6 @@ app.post('/api/features', (req, res) => {
     tester_id,
     tester_name,
     tester_email,
-    creator_name,
-    creator_email,
     estimated_hours,
     start_date,
     end_date,
@@ -3650,12 +11539,17 @@ app.post('/api/features', (req, res) => {
   } = req.body;
 
   // Validate required fields
-  if (!title || !module_id || !target_version || !creator_name) {
+  if (!title || !module_id || !target_version) {
     return res.status(400).json({
-      error: 'Missing required fields: title, module_id, target_version, creator_name'
+      error: 'Missing required fields: title, module_id, target_version'
     });
   }
 
+  const criteriaTexts = normalizeCriteriaList(acceptance_criteria || []);
+  if (!criteriaTexts) {
+    return res.status(400).json({ error: 'acceptance_criteria must be an array of strings' });
+  }
+
   // Generate unique feature ID
   const feature_id = `FEAT-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
 
@@ -3664,23 +11558,23 @@ app.post('/api/features', (req, res) => {
       feature_id, title, description, business_value, user_story, acceptance_criteria,
       priority, feature_type, category, complexity,
       module_id, target_version,
-      creator_name, creator_email,
+      creator_id, creator_name, creator_email,
       owner_id, owner_name, owner_email,
       developer_id, developer_name, developer_email,
       tester_id, tester_name, tester_email,
       estimated_hours, start_date, end_date, technical_notes, api_endpoints, database_changes,
       dependencies_external, tags
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   db.run(
     sql,
     [
       feature_id, title, description, business_value, user_story,
-      JSON.stringify(acceptance_criteria || []),
+      JSON.stringify(criteriaTexts),
       priority, feature_type, category, complexity,
       module_id, target_version,
-      creator_name, creator_email,
+      req.user.id, req.user.name, req.user.email,
       owner_id, owner_name, owner_email,
       developer_id, developer_name, developer_email,
       tester_id, tester_name, tester_email,
@@ -3697,23 +11591,32 @@ app.post('/api/features', (req, res) => {
       } else {
         // Log to history
         db.run(
-          `INSERT INTO feature_history (feature_id, action, changed_by_name, changed_at)
-           VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
-          [feature_id, 'Feature Created', creator_name]
+          `INSERT INTO feature_history (feature_id, action, changed_by_id, changed_by_name, changed_at)
+           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [feature_id, 'Feature Created', req.user.id, req.user.name]
         );
 
-        res.json({
-          success: true,
-          feature_id,
-          message: 'Feature created successfully'
-        });
+        autoWatch('feature', feature_id, req.user.id, 'creator', { viewed: true });
+        autoWatch('feature', feature_id, owner_id, 'owner');
+        autoWatch('feature', feature_id, developer_id, 'developer');
+        autoWatch('feature', feature_id, tester_id, 'tester');
+
+        replaceCriteriaFromList(feature_id, criteriaTexts, req.user)
+          .catch(criteriaErr => console.error('Error creating acceptance criteria:', criteriaErr))
+          .then(() => {
+            res.json({
+              success: true,
+              feature_id,
+              message: 'Feature created successfully'
+            });
+          });
       }
     }
   );
 });
 
 // Get all features with filters
-app.get('/api/features', (req, res) => {
+app.get('/api/features', requirePermission('features:read'), (req, res) => {
   const {
     status,
     priority,
@@ -3795,7 +11698,7 @@ app.get('/api/features', (req, res) => {
 });
 
 // Get single feature
-app.get('/api/features/:feature_id', (req, res) => {
+app.get('/api/features/:feature_id', requirePermission('features:read'), (req, res) => {
   const { feature_id } = req.params;
 
   db.get(
@@ -3820,6 +11723,10 @@ app.get('/api/features/:feature_id', (req, res) => {
           tags: safeJsonParse(row.tags, []),
           is_deleted: Boolean(row.is_deleted)
         };
+
+        markWatchedViewed(req.user.id, 'feature', feature_id)
+          .catch(viewErr => console.error('Error marking feature viewed:', viewErr));
+
         res.json(feature);
       }
     }
@@ -3827,23 +11734,28 @@ app.get('/api/features/:feature_id', (req, res) => {
 });
 
 // Update feature
-app.put('/api/features/:feature_id', (req, res) => {
+app.put('/api/features/:feature_id', requirePermission('features:write'), (req, res) => {
   const { feature_id } = req.params;
   const updates = req.body;
-  const changed_by_name = updates.changed_by_name || 'Unknown';
 
-  // Remove changed_by_name from updates
-  delete updates.changed_by_name;
+  // acceptance_criteria is applied to the criteria records after the update
+  let criteriaTexts;
+  if (updates.acceptance_criteria !== undefined) {
+    criteriaTexts = normalizeCriteriaList(updates.acceptance_criteria);
+    if (!criteriaTexts) {
+      return res.status(400).json({ error: 'acceptance_criteria must be an array of strings' });
+    }
+  }
 
   // Build dynamic UPDATE query
   const allowedFields = [
-    'title', 'description', 'business_value', 'user_story', 'acceptance_criteria',
+    'title', 'description', 'business_value', 'user_story',
     'priority', 'feature_type', 'category', 'complexity', 'status',
     'module_id', 'target_version',
     'owner_id', 'owner_name', 'owner_email',
     'developer_id', 'developer_name', 'developer_email',
     'tester_id', 'tester_name', 'tester_email',
-    'estimated_hours', 'actual_hours', 'progress_percentage',
+    'estimated_hours', 'progress_percentage',
     'start_date', 'end_date',
     'technical_notes', 'api_endpoints', 'database_changes', 'dependencies_external',
     'started_at', 'completed_at', 'released_at',
@@ -3859,53 +11771,108 @@ app.put('/api/features/:feature_id', (req, res) => {
       return res.status(404).json({ error: 'Feature not found' });
     }
 
-    for (const [key, value] of Object.entries(updates)) {
-      if (allowedFields.includes(key)) {
-        setClauses.push(`${key} = ?`);
-        // Stringify arrays/objects
-        if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
-          params.push(JSON.stringify(value));
-        } else {
-          params.push(value);
-        }
+    const applyUpdate = (gateCheck) => {
+      for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key)) {
+          setClauses.push(`${key} = ?`);
+          // Stringify arrays/objects
+          if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
+            params.push(JSON.stringify(value));
+          } else {
+            params.push(value);
+          }
 
-        // Log change to history
-        const oldValue = oldFeature[key];
-        const newValue = value;
-        if (oldValue !== newValue) {
-          db.run(
-            `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_name, changed_at)
-             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-            [feature_id, 'Field Updated', key, String(oldValue || ''), String(newValue || ''), changed_by_name]
-          );
+          // Log change to history
+          const oldValue = oldFeature[key];
+          const newValue = value;
+          if (oldValue !== newValue) {
+            db.run(
+              `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name, changed_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+              [feature_id, 'Field Updated', key, String(oldValue || ''), String(newValue || ''), req.user.id, req.user.name]
+            );
+          }
         }
       }
-    }
 
-    if (setClauses.length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
-    }
+      if (setClauses.length === 0 && criteriaTexts === undefined) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
 
-    setClauses.push('updated_at = CURRENT_TIMESTAMP');
-    params.push(feature_id);
+      setClauses.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(feature_id);
 
-    const sql = `UPDATE upcoming_features SET ${setClauses.join(', ')} WHERE feature_id = ?`;
+      const sql = `UPDATE upcoming_features SET ${setClauses.join(', ')} WHERE feature_id = ?`;
 
-    db.run(sql, params, function(err) {
-      if (err) {
-        console.error('Error updating feature:', err);
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({ success: true, message: 'Feature updated successfully' });
-      }
-    });
+      db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error updating feature:', err);
+          res.status(500).json({ error: err.message });
+        } else {
+          ['owner', 'developer', 'tester'].forEach(role => {
+            const userId = updates[`${role}_id`];
+            if (userId && userId !== oldFeature[`${role}_id`]) {
+              autoWatch('feature', feature_id, userId, role);
+            }
+          });
+
+          if (gateCheck.override_reason) {
+            logGateOverride(feature_id, gateCheck.gate_report, gateCheck.override_reason, req.user)
+              .catch(auditErr => console.error('Error logging quality gate override:', auditErr));
+          }
+
+          const versionChanged = updates.target_version !== undefined &&
+            updates.target_version !== oldFeature.target_version;
+          // Criteria states follow results on the target version, so a new version re-derives them
+          const criteriaUpdate = (criteriaTexts === undefined
+            ? Promise.resolve()
+            : replaceCriteriaFromList(feature_id, criteriaTexts, req.user))
+            .then(() => versionChanged &&
+              dbAll(`SELECT * FROM acceptance_criteria WHERE feature_id = ?`, [feature_id])
+                .then(criteria => evaluateCriteria(criteria, req.user)));
+
+          criteriaUpdate
+            .then(() => getDependencyWarnings(feature_id, oldFeature.status, updates.status)
+              .catch(warnErr => {
+                console.error('Error checking feature dependencies:', warnErr);
+                return { warnings: [] };
+              }))
+            .then(dependencyCheck => {
+              res.json({
+                success: true,
+                message: 'Feature updated successfully',
+                ...dependencyCheck,
+                ...(gateCheck.gate_report ? { gate_report: gateCheck.gate_report } : {})
+              });
+            })
+            .catch(criteriaErr => {
+              res.status(500).json({ error: criteriaErr.message });
+            });
+        }
+      });
+    };
+
+    // Completing a feature has to pass the quality gates of its (possibly new) version and module
+    const gateFeature = { ...oldFeature };
+    ['module_id', 'target_version'].filter(key => updates[key] !== undefined).forEach(key => { gateFeature[key] = updates[key]; });
+
+    checkCompletionGates(gateFeature, updates.status, req.body, req.user)
+      .then(gateCheck => {
+        if (gateCheck.failure) {
+          return res.status(gateCheck.failure.status).json(gateCheck.failure.body);
+        }
+        applyUpdate(gateCheck);
+      })
+      .catch(gateErr => {
+        res.status(500).json({ error: gateErr.message });
+      });
   });
 });
 
 // Update feature status
-app.put('/api/features/:feature_id/status', (req, res) => {
+app.put('/api/features/:feature_id/status', requirePermission('features:write'), (req, res) => {
   const { feature_id } = req.params;
-  const { status, changed_by_name } = req.body;
+  const { status } = req.body;
 
   if (!status) {
     return res.status(400).json({ error: 'Status is required' });
@@ -3926,7 +11893,7 @@ app.put('/api/features/:feature_id/status', (req, res) => {
   };
 
   // Get current status and progress for history
-  db.get('SELECT status, progress_percentage FROM upcoming_features WHERE feature_id = ?', [feature_id], (err, row) => {
+  db.get('SELECT * FROM upcoming_features WHERE feature_id = ?', [feature_id], (err, row) => {
     if (err || !row) {
       return res.status(404).json({ error: 'Feature not found' });
     }
@@ -3940,45 +11907,72 @@ app.put('/api/features/:feature_id/status', (req, res) => {
       ? statusProgressMap[status]
       : oldProgress;
 
-    // Update status and progress
-    db.run(
-      'UPDATE upcoming_features SET status = ?, progress_percentage = ?, updated_at = CURRENT_TIMESTAMP WHERE feature_id = ?',
-      [status, newProgress, feature_id],
-      function(err) {
-        if (err) {
-          res.status(500).json({ error: err.message });
-        } else {
-          // Log status change to history
-          db.run(
-            `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_name, changed_at)
-             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-            [feature_id, 'Status Changed', 'status', oldStatus, status, changed_by_name || 'Unknown']
-          );
-
-          // Also log progress change if it changed
-          if (newProgress !== oldProgress) {
+    const applyStatus = (gateCheck) => {
+      // Update status and progress
+      db.run(
+        'UPDATE upcoming_features SET status = ?, progress_percentage = ?, updated_at = CURRENT_TIMESTAMP WHERE feature_id = ?',
+        [status, newProgress, feature_id],
+        function(err) {
+          if (err) {
+            res.status(500).json({ error: err.message });
+          } else {
+            // Log status change to history
             db.run(
-              `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_name, changed_at)
-               VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-              [feature_id, 'Auto-updated from Status', 'progress_percentage', String(oldProgress), String(newProgress), 'System']
+              `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_id, changed_by_name, changed_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+              [feature_id, 'Status Changed', 'status', oldStatus, status, req.user.id, req.user.name]
             );
+
+            // Also log progress change if it changed
+            if (newProgress !== oldProgress) {
+              db.run(
+                `INSERT INTO feature_history (feature_id, action, field_name, old_value, new_value, changed_by_name, changed_at)
+                 VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [feature_id, 'Auto-updated from Status', 'progress_percentage', String(oldProgress), String(newProgress), 'System']
+              );
+            }
+
+            if (gateCheck.override_reason) {
+              logGateOverride(feature_id, gateCheck.gate_report, gateCheck.override_reason, req.user)
+                .catch(auditErr => console.error('Error logging quality gate override:', auditErr));
+            }
+
+            getDependencyWarnings(feature_id, oldStatus, status)
+              .catch(warnErr => {
+                console.error('Error checking feature dependencies:', warnErr);
+                return { warnings: [] };
+              })
+              .then(dependencyCheck => {
+                res.json({
+                  success: true,
+                  message: 'Feature status updated',
+                  progress_percentage: newProgress,
+                  ...dependencyCheck,
+                  ...(gateCheck.gate_report ? { gate_report: gateCheck.gate_report } : {})
+                });
+              });
           }
+        }
+      );
+    };
 
-          res.json({
-            success: true,
-            message: 'Feature status updated',
-            progress_percentage: newProgress
-          });
+    // Completing a feature has to pass the quality gates of its version
+    checkCompletionGates(row, status, req.body, req.user)
+      .then(gateCheck => {
+        if (gateCheck.failure) {
+          return res.status(gateCheck.failure.status).json(gateCheck.failure.body);
         }
-      }
-    );
+        applyStatus(gateCheck);
+      })
+      .catch(gateErr => {
+        res.status(500).json({ error: gateErr.message });
+      });
   });
 });
 
 // Delete feature (soft delete)
-app.delete('/api/features/:feature_id', (req, res) => {
+app.delete('/api/features/:feature_id', requirePermission('features:delete'), (req, res) => {
   const { feature_id } = req.params;
-  const { changed_by_name } = req.body;
 
   db.run(
     'UPDATE upcoming_features SET is_deleted = 1, status = ?, updated_at = CURRENT_TIMESTAMP WHERE feature_id = ?',
@@ -3989,9 +11983,9 @@ app.delete('/api/features/:feature_id', (req, res) => {
       } else {
         // Log to history
         db.run(
-          `INSERT INTO feature_history (feature_id, action, changed_by_name, changed_at)
-           VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
-          [feature_id, 'Feature Cancelled/Deleted', changed_by_name || 'Unknown']
+          `INSERT INTO feature_history (feature_id, action, changed_by_id, changed_by_name, changed_at)
+           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [feature_id, 'Feature Cancelled/Deleted', req.user.id, req.user.name]
         );
 
         res.json({ success: true, message: 'Feature cancelled successfully' });
@@ -4001,9 +11995,9 @@ app.delete('/api/features/:feature_id', (req, res) => {
 });
 
 // Link test to feature
-app.post('/api/features/:feature_id/link-test', (req, res) => {
+app.post('/api/features/:feature_id/link-test', requirePermission('features:write'), (req, res) => {
   const { feature_id } = req.params;
-  const { test_id, changed_by_name } = req.body;
+  const { test_id } = req.body;
 
   if (!test_id) {
     return res.status(400).json({ error: 'test_id is required' });
@@ -4030,9 +12024,9 @@ app.post('/api/features/:feature_id/link-test', (req, res) => {
           } else {
             // Log to history
             db.run(
-              `INSERT INTO feature_history (feature_id, action, field_name, new_value, changed_by_name, changed_at)
-               VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-              [feature_id, 'Test Linked', 'linked_tests', test_id, changed_by_name || 'Unknown']
+              `INSERT INTO feature_history (feature_id, action, field_name, new_value, changed_by_id, changed_by_name, changed_at)
+               VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+              [feature_id, 'Test Linked', 'linked_tests', test_id, req.user.id, req.user.name]
             );
 
             res.json({ success: true, message: 'Test linked to feature' });
@@ -4046,9 +12040,8 @@ app.post('/api/features/:feature_id/link-test', (req, res) => {
 });
 
 // Unlink test from feature
-app.delete('/api/features/:feature_id/unlink-test/:test_id', (req, res) => {
+app.delete('/api/features/:feature_id/unlink-test/:test_id', requirePermission('features:write'), (req, res) => {
   const { feature_id, test_id } = req.params;
-  const { changed_by_name } = req.body;
 
   db.get('SELECT linked_tests FROM upcoming_features WHERE feature_id = ?', [feature_id], (err, row) => {
     if (err || !row) {
@@ -4067,9 +12060,9 @@ app.delete('/api/features/:feature_id/unlink-test/:test_id', (req, res) => {
         } else {
           // Log to history
           db.run(
-            `INSERT INTO feature_history (feature_id, action, field_name, old_value, changed_by_name, changed_at)
-             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-            [feature_id, 'Test Unlinked', 'linked_tests', test_id, changed_by_name || 'Unknown']
+            `INSERT INTO feature_history (feature_id, action, field_name, old_value, changed_by_id, changed_by_name, changed_at)
+             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [feature_id, 'Test Unlinked', 'linked_tests', test_id, req.user.id, req.user.name]
           );
 
           res.json({ success: true, message: 'Test unlinked from feature' });
@@ -4080,7 +12073,7 @@ app.delete('/api/features/:feature_id/unlink-test/:test_id', (req, res) => {
 });
 
 // Get linked tests for a feature
-app.get('/api/features/:feature_id/linked-tests', (req, res) => {
+app.get('/api/features/:feature_id/linked-tests', requirePermission('features:read'), (req, res) => {
   const { feature_id } = req.params;
 
   db.get('SELECT linked_tests FROM upcoming_features WHERE feature_id = ?', [feature_id], (err, row) => {
@@ -4117,7 +12110,7 @@ app.get('/api/features/:feature_id/linked-tests', (req, res) => {
 });
 
 // Get features linked to a test
-app.get('/api/tests/:test_id/linked-features', (req, res) => {
+app.get('/api/tests/:test_id/linked-features', requirePermission('features:read'), (req, res) => {
   const { test_id } = req.params;
 
   db.all(
@@ -4140,48 +12133,24 @@ app.get('/api/tests/:test_id/linked-features', (req, res) => {
   );
 });
 
-// Add comment to feature
-app.post('/api/features/:feature_id/comments', (req, res) => {
-  const { feature_id } = req.params;
-  const { comment_text, author_name, author_email, author_id, is_internal = false } = req.body;
-
-  if (!comment_text || !author_name) {
-    return res.status(400).json({ error: 'comment_text and author_name are required' });
-  }
-
-  db.run(
-    `INSERT INTO feature_comments (feature_id, comment_text, author_id, author_name, author_email, is_internal)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [feature_id, comment_text, author_id, author_name, author_email, is_internal ? 1 : 0],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({ success: true, comment_id: this.lastID, message: 'Comment added' });
-      }
-    }
-  );
-});
+// Feature comments: list (?threaded=true), add, edit, soft delete and edit history
+app.get('/api/features/:feature_id/comments', requirePermission('features:read'), listComments('feature'));
+app.post('/api/features/:feature_id/comments', requirePermission('features:comment'), createComment('feature'));
+app.put('/api/features/:feature_id/comments/:comment_id', requirePermission('features:comment'), updateComment('feature'));
+app.delete('/api/features/:feature_id/comments/:comment_id', requirePermission('features:comment'), deleteComment('feature'));
+app.get('/api/features/:feature_id/comments/:comment_id/edits', requirePermission('features:read'), listCommentEdits('feature'));
 
-// Get comments for a feature
-app.get('/api/features/:feature_id/comments', (req, res) => {
-  const { feature_id } = req.params;
+// Watchers of a feature; POST/DELETE /watch follow and unfollow it for the current user
+app.get('/api/features/:feature_id/watchers', requirePermission('features:read'), listWatchers('feature'));
+app.post('/api/features/:feature_id/watch', requirePermission('features:read'), setWatching('feature', true));
+app.delete('/api/features/:feature_id/watch', requirePermission('features:read'), setWatching('feature', false));
 
-  db.all(
-    'SELECT * FROM feature_comments WHERE feature_id = ? ORDER BY created_at DESC',
-    [feature_id],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(rows || []);
-      }
-    }
-  );
-});
+// Time logged against a feature; entries are edited through /api/time-logs/:time_log_id
+app.get('/api/features/:feature_id/time-logs', requirePermission('features:read'), listTimeLogs('feature'));
+app.post('/api/features/:feature_id/time-logs', requirePermission('features:write'), createTimeLog('feature'));
 
 // Get feature history
-app.get('/api/features/:feature_id/history', (req, res) => {
+app.get('/api/features/:feature_id/history', requirePermission('features:read'), (req, res) => {
   const { feature_id } = req.params;
 
   db.all(
@@ -4198,9 +12167,8 @@ app.get('/api/features/:feature_id/history', (req, res) => {
 });
 
 // Upload attachment to feature
-app.post('/api/features/:feature_id/attachments', upload.array('files', 5), (req, res) => {
+app.post('/api/features/:feature_id/attachments', requirePermission('features:write'), upload.array('files', 5), (req, res) => {
   const { feature_id } = req.params;
-  const { uploaded_by_name, uploaded_by_id } = req.body;
 
   if (!req.files || req.files.length === 0) {
     return res.status(400).json({ error: 'No files uploaded' });
@@ -4238,8 +12206,8 @@ app.post('/api/features/:feature_id/attachments', upload.array('files', 5), (req
             file.mimetype,
             file.size,
             `/uploads/features/${file.filename}`,
-            uploaded_by_id,
-            uploaded_by_name
+            req.user.id,
+            req.user.name
           ],
           function(err) {
             if (err) {
@@ -4249,7 +12217,7 @@ app.post('/api/features/:feature_id/attachments', upload.array('files', 5), (req
                 attachment_id,
                 filename: file.filename,
                 original_name: file.originalname,
-                path: `/uploads/features/${file.filename}`
+                download_url: getAttachmentDownloadUrl(attachment_id)
               });
               resolve();
             }
@@ -4274,7 +12242,7 @@ app.post('/api/features/:feature_id/attachments', upload.array('files', 5), (req
 });
 
 // Get attachments for a feature
-app.get('/api/features/:feature_id/attachments', (req, res) => {
+app.get('/api/features/:feature_id/attachments', requirePermission('features:read'), (req, res) => {
   const { feature_id } = req.params;
 
   db.all(
@@ -4284,14 +12252,14 @@ app.get('/api/features/:feature_id/attachments', (req, res) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        res.json(rows || []);
+        res.json((rows || []).map(withDownloadUrl));
       }
     }
   );
 });
 
 // Delete attachment
-app.delete('/api/features/:feature_id/attachments/:attachment_id', (req, res) => {
+app.delete('/api/features/:feature_id/attachments/:attachment_id', requirePermission('features:write'), (req, res) => {
   const { attachment_id } = req.params;
 
   // Get attachment info first
@@ -4327,8 +12295,125 @@ app.delete('/api/features/:feature_id/attachments/:attachment_id', (req, res) =>
   );
 });
 
+// ============ ATTACHMENT DOWNLOADS ============
+
+// Types a browser may render in place; anything else is always served as a download
+const INLINE_ATTACHMENT_TYPES = /^(image\/(png|jpe?g|gif)|application\/pdf|video\/(mp4|quicktime|x-msvideo))$/;
+
+function getAttachmentDownloadUrl(attachmentId) {
+  return `/api/attachments/${encodeURIComponent(attachmentId)}/download`;
+}
+
+// The stored path is the file's old /uploads location, which is no longer served - clients use download_url
+function withDownloadUrl({ path: storedPath, ...attachment }) {
+  return { ...attachment, download_url: getAttachmentDownloadUrl(attachment.attachment_id) };
+}
+
+// Resolve an attachment id to its row plus the parent bug/feature it belongs to
+function findAttachment(attachmentId, callback) {
+  db.get(
+    `SELECT a.*, b.bug_id IS NOT NULL as parent_exists, COALESCE(b.is_deleted, 0) as parent_deleted FROM bug_attachments a
+     LEFT JOIN bugs b ON a.bug_id = b.bug_id
+     WHERE a.attachment_id = ?`,
+    [attachmentId],
+    (err, bugAttachment) => {
+      if (err) return callback(err);
+      if (bugAttachment) {
+        return callback(null, { type: 'bug', resource: 'bugs', dir: 'bugs', attachment: bugAttachment });
+      }
+
+      db.get(
+        `SELECT a.*, f.feature_id IS NOT NULL as parent_exists, COALESCE(f.is_deleted, 0) as parent_deleted FROM feature_attachments a
+         LEFT JOIN upcoming_features f ON a.feature_id = f.feature_id
+         WHERE a.attachment_id = ?`,
+        [attachmentId],
+        (err, featureAttachment) => {
+          if (err) return callback(err);
+          if (!featureAttachment) return callback(null, null);
+          callback(null, { type: 'feature', resource: 'features', dir: 'features', attachment: featureAttachment });
+        }
+      );
+    }
+  );
+}
+
+// Look up the attachment and check the caller may read its parent. Attachments of deleted
+// bugs/features are only visible to users who can delete (and so restore) them
+function loadAuthorizedAttachment(req, res, callback) {
+  const { attachment_id } = req.params;
+
+  findAttachment(attachment_id, (err, found) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!found) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const { attachment, resource } = found;
+
+    if (!attachment.parent_exists) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    // A valid signature was already checked for this exact attachment by authenticateRequest
+    if (req.signedAttachmentId === attachment_id) {
+      return attachment.parent_deleted ? res.status(404).json({ error: 'Attachment not found' }) : callback(found);
+    }
+
+    if (!hasPermission(req.user, `${resource}:read`)) {
+      return sendForbidden(req, res, `${resource}:read`);
+    }
+    if (attachment.parent_deleted && !hasPermission(req.user, `${resource}:delete`)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    callback(found);
+  });
+}
+
+// Stream an attachment. ?inline=true displays images, PDFs and videos in the browser
+app.get('/api/attachments/:attachment_id/download', (req, res) => {
+  loadAuthorizedAttachment(req, res, ({ attachment, dir }) => {
+    const filePath = path.join(uploadsDir, dir, path.basename(attachment.filename));
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Attachment file is missing' });
+    }
+
+    // res.attachment() sets the type from original_name and encodes non-ASCII names (filename*)
+    res.attachment(attachment.original_name);
+    if (req.query.inline === 'true' && INLINE_ATTACHMENT_TYPES.test(res.get('Content-Type'))) {
+      res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, no-cache');
+
+    res.sendFile(filePath, (err) => {
+      if (err && !res.headersSent) {
+        res.status(500).json({ error: 'Error sending attachment' });
+      }
+    });
+  });
+});
+
+// Short-lived URL that downloads the attachment without an Authorization header
+app.post('/api/attachments/:attachment_id/signed-url', (req, res) => {
+  loadAuthorizedAttachment(req, res, ({ attachment }) => {
+    const expires = Math.floor(Date.now() / 1000) + ATTACHMENT_URL_TTL_SECONDS;
+    const signature = signAttachmentUrl(attachment.attachment_id, expires);
+    const inline = req.body.inline ? '&inline=true' : '';
+
+    res.json({
+      success: true,
+      url: `${getAttachmentDownloadUrl(attachment.attachment_id)}?expires=${expires}&signature=${signature}${inline}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    });
+  });
+});
+
 // Get feature statistics
-app.get('/api/features/stats', (req, res) => {
+app.get('/api/features/stats', requirePermission('features:read'), (req, res) => {
   db.get(
     `SELECT
       COUNT(*) as total_features,
@@ -4355,7 +12440,7 @@ app.get('/api/features/stats', (req, res) => {
 });
 
 // Get features by version
-app.get('/api/features/by-version/:version_id', (req, res) => {
+app.get('/api/features/by-version/:version_id', requirePermission('features:read'), (req, res) => {
   const { version_id } = req.params;
 
   db.all(
@@ -4378,7 +12463,7 @@ app.get('/api/features/by-version/:version_id', (req, res) => {
 });
 
 // Get features by module
-app.get('/api/features/by-module/:module_id', (req, res) => {
+app.get('/api/features/by-module/:module_id', requirePermission('features:read'), (req, res) => {
   const { module_id } = req.params;
 
   db.all(
@@ -4400,6 +12485,269 @@ app.get('/api/features/by-module/:module_id', (req, res) => {
   );
 });
 
+// ============ GLOBAL SEARCH ============
+
+// Every searchable entity feeds one FTS5 table. title/body are the indexed text, the rest
+// identify the row; visibility is checked at query time so soft deletes need no reindex.
+// internal marks rows only users with comments:internal may find
+const SEARCH_SOURCES = [
+  {
+    type: 'bug', table: 'bugs', key: 'bug_id', parent: null,
+    title: 'title', body: ['description', 'steps_to_reproduce', 'expected_result', 'actual_result', 'tags'],
+    permission: 'bugs:read',
+    visible: 'entity_id IN (SELECT bug_id FROM bugs WHERE COALESCE(is_deleted, 0) = 0)',
+    path: (id) => `/api/bugs/${id}`
+  },
+  {
+    type: 'bug_comment', table: 'bug_comments', key: 'id', parent: 'bug_id',
+    title: null, body: ['comment_text'],
+    permission: 'bugs:read',
+    visible: `parent_id IN (SELECT bug_id FROM bugs WHERE COALESCE(is_deleted, 0) = 0)
+      AND entity_id IN (SELECT id FROM bug_comments WHERE COALESCE(is_deleted, 0) = 0)`,
+    internal: 'entity_id IN (SELECT id FROM bug_comments WHERE is_internal = 1)',
+    parentTitle: 'SELECT title FROM bugs WHERE bug_id = search_index.parent_id',
+    path: (id, parentId) => `/api/bugs/${parentId}/comments`
+  },
+  {
+    type: 'feature', table: 'upcoming_features', key: 'feature_id', parent: null,
+    title: 'title', body: ['description', 'business_value', 'user_story', 'acceptance_criteria', 'technical_notes', 'tags'],
+    permission: 'features:read',
+    visible: 'entity_id IN (SELECT feature_id FROM upcoming_features WHERE COALESCE(is_deleted, 0) = 0)',
+    path: (id) => `/api/features/${id}`
+  },
+  {
+    type: 'feature_comment', table: 'feature_comments', key: 'id', parent: 'feature_id',
+    title: null, body: ['comment_text'],
+    permission: 'features:read',
+    visible: `parent_id IN (SELECT feature_id FROM upcoming_features WHERE COALESCE(is_deleted, 0) = 0)
+      AND entity_id IN (SELECT id FROM feature_comments WHERE COALESCE(is_deleted, 0) = 0)`,
+    internal: 'entity_id IN (SELECT id FROM feature_comments WHERE is_internal = 1)',
+    parentTitle: 'SELECT title FROM upcoming_features WHERE feature_id = search_index.parent_id',
+    path: (id, parentId) => `/api/features/${parentId}/comments`
+  },
+  {
+    type: 'custom_test', table: 'custom_tests', key: 'test_id', parent: null,
+    title: 'title', body: ['description', 'steps', 'expected_result', 'prerequisites', 'test_data', 'tags'],
+    permission: 'custom_tests:read',
+    visible: null,
+    path: (id) => `/api/custom-tests/${id}`
+  },
+  {
+    type: 'test_feedback', table: 'test_feedback', key: 'id', parent: 'session_id',
+    title: 'title', body: ['description', 'steps_to_reproduce', 'expected_behavior', 'actual_behavior'],
+    permission: 'results:read',
+    visible: null,
+    parentTitle: 'SELECT tester_name FROM test_sessions WHERE session_id = search_index.parent_id',
+    path: (id, parentId) => `/api/sessions/${parentId}`
+  }
+];
+
+const SEARCH_TYPES = SEARCH_SOURCES.map(source => source.type);
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const SEARCH_MAX_TERMS = 12;
+// Title matches outrank body matches
+const SEARCH_RANK = 'bm25(search_index, 4.0, 1.0)';
+
+function getSearchSource(type) {
+  return SEARCH_SOURCES.find(source => source.type === type);
+}
+
+// Many text columns hold JSON (tags, steps, stringified steps_to_reproduce) - index the values, not the syntax
+function searchTextSql(column) {
+  return `NULLIF(CASE WHEN json_valid(${column}) THEN CASE json_type(${column})
+      WHEN 'array' THEN (SELECT group_concat(value, ' ') FROM json_each(${column}))
+      WHEN 'text' THEN json_extract(${column}, '$')
+      ELSE ${column} END
+    ELSE ${column} END, '')`;
+}
+
+// SQL expressions producing the indexed values of one source row, for NEW./OLD. in triggers or a table alias
+function searchColumnValues(source, alias) {
+  const column = (name) => `${alias}.${name}`;
+  return {
+    title: source.title ? `COALESCE(${column(source.title)}, '')` : `''`,
+    body: `COALESCE(concat_ws(char(10), ${source.body.map(name => searchTextSql(column(name))).join(', ')}), '')`,
+    entityId: column(source.key),
+    parentId: source.parent ? column(source.parent) : 'NULL'
+  };
+}
+
+function searchInsertSql(source, alias, from = '') {
+  const values = searchColumnValues(source, alias);
+  return `INSERT INTO search_index (title, body, entity_type, entity_id, parent_id)
+    SELECT ${values.title}, ${values.body}, '${source.type}', ${values.entityId}, ${values.parentId}${from}`;
+}
+
+function searchDeleteSql(source, alias) {
+  return `DELETE FROM search_index WHERE entity_type = '${source.type}' AND entity_id = ${alias}.${source.key}`;
+}
+
+// Insert/update/delete triggers keeping the index in step with its source table. Updates only
+// fire for indexed columns (and the key/parent, which merges rewrite)
+function searchTriggerStatements(source) {
+  const watched = [source.key, source.parent, source.title, ...source.body].filter(Boolean);
+  const prefix = `search_${source.table}`;
+  return [
+    `CREATE TRIGGER IF NOT EXISTS ${prefix}_ai AFTER INSERT ON ${source.table} BEGIN
+      ${searchInsertSql(source, 'NEW')};
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS ${prefix}_au AFTER UPDATE OF ${watched.join(', ')} ON ${source.table} BEGIN
+      ${searchDeleteSql(source, 'OLD')};
+      ${searchInsertSql(source, 'NEW')};
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS ${prefix}_ad AFTER DELETE ON ${source.table} BEGIN
+      ${searchDeleteSql(source, 'OLD')};
+    END`
+  ];
+}
+
+// Drop and refill the whole index from the source tables; resolves to row counts per entity type
+async function rebuildSearchIndex() {
+  return withTransaction(async () => {
+    await dbRun('DELETE FROM search_index');
+    const counts = {};
+    for (const source of SEARCH_SOURCES) {
+      const result = await dbRun(searchInsertSql(source, 'src', ` FROM ${source.table} src`));
+      counts[source.type] = result.changes;
+    }
+    return counts;
+  });
+}
+
+// Turn free text into an FTS5 query: bare words become prefix terms, "quoted text" an exact
+// phrase, all ANDed. FTS5 operators and punctuation in user input are never passed through
+function buildSearchMatch(text) {
+  const parts = [];
+  const pattern = /"([^"]*)"|([\p{L}\p{N}_]+)/gu;
+  let match;
+  while ((match = pattern.exec(String(text))) && parts.length < SEARCH_MAX_TERMS) {
+    if (match[1] !== undefined) {
+      const words = match[1].match(/[\p{L}\p{N}_]+/gu);
+      if (words) parts.push(`"${words.join(' ')}"`);
+    } else {
+      parts.push(`"${match[2]}"*`);
+    }
+  }
+  return parts.join(' ');
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// snippet()/highlight() mark hits with \x01...\x02 so the surrounding user text can be escaped
+// before the markers become <mark> tags
+function formatSearchHighlight(text) {
+  if (!text) return text;
+  return escapeHtml(text).replace(/\x01/g, '<mark>').replace(/\x02/g, '</mark>');
+}
+
+// Global search: GET /api/search?q=&types=bug,feature&limit=&offset=
+// Only entity types the caller can read are searched; asking for another type explicitly is a 403
+app.get('/api/search', (req, res) => {
+  const match = buildSearchMatch(req.query.q || '');
+  if (!match) {
+    return res.status(400).json({ error: 'q must contain at least one word to search for' });
+  }
+
+  let types = SEARCH_TYPES;
+  if (req.query.types) {
+    types = String(req.query.types).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown search type(s): ${unknown.join(', ')}`,
+        allowed_types: SEARCH_TYPES
+      });
+    }
+    const denied = types.map(getSearchSource).find(source => !hasPermission(req.user, source.permission));
+    if (denied) {
+      return sendForbidden(req, res, denied.permission);
+    }
+  } else {
+    types = types.filter(type => hasPermission(req.user, getSearchSource(type).permission));
+  }
+  if (types.length === 0) {
+    return sendForbidden(req, res, SEARCH_SOURCES[0].permission);
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const sources = types.map(getSearchSource);
+  const hideInternal = !canSeeInternalComments(req.user);
+  const scope = sources
+    .map(source => {
+      const conditions = [`entity_type = '${source.type}'`];
+      if (source.visible) conditions.push(source.visible);
+      if (source.internal && hideInternal) conditions.push(`NOT (${source.internal})`);
+      return `(${conditions.join(' AND ')})`;
+    })
+    .join(' OR ');
+  const where = `search_index MATCH ? AND (${scope})`;
+  const parentTitles = sources.filter(source => source.parentTitle);
+  const parentTitle = parentTitles.length > 0
+    ? `CASE entity_type ${parentTitles.map(source => `WHEN '${source.type}' THEN (${source.parentTitle})`).join(' ')} END`
+    : 'NULL';
+
+  (async () => {
+    const counts = await dbAll(
+      `SELECT entity_type, COUNT(*) as count FROM search_index WHERE ${where} GROUP BY entity_type`,
+      [match]
+    );
+    const rows = await dbAll(
+      `SELECT entity_type, entity_id, parent_id, title, ${parentTitle} as parent_title,
+         highlight(search_index, 0, char(1), char(2)) as title_highlight,
+         snippet(search_index, 1, char(1), char(2), '…', 16) as snippet,
+         ${SEARCH_RANK} as score
+       FROM search_index
+       WHERE ${where}
+       ORDER BY score
+       LIMIT ? OFFSET ?`,
+      [match, limit, offset]
+    );
+
+    const countsByType = {};
+    types.forEach(type => { countsByType[type] = 0; });
+    counts.forEach(row => { countsByType[row.entity_type] = row.count; });
+
+    res.json({
+      query: req.query.q,
+      match,
+      total: counts.reduce((sum, row) => sum + row.count, 0),
+      counts: countsByType,
+      limit,
+      offset,
+      results: rows.map(row => ({
+        type: row.entity_type,
+        id: row.entity_id,
+        parent_id: row.parent_id,
+        title: row.title || row.parent_title || null,
+        parent_title: row.parent_title,
+        title_highlight: formatSearchHighlight(row.title_highlight) || null,
+        snippet: formatSearchHighlight(row.snippet),
+        // bm25 is lower-is-better; flip it so clients can treat higher as more relevant
+        score: -row.score,
+        path: getSearchSource(row.entity_type).path(row.entity_id, row.parent_id)
+      }))
+    });
+  })().catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Admin: rebuild the search index from scratch (e.g. after restoring a database backup)
+app.post('/api/admin/search/rebuild', requirePermission('admin:manage'), (req, res) => {
+  rebuildSearchIndex()
+    .then(counts => res.json({
+      success: true,
+      message: 'Search index rebuilt',
+      indexed: counts
+    }))
+    .catch(err => res.status(500).json({ error: err.message }));
+});
+
 // Start server with error handling
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ Testing feedback server running on port ${PORT}`);
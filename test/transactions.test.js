@@ -0,0 +1,150 @@
+// Concurrency regression tests for withTransaction on the shared connection. Each test starts the server
+// on a fresh database in a temporary directory and fires overlapping requests at it.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+let server;
+let baseUrl;
+let token;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not come up');
+}
+
+async function api(method, url, body) {
+  const res = await fetch(`${baseUrl}/api${url}`, {
+    method,
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function createBug(fields) {
+  const { status, body } = await api('POST', '/bugs', fields);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return body.bug_id;
+}
+
+before(async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'erp-testing-'));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, [SERVER], {
+    cwd: workDir,
+    stdio: 'ignore',
+    env: {
+      ...process.env,
+      PORT: String(port),
+      JWT_SECRET: 'transaction-tests',
+      MFA_REQUIRED_ROLES: '',
+      MAIL_TRANSPORT: 'file',
+      MAIL_OUTBOX_DIR: path.join(workDir, 'outbox'),
+      LOGIN_RATE_LIMIT_MAX: '1000'
+    }
+  });
+  await waitForHealth();
+  // Let startup migrations and seeding finish before the first request
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  const res = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ email: 'admin@dnaerp.com', password: 'admin123' })
+  });
+  token = (await res.json()).access_token;
+  assert.ok(token, 'admin login failed');
+});
+
+after(() => {
+  if (server) server.kill();
+});
+
+test('concurrent merges into one bug all apply in full', async () => {
+  const canonical = await createBug({ title: 'Invoice totals are wrong', priority: 'P2' });
+  const duplicates = [];
+  for (let i = 0; i < 6; i++) {
+    duplicates.push(await createBug({
+      title: `Duplicate report ${i}`,
+      priority: 'P3',
+      linked_tests: [`TC-MERGE-${i}`]
+    }));
+  }
+
+  // Merges, comments on the canonical bug and a testing-data reset all overlap
+  const requests = duplicates.map(id => api('POST', `/bugs/${canonical}/merge`, { duplicate_bug_id: id }));
+  for (let i = 0; i < 6; i++) {
+    requests.push(api('POST', `/bugs/${canonical}/comments`, { comment_text: `Note ${i}` }));
+  }
+  requests.push(api('POST', '/admin/reset-testing-data'));
+
+  const results = await Promise.all(requests);
+  results.forEach(({ status, body }) => assert.strictEqual(status, 200, JSON.stringify(body)));
+
+  const { body: bug } = await api('GET', `/bugs/${canonical}`);
+  duplicates.forEach((id, i) => assert.ok(bug.linked_tests.includes(`TC-MERGE-${i}`), `linked test of ${id} lost`));
+
+  for (const id of duplicates) {
+    const { status, body } = await api('PUT', `/bugs/${id}`, { priority: 'P1' });
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.canonical_bug_id, canonical);
+  }
+});
+
+test('concurrent bulk updates never see each other half-applied', async () => {
+  const pair = [
+    await createBug({ title: 'Stock count drifts', priority: 'P1' }),
+    await createBug({ title: 'Stock report times out', priority: 'P1' })
+  ];
+
+  // Each request flips both bugs together, so a plan may only ever find them in the same priority
+  const results = await Promise.all(Array.from({ length: 12 }, (_, i) =>
+    api('POST', '/bugs/bulk', { bug_ids: pair, changes: { priority: i % 2 === 0 ? 'P2' : 'P1' } })
+  ));
+  results.forEach(({ status, body }) => {
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.ok([0, 2].includes(body.changed), `half-applied plan: ${JSON.stringify(body)}`);
+  });
+
+  // The history of each bug is an unbroken chain of priority changes
+  for (const bugId of pair) {
+    const { body: history } = await api('GET', `/bugs/${bugId}/history`);
+    const changes = history.filter(entry => entry.field_name === 'priority').sort((a, b) => a.id - b.id);
+    let priority = 'P1';
+    changes.forEach(entry => {
+      assert.strictEqual(entry.old_value, priority, `stale history on ${bugId}: ${JSON.stringify(changes)}`);
+      priority = entry.new_value;
+    });
+    const { body: bug } = await api('GET', `/bugs/${bugId}`);
+    assert.strictEqual(bug.priority, priority);
+  }
+});